@@ -18,6 +18,13 @@ const NotificationSchema = new mongoose.Schema({
       'order_submitted',
       'order_completed',
       'order_disputed',
+      'order_deadline_warning',
+      'order_overdue',
+      'order_expired',
+      'order_cancelled',
+      'order_cancellation_requested',
+      'order_link_issue',
+      'order_guarantee_claim',
       'payment_received',
       'payment_failed',
       'escrow_released',
@@ -31,7 +38,10 @@ const NotificationSchema = new mongoose.Schema({
       'user_verified',
       'withdrawal_requested',
       'withdrawal_processed',
+      'payment_method_verified',
+      'payment_method_rejected',
       'system_maintenance',
+      'wallet_discrepancy',
       'custom'
     ]
   },
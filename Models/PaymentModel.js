@@ -24,7 +24,7 @@ const PaymentSchema = new mongoose.Schema({
   currency: {
     type: String,
     required: true,
-    enum: ['USD', 'EUR', 'GBP', 'CAD', 'AUD', 'BTC', 'ETH', 'USDT'],
+    enum: ['USD', 'EUR', 'GBP', 'PKR', 'INR', 'CAD', 'AUD', 'BTC', 'ETH', 'USDT'],
     default: 'USD'
   },
   originalAmount: {
@@ -160,7 +160,7 @@ const EscrowSchema = new mongoose.Schema({
   currency: {
     type: String,
     required: true,
-    enum: ['USD', 'EUR', 'GBP', 'CAD', 'AUD', 'BTC', 'ETH', 'USDT']
+    enum: ['USD', 'EUR', 'GBP', 'PKR', 'INR', 'CAD', 'AUD', 'BTC', 'ETH', 'USDT']
   },
   status: {
     type: String,
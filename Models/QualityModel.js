@@ -16,6 +16,11 @@ const QualityCheckSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Content'
   },
+  // Submission version of the order that this check reviewed
+  orderVersion: {
+    type: Number,
+    min: 1
+  },
   reviewerId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
@@ -6,13 +6,48 @@ import {
   getAllWebsites, // Add this import
   reviewWebsite,
   getAllOrders,
+  cancelOrder,
+  getCancellationReport,
+  checkOrderLink,
+  getGuaranteeClaims,
+  resolveGuaranteeClaim,
   getFinancialOverview,
   getAnalytics,
   manageUserAccount,
   updateWebsiteVerificationSettings,
   getAllChats,
   updateWebsiteMetrics, // Add this import
-  updateUserBalance
+  updateUserBalance,
+  getCommissionRules,
+  upsertCommissionRule,
+  deleteCommissionRule,
+  getExchangeRates,
+  updateExchangeRates,
+  reloadExchangeRates,
+  updatePublisherTier,
+  getPromoCodes,
+  createPromoCode,
+  updatePromoCode,
+  deactivatePromoCode,
+  getPromoCodeRedemptions,
+  getLedgerReconciliation,
+  recordOpeningBalances,
+  getLedgerEntries,
+  getWalletReconciliations,
+  runWalletReconciliation,
+  getWalletReconciliation,
+  resolveWalletDiscrepancy,
+  getWithdrawalQueue,
+  approveWithdrawal,
+  rejectWithdrawal,
+  processWithdrawalBatch,
+  markWithdrawalPaid,
+  runAutoWithdrawals,
+  getPaymentMethodQueue,
+  approvePaymentMethod,
+  rejectPaymentMethod,
+  resendMicroDeposit,
+  encryptPayoutDetails
 } from "../controller/AdminController.js";
 import { authenticateToken, requireAdmin } from "../middleware/auth.js";
 import User from "../model/User.js";
@@ -38,6 +73,7 @@ router.get("/chats", getAllChats);
 router.get("/users", getAllUsers);
 router.put("/users/:userId/manage", manageUserAccount);
 router.put("/users/:userId/balance", updateUserBalance); // Add this line
+router.put("/users/:userId/publisher-tier", updatePublisherTier);
 
 // Add missing user management routes
 router.put("/users/:userId/suspend", (req, res) => {
@@ -191,9 +227,47 @@ router.put("/websites/:websiteId/verification-settings", updateWebsiteVerificati
 
 // Order Management
 router.get("/orders", getAllOrders);
+router.get("/orders/cancellations", getCancellationReport);
+router.get("/orders/guarantee-claims", getGuaranteeClaims);
+router.put("/orders/:orderId/cancel", cancelOrder);
+router.post("/orders/:orderId/link-check", checkOrderLink);
+router.put("/orders/:orderId/guarantee-claims/:claimId", resolveGuaranteeClaim);
 
 // Financial Management
 router.get("/finance", getFinancialOverview);
+router.get("/ledger/entries", getLedgerEntries);
+router.get("/ledger/reconciliation", getLedgerReconciliation);
+router.post("/ledger/opening-balances", recordOpeningBalances);
+router.get("/wallet-reconciliations", getWalletReconciliations);
+router.post("/wallet-reconciliations", runWalletReconciliation);
+router.get("/wallet-reconciliations/:reportId", getWalletReconciliation);
+router.put("/wallet-reconciliations/:reportId/discrepancies/:discrepancyId", resolveWalletDiscrepancy);
+router.get("/withdrawals", getWithdrawalQueue);
+router.post("/withdrawals/batch", processWithdrawalBatch);
+router.post("/withdrawals/auto", runAutoWithdrawals);
+router.put("/withdrawals/:withdrawalId/approve", approveWithdrawal);
+router.put("/withdrawals/:withdrawalId/reject", rejectWithdrawal);
+router.put("/withdrawals/:withdrawalId/paid", markWithdrawalPaid);
+router.get("/payment-methods", getPaymentMethodQueue);
+router.put("/payment-methods/:methodId/approve", approvePaymentMethod);
+router.put("/payment-methods/:methodId/reject", rejectPaymentMethod);
+router.post("/payment-methods/:methodId/micro-deposit", resendMicroDeposit);
+router.post("/payment-methods/encryption", encryptPayoutDetails);
+
+// Pricing
+router.get("/pricing/commission-rules", getCommissionRules);
+router.put("/pricing/commission-rules", upsertCommissionRule);
+router.delete("/pricing/commission-rules/:ruleId", deleteCommissionRule);
+router.get("/currencies/rates", getExchangeRates);
+router.put("/currencies/rates", updateExchangeRates);
+router.post("/currencies/rates/reload", reloadExchangeRates);
+
+// Promo Codes
+router.get("/promo-codes", getPromoCodes);
+router.post("/promo-codes", createPromoCode);
+router.put("/promo-codes/:promoId", updatePromoCode);
+router.delete("/promo-codes/:promoId", deactivatePromoCode);
+router.get("/promo-codes/:promoId/redemptions", getPromoCodeRedemptions);
 
 // Analytics
 router.get("/analytics", getAnalytics);
@@ -6,18 +6,49 @@ import {
   createOrder,
   getAdvertiserOrders,
   reviewSubmittedWork,
+  cancelOverdueOrder,
+  cancelOrder,
+  requestCancellation,
+  respondToCancellation,
+  openGuaranteeClaim,
   getOrderAnalytics,
   getRecommendedWebsites,
   createBulkOrders,
+  importBulkOrders,
+  confirmBulkImport,
+  getOrderSeries,
+  pauseOrderSeries,
+  resumeOrderSeries,
+  rescheduleOrderSeries,
+  cancelOrderSeries,
   getFavoriteWebsites,
   addToFavorites,
   removeFromFavorites,
   createWebsiteChat
 } from "../controller/AdvertiserController.js";
 import { getOrderDetails } from "../controller/OrderController.js";
-import { authenticateToken, requireRole as authorize } from "../middleware/auth.js";
+import {
+  getTemplates,
+  getTemplate,
+  createTemplate,
+  createTemplateFromOrder,
+  updateTemplate,
+  deleteTemplate,
+  addTemplateToCart,
+  reorder
+} from "../controller/OrderTemplateController.js";
+import {
+  authenticateToken,
+  requireRole as authorize,
+  useOrganizationAccount,
+  requireBuyerRole
+} from "../middleware/auth.js";
 import { uploadMiddleware } from "../middleware/upload.js";
+import { uploadMiddleware as enhancedUpload, handleUploadError } from "../middleware/enhancedUpload.js";
 import projectRouter from "./ProjectRouter.js";
+import cartRouter from "./CartRouter.js";
+import organizationRouter from "./OrganizationRouter.js";
+import clientRouter from "./ClientRouter.js";
 
 const router = express.Router();
 
@@ -28,9 +59,22 @@ router.get("/dashboard", getAdvertiserDashboard);
 router.use(authenticateToken);
 router.use(authorize(['advertiser']));
 
+// Organization members act on the shared account; managing the team has its own role checks
+router.use(useOrganizationAccount);
+router.use("/organization", organizationRouter);
+
+// Every member may read, placing and changing orders needs the owner or buyer role
+router.use(requireBuyerRole);
+
 // Project Management Routes
 router.use("/projects", projectRouter);
 
+// Agency clients, client tags and shareable report links
+router.use("/clients", clientRouter);
+
+// Cart Routes (checkout goes through /orders/process-with-balance)
+router.use("/cart", cartRouter);
+
 // Analytics Routes
 router.get("/analytics", getOrderAnalytics);
 
@@ -59,10 +103,34 @@ router.post("/orders", uploadMiddleware.fields([
 
 // Bulk Order Management Routes
 router.post("/orders/bulk", createBulkOrders); // Added bulk order route
+router.post("/orders/bulk/import", enhancedUpload.single('spreadsheet'), importBulkOrders, handleUploadError);
+router.post("/orders/bulk/import/:importId/confirm", confirmBulkImport);
+
+// Staggered bulk series (Must be defined BEFORE the :orderId route)
+router.get("/orders/series/:seriesId", getOrderSeries);
+router.put("/orders/series/:seriesId/pause", pauseOrderSeries);
+router.put("/orders/series/:seriesId/resume", resumeOrderSeries);
+router.put("/orders/series/:seriesId/reschedule", rescheduleOrderSeries);
+router.post("/orders/series/:seriesId/cancel", cancelOrderSeries);
 
 router.get("/orders", getAdvertiserOrders);
 router.get("/orders/:orderId", getOrderDetails);
 router.put("/orders/:orderId/approve", reviewSubmittedWork);
 router.post("/orders/:orderId/revision", reviewSubmittedWork);
+router.post("/orders/:orderId/cancel-overdue", cancelOverdueOrder);
+router.post("/orders/:orderId/cancel", cancelOrder);
+router.post("/orders/:orderId/cancellation", requestCancellation);
+router.put("/orders/:orderId/cancellation", respondToCancellation);
+router.post("/orders/:orderId/guarantee-claims", openGuaranteeClaim);
+router.post("/orders/:orderId/reorder", reorder);
+router.post("/orders/:orderId/template", createTemplateFromOrder);
+
+// Order Templates
+router.get("/templates", getTemplates);
+router.post("/templates", createTemplate);
+router.get("/templates/:templateId", getTemplate);
+router.put("/templates/:templateId", updateTemplate);
+router.delete("/templates/:templateId", deleteTemplate);
+router.post("/templates/:templateId/cart", addTemplateToCart);
 
 export default router;
\ No newline at end of file
@@ -0,0 +1,23 @@
+import express from "express";
+import {
+  getCart,
+  addCartItem,
+  updateCartItem,
+  removeCartItem,
+  lockCartQuote,
+  previewPromoCode,
+  clearCart
+} from "../controller/CartController.js";
+
+// Mounted by the advertiser router, which handles authentication
+const router = express.Router();
+
+router.get("/", getCart);
+router.delete("/", clearCart);
+router.post("/items", addCartItem);
+router.put("/items/:itemId", updateCartItem);
+router.delete("/items/:itemId", removeCartItem);
+router.post("/quote", lockCartQuote);
+router.post("/promo", previewPromoCode);
+
+export default router;
@@ -0,0 +1,35 @@
+import express from "express";
+import {
+  getClients,
+  createClient,
+  updateClient,
+  archiveClient,
+  tagProject,
+  untagProject,
+  tagOrder,
+  untagOrder,
+  getReportLinks,
+  createReportLink,
+  revokeReportLink
+} from "../controller/ClientController.js";
+
+// Mounted by the advertiser router, which handles authentication
+const router = express.Router();
+
+router.get("/", getClients);
+router.post("/", createClient);
+router.put("/:clientId", updateClient);
+router.delete("/:clientId", archiveClient);
+
+// Tagging projects and orders
+router.put("/:clientId/projects/:projectId", tagProject);
+router.delete("/:clientId/projects/:projectId", untagProject);
+router.put("/:clientId/orders/:orderId", tagOrder);
+router.delete("/:clientId/orders/:orderId", untagOrder);
+
+// Shareable report links
+router.get("/:clientId/report-links", getReportLinks);
+router.post("/:clientId/report-links", createReportLink);
+router.delete("/:clientId/report-links/:linkId", revokeReportLink);
+
+export default router;
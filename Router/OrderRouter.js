@@ -4,16 +4,31 @@ import {
   getPublisherOrders,
   approveOrder,
   rejectOrder,
+  startOrder,
   submitOrder,
+  getOrderRevisions,
+  respondToRevision,
+  requestOrderCancellation,
+  respondToOrderCancellation,
   createOrder,
   getOrderDetails,
   addOrderMessage,
   createOrderChat,
   processOrderWithBalance,
   saveArticleData,
-  getArticleData
+  getArticleData,
+  getOrderVersions,
+  getOrderVersion,
+  getVersionDiff,
+  getLinkHealth
 } from "../controller/OrderController.js";
-import { authenticateToken, requirePublisher, requireAdvertiser } from "../middleware/auth.js";
+import {
+  authenticateToken,
+  requirePublisher,
+  requireAdvertiser,
+  useOrganizationAccount,
+  requireBuyerRole
+} from "../middleware/auth.js";
 
 const router = express.Router();
 
@@ -23,11 +38,16 @@ router.get("/dashboard", getPublisherDashboard);
 // All other routes require authentication
 router.use(authenticateToken);
 
+// Organization members act on the shared account; only owners and buyers change orders
+router.use(useOrganizationAccount, requireBuyerRole);
+
 // Publisher Order Management
 router.get("/publisher", requirePublisher, getPublisherOrders);
 router.put("/:orderId/approve", requirePublisher, approveOrder);
 router.put("/:orderId/reject", requirePublisher, rejectOrder);
+router.put("/:orderId/start", requirePublisher, startOrder);
 router.put("/:orderId/submit", requirePublisher, submitOrder);
+router.put("/:orderId/revisions/respond", requirePublisher, respondToRevision);
 
 // Advertiser Order Management
 router.post("/", requireAdvertiser, createOrder);
@@ -37,9 +57,22 @@ router.post("/process-with-balance", requireAdvertiser, processOrderWithBalance)
 router.get("/:orderId", getOrderDetails);
 router.post("/:orderId/messages", addOrderMessage);
 router.post("/:orderId/chat", createOrderChat);
+router.get("/:orderId/revisions", getOrderRevisions);
+
+// Cancellation by mutual consent (either party may ask, the other answers)
+router.post("/:orderId/cancellation", requestOrderCancellation);
+router.put("/:orderId/cancellation", respondToOrderCancellation);
 
 // Article data endpoints
 router.post("/:orderId/article", saveArticleData);
 router.get("/:orderId/article", getArticleData);
 
+// Content versions
+router.get("/:orderId/versions", getOrderVersions);
+router.get("/:orderId/versions/diff", getVersionDiff);
+router.get("/:orderId/versions/:version", getOrderVersion);
+
+// Published link monitoring
+router.get("/:orderId/link-health", getLinkHealth);
+
 export default router;
\ No newline at end of file
@@ -0,0 +1,38 @@
+import express from "express";
+import {
+  getOrganization,
+  createOrganization,
+  renameOrganization,
+  leaveOrganization,
+  updateMemberRole,
+  removeMember,
+  getInvitations,
+  inviteMember,
+  revokeInvitation,
+  acceptInvitation,
+  getAuditLog
+} from "../controller/OrganizationController.js";
+import { requireOwnerRole, requireMemberRole } from "../middleware/auth.js";
+
+// Mounted by the advertiser router, which handles authentication and resolves the member
+const router = express.Router();
+
+router.get("/", getOrganization);
+router.post("/", createOrganization);
+router.put("/", requireOwnerRole, renameOrganization);
+router.post("/leave", leaveOrganization);
+
+// Members
+router.put("/members/:userId", requireOwnerRole, updateMemberRole);
+router.delete("/members/:userId", requireOwnerRole, removeMember);
+
+// Invitations (accepting is open to the invited advertiser)
+router.get("/invitations", requireOwnerRole, getInvitations);
+router.post("/invitations", requireOwnerRole, inviteMember);
+router.delete("/invitations/:invitationId", requireOwnerRole, revokeInvitation);
+router.post("/invitations/:token/accept", acceptInvitation);
+
+// Audit trail
+router.get("/audit", requireMemberRole(['owner', 'finance']), getAuditLog);
+
+export default router;
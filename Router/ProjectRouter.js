@@ -1,7 +1,8 @@
 import express from "express";
 import ProjectController from "../controllers/ProjectController.js";
-import { authenticateToken, requireAdmin, requireAdvertiser } from "../middleware/auth.js";
+import { requireAdmin, requireAdvertiser, requireOwnerRole } from "../middleware/auth.js";
 import { body } from 'express-validator';
+import { SUPPORTED_CURRENCIES } from "../services/CurrencyService.js";
 
 const router = express.Router();
 
@@ -11,19 +12,24 @@ const createProjectValidation = [
   body('website').isURL().withMessage('Valid website URL is required'),
   body('categories').isArray({ min: 1 }).withMessage('At least one category is required'),
   body('budget').isFloat({ min: 0 }).withMessage('Valid budget is required'),
+  body('currency').optional().isIn(SUPPORTED_CURRENCIES).withMessage('Unsupported currency'),
   body('postsRequired').isInt({ min: 1 }).withMessage('Number of posts required must be at least 1')
 ];
 
-// All routes require authentication
-router.use(authenticateToken);
+// Mounted under the advertiser router, which authenticates the user and swaps
+// organization members to the owner's account before these routes run. They
+// must not authenticate again: that would reset req.user to the member, while
+// budgets and templates are checked against the owner's projects.
 
 // Advertiser routes - Define these first as they are more specific to the advertiser path
 router.post("/", requireAdvertiser, createProjectValidation, ProjectController.createProject);
 router.get("/", requireAdvertiser, ProjectController.getAdvertiserProjects);
 router.get("/:id", requireAdvertiser, ProjectController.getProjectById);
 router.put("/:id", requireAdvertiser, ProjectController.updateProject);
-router.delete("/:id", requireAdvertiser, ProjectController.deleteProject);
+router.delete("/:id", requireAdvertiser, requireOwnerRole, ProjectController.deleteProject);
 router.put("/:id/stats", requireAdvertiser, ProjectController.updateProjectStats);
+router.get("/:id/dashboard", requireAdvertiser, ProjectController.getProjectDashboard);
+router.get("/:id/report/export", requireAdvertiser, ProjectController.exportProjectReport);
 
 // Admin routes
 router.get("/", requireAdmin, ProjectController.getAllProjects);
@@ -0,0 +1,9 @@
+import express from "express";
+import { getSharedReport } from "../controller/ClientController.js";
+
+// Public, read-only client reports opened through a shared link
+const router = express.Router();
+
+router.get("/:token", getSharedReport);
+
+export default router;
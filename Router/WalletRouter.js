@@ -3,13 +3,23 @@ import {
   getUserWallet,
   getTransactionHistory,
   addPaymentMethod,
+  confirmPaymentMethod,
   getWithdrawalHistory,
+  requestWithdrawal,
   updateWithdrawalSettings,
+  changeWalletCurrency,
+  convertWalletBalance,
   getEarningsAnalytics,
   addFunds,
   deductFundsForOrder
 } from "../controller/WalletController.js";
-import { authenticateToken, requireRole as authorize } from "../middleware/auth.js";
+import {
+  authenticateToken,
+  requireRole as authorize,
+  useOrganizationAccount,
+  requireBuyerRole,
+  requireFinanceRole
+} from "../middleware/auth.js";
 import { uploadMiddleware } from "../middleware/upload.js";
 
 const router = express.Router();
@@ -17,18 +27,25 @@ const router = express.Router();
 // Apply authentication to all routes
 router.use(authenticateToken);
 
+// Organization members share the owner's wallet
+router.use(useOrganizationAccount);
+
 // Wallet Balance and Summary Routes
 router.get("/balance", getUserWallet);
-router.post("/add-funds", addFunds);
-router.post("/deduct-funds", deductFundsForOrder);
+router.post("/add-funds", requireFinanceRole, addFunds);
+router.post("/deduct-funds", requireBuyerRole, deductFundsForOrder);
 router.get("/transactions", getTransactionHistory);
+router.put("/currency", requireFinanceRole, changeWalletCurrency);
+router.post("/convert", requireFinanceRole, convertWalletBalance);
 
 // Payment Methods Management
-router.post("/payment-methods", uploadMiddleware.single('verification_document'), addPaymentMethod);
+router.post("/payment-methods", requireFinanceRole, uploadMiddleware.single('verification_document'), addPaymentMethod);
+router.post("/payment-methods/:methodId/confirm", requireFinanceRole, confirmPaymentMethod);
 
 // Earnings and Withdrawals (Publishers)
 router.get("/earnings/analytics", authorize(['publisher']), getEarningsAnalytics);
 router.get("/withdrawals", authorize(['publisher']), getWithdrawalHistory);
+router.post("/withdrawals", authorize(['publisher']), requestWithdrawal);
 router.put("/withdrawal-settings", authorize(['publisher']), updateWithdrawalSettings);
 
 export default router;
\ No newline at end of file
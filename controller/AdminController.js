@@ -7,6 +7,20 @@ import { Notification } from "../Models/NotificationModel.js";
 import Wallet from "../model/Wallet.js";
 import Chat from "../model/Chat.js";
 import mongoose from "mongoose";
+import OrderLifecycleService, { OrderTransitionError } from "../services/OrderLifecycleService.js";
+import LinkMonitorService from "../services/LinkMonitorService.js";
+import GuaranteeService from "../services/GuaranteeService.js";
+import PricingService, { PUBLISHER_TIERS } from "../services/PricingService.js";
+import CommissionRule from "../model/CommissionRule.js";
+import PromoCode from "../model/PromoCode.js";
+import PromoRedemption from "../model/PromoRedemption.js";
+import PromoCodeService, { PromoCodeError } from "../services/PromoCodeService.js";
+import LedgerService, { LedgerError } from "../services/LedgerService.js";
+import WalletReconciliationService, { WalletReconciliationError } from "../services/WalletReconciliationService.js";
+import WithdrawalService, { WithdrawalError } from "../services/WithdrawalService.js";
+import AutoWithdrawalService from "../services/AutoWithdrawalService.js";
+import PaymentMethodService, { PaymentMethodError } from "../services/PaymentMethodService.js";
+import CurrencyService, { CurrencyError, SUPPORTED_CURRENCIES } from "../services/CurrencyService.js";
 
 // Admin Dashboard Overview
 export const getAdminDashboard = async (req, res) => {
@@ -283,7 +297,7 @@ export const getAllUsers = async (req, res) => {
     
     const walletMap = {};
     wallets.forEach(wallet => {
-      walletMap[wallet.userId.toString()] = wallet;
+      walletMap[wallet.userId.toString()] = PaymentMethodService.maskWallet(wallet);
     });
 
     // Add stats to users
@@ -603,6 +617,7 @@ export const getAllOrders = async (req, res) => {
       page = 1, 
       limit = 20, 
       status,
+      claimStatus,
       search,
       startDate,
       endDate,
@@ -613,6 +628,7 @@ export const getAllOrders = async (req, res) => {
     // Build filter
     const filter = {};
     if (status && status !== 'all') filter.status = status;
+    if (claimStatus) filter['guaranteeClaims.status'] = claimStatus;
     if (startDate || endDate) {
       filter.createdAt = {};
       if (startDate) filter.createdAt.$gte = new Date(startDate);
@@ -657,6 +673,285 @@ export const getAllOrders = async (req, res) => {
   }
 };
 
+// Cancel an order at any stage, optionally with a partial refund
+export const cancelOrder = async (req, res) => {
+  try {
+    const { orderId } = req.params;
+    const { reason, refundAmount } = req.body;
+
+    const order = await Order.findOne({ orderId: orderId });
+
+    if (!order) {
+      return res.status(404).json({
+        ok: false,
+        message: "Order not found"
+      });
+    }
+
+    await OrderLifecycleService.transition(order, 'cancelled', req.user, { reason, refundAmount });
+
+    res.status(200).json({
+      ok: true,
+      message: "Order cancelled successfully",
+      data: order
+    });
+  } catch (error) {
+    if (error instanceof OrderTransitionError) {
+      return res.status(error.statusCode).json({
+        ok: false,
+        message: error.message,
+        error: error.details
+      });
+    }
+    res.status(500).json({
+      ok: false,
+      message: "Failed to cancel order",
+      error: error.message
+    });
+  }
+};
+
+// Cancellations with their reasons, who cancelled and how much was refunded
+export const getCancellationReport = async (req, res) => {
+  try {
+    const {
+      page = 1,
+      limit = 20,
+      cancelledBy,
+      startDate,
+      endDate
+    } = req.query;
+
+    // Match on the statusHistory entry that recorded the cancellation
+    const entryFilter = { 'statusHistory.status': 'cancelled' };
+    if (cancelledBy) entryFilter['statusHistory.changedByRole'] = cancelledBy;
+    if (startDate || endDate) {
+      entryFilter['statusHistory.changedAt'] = {};
+      if (startDate) entryFilter['statusHistory.changedAt'].$gte = new Date(startDate);
+      if (endDate) entryFilter['statusHistory.changedAt'].$lte = new Date(endDate);
+    }
+
+    const [report] = await Order.aggregate([
+      { $match: { status: 'cancelled' } },
+      { $unwind: '$statusHistory' },
+      { $match: entryFilter },
+      {
+        $facet: {
+          summary: [
+            {
+              $group: {
+                _id: '$statusHistory.changedByRole',
+                count: { $sum: 1 },
+                refunded: { $sum: { $ifNull: ['$paymentDetails.refundAmount', 0] } },
+                publisherPayout: { $sum: { $ifNull: ['$paymentDetails.publisherPayout', 0] } }
+              }
+            }
+          ],
+          reasons: [
+            { $group: { _id: '$statusHistory.reason', count: { $sum: 1 } } },
+            { $sort: { count: -1 } },
+            { $limit: 20 }
+          ],
+          orders: [
+            { $sort: { 'statusHistory.changedAt': -1 } },
+            { $skip: (page - 1) * limit },
+            { $limit: limit * 1 },
+            {
+              $project: {
+                orderId: 1,
+                title: 1,
+                publisherId: 1,
+                advertiserId: 1,
+                totalPrice: 1,
+                paymentStatus: 1,
+                refundAmount: '$paymentDetails.refundAmount',
+                publisherPayout: '$paymentDetails.publisherPayout',
+                reason: '$statusHistory.reason',
+                cancelledByRole: '$statusHistory.changedByRole',
+                cancelledAt: '$statusHistory.changedAt'
+              }
+            }
+          ],
+          total: [{ $count: 'count' }]
+        }
+      }
+    ]);
+
+    const total = report.total[0]?.count || 0;
+
+    res.status(200).json({
+      ok: true,
+      data: {
+        summary: report.summary.map(item => ({
+          cancelledBy: item._id || 'unknown',
+          count: item.count,
+          refunded: item.refunded,
+          publisherPayout: item.publisherPayout
+        })),
+        reasons: report.reasons.map(item => ({
+          reason: item._id || 'No reason given',
+          count: item.count
+        })),
+        orders: report.orders
+      },
+      pagination: {
+        current: parseInt(page),
+        pages: Math.ceil(total / limit),
+        total
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      ok: false,
+      message: "Failed to fetch cancellation report",
+      error: error.message
+    });
+  }
+};
+
+// Check the published link of a delivered order right away
+export const checkOrderLink = async (req, res) => {
+  try {
+    const { orderId } = req.params;
+
+    const order = await Order.findOne({ orderId: orderId });
+
+    if (!order) {
+      return res.status(404).json({
+        ok: false,
+        message: "Order not found"
+      });
+    }
+
+    if (order.status !== 'delivered' || !order.submittedContent?.publishedUrl) {
+      return res.status(409).json({
+        ok: false,
+        message: "Only delivered orders with a published URL can be checked"
+      });
+    }
+
+    const result = await LinkMonitorService.checkOrder(order);
+
+    res.status(200).json({
+      ok: true,
+      message: "Link checked successfully",
+      data: result
+    });
+  } catch (error) {
+    res.status(500).json({
+      ok: false,
+      message: "Failed to check link",
+      error: error.message
+    });
+  }
+};
+
+// Guarantee claims across all orders
+export const getGuaranteeClaims = async (req, res) => {
+  try {
+    const { page = 1, limit = 20, status = 'open' } = req.query;
+
+    const claimFilter = status && status !== 'all' ? { 'guaranteeClaims.status': status } : {};
+
+    const [result] = await Order.aggregate([
+      { $match: { 'guaranteeClaims.0': { $exists: true } } },
+      { $unwind: '$guaranteeClaims' },
+      { $match: claimFilter },
+      {
+        $facet: {
+          claims: [
+            { $sort: { 'guaranteeClaims.openedAt': -1 } },
+            { $skip: (page - 1) * limit },
+            { $limit: limit * 1 },
+            {
+              $project: {
+                orderId: 1,
+                title: 1,
+                publisherId: 1,
+                advertiserId: 1,
+                websiteId: 1,
+                totalPrice: 1,
+                guarantee: 1,
+                publishedUrl: '$submittedContent.publishedUrl',
+                linkHealthStatus: '$linkHealth.status',
+                claim: '$guaranteeClaims'
+              }
+            }
+          ],
+          total: [{ $count: 'count' }]
+        }
+      }
+    ]);
+
+    const total = result.total[0]?.count || 0;
+
+    res.status(200).json({
+      ok: true,
+      data: result.claims,
+      pagination: {
+        current: parseInt(page),
+        pages: Math.ceil(total / limit),
+        total
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      ok: false,
+      message: "Failed to fetch guarantee claims",
+      error: error.message
+    });
+  }
+};
+
+// Approve (with a full, partial or calculated refund) or reject a guarantee claim
+export const resolveGuaranteeClaim = async (req, res) => {
+  try {
+    const { orderId, claimId } = req.params;
+    const { action, refundAmount, resolution } = req.body;
+
+    if (!['approve', 'reject'].includes(action)) {
+      return res.status(400).json({
+        ok: false,
+        message: "Action must be 'approve' or 'reject'"
+      });
+    }
+
+    const order = await Order.findOne({ orderId: orderId });
+
+    if (!order) {
+      return res.status(404).json({
+        ok: false,
+        message: "Order not found"
+      });
+    }
+
+    const claim = await GuaranteeService.resolveClaim(order, claimId, req.user, {
+      approve: action === 'approve',
+      refundAmount,
+      resolution
+    });
+
+    res.status(200).json({
+      ok: true,
+      message: `Guarantee claim ${claim.status}`,
+      data: claim
+    });
+  } catch (error) {
+    if (error instanceof OrderTransitionError || error instanceof LedgerError) {
+      return res.status(error.statusCode).json({
+        ok: false,
+        message: error.message,
+        error: error.details
+      });
+    }
+    res.status(500).json({
+      ok: false,
+      message: "Failed to resolve guarantee claim",
+      error: error.message
+    });
+  }
+};
+
 // Financial Management
 export const getFinancialOverview = async (req, res) => {
   try {
@@ -686,7 +981,8 @@ export const getFinancialOverview = async (req, res) => {
       totalWithdrawals,
       pendingWithdrawals,
       revenueByDay,
-      topEarners
+      topEarners,
+      promoDiscounts
     ] = await Promise.all([
       // Total platform revenue
       Transaction.aggregate([
@@ -745,7 +1041,10 @@ export const getFinancialOverview = async (req, res) => {
             as: 'user'
           }
         }
-      ])
+      ]),
+
+      // Promo code discounts by who funded them
+      PromoCodeService.getDiscountSummary(dateFilter)
     ]);
 
     const financialData = {
@@ -759,6 +1058,7 @@ export const getFinancialOverview = async (req, res) => {
         netProfit: (totalRevenue[0]?.total || 0) - (totalWithdrawals[0]?.total || 0)
       },
       commissionBreakdown: totalCommissions,
+      promoDiscounts,
       revenueChart: revenueByDay,
       topEarners: topEarners.map(item => ({
         user: item.user[0] ? `${item.user[0].firstName} ${item.user[0].lastName}` : 'Unknown',
@@ -1118,25 +1418,31 @@ export const updateUserBalance = async (req, res) => {
       wallet = await Wallet.create({ userId });
     }
 
-    // Update wallet balance based on action
-    const oldBalance = wallet.balance;
-    let newBalance = oldBalance;
-    
-    if (action === 'add') {
-      wallet.balance += amount;
-      newBalance = wallet.balance;
-    } else if (action === 'deduct') {
-      if (wallet.balance < amount) {
-        return res.status(400).json({
-          ok: false,
-          message: "Insufficient balance"
-        });
-      }
-      wallet.balance -= amount;
-      newBalance = wallet.balance;
+    if (action === 'deduct' && wallet.balance < amount) {
+      return res.status(400).json({
+        ok: false,
+        message: "Insufficient balance"
+      });
     }
 
-    await wallet.save();
+    // Update wallet balance based on action
+    const posting = await LedgerService.post({
+      type: 'adjustment',
+      lines: action === 'add'
+        ? [
+          { account: 'adjustments', debit: amount },
+          { account: 'wallet', userId: wallet.userId, credit: amount }
+        ]
+        : [
+          { account: 'wallet', userId: wallet.userId, debit: amount },
+          { account: 'adjustments', credit: amount }
+        ],
+      description: description || `Admin ${action} funds`,
+      createdBy: req.user.id,
+      currency: wallet.currency
+    });
+    const { balanceBefore, balanceAfter: newBalance } = LedgerService.balanceChange(posting, wallet.userId);
+    wallet = posting.wallets.get(wallet.userId.toString());
 
     // Create transaction record
     const transaction = new Transaction({
@@ -1146,7 +1452,7 @@ export const updateUserBalance = async (req, res) => {
       amount: action === 'add' ? amount : -amount,
       currency: wallet.currency,
       description: description || `Admin ${action} funds`,
-      balanceBefore: oldBalance,
+      balanceBefore,
       balanceAfter: newBalance,
       status: 'completed'
     });
@@ -1170,11 +1476,18 @@ export const updateUserBalance = async (req, res) => {
       ok: true,
       message: `User balance ${action}ed successfully`,
       data: {
-        wallet,
+        wallet: PaymentMethodService.maskWallet(wallet),
         transaction
       }
     });
   } catch (error) {
+    if (error instanceof LedgerError) {
+      return res.status(error.statusCode).json({
+        ok: false,
+        message: error.message,
+        error: error.details
+      });
+    }
     console.error('Error in updateUserBalance:', error);
     res.status(500).json({
       ok: false,
@@ -1184,6 +1497,849 @@ export const updateUserBalance = async (req, res) => {
   }
 };
 
+// Commission rules with the rate that applies when none matches
+export const getCommissionRules = async (req, res) => {
+  try {
+    const rules = await CommissionRule.find()
+      .populate('updatedBy', 'firstName lastName email')
+      .sort({ scope: 1, key: 1 });
+
+    res.status(200).json({
+      ok: true,
+      data: {
+        rules,
+        fallbackRate: PricingService.getDefaultCommissionRate(),
+        publisherTiers: PUBLISHER_TIERS
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      ok: false,
+      message: "Failed to fetch commission rules",
+      error: error.message
+    });
+  }
+};
+
+// Create or update the commission rate for a category, a publisher tier or the default
+export const upsertCommissionRule = async (req, res) => {
+  try {
+    const { scope, key = '', rate, isActive = true } = req.body;
+    const normalizedKey = scope === 'default' ? '' : String(key).trim().toLowerCase();
+
+    if (!['default', 'category', 'tier'].includes(scope)) {
+      return res.status(400).json({
+        ok: false,
+        message: "Scope must be one of: default, category, tier"
+      });
+    }
+
+    if (scope !== 'default' && !normalizedKey) {
+      return res.status(400).json({
+        ok: false,
+        message: `A ${scope} is required for this rule`
+      });
+    }
+
+    if (scope === 'tier' && !PUBLISHER_TIERS.includes(normalizedKey)) {
+      return res.status(400).json({
+        ok: false,
+        message: `Publisher tier must be one of: ${PUBLISHER_TIERS.join(', ')}`
+      });
+    }
+
+    const numericRate = Number(rate);
+    if (rate === undefined || rate === null || rate === '' || Number.isNaN(numericRate) || numericRate < 0 || numericRate > 100) {
+      return res.status(400).json({
+        ok: false,
+        message: "Rate must be a percentage between 0 and 100"
+      });
+    }
+
+    const rule = await CommissionRule.findOneAndUpdate(
+      { scope, key: normalizedKey },
+      {
+        rate: numericRate,
+        isActive: Boolean(isActive),
+        updatedBy: mongoose.Types.ObjectId.isValid(req.user.id) ? req.user.id : undefined
+      },
+      { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+    );
+    PricingService.clearCache();
+
+    res.status(200).json({
+      ok: true,
+      message: "Commission rule saved",
+      data: rule
+    });
+  } catch (error) {
+    res.status(500).json({
+      ok: false,
+      message: "Failed to save commission rule",
+      error: error.message
+    });
+  }
+};
+
+export const deleteCommissionRule = async (req, res) => {
+  try {
+    const rule = await CommissionRule.findByIdAndDelete(req.params.ruleId);
+    if (!rule) {
+      return res.status(404).json({
+        ok: false,
+        message: "Commission rule not found"
+      });
+    }
+    PricingService.clearCache();
+
+    res.status(200).json({
+      ok: true,
+      message: "Commission rule deleted"
+    });
+  } catch (error) {
+    res.status(500).json({
+      ok: false,
+      message: "Failed to delete commission rule",
+      error: error.message
+    });
+  }
+};
+
+// Move a publisher to another tier; applies to orders priced from now on
+export const updatePublisherTier = async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { tier } = req.body;
+
+    if (!PUBLISHER_TIERS.includes(tier)) {
+      return res.status(400).json({
+        ok: false,
+        message: `Publisher tier must be one of: ${PUBLISHER_TIERS.join(', ')}`
+      });
+    }
+
+    const user = await User.findOneAndUpdate(
+      { _id: userId, role: 'publisher' },
+      { publisherTier: tier },
+      { new: true }
+    ).select('firstName lastName email role publisherTier');
+
+    if (!user) {
+      return res.status(404).json({
+        ok: false,
+        message: "Publisher not found"
+      });
+    }
+
+    res.status(200).json({
+      ok: true,
+      message: `Publisher moved to the ${tier} tier`,
+      data: user
+    });
+  } catch (error) {
+    res.status(500).json({
+      ok: false,
+      message: "Failed to update publisher tier",
+      error: error.message
+    });
+  }
+};
+
+// Promo codes with their usage
+export const getPromoCodes = async (req, res) => {
+  try {
+    const { status } = req.query;
+    const now = new Date();
+
+    const filter = {};
+    if (status === 'active') {
+      filter.isActive = true;
+      filter.$or = [{ expiresAt: { $exists: false } }, { expiresAt: null }, { expiresAt: { $gt: now } }];
+    } else if (status === 'inactive') {
+      filter.isActive = false;
+    } else if (status === 'expired') {
+      filter.expiresAt = { $lte: now };
+    }
+
+    const promoCodes = await PromoCode.find(filter)
+      .populate('websiteIds', 'domain')
+      .sort({ createdAt: -1 });
+
+    res.status(200).json({
+      ok: true,
+      data: promoCodes
+    });
+  } catch (error) {
+    res.status(500).json({
+      ok: false,
+      message: "Failed to fetch promo codes",
+      error: error.message
+    });
+  }
+};
+
+export const createPromoCode = async (req, res) => {
+  try {
+    const fields = PromoCodeService.sanitize(req.body);
+
+    const promoCode = await PromoCode.create({
+      ...fields,
+      createdBy: mongoose.Types.ObjectId.isValid(req.user.id) ? req.user.id : undefined
+    });
+
+    res.status(201).json({
+      ok: true,
+      message: `Promo code ${promoCode.code} created`,
+      data: promoCode
+    });
+  } catch (error) {
+    if (error instanceof PromoCodeError) {
+      return res.status(error.statusCode).json({
+        ok: false,
+        message: error.message,
+        error: error.details
+      });
+    }
+    if (error.code === 11000) {
+      return res.status(409).json({
+        ok: false,
+        message: "A promo code with this code already exists"
+      });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        ok: false,
+        message: error.message
+      });
+    }
+    res.status(500).json({
+      ok: false,
+      message: "Failed to create promo code",
+      error: error.message
+    });
+  }
+};
+
+export const updatePromoCode = async (req, res) => {
+  try {
+    const promoCode = await PromoCode.findById(req.params.promoId);
+    if (!promoCode) {
+      return res.status(404).json({
+        ok: false,
+        message: "Promo code not found"
+      });
+    }
+
+    const fields = PromoCodeService.sanitize(req.body, promoCode);
+
+    // Renaming a code that was already used would break the redemption history
+    if (fields.code && fields.code !== promoCode.code && promoCode.usedCount > 0) {
+      return res.status(409).json({
+        ok: false,
+        message: "A promo code that has been used cannot be renamed"
+      });
+    }
+
+    promoCode.set(fields);
+    await promoCode.save();
+
+    res.status(200).json({
+      ok: true,
+      message: `Promo code ${promoCode.code} updated`,
+      data: promoCode
+    });
+  } catch (error) {
+    if (error instanceof PromoCodeError) {
+      return res.status(error.statusCode).json({
+        ok: false,
+        message: error.message,
+        error: error.details
+      });
+    }
+    if (error.code === 11000) {
+      return res.status(409).json({
+        ok: false,
+        message: "A promo code with this code already exists"
+      });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        ok: false,
+        message: error.message
+      });
+    }
+    res.status(500).json({
+      ok: false,
+      message: "Failed to update promo code",
+      error: error.message
+    });
+  }
+};
+
+// Codes are deactivated rather than deleted so redemptions keep their reference
+export const deactivatePromoCode = async (req, res) => {
+  try {
+    const promoCode = await PromoCode.findByIdAndUpdate(
+      req.params.promoId,
+      { isActive: false },
+      { new: true }
+    );
+
+    if (!promoCode) {
+      return res.status(404).json({
+        ok: false,
+        message: "Promo code not found"
+      });
+    }
+
+    res.status(200).json({
+      ok: true,
+      message: `Promo code ${promoCode.code} deactivated`,
+      data: promoCode
+    });
+  } catch (error) {
+    res.status(500).json({
+      ok: false,
+      message: "Failed to deactivate promo code",
+      error: error.message
+    });
+  }
+};
+
+export const getPromoCodeRedemptions = async (req, res) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+    const filter = { promoCodeId: req.params.promoId };
+
+    const [redemptions, total] = await Promise.all([
+      PromoRedemption.find(filter)
+        .populate('userId', 'firstName lastName email')
+        .sort({ createdAt: -1 })
+        .limit(limit * 1)
+        .skip((page - 1) * limit),
+      PromoRedemption.countDocuments(filter)
+    ]);
+
+    res.status(200).json({
+      ok: true,
+      data: {
+        redemptions,
+        pagination: {
+          current: parseInt(page),
+          pages: Math.ceil(total / limit),
+          total
+        }
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      ok: false,
+      message: "Failed to fetch promo code redemptions",
+      error: error.message
+    });
+  }
+};
+
+// Compare every wallet with the balances derived from the ledger
+export const getLedgerReconciliation = async (req, res) => {
+  try {
+    const report = await LedgerService.reconcile();
+
+    res.status(200).json({
+      ok: true,
+      message: report.driftCount > 0
+        ? `${report.driftCount} wallet balances differ from the ledger`
+        : "All wallet balances match the ledger",
+      data: report
+    });
+  } catch (error) {
+    res.status(500).json({
+      ok: false,
+      message: "Failed to reconcile the ledger",
+      error: error.message
+    });
+  }
+};
+
+// Post the balances of wallets that existed before the ledger
+export const recordOpeningBalances = async (req, res) => {
+  try {
+    const result = await LedgerService.recordOpeningBalances(req.user.id);
+
+    res.status(200).json({
+      ok: true,
+      message: `Opening balances recorded for ${result.opened} wallets`,
+      data: result
+    });
+  } catch (error) {
+    res.status(500).json({
+      ok: false,
+      message: "Failed to record opening balances",
+      error: error.message
+    });
+  }
+};
+
+export const getLedgerEntries = async (req, res) => {
+  try {
+    const { userId, orderId, type, account, page, limit } = req.query;
+    if (userId && !mongoose.Types.ObjectId.isValid(userId)) {
+      return res.status(400).json({
+        ok: false,
+        message: "Invalid user ID"
+      });
+    }
+
+    const result = await LedgerService.getEntries({ userId, orderId, type, account, page, limit });
+
+    res.status(200).json({
+      ok: true,
+      data: result
+    });
+  } catch (error) {
+    res.status(500).json({
+      ok: false,
+      message: "Failed to fetch ledger entries",
+      error: error.message
+    });
+  }
+};
+
+// Wallet reconciliation reports, newest first. ?open=true lists those with open discrepancies.
+export const getWalletReconciliations = async (req, res) => {
+  try {
+    const { open, page, limit } = req.query;
+    const result = await WalletReconciliationService.listReports({ open, page, limit });
+
+    res.status(200).json({
+      ok: true,
+      data: result
+    });
+  } catch (error) {
+    res.status(500).json({
+      ok: false,
+      message: "Failed to fetch reconciliation reports",
+      error: error.message
+    });
+  }
+};
+
+export const runWalletReconciliation = async (req, res) => {
+  try {
+    const report = await WalletReconciliationService.run({ trigger: 'manual', triggeredBy: req.user.id });
+
+    res.status(201).json({
+      ok: true,
+      message: report.discrepancyCount > 0
+        ? `${report.discrepancyCount} discrepancies found in ${report.walletsChecked} wallets`
+        : `All ${report.walletsChecked} wallets match their transaction history`,
+      data: report
+    });
+  } catch (error) {
+    res.status(500).json({
+      ok: false,
+      message: "Failed to run wallet reconciliation",
+      error: error.message
+    });
+  }
+};
+
+export const getWalletReconciliation = async (req, res) => {
+  try {
+    const report = await WalletReconciliationService.getReport(req.params.reportId);
+
+    res.status(200).json({
+      ok: true,
+      data: report
+    });
+  } catch (error) {
+    if (error instanceof WalletReconciliationError) {
+      return res.status(error.statusCode).json({
+        ok: false,
+        message: error.message,
+        error: error.details
+      });
+    }
+    res.status(500).json({
+      ok: false,
+      message: "Failed to fetch reconciliation report",
+      error: error.message
+    });
+  }
+};
+
+// Close a discrepancy: body { action: 'correct_wallet' | 'record_transaction' | 'dismiss', note }
+export const resolveWalletDiscrepancy = async (req, res) => {
+  try {
+    const { reportId, discrepancyId } = req.params;
+    const report = await WalletReconciliationService.resolveDiscrepancy(reportId, discrepancyId, req.user, req.body);
+
+    res.status(200).json({
+      ok: true,
+      message: "Discrepancy closed",
+      data: report
+    });
+  } catch (error) {
+    if (error instanceof WalletReconciliationError || error instanceof LedgerError) {
+      return res.status(error.statusCode).json({
+        ok: false,
+        message: error.message,
+        error: error.details
+      });
+    }
+    res.status(500).json({
+      ok: false,
+      message: "Failed to resolve discrepancy",
+      error: error.message
+    });
+  }
+};
+
+// Withdrawal payout queue, oldest first, with the totals still held per status
+export const getWithdrawalQueue = async (req, res) => {
+  try {
+    const { status = 'pending', userId, batchId, page, limit } = req.query;
+    if (userId && !mongoose.Types.ObjectId.isValid(userId)) {
+      return res.status(400).json({
+        ok: false,
+        message: "Invalid user ID"
+      });
+    }
+
+    const result = await WithdrawalService.listWithdrawals({ status, userId, batchId, page, limit });
+
+    res.status(200).json({
+      ok: true,
+      data: result
+    });
+  } catch (error) {
+    res.status(500).json({
+      ok: false,
+      message: "Failed to fetch withdrawals",
+      error: error.message
+    });
+  }
+};
+
+export const approveWithdrawal = async (req, res) => {
+  try {
+    const result = await WithdrawalService.approve(req.params.withdrawalId, req.user, req.body);
+
+    res.status(200).json({
+      ok: true,
+      message: "Withdrawal approved",
+      data: result
+    });
+  } catch (error) {
+    if (error instanceof WithdrawalError || error instanceof LedgerError) {
+      return res.status(error.statusCode).json({
+        ok: false,
+        message: error.message,
+        error: error.details
+      });
+    }
+    res.status(500).json({
+      ok: false,
+      message: "Failed to approve withdrawal",
+      error: error.message
+    });
+  }
+};
+
+// Rejecting returns the held amount to the publisher's balance
+export const rejectWithdrawal = async (req, res) => {
+  try {
+    const result = await WithdrawalService.reject(req.params.withdrawalId, req.user, req.body);
+
+    res.status(200).json({
+      ok: true,
+      message: "Withdrawal rejected",
+      data: result
+    });
+  } catch (error) {
+    if (error instanceof WithdrawalError || error instanceof LedgerError) {
+      return res.status(error.statusCode).json({
+        ok: false,
+        message: error.message,
+        error: error.details
+      });
+    }
+    res.status(500).json({
+      ok: false,
+      message: "Failed to reject withdrawal",
+      error: error.message
+    });
+  }
+};
+
+// Send out the given approved withdrawals, or all of them when no ids are given
+export const processWithdrawalBatch = async (req, res) => {
+  try {
+    const result = await WithdrawalService.processBatch(req.user, req.body);
+
+    res.status(200).json({
+      ok: true,
+      message: "Payout batch processed",
+      data: result
+    });
+  } catch (error) {
+    if (error instanceof WithdrawalError || error instanceof LedgerError) {
+      return res.status(error.statusCode).json({
+        ok: false,
+        message: error.message,
+        error: error.details
+      });
+    }
+    res.status(500).json({
+      ok: false,
+      message: "Failed to process payout batch",
+      error: error.message
+    });
+  }
+};
+
+// Confirm a payout made outside the platform
+export const markWithdrawalPaid = async (req, res) => {
+  try {
+    const result = await WithdrawalService.markPaid(req.params.withdrawalId, req.user, req.body);
+
+    res.status(200).json({
+      ok: true,
+      message: "Withdrawal marked as paid",
+      data: result
+    });
+  } catch (error) {
+    if (error instanceof WithdrawalError || error instanceof LedgerError) {
+      return res.status(error.statusCode).json({
+        ok: false,
+        message: error.message,
+        error: error.details
+      });
+    }
+    res.status(500).json({
+      ok: false,
+      message: "Failed to mark withdrawal as paid",
+      error: error.message
+    });
+  }
+};
+
+// Create the automatic withdrawals due in the current period now instead of waiting for the scheduler
+export const runAutoWithdrawals = async (req, res) => {
+  try {
+    const result = await AutoWithdrawalService.run();
+
+    res.status(200).json({
+      ok: true,
+      message: `${result.created} automatic withdrawal(s) created`,
+      data: result
+    });
+  } catch (error) {
+    res.status(500).json({
+      ok: false,
+      message: "Failed to run automatic withdrawals",
+      error: error.message
+    });
+  }
+};
+
+// Payment methods awaiting verification, oldest first, with their uploaded documents
+export const getPaymentMethodQueue = async (req, res) => {
+  try {
+    const { status = 'pending', page, limit } = req.query;
+    const result = await PaymentMethodService.listQueue({ status, page, limit });
+
+    res.status(200).json({
+      ok: true,
+      data: result
+    });
+  } catch (error) {
+    res.status(500).json({
+      ok: false,
+      message: "Failed to fetch payment methods",
+      error: error.message
+    });
+  }
+};
+
+// Bank accounts get a micro-deposit whose reference code is only shown in this response
+export const approvePaymentMethod = async (req, res) => {
+  try {
+    const result = await PaymentMethodService.approve(req.params.methodId, req.user);
+
+    res.status(200).json({
+      ok: true,
+      message: "Payment method approved",
+      data: result
+    });
+  } catch (error) {
+    if (error instanceof PaymentMethodError) {
+      return res.status(error.statusCode).json({
+        ok: false,
+        message: error.message,
+        error: error.details
+      });
+    }
+    res.status(500).json({
+      ok: false,
+      message: "Failed to approve payment method",
+      error: error.message
+    });
+  }
+};
+
+export const rejectPaymentMethod = async (req, res) => {
+  try {
+    const result = await PaymentMethodService.reject(req.params.methodId, req.user, req.body);
+
+    res.status(200).json({
+      ok: true,
+      message: "Payment method rejected",
+      data: result
+    });
+  } catch (error) {
+    if (error instanceof PaymentMethodError) {
+      return res.status(error.statusCode).json({
+        ok: false,
+        message: error.message,
+        error: error.details
+      });
+    }
+    res.status(500).json({
+      ok: false,
+      message: "Failed to reject payment method",
+      error: error.message
+    });
+  }
+};
+
+export const resendMicroDeposit = async (req, res) => {
+  try {
+    const result = await PaymentMethodService.resendMicroDeposit(req.params.methodId);
+
+    res.status(200).json({
+      ok: true,
+      message: "New micro-deposit created",
+      data: result
+    });
+  } catch (error) {
+    if (error instanceof PaymentMethodError) {
+      return res.status(error.statusCode).json({
+        ok: false,
+        message: error.message,
+        error: error.details
+      });
+    }
+    res.status(500).json({
+      ok: false,
+      message: "Failed to create micro-deposit",
+      error: error.message
+    });
+  }
+};
+
+// Encrypt payout details stored in plain text, and re-encrypt after a key rotation
+export const encryptPayoutDetails = async (req, res) => {
+  try {
+    const result = await PaymentMethodService.encryptStoredDetails();
+
+    res.status(200).json({
+      ok: true,
+      message: `${result.paymentMethods} payment method(s) and ${result.withdrawals} withdrawal(s) encrypted`,
+      data: result
+    });
+  } catch (error) {
+    res.status(500).json({
+      ok: false,
+      message: "Failed to encrypt payout details",
+      error: error.message
+    });
+  }
+};
+
+// Exchange rates used for pricing, deposits and payouts
+export const getExchangeRates = async (req, res) => {
+  try {
+    const rates = await CurrencyService.getRates();
+
+    res.status(200).json({
+      ok: true,
+      data: {
+        base: 'USD',
+        rates,
+        supportedCurrencies: SUPPORTED_CURRENCIES,
+        conversionFeeRate: CurrencyService.getConversionFeeRate()
+      }
+    });
+  } catch (error) {
+    if (error instanceof CurrencyError) {
+      return res.status(error.statusCode).json({
+        ok: false,
+        message: error.message,
+        error: error.details
+      });
+    }
+    res.status(500).json({
+      ok: false,
+      message: "Failed to fetch exchange rates",
+      error: error.message
+    });
+  }
+};
+
+// Set rates by hand, as units of each currency per USD
+export const updateExchangeRates = async (req, res) => {
+  try {
+    const { rates, asOf } = req.body;
+    const updated = await CurrencyService.setRates(rates, { asOf });
+
+    res.status(200).json({
+      ok: true,
+      message: "Exchange rates updated",
+      data: { base: 'USD', rates: updated }
+    });
+  } catch (error) {
+    if (error instanceof CurrencyError) {
+      return res.status(error.statusCode).json({
+        ok: false,
+        message: error.message,
+        error: error.details
+      });
+    }
+    res.status(500).json({
+      ok: false,
+      message: "Failed to update exchange rates",
+      error: error.message
+    });
+  }
+};
+
+// Load the rates from the configured rates file
+export const reloadExchangeRates = async (req, res) => {
+  try {
+    const rates = await CurrencyService.loadRatesFromFile();
+
+    res.status(200).json({
+      ok: true,
+      message: "Exchange rates reloaded from file",
+      data: { base: 'USD', rates, file: CurrencyService.getRatesFile() }
+    });
+  } catch (error) {
+    if (error instanceof CurrencyError) {
+      return res.status(error.statusCode).json({
+        ok: false,
+        message: error.message,
+        error: error.details
+      });
+    }
+    res.status(500).json({
+      ok: false,
+      message: "Failed to reload exchange rates",
+      error: error.message
+    });
+  }
+};
+
 // Export the functions
 export default {
   getAdminDashboard,
@@ -1191,13 +2347,48 @@ export default {
   getPendingWebsites,
   reviewWebsite,
   getAllOrders,
+  cancelOrder,
+  getCancellationReport,
+  checkOrderLink,
+  getGuaranteeClaims,
+  resolveGuaranteeClaim,
   getFinancialOverview,
   getAnalytics,
   manageUserAccount,
   updateWebsiteVerificationSettings,
   getAllChats,
   updateWebsiteMetrics,
-  updateUserBalance
+  updateUserBalance,
+  getCommissionRules,
+  upsertCommissionRule,
+  deleteCommissionRule,
+  getExchangeRates,
+  updateExchangeRates,
+  reloadExchangeRates,
+  updatePublisherTier,
+  getPromoCodes,
+  createPromoCode,
+  updatePromoCode,
+  deactivatePromoCode,
+  getPromoCodeRedemptions,
+  getLedgerReconciliation,
+  recordOpeningBalances,
+  getLedgerEntries,
+  getWalletReconciliations,
+  runWalletReconciliation,
+  getWalletReconciliation,
+  resolveWalletDiscrepancy,
+  getWithdrawalQueue,
+  approveWithdrawal,
+  rejectWithdrawal,
+  processWithdrawalBatch,
+  markWithdrawalPaid,
+  runAutoWithdrawals,
+  getPaymentMethodQueue,
+  approvePaymentMethod,
+  rejectPaymentMethod,
+  resendMicroDeposit,
+  encryptPayoutDetails
 };
 
 
@@ -7,6 +7,16 @@ import Chat from "../model/Chat.js";
 import { Notification } from "../Models/NotificationModel.js";
 import mongoose from "mongoose";
 import SearchService from "../services/SearchService.js";
+import OrderLifecycleService, { OrderTransitionError } from "../services/OrderLifecycleService.js";
+import OrderRevisionService from "../services/OrderRevisionService.js";
+import GuaranteeService from "../services/GuaranteeService.js";
+import BulkOrderImportService, { BulkImportError } from "../services/BulkOrderImportService.js";
+import OrderScheduleService from "../services/OrderScheduleService.js";
+import PricingService, { RUSH_ORDER_RATE, BULK_DISCOUNT_TIERS } from "../services/PricingService.js";
+import ProjectService, { ProjectError } from "../services/ProjectService.js";
+import OrganizationService from "../services/OrganizationService.js";
+import LedgerService, { LedgerError } from "../services/LedgerService.js";
+import { CurrencyError } from "../services/CurrencyService.js";
 
 // Advertiser Dashboard
 export const getAdvertiserDashboard = async (req, res) => {
@@ -530,12 +540,9 @@ export const getWebsiteDetails = async (req, res) => {
         basePrice: website.publishingPrice,
         homepagePrice: website.homepageAnnouncementPrice,
         sensitiveTopicPrice: website.sensitiveContentExtraCharge,
-        rushOrderSurcharge: website.publishingPrice * 0.5, // 50% surcharge
-        bulkDiscounts: [
-          { minOrders: 5, discount: 5 },
-          { minOrders: 10, discount: 10 },
-          { minOrders: 20, discount: 15 }
-        ]
+        rushOrderSurcharge: website.publishingPrice * RUSH_ORDER_RATE,
+        discountPercentage: website.discountPercentage,
+        bulkDiscounts: [...BULK_DISCOUNT_TIERS].reverse()
       }
     };
 
@@ -586,7 +593,8 @@ export const createOrder = async (req, res) => {
       deadline,
       rushOrder = false,
       bulkOrder = false,
-      additionalServices = {}
+      additionalServices = {},
+      projectId
     } = req.body;
 
     // Validate website
@@ -614,31 +622,35 @@ export const createOrder = async (req, res) => {
       bulkQuantity: additionalServices?.bulkQuantity || 1
     };
 
-    // Calculate pricing
-    let basePrice = website.publishingPrice;
-    const additionalCharges = {
-      copywriting: additionalServices.needsCopywriting ? website.copywritingPrice : 0,
-      rushOrder: rushOrder ? basePrice * 0.5 : 0,
-      homepageAnnouncement: additionalServices.homepageAnnouncement ? website.homepageAnnouncementPrice : 0,
-      premium: validContentRequirements.linkType === 'dofollow' ? 0 : basePrice * 0.1
-    };
-
-    // Apply bulk discounts
-    let discount = 0;
-    if (bulkOrder && validContentRequirements.bulkQuantity) {
-      if (validContentRequirements.bulkQuantity >= 20) discount = 0.15;
-      else if (validContentRequirements.bulkQuantity >= 10) discount = 0.10;
-      else if (validContentRequirements.bulkQuantity >= 5) discount = 0.05;
+    const wallet = await Wallet.findOne({ userId: advertiserId });
+    if (!wallet) {
+      return res.status(400).json({
+        ok: false,
+        message: "Wallet not found"
+      });
     }
 
-    const subtotal = basePrice + Object.values(additionalCharges).reduce((a, b) => a + b, 0);
-    const discountAmount = subtotal * discount;
-    const totalPrice = subtotal - discountAmount;
-    const platformCommission = totalPrice * 0.1; // 10% platform commission
+    // Calculate pricing in the advertiser's currency
+    validContentRequirements.needsCopywriting = Boolean(
+      validContentRequirements.needsCopywriting || additionalServices.needsCopywriting
+    );
+    const pricing = await PricingService.priceOrder(website, {
+      needsCopywriting: validContentRequirements.needsCopywriting,
+      rushOrder,
+      linkType: validContentRequirements.linkType,
+      sensitiveTopic: additionalServices.sensitiveTopic,
+      homepageAnnouncement: additionalServices.homepageAnnouncement,
+      quantity: bulkOrder ? validContentRequirements.bulkQuantity : 1,
+      currency: wallet.currency
+    });
+    const { totalPrice } = pricing;
+
+    const projectWarnings = projectId
+      ? (await ProjectService.assertOrdersFit(advertiserId, projectId, [totalPrice], wallet.currency)).warnings
+      : [];
 
     // Check advertiser wallet balance
-    const wallet = await Wallet.findOne({ userId: advertiserId });
-    if (!wallet || wallet.balance < totalPrice) {
+    if (wallet.balance < totalPrice) {
       return res.status(400).json({
         ok: false,
         message: "Insufficient wallet balance. Please top up your account."
@@ -650,25 +662,41 @@ export const createOrder = async (req, res) => {
       publisherId: website.userId,
       advertiserId,
       websiteId,
+      projectId,
+      placedBy: req.member?.userId,
       title,
       description,
       contentRequirements: validContentRequirements,
-      basePrice,
-      additionalCharges,
-      totalPrice,
-      platformCommission,
+      ...pricing,
       deadline: new Date(deadline),
       rushOrder,
       status: 'pending',
-      paymentStatus: 'pending'
+      paymentStatus: 'paid',
+      paymentDetails: {
+        paidAt: new Date()
+      }
     });
 
     const savedOrder = await order.save();
 
     // Deduct amount from advertiser wallet (hold in escrow)
-    wallet.balance -= totalPrice;
-    wallet.pendingBalance += totalPrice;
-    await wallet.save();
+    let posting;
+    try {
+      posting = await LedgerService.post({
+        type: 'order_payment',
+        lines: [
+          { account: 'wallet', userId: wallet.userId, debit: totalPrice },
+          { account: 'escrow', userId: wallet.userId, credit: totalPrice }
+        ],
+        orderId: savedOrder.orderId,
+        description: `Order payment for ${savedOrder.orderId}`,
+        currency: wallet.currency
+      });
+    } catch (error) {
+      await Order.deleteOne({ _id: savedOrder._id });
+      throw error;
+    }
+    const { balanceBefore, balanceAfter } = LedgerService.balanceChange(posting, wallet.userId);
 
     // Create transaction record
     const transaction = await Transaction.create({
@@ -676,6 +704,9 @@ export const createOrder = async (req, res) => {
       walletId: wallet._id,
       type: 'deposit',
       amount: -totalPrice,
+      currency: wallet.currency,
+      balanceBefore,
+      balanceAfter,
       description: `Order payment for ${savedOrder.orderId}`,
       orderId: savedOrder._id,
       status: 'completed'
@@ -731,6 +762,11 @@ export const createOrder = async (req, res) => {
     savedOrder.chatId = savedChat._id;
     await savedOrder.save();
 
+    if (projectId) {
+      await ProjectService.refreshStats(projectId);
+    }
+    await OrganizationService.recordOrders(req.member, [savedOrder]);
+
     // Populate for response
     const populatedOrder = await Order.findById(savedOrder._id)
       .populate('publisherId', 'firstName lastName email')
@@ -739,9 +775,17 @@ export const createOrder = async (req, res) => {
     res.status(201).json({
       ok: true,
       message: "Order created successfully",
-      data: populatedOrder
+      data: populatedOrder,
+      projectWarnings
     });
   } catch (error) {
+    if (error instanceof ProjectError || error instanceof LedgerError || error instanceof CurrencyError) {
+      return res.status(error.statusCode).json({
+        ok: false,
+        message: error.message,
+        error: error.details
+      });
+    }
     console.error("Error creating order:", error);
     res.status(500).json({
       ok: false,
@@ -758,7 +802,10 @@ export const createBulkOrders = async (req, res) => {
     const {
       orders, // Array of order objects
       staggeredSchedule = false,
-      scheduleInterval = 'daily'
+      scheduleInterval = 'daily',
+      customIntervalDays,
+      scheduleStart,
+      projectId // Default project for orders that do not name their own
     } = req.body;
 
     if (!orders || !Array.isArray(orders) || orders.length === 0) {
@@ -768,6 +815,25 @@ export const createBulkOrders = async (req, res) => {
       });
     }
 
+    // Staggered orders after the first are released one interval apart
+    let intervalMs = 0;
+    let seriesId = null;
+    let firstReleaseAt = new Date();
+    if (staggeredSchedule) {
+      intervalMs = OrderScheduleService.getIntervalMs(scheduleInterval, customIntervalDays);
+      seriesId = OrderScheduleService.generateSeriesId();
+
+      if (scheduleStart) {
+        firstReleaseAt = new Date(scheduleStart);
+        if (Number.isNaN(firstReleaseAt.getTime())) {
+          return res.status(400).json({
+            ok: false,
+            message: "scheduleStart must be a valid date"
+          });
+        }
+      }
+    }
+
     // Validate that we have enough wallet balance for all orders
     const wallet = await Wallet.findOne({ userId: advertiserId });
     if (!wallet) {
@@ -816,39 +882,43 @@ export const createBulkOrders = async (req, res) => {
         contentType: contentRequirements?.contentType || 'article'
       };
 
-      // Calculate pricing
-      let basePrice = website.publishingPrice;
-      const additionalCharges = {
-        copywriting: additionalServices.needsCopywriting ? website.copywritingPrice : 0,
-        rushOrder: rushOrder ? basePrice * 0.5 : 0,
-        homepageAnnouncement: additionalServices.homepageAnnouncement ? website.homepageAnnouncementPrice : 0,
-        premium: validContentRequirements.linkType === 'dofollow' ? 0 : basePrice * 0.1
-      };
-
-      // Apply bulk discounts (based on total number of orders)
-      let discount = 0;
-      if (orders.length >= 20) discount = 0.15;
-      else if (orders.length >= 10) discount = 0.10;
-      else if (orders.length >= 5) discount = 0.05;
-
-      const subtotal = basePrice + Object.values(additionalCharges).reduce((a, b) => a + b, 0);
-      const discountAmount = subtotal * discount;
-      const totalPrice = subtotal - discountAmount;
-      const platformCommission = totalPrice * 0.1; // 10% platform commission
+      // Calculate pricing (bulk discount based on total number of orders)
+      validContentRequirements.needsCopywriting = Boolean(
+        validContentRequirements.needsCopywriting || additionalServices.needsCopywriting
+      );
+      const pricing = await PricingService.priceOrder(website, {
+        needsCopywriting: validContentRequirements.needsCopywriting,
+        rushOrder,
+        linkType: validContentRequirements.linkType,
+        sensitiveTopic: additionalServices.sensitiveTopic,
+        homepageAnnouncement: additionalServices.homepageAnnouncement,
+        quantity: orders.length,
+        currency: wallet.currency
+      });
 
-      totalCost += totalPrice;
+      totalCost += pricing.totalPrice;
 
       orderDetails.push({
         website,
-        basePrice,
-        additionalCharges,
-        totalPrice,
-        platformCommission,
-        discountAmount,
-        contentRequirements: validContentRequirements
+        pricing,
+        contentRequirements: validContentRequirements,
+        projectId: orderData.projectId || projectId
       });
     }
 
+    // Orders of each project are checked against its budget together
+    const projectPrices = new Map();
+    orderDetails.filter(detail => detail.projectId).forEach(detail => {
+      const key = detail.projectId.toString();
+      projectPrices.set(key, [...(projectPrices.get(key) || []), detail.pricing.totalPrice]);
+    });
+
+    const projectWarnings = [];
+    for (const [id, prices] of projectPrices) {
+      const { warnings } = await ProjectService.assertOrdersFit(advertiserId, id, prices, wallet.currency);
+      projectWarnings.push(...warnings.map(warning => ({ projectId: id, ...warning })));
+    }
+
     // Check if advertiser has enough balance
     if (wallet.balance < totalCost) {
       return res.status(400).json({
@@ -857,12 +927,9 @@ export const createBulkOrders = async (req, res) => {
       });
     }
 
-    // Create all orders
-    const createdOrders = [];
+    // Build all orders; the ones that fail validation are reported and skipped
     const failedOrders = [];
-    const transactionRecords = [];
-    const notificationRecords = [];
-    const chatRecords = [];
+    const validOrders = [];
 
     for (let i = 0; i < orders.length; i++) {
       const orderData = orders[i];
@@ -879,66 +946,44 @@ export const createBulkOrders = async (req, res) => {
       const validContentRequirements = orderDetail.contentRequirements;
 
       try {
-        // Apply staggered scheduling if requested
+        // Apply staggered scheduling if requested. The deadline moves with the
+        // release date; funds for the whole series are reserved below.
         let orderDeadline = new Date(deadline);
-        if (staggeredSchedule && i > 0) {
-          const intervalMs = scheduleInterval === 'daily' ? 24 * 60 * 60 * 1000 : 
-                            scheduleInterval === 'weekly' ? 7 * 24 * 60 * 60 * 1000 : 
-                            30 * 24 * 60 * 60 * 1000; // monthly default
-          orderDeadline = new Date(orderDeadline.getTime() + (i * intervalMs));
+        let releaseAt = null;
+        if (staggeredSchedule) {
+          releaseAt = new Date(firstReleaseAt.getTime() + (i * intervalMs));
+          orderDeadline = new Date(orderDeadline.getTime() + (releaseAt.getTime() - firstReleaseAt.getTime()));
         }
+        const scheduled = Boolean(releaseAt && releaseAt > new Date());
 
         // Create order
         const order = new Order({
           publisherId: orderDetail.website.userId,
           advertiserId,
           websiteId,
+          projectId: orderDetail.projectId,
+          placedBy: req.member?.userId,
           title,
           description,
           contentRequirements: validContentRequirements,
-          basePrice: orderDetail.basePrice,
-          additionalCharges: orderDetail.additionalCharges,
-          totalPrice: orderDetail.totalPrice,
-          platformCommission: orderDetail.platformCommission,
+          ...orderDetail.pricing,
           deadline: orderDeadline,
           rushOrder,
-          discount: {
-            percentage: (orderDetail.discountAmount / (orderDetail.basePrice + Object.values(orderDetail.additionalCharges).reduce((a, b) => a + b, 0))) * 100,
-            amount: orderDetail.discountAmount
-          },
-          status: 'pending',
-          paymentStatus: 'pending'
-        });
-
-        await order.save();
-        createdOrders.push(order);
-
-        // Create notification for publisher
-        notificationRecords.push({
-          userId: orderDetail.website.userId,
-          userRole: 'publisher',
-          type: 'order_status',
-          title: 'New Order Received',
-          message: `You have received a new order for ${orderDetail.website.domain}`,
-          orderId: order._id,
-          websiteId: websiteId,
-          channels: {
-            inApp: true,
-            email: true
+          status: scheduled ? 'scheduled' : 'pending',
+          schedule: seriesId ? {
+            seriesId,
+            position: i + 1,
+            releaseAt,
+            releasedAt: scheduled ? undefined : new Date()
+          } : undefined,
+          paymentStatus: 'paid',
+          paymentDetails: {
+            paidAt: new Date()
           }
         });
 
-        // Create order chat
-        chatRecords.push({
-          chatType: 'order',
-          participants: [
-            { userId: advertiserId, role: 'advertiser' },
-            { userId: orderDetail.website.userId._id, role: 'publisher' }
-          ],
-          orderId: order._id,
-          title: `Order Discussion - ${order.orderId}`,
-          description: `Chat for order: ${title}`
-        });
+        await order.validate();
+        validOrders.push({ order, website: orderDetail.website, scheduled });
       } catch (error) {
         failedOrders.push({
           index: i,
@@ -948,33 +993,87 @@ export const createBulkOrders = async (req, res) => {
       }
     }
 
-    // Process notifications and chats in bulk
-    if (notificationRecords.length > 0) {
-      await Notification.insertMany(notificationRecords);
+    // Save the orders with their chats and move each one's price from the
+    // wallet into escrow in one transaction, so a failure charges nothing
+    const createdOrders = [];
+    const transactions = [];
+    if (validOrders.length > 0) {
+      await LedgerService.withSession(null, async (session) => {
+        createdOrders.length = 0;
+        transactions.length = 0;
+
+        for (const { order, website } of validOrders) {
+          // Create order chat
+          const [chat] = await Chat.create([{
+            chatType: 'order',
+            participants: [
+              { userId: advertiserId, role: 'advertiser' },
+              { userId: website.userId, role: 'publisher' }
+            ],
+            orderId: order._id,
+            title: `Order Discussion - ${order.orderId}`,
+            description: `Chat for order: ${order.title}`
+          }], { session });
+          order.chatId = chat._id;
+          await order.save({ session });
+
+          const description = `Payment for order #${order.orderId} for ${website.domain} (bulk order)`;
+          const posting = await LedgerService.post({
+            type: 'order_payment',
+            lines: [
+              { account: 'wallet', userId: wallet.userId, debit: order.totalPrice },
+              { account: 'escrow', userId: wallet.userId, credit: order.totalPrice }
+            ],
+            orderId: order.orderId,
+            reference: seriesId || undefined,
+            description,
+            currency: wallet.currency
+          }, { session });
+          const { balanceBefore, balanceAfter } = LedgerService.balanceChange(posting, wallet.userId);
+
+          const [transaction] = await Transaction.create([{
+            userId: advertiserId,
+            walletId: wallet._id,
+            type: 'deposit',
+            amount: -order.totalPrice, // Negative because it's a deduction
+            currency: wallet.currency,
+            balanceBefore,
+            balanceAfter,
+            status: 'completed',
+            orderId: order.orderId,
+            description,
+            paymentMethod: 'internal'
+          }], { session });
+
+          transactions.push(transaction);
+          createdOrders.push(order);
+        }
+      });
     }
 
-    if (chatRecords.length > 0) {
-      await Chat.insertMany(chatRecords);
+    // Notify publishers. Scheduled orders notify on release.
+    const notificationRecords = validOrders.filter(({ scheduled }) => !scheduled).map(({ order, website }) => ({
+      userId: website.userId,
+      type: 'order_created',
+      title: 'New Order Received',
+      message: `You have received a new order for ${website.domain}`,
+      data: { orderId: order.orderId },
+      channels: {
+        inApp: { delivered: true }
+      }
+    }));
+    if (notificationRecords.length > 0) {
+      try {
+        await Notification.insertMany(notificationRecords);
+      } catch (error) {
+        console.error('Failed to notify publishers about bulk orders:', error);
+      }
     }
 
-    // Deduct total amount from advertiser wallet (hold in escrow)
-    wallet.balance -= totalCost;
-    wallet.pendingBalance += totalCost;
-    await wallet.save();
-
-    // Create transaction record for the bulk order
-    const transaction = await Transaction.create({
-      userId: advertiserId,
-      walletId: wallet._id,
-      type: 'deposit',
-      amount: -totalCost,
-      currency: wallet.currency,
-      balanceBefore: wallet.balance + totalCost,
-      balanceAfter: wallet.balance,
-      status: 'completed',
-      description: `Payment for bulk order of ${orders.length} orders`,
-      paymentMethod: 'internal'
-    });
+    for (const id of projectPrices.keys()) {
+      await ProjectService.refreshStats(id);
+    }
+    await OrganizationService.recordOrders(req.member, createdOrders);
 
     // Populate created orders with website and publisher info
     const populatedOrders = await Order.find({
@@ -988,10 +1087,19 @@ export const createBulkOrders = async (req, res) => {
       data: {
         orders: populatedOrders,
         failedOrders,
-        transaction
+        transactions,
+        seriesId,
+        projectWarnings
       }
     });
   } catch (error) {
+    if (error instanceof OrderTransitionError || error instanceof ProjectError || error instanceof LedgerError || error instanceof CurrencyError) {
+      return res.status(error.statusCode).json({
+        ok: false,
+        message: error.message,
+        error: error.details
+      });
+    }
     res.status(500).json({
       ok: false,
       message: "Failed to create bulk orders",
@@ -1000,6 +1108,226 @@ export const createBulkOrders = async (req, res) => {
   }
 };
 
+// Upload a CSV/XLSX file of orders and get a dry-run report
+export const importBulkOrders = async (req, res) => {
+  try {
+    const advertiserId = req.user.id;
+
+    if (!req.file) {
+      return res.status(400).json({
+        ok: false,
+        message: "A CSV or XLSX file is required in the 'spreadsheet' field"
+      });
+    }
+
+    const report = await BulkOrderImportService.createImport(advertiserId, req.file);
+
+    res.status(200).json({
+      ok: true,
+      message: report.summary.invalidRows > 0
+        ? `${report.summary.invalidRows} of ${report.summary.totalRows} rows have errors`
+        : `All ${report.summary.totalRows} rows are valid. Confirm the import to create the orders.`,
+      data: report
+    });
+  } catch (error) {
+    if (error instanceof BulkImportError || error instanceof CurrencyError) {
+      return res.status(error.statusCode).json({
+        ok: false,
+        message: error.message,
+        error: error.details
+      });
+    }
+    res.status(500).json({
+      ok: false,
+      message: "Failed to import orders",
+      error: error.message
+    });
+  }
+};
+
+// Create all orders of a validated import
+export const confirmBulkImport = async (req, res) => {
+  try {
+    const { importId } = req.params;
+    const advertiserId = req.user.id;
+
+    const result = await BulkOrderImportService.confirmImport(importId, advertiserId, {
+      placedBy: req.member?.userId
+    });
+    await OrganizationService.recordOrders(req.member, result.orders);
+
+    res.status(201).json({
+      ok: true,
+      message: `${result.orders.length} orders created successfully`,
+      data: result
+    });
+  } catch (error) {
+    if (error instanceof BulkImportError || error instanceof LedgerError || error instanceof CurrencyError) {
+      return res.status(error.statusCode).json({
+        ok: false,
+        message: error.message,
+        error: error.details
+      });
+    }
+    res.status(500).json({
+      ok: false,
+      message: "Failed to confirm import",
+      error: error.message
+    });
+  }
+};
+
+// Orders of a staggered bulk series with their release dates
+export const getOrderSeries = async (req, res) => {
+  try {
+    const { seriesId } = req.params;
+    const advertiserId = req.user.id;
+
+    const data = await OrderScheduleService.getSeries(seriesId, advertiserId);
+
+    res.status(200).json({
+      ok: true,
+      message: "Order series retrieved successfully",
+      data
+    });
+  } catch (error) {
+    if (error instanceof OrderTransitionError) {
+      return res.status(error.statusCode).json({
+        ok: false,
+        message: error.message,
+        error: error.details
+      });
+    }
+    res.status(500).json({
+      ok: false,
+      message: "Failed to fetch order series",
+      error: error.message
+    });
+  }
+};
+
+// Stop releasing the remaining orders of a series
+export const pauseOrderSeries = async (req, res) => {
+  try {
+    const { seriesId } = req.params;
+    const advertiserId = req.user.id;
+
+    const data = await OrderScheduleService.pauseSeries(seriesId, advertiserId);
+
+    res.status(200).json({
+      ok: true,
+      message: "Order series paused",
+      data
+    });
+  } catch (error) {
+    if (error instanceof OrderTransitionError) {
+      return res.status(error.statusCode).json({
+        ok: false,
+        message: error.message,
+        error: error.details
+      });
+    }
+    res.status(500).json({
+      ok: false,
+      message: "Failed to pause order series",
+      error: error.message
+    });
+  }
+};
+
+// Continue releasing the remaining orders of a series
+export const resumeOrderSeries = async (req, res) => {
+  try {
+    const { seriesId } = req.params;
+    const advertiserId = req.user.id;
+
+    const data = await OrderScheduleService.resumeSeries(seriesId, advertiserId);
+
+    res.status(200).json({
+      ok: true,
+      message: "Order series resumed",
+      data
+    });
+  } catch (error) {
+    if (error instanceof OrderTransitionError) {
+      return res.status(error.statusCode).json({
+        ok: false,
+        message: error.message,
+        error: error.details
+      });
+    }
+    res.status(500).json({
+      ok: false,
+      message: "Failed to resume order series",
+      error: error.message
+    });
+  }
+};
+
+// Spread the remaining orders of a series over a new cadence
+export const rescheduleOrderSeries = async (req, res) => {
+  try {
+    const { seriesId } = req.params;
+    const advertiserId = req.user.id;
+
+    const data = await OrderScheduleService.rescheduleSeries(seriesId, advertiserId, {
+      scheduleInterval: req.body.scheduleInterval,
+      customIntervalDays: req.body.customIntervalDays,
+      startAt: req.body.startAt
+    });
+
+    res.status(200).json({
+      ok: true,
+      message: "Order series rescheduled",
+      data
+    });
+  } catch (error) {
+    if (error instanceof OrderTransitionError) {
+      return res.status(error.statusCode).json({
+        ok: false,
+        message: error.message,
+        error: error.details
+      });
+    }
+    res.status(500).json({
+      ok: false,
+      message: "Failed to reschedule order series",
+      error: error.message
+    });
+  }
+};
+
+// Cancel and refund the orders of a series that were not released yet
+export const cancelOrderSeries = async (req, res) => {
+  try {
+    const { seriesId } = req.params;
+    const advertiserId = req.user.id;
+
+    const data = await OrderScheduleService.cancelSeries(seriesId, advertiserId, req.user, {
+      reason: req.body.reason
+    });
+
+    res.status(200).json({
+      ok: true,
+      message: `${data.cancelled} scheduled orders cancelled and refunded`,
+      data
+    });
+  } catch (error) {
+    if (error instanceof OrderTransitionError) {
+      return res.status(error.statusCode).json({
+        ok: false,
+        message: error.message,
+        error: error.details
+      });
+    }
+    res.status(500).json({
+      ok: false,
+      message: "Failed to cancel order series",
+      error: error.message
+    });
+  }
+};
+
 // Get Advertiser Orders
 export const getAdvertiserOrders = async (req, res) => {
   try {
@@ -1092,124 +1420,296 @@ export const getAdvertiserOrders = async (req, res) => {
 export const reviewSubmittedWork = async (req, res) => {
   try {
     const { orderId } = req.params;
-    const { action, rating, review, revisionRequest } = req.body;
+    const { action, rating, review, revisionRequest, acceptExtraCharge } = req.body;
     const advertiserId = req.user.id;
 
+    if (!['approve', 'revision'].includes(action)) {
+      return res.status(400).json({
+        ok: false,
+        message: "Action must be 'approve' or 'revision'"
+      });
+    }
+
     const order = await Order.findOne({
       _id: orderId,
-      advertiserId,
-      status: 'completed'
+      advertiserId
     });
 
     if (!order) {
       return res.status(404).json({
         ok: false,
-        message: "Order not found or not ready for review"
+        message: "Order not found"
       });
     }
 
     if (action === 'approve') {
-      // Approve and complete order
-      order.status = 'delivered';
-      order.paymentStatus = 'released';
-      order.review = {
+      // Approve the delivery and release payment to the publisher
+      await OrderLifecycleService.transition(order, 'delivered', req.user, {
         rating,
-        comment: review,
-        reviewedBy: advertiserId,
-        reviewedAt: new Date()
-      };
+        review
+      });
 
-      // Release payment to publisher
-      const [advertiserWallet, publisherWallet] = await Promise.all([
-        Wallet.findOne({ userId: advertiserId }),
-        Wallet.findOne({ userId: order.publisherId })
-      ]);
+      return res.status(200).json({
+        ok: true,
+        message: "Order approved successfully",
+        data: order
+      });
+    }
 
-      // Update wallets
-      advertiserWallet.pendingBalance -= order.totalPrice;
-      publisherWallet.balance += order.publisherEarnings;
-      publisherWallet.totalEarnings += order.publisherEarnings;
+    const revision = await OrderRevisionService.requestRevision(order, req.user, {
+      reason: revisionRequest,
+      acceptExtraCharge: Boolean(acceptExtraCharge)
+    });
 
-      await Promise.all([
-        advertiserWallet.save(),
-        publisherWallet.save()
-      ]);
+    res.status(200).json({
+      ok: true,
+      message: revision.escalated
+        ? "Revision limit reached, the order has been escalated to a dispute"
+        : "Revision requested successfully",
+      data: order,
+      revision: {
+        round: revision.round,
+        extraCharge: revision.extraCharge,
+        escalated: revision.escalated
+      }
+    });
+  } catch (error) {
+    if (error instanceof OrderTransitionError) {
+      return res.status(error.statusCode).json({
+        ok: false,
+        message: error.message,
+        error: error.details
+      });
+    }
+    res.status(500).json({
+      ok: false,
+      message: "Failed to review submitted work",
+      error: error.message
+    });
+  }
+};
 
-      // Create transaction records
-      await Promise.all([
-        Transaction.create({
-          userId: order.publisherId,
-          walletId: publisherWallet._id,
-          type: 'earning',
-          amount: order.publisherEarnings,
-          currency: publisherWallet.currency,
-          balanceBefore: publisherWallet.balance - order.publisherEarnings,
-          balanceAfter: publisherWallet.balance,
-          status: 'completed',
-          orderId: order._id,
-          description: `Earnings from order ${order.orderId}`
-        }),
-        Transaction.create({
-          userId: 'platform',
-          type: 'commission',
-          amount: order.platformCommission,
-          currency: 'USD',
-          status: 'completed',
-          orderId: order._id,
-          description: `Platform commission from order ${order.orderId}`
-        })
-      ]);
+// Cancel an order whose deadline grace period has passed (full refund)
+export const cancelOverdueOrder = async (req, res) => {
+  try {
+    const { orderId } = req.params;
+    const { reason } = req.body;
+    const advertiserId = req.user.id;
 
-      // Send notification to publisher
-      await Notification.create({
-        userId: order.publisherId,
-        userRole: 'publisher',
-        type: 'order_approved',
-        title: 'Order Approved & Payment Released',
-        message: `Your work has been approved for order ${order.orderId}. Payment has been released to your account.`,
-        orderId: order._id,
-        channels: {
-          inApp: { delivered: true },
-          email: { sent: true }
-        }
+    const order = await Order.findOne({
+      _id: orderId,
+      advertiserId
+    });
+
+    if (!order) {
+      return res.status(404).json({
+        ok: false,
+        message: "Order not found"
       });
+    }
 
-    } else if (action === 'revision') {
-      // Request revision
-      order.status = 'revision_requested';
-      order.revisions.push({
-        requestedAt: new Date(),
-        requestedBy: advertiserId,
-        reason: revisionRequest,
-        status: 'pending'
+    await OrderLifecycleService.transition(order, 'cancelled', req.user, {
+      reason: reason || 'Publisher missed the deadline'
+    });
+
+    res.status(200).json({
+      ok: true,
+      message: "Order cancelled and refunded successfully",
+      data: order
+    });
+  } catch (error) {
+    if (error instanceof OrderTransitionError) {
+      return res.status(error.statusCode).json({
+        ok: false,
+        message: error.message,
+        error: error.details
       });
+    }
+    res.status(500).json({
+      ok: false,
+      message: "Failed to cancel order",
+      error: error.message
+    });
+  }
+};
 
-      // Send notification to publisher
-      await Notification.create({
-        userId: order.publisherId,
-        userRole: 'publisher',
-        type: 'order_status',
-        title: 'Revision Requested',
-        message: `Revision has been requested for order ${order.orderId}`,
-        orderId: order._id,
-        channels: {
-          inApp: { delivered: true },
-          email: { sent: true }
-        }
+// Cancel an order that has not been accepted yet, free of charge
+export const cancelOrder = async (req, res) => {
+  try {
+    const { orderId } = req.params;
+    const { reason } = req.body;
+    const advertiserId = req.user.id;
+
+    const order = await Order.findOne({
+      _id: orderId,
+      advertiserId
+    });
+
+    if (!order) {
+      return res.status(404).json({
+        ok: false,
+        message: "Order not found"
       });
     }
 
-    await order.save();
+    await OrderLifecycleService.transition(order, 'cancelled', req.user, {
+      reason: reason || 'Cancelled by advertiser'
+    });
 
     res.status(200).json({
       ok: true,
-      message: `Order ${action === 'approve' ? 'approved' : 'revision requested'} successfully`,
+      message: "Order cancelled and refunded successfully",
       data: order
     });
   } catch (error) {
+    if (error instanceof OrderTransitionError) {
+      return res.status(error.statusCode).json({
+        ok: false,
+        message: error.message,
+        error: error.details
+      });
+    }
     res.status(500).json({
       ok: false,
-      message: "Failed to review submitted work",
+      message: "Failed to cancel order",
+      error: error.message
+    });
+  }
+};
+
+// Ask the publisher to agree to cancelling an order in progress
+export const requestCancellation = async (req, res) => {
+  try {
+    const { orderId } = req.params;
+    const { reason, refundPercentage } = req.body;
+    const advertiserId = req.user.id;
+
+    const order = await Order.findOne({
+      _id: orderId,
+      advertiserId
+    });
+
+    if (!order) {
+      return res.status(404).json({
+        ok: false,
+        message: "Order not found"
+      });
+    }
+
+    await OrderLifecycleService.requestCancellation(order, req.user, { reason, refundPercentage });
+
+    res.status(200).json({
+      ok: true,
+      message: "Cancellation request sent to the publisher",
+      data: order
+    });
+  } catch (error) {
+    if (error instanceof OrderTransitionError) {
+      return res.status(error.statusCode).json({
+        ok: false,
+        message: error.message,
+        error: error.details
+      });
+    }
+    res.status(500).json({
+      ok: false,
+      message: "Failed to request cancellation",
+      error: error.message
+    });
+  }
+};
+
+// Accept or decline the publisher's cancellation request
+export const respondToCancellation = async (req, res) => {
+  try {
+    const { orderId } = req.params;
+    const { action, response } = req.body;
+    const advertiserId = req.user.id;
+
+    if (!['accept', 'decline'].includes(action)) {
+      return res.status(400).json({
+        ok: false,
+        message: "Action must be 'accept' or 'decline'"
+      });
+    }
+
+    const order = await Order.findOne({
+      _id: orderId,
+      advertiserId
+    });
+
+    if (!order) {
+      return res.status(404).json({
+        ok: false,
+        message: "Order not found"
+      });
+    }
+
+    await OrderLifecycleService.respondToCancellation(order, req.user, {
+      accept: action === 'accept',
+      response
+    });
+
+    res.status(200).json({
+      ok: true,
+      message: action === 'accept' ? "Order cancelled" : "Cancellation request declined",
+      data: order
+    });
+  } catch (error) {
+    if (error instanceof OrderTransitionError) {
+      return res.status(error.statusCode).json({
+        ok: false,
+        message: error.message,
+        error: error.details
+      });
+    }
+    res.status(500).json({
+      ok: false,
+      message: "Failed to respond to cancellation request",
+      error: error.message
+    });
+  }
+};
+
+// Claim a refund for a link that disappeared during the guarantee period
+export const openGuaranteeClaim = async (req, res) => {
+  try {
+    const { orderId } = req.params;
+    const { reason } = req.body;
+    const advertiserId = req.user.id;
+
+    const order = await Order.findOne({
+      _id: orderId,
+      advertiserId
+    });
+
+    if (!order) {
+      return res.status(404).json({
+        ok: false,
+        message: "Order not found"
+      });
+    }
+
+    const claim = await GuaranteeService.openClaim(order, req.user, { reason });
+
+    res.status(201).json({
+      ok: true,
+      message: claim.status === 'approved'
+        ? "Link removal confirmed, the refund has been added to your balance"
+        : "Guarantee claim opened and waiting for review",
+      data: claim
+    });
+  } catch (error) {
+    if (error instanceof OrderTransitionError || error instanceof LedgerError) {
+      return res.status(error.statusCode).json({
+        ok: false,
+        message: error.message,
+        error: error.details
+      });
+    }
+    res.status(500).json({
+      ok: false,
+      message: "Failed to open guarantee claim",
       error: error.message
     });
   }
@@ -1622,8 +2122,20 @@ export default {
   getRecommendedWebsites,
   createOrder,
   createBulkOrders,
+  importBulkOrders,
+  confirmBulkImport,
+  getOrderSeries,
+  pauseOrderSeries,
+  resumeOrderSeries,
+  rescheduleOrderSeries,
+  cancelOrderSeries,
   getAdvertiserOrders,
   reviewSubmittedWork,
+  cancelOverdueOrder,
+  cancelOrder,
+  requestCancellation,
+  respondToCancellation,
+  openGuaranteeClaim,
   getOrderAnalytics,
   createWebsiteChat,
   getFavoriteWebsites,
@@ -0,0 +1,187 @@
+import CartService, { CartError } from "../services/CartService.js";
+import { PromoCodeError } from "../services/PromoCodeService.js";
+import { CurrencyError } from "../services/CurrencyService.js";
+
+// Current cart with prices recomputed from the websites
+export const getCart = async (req, res) => {
+  try {
+    const cart = await CartService.getCart(req.user.id);
+
+    res.status(200).json({
+      ok: true,
+      message: "Cart retrieved successfully",
+      data: cart
+    });
+  } catch (error) {
+    if (error instanceof CartError || error instanceof CurrencyError) {
+      return res.status(error.statusCode).json({
+        ok: false,
+        message: error.message,
+        error: error.details
+      });
+    }
+    res.status(500).json({
+      ok: false,
+      message: "Failed to fetch cart",
+      error: error.message
+    });
+  }
+};
+
+// Add a website to the cart
+export const addCartItem = async (req, res) => {
+  try {
+    const cart = await CartService.addItem(req.user.id, req.body);
+
+    res.status(201).json({
+      ok: true,
+      message: "Item added to cart",
+      data: cart
+    });
+  } catch (error) {
+    if (error instanceof CartError || error instanceof CurrencyError) {
+      return res.status(error.statusCode).json({
+        ok: false,
+        message: error.message,
+        error: error.details
+      });
+    }
+    res.status(500).json({
+      ok: false,
+      message: "Failed to add item to cart",
+      error: error.message
+    });
+  }
+};
+
+// Change the options of a cart line
+export const updateCartItem = async (req, res) => {
+  try {
+    const cart = await CartService.updateItem(req.user.id, req.params.itemId, req.body);
+
+    res.status(200).json({
+      ok: true,
+      message: "Cart item updated",
+      data: cart
+    });
+  } catch (error) {
+    if (error instanceof CartError || error instanceof CurrencyError) {
+      return res.status(error.statusCode).json({
+        ok: false,
+        message: error.message,
+        error: error.details
+      });
+    }
+    res.status(500).json({
+      ok: false,
+      message: "Failed to update cart item",
+      error: error.message
+    });
+  }
+};
+
+// Remove a line from the cart
+export const removeCartItem = async (req, res) => {
+  try {
+    const cart = await CartService.removeItem(req.user.id, req.params.itemId);
+
+    res.status(200).json({
+      ok: true,
+      message: "Item removed from cart",
+      data: cart
+    });
+  } catch (error) {
+    if (error instanceof CartError || error instanceof CurrencyError) {
+      return res.status(error.statusCode).json({
+        ok: false,
+        message: error.message,
+        error: error.details
+      });
+    }
+    res.status(500).json({
+      ok: false,
+      message: "Failed to remove cart item",
+      error: error.message
+    });
+  }
+};
+
+// Lock the current prices for a limited time so the cart can be checked out
+export const lockCartQuote = async (req, res) => {
+  try {
+    const cart = await CartService.lockQuote(req.user.id);
+
+    res.status(200).json({
+      ok: true,
+      message: `Prices locked until ${cart.quote.expiresAt.toISOString()}`,
+      data: cart
+    });
+  } catch (error) {
+    if (error instanceof CartError || error instanceof CurrencyError) {
+      return res.status(error.statusCode).json({
+        ok: false,
+        message: error.message,
+        error: error.details
+      });
+    }
+    res.status(500).json({
+      ok: false,
+      message: "Failed to create quote",
+      error: error.message
+    });
+  }
+};
+
+// Show the discount a promo code gives on the cart before checkout
+export const previewPromoCode = async (req, res) => {
+  try {
+    const preview = await CartService.previewPromoCode(req.user.id, req.body.code);
+
+    res.status(200).json({
+      ok: true,
+      message: `Promo code ${preview.code} saves ${preview.discountAmount}`,
+      data: preview
+    });
+  } catch (error) {
+    if (error instanceof CartError || error instanceof PromoCodeError || error instanceof CurrencyError) {
+      return res.status(error.statusCode).json({
+        ok: false,
+        message: error.message,
+        error: error.details
+      });
+    }
+    res.status(500).json({
+      ok: false,
+      message: "Failed to check promo code",
+      error: error.message
+    });
+  }
+};
+
+// Empty the cart
+export const clearCart = async (req, res) => {
+  try {
+    await CartService.clearCart(req.user.id);
+
+    res.status(200).json({
+      ok: true,
+      message: "Cart cleared"
+    });
+  } catch (error) {
+    res.status(500).json({
+      ok: false,
+      message: "Failed to clear cart",
+      error: error.message
+    });
+  }
+};
+
+export default {
+  getCart,
+  addCartItem,
+  updateCartItem,
+  removeCartItem,
+  lockCartQuote,
+  previewPromoCode,
+  clearCart
+};
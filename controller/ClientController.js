@@ -0,0 +1,334 @@
+import ClientService, { ClientError } from "../services/ClientService.js";
+
+// Clients of the advertiser; archived ones with ?includeArchived=true
+export const getClients = async (req, res) => {
+  try {
+    const clients = await ClientService.listClients(req.user.id, {
+      includeArchived: req.query.includeArchived === 'true'
+    });
+
+    res.status(200).json({
+      ok: true,
+      message: "Clients retrieved successfully",
+      data: clients
+    });
+  } catch (error) {
+    if (error instanceof ClientError) {
+      return res.status(error.statusCode).json({
+        ok: false,
+        message: error.message,
+        error: error.details
+      });
+    }
+    res.status(500).json({
+      ok: false,
+      message: "Failed to fetch clients",
+      error: error.message
+    });
+  }
+};
+
+// Add a client
+export const createClient = async (req, res) => {
+  try {
+    const client = await ClientService.createClient(req.user.id, req.body);
+
+    res.status(201).json({
+      ok: true,
+      message: "Client created successfully",
+      data: client
+    });
+  } catch (error) {
+    if (error instanceof ClientError) {
+      return res.status(error.statusCode).json({
+        ok: false,
+        message: error.message,
+        error: error.details
+      });
+    }
+    res.status(500).json({
+      ok: false,
+      message: "Failed to create client",
+      error: error.message
+    });
+  }
+};
+
+// Change client details
+export const updateClient = async (req, res) => {
+  try {
+    const client = await ClientService.updateClient(req.user.id, req.params.clientId, req.body);
+
+    res.status(200).json({
+      ok: true,
+      message: "Client updated successfully",
+      data: client
+    });
+  } catch (error) {
+    if (error instanceof ClientError) {
+      return res.status(error.statusCode).json({
+        ok: false,
+        message: error.message,
+        error: error.details
+      });
+    }
+    res.status(500).json({
+      ok: false,
+      message: "Failed to update client",
+      error: error.message
+    });
+  }
+};
+
+// Archive a client and revoke its report links
+export const archiveClient = async (req, res) => {
+  try {
+    const client = await ClientService.archiveClient(req.user.id, req.params.clientId);
+
+    res.status(200).json({
+      ok: true,
+      message: "Client archived successfully",
+      data: client
+    });
+  } catch (error) {
+    if (error instanceof ClientError) {
+      return res.status(error.statusCode).json({
+        ok: false,
+        message: error.message,
+        error: error.details
+      });
+    }
+    res.status(500).json({
+      ok: false,
+      message: "Failed to archive client",
+      error: error.message
+    });
+  }
+};
+
+// Tag a project with the client
+export const tagProject = async (req, res) => {
+  try {
+    const project = await ClientService.tagProject(req.user.id, req.params.clientId, req.params.projectId);
+
+    res.status(200).json({
+      ok: true,
+      message: "Project tagged successfully",
+      data: project
+    });
+  } catch (error) {
+    if (error instanceof ClientError) {
+      return res.status(error.statusCode).json({
+        ok: false,
+        message: error.message,
+        error: error.details
+      });
+    }
+    res.status(500).json({
+      ok: false,
+      message: "Failed to tag project",
+      error: error.message
+    });
+  }
+};
+
+// Remove the client tag from a project
+export const untagProject = async (req, res) => {
+  try {
+    const project = await ClientService.tagProject(req.user.id, req.params.clientId, req.params.projectId, {
+      untag: true
+    });
+
+    res.status(200).json({
+      ok: true,
+      message: "Project untagged successfully",
+      data: project
+    });
+  } catch (error) {
+    if (error instanceof ClientError) {
+      return res.status(error.statusCode).json({
+        ok: false,
+        message: error.message,
+        error: error.details
+      });
+    }
+    res.status(500).json({
+      ok: false,
+      message: "Failed to untag project",
+      error: error.message
+    });
+  }
+};
+
+// Tag an order with the client
+export const tagOrder = async (req, res) => {
+  try {
+    const order = await ClientService.tagOrder(req.user.id, req.params.clientId, req.params.orderId);
+
+    res.status(200).json({
+      ok: true,
+      message: "Order tagged successfully",
+      data: order
+    });
+  } catch (error) {
+    if (error instanceof ClientError) {
+      return res.status(error.statusCode).json({
+        ok: false,
+        message: error.message,
+        error: error.details
+      });
+    }
+    res.status(500).json({
+      ok: false,
+      message: "Failed to tag order",
+      error: error.message
+    });
+  }
+};
+
+// Remove the client tag from an order
+export const untagOrder = async (req, res) => {
+  try {
+    const order = await ClientService.tagOrder(req.user.id, req.params.clientId, req.params.orderId, {
+      untag: true
+    });
+
+    res.status(200).json({
+      ok: true,
+      message: "Order untagged successfully",
+      data: order
+    });
+  } catch (error) {
+    if (error instanceof ClientError) {
+      return res.status(error.statusCode).json({
+        ok: false,
+        message: error.message,
+        error: error.details
+      });
+    }
+    res.status(500).json({
+      ok: false,
+      message: "Failed to untag order",
+      error: error.message
+    });
+  }
+};
+
+// Report links shared for the client
+export const getReportLinks = async (req, res) => {
+  try {
+    const links = await ClientService.listReportLinks(req.user.id, req.params.clientId);
+
+    res.status(200).json({
+      ok: true,
+      message: "Report links retrieved successfully",
+      data: links
+    });
+  } catch (error) {
+    if (error instanceof ClientError) {
+      return res.status(error.statusCode).json({
+        ok: false,
+        message: error.message,
+        error: error.details
+      });
+    }
+    res.status(500).json({
+      ok: false,
+      message: "Failed to fetch report links",
+      error: error.message
+    });
+  }
+};
+
+// Create a branded read-only report link; the URL is only shown now
+export const createReportLink = async (req, res) => {
+  try {
+    const link = await ClientService.createReportLink(req.user.id, req.params.clientId, req.body);
+
+    res.status(201).json({
+      ok: true,
+      message: "Report link created successfully",
+      data: link
+    });
+  } catch (error) {
+    if (error instanceof ClientError) {
+      return res.status(error.statusCode).json({
+        ok: false,
+        message: error.message,
+        error: error.details
+      });
+    }
+    res.status(500).json({
+      ok: false,
+      message: "Failed to create report link",
+      error: error.message
+    });
+  }
+};
+
+// Revoke a report link
+export const revokeReportLink = async (req, res) => {
+  try {
+    const link = await ClientService.revokeReportLink(req.user.id, req.params.clientId, req.params.linkId);
+
+    res.status(200).json({
+      ok: true,
+      message: "Report link revoked successfully",
+      data: link
+    });
+  } catch (error) {
+    if (error instanceof ClientError) {
+      return res.status(error.statusCode).json({
+        ok: false,
+        message: error.message,
+        error: error.details
+      });
+    }
+    res.status(500).json({
+      ok: false,
+      message: "Failed to revoke report link",
+      error: error.message
+    });
+  }
+};
+
+// Public report opened through a shared link, no login required
+export const getSharedReport = async (req, res) => {
+  try {
+    const report = await ClientService.getSharedReport(req.params.token);
+
+    res.status(200).json({
+      ok: true,
+      message: "Report retrieved successfully",
+      data: report
+    });
+  } catch (error) {
+    if (error instanceof ClientError) {
+      return res.status(error.statusCode).json({
+        ok: false,
+        message: error.message,
+        error: error.details
+      });
+    }
+    res.status(500).json({
+      ok: false,
+      message: "Failed to fetch report",
+      error: error.message
+    });
+  }
+};
+
+export default {
+  getClients,
+  createClient,
+  updateClient,
+  archiveClient,
+  tagProject,
+  untagProject,
+  tagOrder,
+  untagOrder,
+  getReportLinks,
+  createReportLink,
+  revokeReportLink,
+  getSharedReport
+};
@@ -3,6 +3,17 @@ import Website from "../model/Website.js";
 import User from "../model/User.js";
 import Transaction from "../model/Transaction.js";
 import mongoose from "mongoose";
+import OrderLifecycleService, { OrderTransitionError } from "../services/OrderLifecycleService.js";
+import OrderDeadlineService from "../services/OrderDeadlineService.js";
+import OrderRevisionService from "../services/OrderRevisionService.js";
+import OrderVersionService from "../services/OrderVersionService.js";
+import CartService, { CartError } from "../services/CartService.js";
+import PricingService from "../services/PricingService.js";
+import PromoCodeService, { PromoCodeError } from "../services/PromoCodeService.js";
+import ProjectService, { ProjectError } from "../services/ProjectService.js";
+import OrganizationService from "../services/OrganizationService.js";
+import LedgerService, { LedgerError } from "../services/LedgerService.js";
+import CurrencyService, { CurrencyError } from "../services/CurrencyService.js";
 
 // Get dashboard data for publisher (Home tab)
 export const getPublisherDashboard = async (req, res) => {
@@ -22,7 +33,8 @@ export const getPublisherDashboard = async (req, res) => {
         improvementRequests,
         rejectedRequests,
         totalEarnings,
-        thisMonthEarnings
+        thisMonthEarnings,
+        deadlineStats
       ] = await Promise.all([
         // Order Requests (pending)
         Order.find({ 
@@ -109,7 +121,10 @@ export const getPublisherDashboard = async (req, res) => {
               total: { $sum: '$publisherEarnings' } 
             } 
           }
-        ])
+        ]),
+
+        // On-time delivery metrics
+        OrderDeadlineService.getPublisherDeadlineStats(publisherId)
       ]);
 
       // Calculate expired orders
@@ -129,6 +144,7 @@ export const getPublisherDashboard = async (req, res) => {
             price: `$${order.totalPrice}`,
             bonus: order.additionalCharges?.premium > 0 ? `+$${order.additionalCharges.premium}` : null,
             expired: isExpired ? `Expired ${hoursExpired} hours` : null,
+            overdue: order.deadlineTracking?.isOverdue || false,
             status: order.status,
             title: order.title,
             description: order.description,
@@ -152,7 +168,10 @@ export const getPublisherDashboard = async (req, res) => {
           completedOrders: completedRequests.length,
           successRate: completedRequests.length > 0 
             ? ((completedRequests.length / (completedRequests.length + rejectedRequests.length)) * 100).toFixed(1)
-            : 0
+            : 0,
+          overdueOrders: deadlineStats.overdueOrders,
+          lateSubmissions: deadlineStats.lateSubmissions,
+          onTimeRate: deadlineStats.onTimeRate
         }
       };
     } else {
@@ -169,7 +188,10 @@ export const getPublisherDashboard = async (req, res) => {
           totalOrders: 0,
           pendingOrders: 0,
           completedOrders: 0,
-          successRate: 0
+          successRate: 0,
+          overdueOrders: 0,
+          lateSubmissions: 0,
+          onTimeRate: 0
         }
       };
     }
@@ -200,10 +222,10 @@ export const getPublisherOrders = async (req, res) => {
       sortOrder = 'desc'
     } = req.query;
 
-    // Build filter
-    const filter = { publisherId };
+    // Build filter. Scheduled orders stay hidden until they are released.
+    const filter = { publisherId, status: { $ne: 'scheduled' } };
     if (status && status !== 'all') {
-      filter.status = status;
+      filter.status = { $eq: status, $ne: 'scheduled' };
     }
 
     if (search) {
@@ -255,27 +277,20 @@ export const approveOrder = async (req, res) => {
 
     const order = await Order.findOne({
       orderId: orderId,
-      publisherId,
-      status: 'pending'
+      publisherId
     });
 
     if (!order) {
       return res.status(404).json({
         ok: false,
-        message: "Order not found or cannot be approved"
+        message: "Order not found"
       });
     }
 
-    // Update order status
-    order.status = 'approved';
-    order._userId = publisherId; // For status history tracking
-    order.adminNotes = additionalNotes || '';
-    
-    if (estimatedDelivery) {
-      order.deadline = new Date(estimatedDelivery);
-    }
-
-    await order.save();
+    await OrderLifecycleService.transition(order, 'approved', req.user, {
+      estimatedDelivery,
+      additionalNotes
+    });
 
     res.status(200).json({
       ok: true,
@@ -283,6 +298,13 @@ export const approveOrder = async (req, res) => {
       data: order
     });
   } catch (error) {
+    if (error instanceof OrderTransitionError) {
+      return res.status(error.statusCode).json({
+        ok: false,
+        message: error.message,
+        error: error.details
+      });
+    }
     res.status(500).json({
       ok: false,
       message: "Failed to approve order",
@@ -307,22 +329,19 @@ export const rejectOrder = async (req, res) => {
 
     const order = await Order.findOne({
       orderId: orderId,
-      publisherId,
-      status: 'pending'
+      publisherId
     });
 
     if (!order) {
       return res.status(404).json({
         ok: false,
-        message: "Order not found or cannot be rejected"
+        message: "Order not found"
       });
     }
 
-    order.status = 'rejected';
-    order._userId = publisherId;
-    order.adminNotes = rejectionReason;
-
-    await order.save();
+    await OrderLifecycleService.transition(order, 'rejected', req.user, {
+      reason: rejectionReason
+    });
 
     res.status(200).json({
       ok: true,
@@ -330,6 +349,13 @@ export const rejectOrder = async (req, res) => {
       data: order
     });
   } catch (error) {
+    if (error instanceof OrderTransitionError) {
+      return res.status(error.statusCode).json({
+        ok: false,
+        message: error.message,
+        error: error.details
+      });
+    }
     res.status(500).json({
       ok: false,
       message: "Failed to reject order",
@@ -338,6 +364,47 @@ export const rejectOrder = async (req, res) => {
   }
 };
 
+// Start working on an approved order
+export const startOrder = async (req, res) => {
+  try {
+    const { orderId } = req.params;
+    const publisherId = req.user.id;
+
+    const order = await Order.findOne({
+      orderId: orderId,
+      publisherId
+    });
+
+    if (!order) {
+      return res.status(404).json({
+        ok: false,
+        message: "Order not found"
+      });
+    }
+
+    await OrderLifecycleService.transition(order, 'in_progress', req.user);
+
+    res.status(200).json({
+      ok: true,
+      message: "Order marked as in progress",
+      data: order
+    });
+  } catch (error) {
+    if (error instanceof OrderTransitionError) {
+      return res.status(error.statusCode).json({
+        ok: false,
+        message: error.message,
+        error: error.details
+      });
+    }
+    res.status(500).json({
+      ok: false,
+      message: "Failed to start order",
+      error: error.message
+    });
+  }
+};
+
 // Submit completed work
 export const submitOrder = async (req, res) => {
   try {
@@ -354,28 +421,21 @@ export const submitOrder = async (req, res) => {
 
     const order = await Order.findOne({
       orderId: orderId,
-      publisherId,
-      status: { $in: ['approved', 'in_progress', 'revision_requested'] }
+      publisherId
     });
 
     if (!order) {
       return res.status(404).json({
         ok: false,
-        message: "Order not found or cannot be submitted"
+        message: "Order not found"
       });
     }
 
-    order.status = 'completed';
-    order._userId = publisherId;
-    order.submittedContent = {
+    await OrderLifecycleService.transition(order, 'completed', req.user, {
       content,
       publishedUrl,
-      submittedAt: new Date(),
-      submittedBy: publisherId
-    };
-    order.adminNotes = additionalNotes || '';
-
-    await order.save();
+      additionalNotes
+    });
 
     res.status(200).json({
       ok: true,
@@ -383,6 +443,13 @@ export const submitOrder = async (req, res) => {
       data: order
     });
   } catch (error) {
+    if (error instanceof OrderTransitionError) {
+      return res.status(error.statusCode).json({
+        ok: false,
+        message: error.message,
+        error: error.details
+      });
+    }
     res.status(500).json({
       ok: false,
       message: "Failed to submit order",
@@ -391,6 +458,177 @@ export const submitOrder = async (req, res) => {
   }
 };
 
+// Revision rounds used and remaining on an order
+export const getOrderRevisions = async (req, res) => {
+  try {
+    const { orderId } = req.params;
+    const userId = req.user.id;
+
+    const order = await Order.findOne({
+      orderId: orderId,
+      $or: [{ publisherId: userId }, { advertiserId: userId }]
+    });
+
+    if (!order) {
+      return res.status(404).json({
+        ok: false,
+        message: "Order not found"
+      });
+    }
+
+    const summary = await OrderRevisionService.getRevisionSummary(order);
+
+    res.status(200).json({
+      ok: true,
+      data: summary
+    });
+  } catch (error) {
+    res.status(500).json({
+      ok: false,
+      message: "Failed to fetch revisions",
+      error: error.message
+    });
+  }
+};
+
+// Accept or contest the open revision request
+export const respondToRevision = async (req, res) => {
+  try {
+    const { orderId } = req.params;
+    const { action, response } = req.body;
+    const publisherId = req.user.id;
+
+    if (!['accept', 'contest'].includes(action)) {
+      return res.status(400).json({
+        ok: false,
+        message: "Action must be 'accept' or 'contest'"
+      });
+    }
+
+    const order = await Order.findOne({
+      orderId: orderId,
+      publisherId
+    });
+
+    if (!order) {
+      return res.status(404).json({
+        ok: false,
+        message: "Order not found"
+      });
+    }
+
+    await OrderRevisionService.respondToRevision(order, req.user, {
+      accept: action === 'accept',
+      response
+    });
+
+    res.status(200).json({
+      ok: true,
+      message: action === 'accept' ? "Revision accepted" : "Revision contested, a dispute has been opened",
+      data: order
+    });
+  } catch (error) {
+    if (error instanceof OrderTransitionError) {
+      return res.status(error.statusCode).json({
+        ok: false,
+        message: error.message,
+        error: error.details
+      });
+    }
+    res.status(500).json({
+      ok: false,
+      message: "Failed to respond to revision",
+      error: error.message
+    });
+  }
+};
+
+// Ask the other party to agree to cancelling an order that is already underway
+export const requestOrderCancellation = async (req, res) => {
+  try {
+    const { orderId } = req.params;
+    const { reason, refundPercentage } = req.body;
+
+    const order = await Order.findOne({ orderId: orderId });
+
+    if (!order) {
+      return res.status(404).json({
+        ok: false,
+        message: "Order not found"
+      });
+    }
+
+    await OrderLifecycleService.requestCancellation(order, req.user, { reason, refundPercentage });
+
+    res.status(200).json({
+      ok: true,
+      message: "Cancellation request sent",
+      data: order
+    });
+  } catch (error) {
+    if (error instanceof OrderTransitionError) {
+      return res.status(error.statusCode).json({
+        ok: false,
+        message: error.message,
+        error: error.details
+      });
+    }
+    res.status(500).json({
+      ok: false,
+      message: "Failed to request cancellation",
+      error: error.message
+    });
+  }
+};
+
+// Accept or decline a cancellation request made by the other party
+export const respondToOrderCancellation = async (req, res) => {
+  try {
+    const { orderId } = req.params;
+    const { action, response } = req.body;
+
+    if (!['accept', 'decline'].includes(action)) {
+      return res.status(400).json({
+        ok: false,
+        message: "Action must be 'accept' or 'decline'"
+      });
+    }
+
+    const order = await Order.findOne({ orderId: orderId });
+
+    if (!order) {
+      return res.status(404).json({
+        ok: false,
+        message: "Order not found"
+      });
+    }
+
+    await OrderLifecycleService.respondToCancellation(order, req.user, {
+      accept: action === 'accept',
+      response
+    });
+
+    res.status(200).json({
+      ok: true,
+      message: action === 'accept' ? "Order cancelled" : "Cancellation request declined",
+      data: order
+    });
+  } catch (error) {
+    if (error instanceof OrderTransitionError) {
+      return res.status(error.statusCode).json({
+        ok: false,
+        message: error.message,
+        error: error.details
+      });
+    }
+    res.status(500).json({
+      ok: false,
+      message: "Failed to respond to cancellation request",
+      error: error.message
+    });
+  }
+};
+
 // Create a new order (for advertisers)
 export const createOrder = async (req, res) => {
   try {
@@ -401,7 +639,8 @@ export const createOrder = async (req, res) => {
       description,
       contentRequirements,
       deadline,
-      rushOrder = false
+      rushOrder = false,
+      projectId
     } = req.body;
 
     // Validate website exists and is approved
@@ -424,29 +663,31 @@ export const createOrder = async (req, res) => {
       contentType: contentRequirements?.contentType || 'article'
     };
 
-    // Calculate pricing
-    let basePrice = website.publishingPrice;
-    const additionalCharges = {
-      copywriting: validContentRequirements.needsCopywriting ? website.copywritingPrice : 0,
-      rushOrder: rushOrder ? basePrice * 0.5 : 0, // 50% rush charge
-      premium: validContentRequirements.linkType === 'dofollow' ? 0 : basePrice * 0.2
-    };
+    // Calculate pricing in the advertiser's wallet currency
+    const Wallet = await import('../model/Wallet.js').then(module => module.default);
+    const advertiserWallet = await Wallet.findOne({ userId: advertiserId }).select('currency');
+    const pricing = await PricingService.priceOrder(website, {
+      needsCopywriting: validContentRequirements.needsCopywriting,
+      rushOrder,
+      linkType: validContentRequirements.linkType,
+      currency: advertiserWallet?.currency
+    });
 
-    const totalPrice = basePrice + Object.values(additionalCharges).reduce((a, b) => a + b, 0);
-    const platformCommission = totalPrice * 0.1; // 10% platform commission
+    const projectWarnings = projectId
+      ? (await ProjectService.assertOrdersFit(advertiserId, projectId, [pricing.totalPrice], pricing.currency)).warnings
+      : [];
 
     // Create the order first
     const order = new Order({
       publisherId: website.userId,
       advertiserId,
       websiteId,
+      projectId,
+      placedBy: req.member?.userId,
       title,
       description,
       contentRequirements: validContentRequirements,
-      basePrice,
-      additionalCharges,
-      totalPrice,
-      platformCommission,
+      ...pricing,
       deadline: new Date(deadline),
       rushOrder,
       status: 'pending'
@@ -499,6 +740,11 @@ export const createOrder = async (req, res) => {
     savedOrder.chatId = savedChat._id;
     await savedOrder.save();
 
+    if (projectId) {
+      await ProjectService.refreshStats(projectId);
+    }
+    await OrganizationService.recordOrders(req.member, [savedOrder]);
+
     // Populate for response
     const populatedOrder = await Order.findById(savedOrder._id)
       .populate('publisherId', 'firstName lastName email')
@@ -507,9 +753,17 @@ export const createOrder = async (req, res) => {
     res.status(201).json({
       ok: true,
       message: "Order created successfully",
-      data: populatedOrder
+      data: populatedOrder,
+      projectWarnings
     });
   } catch (error) {
+    if (error instanceof ProjectError || error instanceof CurrencyError) {
+      return res.status(error.statusCode).json({
+        ok: false,
+        message: error.message,
+        error: error.details
+      });
+    }
     console.error("Error creating order:", error);
     res.status(500).json({
       ok: false,
@@ -709,14 +963,10 @@ export const createOrderChat = async (req, res) => {
 export const processOrderWithBalance = async (req, res) => {
   try {
     const advertiserId = req.user.id;
-    const { cartItems } = req.body;
+    const { promoCode } = req.body;
 
-    if (!cartItems || !Array.isArray(cartItems) || cartItems.length === 0) {
-      return res.status(400).json({
-        ok: false,
-        message: "Cart items are required"
-      });
-    }
+    // Only the server-side cart with a locked quote is accepted, never prices from the request
+    const { cart, lines, total: quotedTotal } = await CartService.getCheckoutLines(advertiserId);
 
     // Import required models
     const Wallet = await import('../model/Wallet.js').then(module => module.default);
@@ -733,46 +983,52 @@ export const processOrderWithBalance = async (req, res) => {
       });
     }
 
-    // Calculate total amount
-    let totalAmount = 0;
-    const orderDetails = [];
-
-    // Validate each item and calculate total
-    for (const item of cartItems) {
-      const website = await Website.findById(item.id);
-      if (!website || website.status !== 'approved') {
-        return res.status(400).json({
-          ok: false,
-          message: `Website ${item.websiteName} not found or not approved`
-        });
-      }
+    // Line totals come from the locked quote, less the promo code discount if one is given
+    const promotion = promoCode
+      ? await PromoCodeService.evaluate(promoCode, advertiserId, lines.map(({ item, website }) => ({
+        key: item._id.toString(),
+        website,
+        pricing: item.pricing
+      })))
+      : null;
+    const promoDiscounts = new Map((promotion?.allocations || []).map(allocation => [allocation.key, allocation.amount]));
+
+    // The quote must be in the wallet's currency; it changes only if the wallet's did
+    if (lines.some(({ item }) => (item.pricing?.currency || 'USD') !== wallet.currency)) {
+      return res.status(409).json({
+        ok: false,
+        message: `Cart prices are not in your wallet currency (${wallet.currency}). Please review your cart again.`
+      });
+    }
 
-      // Calculate item total including all charges
-      let itemTotal = item.price || 0;
-      
-      // Add sensitive content charge if applicable
-      if (item.sensitiveTopic && item.sensitiveContentExtraCharge) {
-        itemTotal += item.sensitiveContentExtraCharge;
-      }
-      
-      // Add homepage announcement charge if applicable
-      if (item.homepageAnnouncement && item.homepageAnnouncementPrice) {
-        itemTotal += item.homepageAnnouncementPrice;
-      }
-      
-      // Add copywriting charge if applicable
-      if (item.articleType === 'publisher' && item.copywritingPrice) {
-        itemTotal += item.copywritingPrice;
-      }
+    const totalAmount = Math.round((quotedTotal - (promotion?.discountAmount || 0)) * 100) / 100;
+    const orderDetails = lines.map(({ item, website }) => {
+      const promoDiscount = promoDiscounts.get(item._id.toString()) || 0;
+      const pricing = promoDiscount > 0
+        ? PromoCodeService.discountPricing(item.toObject().pricing, promoDiscount, promotion.promo.fundedBy)
+        : item.toObject().pricing;
 
-      totalAmount += itemTotal;
-      
-      orderDetails.push({
-        websiteId: item.id,
+      return {
+        websiteId: website._id,
         website,
-        itemTotal,
-        item
-      });
+        itemTotal: pricing.totalPrice,
+        item,
+        pricing,
+        promoDiscount,
+        projectId: (item.projectId || item.articleData?.projectId)?.toString()
+      };
+    });
+
+    // Lines bought for a project must fit its budget and per-post limits
+    const projectPrices = new Map();
+    orderDetails.filter(detail => detail.projectId).forEach(detail => {
+      projectPrices.set(detail.projectId, [...(projectPrices.get(detail.projectId) || []), detail.itemTotal]);
+    });
+
+    const projectWarnings = [];
+    for (const [projectId, prices] of projectPrices) {
+      const { warnings } = await ProjectService.assertOrdersFit(advertiserId, projectId, prices, wallet.currency);
+      projectWarnings.push(...warnings.map(warning => ({ projectId, ...warning })));
     }
 
     // Check if sufficient balance
@@ -788,15 +1044,12 @@ export const processOrderWithBalance = async (req, res) => {
     session.startTransaction();
 
     try {
-      // Deduct balance from wallet
-      const oldBalance = wallet.balance;
-      wallet.balance -= totalAmount;
-      wallet.totalEarnings += totalAmount; // This might need adjustment based on business logic
-      await wallet.save({ session });
-      
-      console.log('Wallet updated successfully');
+      // The quote pays for one checkout only; a repeated request stops here
+      await CartService.consumeQuote(cart, session);
 
-      // Create orders and transactions
+      // Create orders and transactions. Each order's price moves from the
+      // wallet into escrow until the order is delivered.
+      let newBalance = wallet.balance;
       const createdOrders = [];
       const transactionRecords = [];
       
@@ -804,23 +1057,20 @@ export const processOrderWithBalance = async (req, res) => {
 
       for (const orderDetail of orderDetails) {
         console.log('Processing order detail:', orderDetail);
-        const { website, itemTotal, item } = orderDetail;
+        const { website, itemTotal, item, promoDiscount, projectId } = orderDetail;
         
-        // Calculate pricing details
-        const basePrice = item.price || 0;
-        const additionalCharges = {
-          copywriting: item.articleType === 'publisher' && item.copywritingPrice ? item.copywritingPrice : 0,
-          sensitiveContent: item.sensitiveTopic && item.sensitiveContentExtraCharge ? item.sensitiveContentExtraCharge : 0,
-          homepageAnnouncement: item.homepageAnnouncement && item.homepageAnnouncementPrice ? item.homepageAnnouncementPrice : 0
-        };
-
-        const totalPrice = basePrice + 
-                          additionalCharges.copywriting + 
-                          additionalCharges.sensitiveContent + 
-                          additionalCharges.homepageAnnouncement;
-                          
-        const platformCommission = totalPrice * 0.1; // 10% platform commission
-        const publisherEarnings = totalPrice - platformCommission;
+        // Pricing details as quoted
+        const {
+          basePrice,
+          additionalCharges,
+          discount,
+          totalPrice,
+          commissionRate,
+          platformCommission,
+          publisherEarnings,
+          currency,
+          exchangeRate
+        } = orderDetail.pricing;
 
         // Ensure required fields are present
         const targetUrl = item.targetUrl || 'https://example.com'; // Provide a default URL
@@ -846,7 +1096,8 @@ export const processOrderWithBalance = async (req, res) => {
           title: `Order for ${website.domain}`,
           description: `Guest post order for ${website.domain}`,
           contentRequirements: {
-            wordCount: 800, // Default value
+            wordCount: item.wordCount || 800, // Default value
+            keywords: item.keywords,
             targetUrl: targetUrl,
             anchorText: anchorText,
             linkType: 'dofollow', // Default value
@@ -871,7 +1122,8 @@ export const processOrderWithBalance = async (req, res) => {
           title: `Order for ${website.domain}`,
           description: `Guest post order for ${website.domain}`,
           contentRequirements: {
-            wordCount: 800, // Default value
+            wordCount: item.wordCount || 800, // Default value
+            keywords: item.keywords,
             targetUrl: targetUrl,
             anchorText: anchorText,
             linkType: 'dofollow', // Default value
@@ -892,10 +1144,13 @@ export const processOrderWithBalance = async (req, res) => {
           publisherId: website.userId,
           advertiserId,
           websiteId: website._id,
+          projectId,
+          placedBy: req.member?.userId,
           title: `Order for ${website.domain}`,
           description: `Guest post order for ${website.domain}`,
           contentRequirements: {
-            wordCount: 800, // Default value
+            wordCount: item.wordCount || 800, // Default value
+            keywords: item.keywords,
             targetUrl: targetUrl,
             anchorText: anchorText,
             linkType: 'dofollow', // Default value
@@ -906,10 +1161,24 @@ export const processOrderWithBalance = async (req, res) => {
           additionalCharges,
           totalPrice,
           platformCommission,
+          commissionRate,
           publisherEarnings,
+          currency,
+          exchangeRate,
+          discount,
+          promo: promoDiscount > 0 ? {
+            code: promotion.promo.code,
+            promoCodeId: promotion.promo._id,
+            discountAmount: promoDiscount,
+            fundedBy: promotion.promo.fundedBy
+          } : undefined,
           deadline: new Date(Date.now() + 14 * 24 * 60 * 60 * 1000), // 14 days from now
           rushOrder: false,
-          status: 'pending'
+          status: 'pending',
+          paymentStatus: 'paid',
+          paymentDetails: {
+            paidAt: new Date()
+          }
         });
         
         // Log the order object before validation
@@ -927,7 +1196,8 @@ export const processOrderWithBalance = async (req, res) => {
             title: `Order for ${website.domain}`,
             description: `Guest post order for ${website.domain}`,
             contentRequirements: {
-              wordCount: 800, // Default value
+              wordCount: item.wordCount || 800, // Default value
+              keywords: item.keywords,
               targetUrl: targetUrl,
               anchorText: anchorText,
               linkType: 'dofollow', // Default value
@@ -952,6 +1222,19 @@ export const processOrderWithBalance = async (req, res) => {
         console.log('Order saved successfully:', savedOrder.orderId);
         createdOrders.push(savedOrder);
 
+        const posting = await LedgerService.post({
+          type: 'order_payment',
+          lines: [
+            { account: 'wallet', userId: wallet.userId, debit: itemTotal },
+            { account: 'escrow', userId: wallet.userId, credit: itemTotal }
+          ],
+          orderId: savedOrder.orderId,
+          description: `Payment for order #${savedOrder.orderId} for ${website.domain}`,
+          currency: wallet.currency
+        }, { session });
+        const { balanceBefore, balanceAfter } = LedgerService.balanceChange(posting, wallet.userId);
+        newBalance = balanceAfter;
+
         // Create transaction record for advertiser
         console.log('Creating advertiser transaction with data:', {
           userId: advertiserId,
@@ -959,8 +1242,8 @@ export const processOrderWithBalance = async (req, res) => {
           type: 'deposit',
           amount: -itemTotal, // Negative because it's a deduction
           currency: wallet.currency,
-          balanceBefore: oldBalance,
-          balanceAfter: wallet.balance,
+          balanceBefore,
+          balanceAfter,
           orderId: savedOrder.orderId,
           description: `Payment for order #${savedOrder.orderId} for ${website.domain}`,
           status: 'completed'
@@ -972,8 +1255,8 @@ export const processOrderWithBalance = async (req, res) => {
           type: 'deposit',
           amount: -itemTotal, // Negative because it's a deduction
           currency: wallet.currency,
-          balanceBefore: oldBalance,
-          balanceAfter: wallet.balance,
+          balanceBefore,
+          balanceAfter,
           orderId: savedOrder.orderId,
           description: `Payment for order #${savedOrder.orderId} for ${website.domain}`,
           status: 'completed'
@@ -988,11 +1271,12 @@ export const processOrderWithBalance = async (req, res) => {
         // Create transaction record for publisher (pending until order completion)
         const publisherWallet = await Wallet.findOne({ userId: website.userId });
         if (publisherWallet) {
+          const publisherAmount = await CurrencyService.toWalletAmount(savedOrder, publisherEarnings, publisherWallet.currency);
           console.log('Creating publisher transaction with data:', {
             userId: website.userId,
             walletId: publisherWallet._id,
             type: 'earning',
-            amount: publisherEarnings,
+            amount: publisherAmount,
             currency: publisherWallet.currency,
             balanceBefore: publisherWallet.balance,
             balanceAfter: publisherWallet.balance, // Not adding yet as it's pending
@@ -1005,7 +1289,7 @@ export const processOrderWithBalance = async (req, res) => {
             userId: website.userId,
             walletId: publisherWallet._id,
             type: 'earning',
-            amount: publisherEarnings,
+            amount: publisherAmount,
             currency: publisherWallet.currency,
             balanceBefore: publisherWallet.balance,
             balanceAfter: publisherWallet.balance, // Not adding yet as it's pending
@@ -1063,7 +1347,7 @@ export const processOrderWithBalance = async (req, res) => {
         await savedOrder.save({ session });
 
         // If article data exists, save it
-        console.log('Checking for article data for item:', item.id, 'Article data:', item.articleData);
+        console.log('Checking for article data for item:', item._id, 'Article data:', item.articleData);
         if (item.articleData) {
           console.log('Saving article data for order:', savedOrder.orderId, item.articleData);
           // Update the order with article data
@@ -1082,17 +1366,34 @@ export const processOrderWithBalance = async (req, res) => {
         }
       }
 
+      // Record the promo code use against the discounted orders
+      if (promotion) {
+        await PromoCodeService.redeem(
+          promotion,
+          advertiserId,
+          createdOrders.filter(order => order.promo?.discountAmount > 0),
+          session
+        );
+      }
+
       // Commit transaction
       await session.commitTransaction();
       session.endSession();
 
+      for (const projectId of projectPrices.keys()) {
+        await ProjectService.refreshStats(projectId);
+      }
+      await OrganizationService.recordOrders(req.member, createdOrders);
+
       res.status(201).json({
         ok: true,
         message: "Orders processed successfully and balance deducted",
         data: {
           orders: createdOrders,
           totalAmount,
-          newBalance: wallet.balance
+          promoDiscount: promotion?.discountAmount || 0,
+          projectWarnings,
+          newBalance
         }
       });
     } catch (error) {
@@ -1103,6 +1404,13 @@ export const processOrderWithBalance = async (req, res) => {
       throw error;
     }
   } catch (error) {
+    if (error instanceof CartError || error instanceof PromoCodeError || error instanceof ProjectError || error instanceof LedgerError || error instanceof CurrencyError) {
+      return res.status(error.statusCode).json({
+        ok: false,
+        message: error.message,
+        error: error.details
+      });
+    }
     console.error("Error processing orders with balance:", error);
     // Log the full error stack trace
     console.error("Error stack:", error.stack);
@@ -1140,6 +1448,22 @@ export const saveArticleData = async (req, res) => {
       });
     }
 
+    // A project picked in the article form moves the order to that project
+    const previousProjectId = order.projectId;
+    let projectWarnings = [];
+    const projectChanged = articleData.projectId
+      && order.advertiserId.toString() === userId.toString()
+      && articleData.projectId.toString() !== previousProjectId?.toString();
+    if (projectChanged) {
+      ({ warnings: projectWarnings } = await ProjectService.assertOrdersFit(
+        userId,
+        articleData.projectId,
+        [order.totalPrice],
+        order.currency
+      ));
+      order.projectId = articleData.projectId;
+    }
+
     // Update the order with article data
     order.articleData = {
       ...order.articleData,
@@ -1152,16 +1476,33 @@ export const saveArticleData = async (req, res) => {
       order.articleData.createdAt = new Date();
     }
 
-    await order.save();
+    // Saves the order and keeps the edit as a new version
+    const version = await OrderVersionService.recordArticleEdit(order, req.user);
 
     console.log('Article data saved successfully for order:', orderId);
 
+    if (projectChanged) {
+      await ProjectService.refreshStats(order.projectId);
+      if (previousProjectId) {
+        await ProjectService.refreshStats(previousProjectId);
+      }
+    }
+
     res.status(200).json({
       ok: true,
       message: "Article data saved successfully",
-      data: order.articleData
+      data: order.articleData,
+      version: version.version,
+      projectWarnings
     });
   } catch (error) {
+    if (error instanceof ProjectError) {
+      return res.status(error.statusCode).json({
+        ok: false,
+        message: error.message,
+        error: error.details
+      });
+    }
     console.error("Error saving article data:", error);
     res.status(500).json({
       ok: false,
@@ -1216,17 +1557,208 @@ export const getArticleData = async (req, res) => {
   }
 };
 
+// List the stored versions of an order's content
+export const getOrderVersions = async (req, res) => {
+  try {
+    const { orderId } = req.params;
+    const userId = req.user.id;
+
+    const order = await Order.findOne({
+      orderId: orderId,
+      $or: [
+        { publisherId: userId },
+        { advertiserId: userId }
+      ]
+    });
+
+    if (!order) {
+      return res.status(404).json({
+        ok: false,
+        message: "Order not found or access denied"
+      });
+    }
+
+    const versions = await OrderVersionService.listVersions(order._id);
+
+    res.status(200).json({
+      ok: true,
+      data: versions
+    });
+  } catch (error) {
+    res.status(500).json({
+      ok: false,
+      message: "Failed to fetch versions",
+      error: error.message
+    });
+  }
+};
+
+// Get a single version with its full content
+export const getOrderVersion = async (req, res) => {
+  try {
+    const { orderId, version } = req.params;
+    const userId = req.user.id;
+
+    if (!/^\d+$/.test(version)) {
+      return res.status(400).json({
+        ok: false,
+        message: "Version must be a whole number"
+      });
+    }
+
+    const order = await Order.findOne({
+      orderId: orderId,
+      $or: [
+        { publisherId: userId },
+        { advertiserId: userId }
+      ]
+    });
+
+    if (!order) {
+      return res.status(404).json({
+        ok: false,
+        message: "Order not found or access denied"
+      });
+    }
+
+    const orderVersion = await OrderVersionService.getVersion(order._id, Number(version));
+
+    if (!orderVersion) {
+      return res.status(404).json({
+        ok: false,
+        message: "Version not found"
+      });
+    }
+
+    res.status(200).json({
+      ok: true,
+      data: orderVersion
+    });
+  } catch (error) {
+    res.status(500).json({
+      ok: false,
+      message: "Failed to fetch version",
+      error: error.message
+    });
+  }
+};
+
+// Word-level diff between two versions (defaults to the two latest)
+export const getVersionDiff = async (req, res) => {
+  try {
+    const { orderId } = req.params;
+    const { from, to } = req.query;
+    const userId = req.user.id;
+
+    if ([from, to].some(value => value !== undefined && !/^\d+$/.test(value))) {
+      return res.status(400).json({
+        ok: false,
+        message: "Versions must be whole numbers"
+      });
+    }
+
+    const order = await Order.findOne({
+      orderId: orderId,
+      $or: [
+        { publisherId: userId },
+        { advertiserId: userId }
+      ]
+    });
+
+    if (!order) {
+      return res.status(404).json({
+        ok: false,
+        message: "Order not found or access denied"
+      });
+    }
+
+    const diff = await OrderVersionService.diffVersions(
+      order._id,
+      from ? parseInt(from) : undefined,
+      to ? parseInt(to) : undefined
+    );
+
+    if (!diff) {
+      return res.status(404).json({
+        ok: false,
+        message: "Two versions are needed to compare"
+      });
+    }
+
+    res.status(200).json({
+      ok: true,
+      data: diff
+    });
+  } catch (error) {
+    res.status(500).json({
+      ok: false,
+      message: "Failed to compare versions",
+      error: error.message
+    });
+  }
+};
+
+// Link monitoring results for a delivered order
+export const getLinkHealth = async (req, res) => {
+  try {
+    const { orderId } = req.params;
+    const userId = req.user.id;
+
+    const order = await Order.findOne({
+      orderId: orderId,
+      $or: [
+        { publisherId: userId },
+        { advertiserId: userId }
+      ]
+    }).select('orderId status submittedContent.publishedUrl contentRequirements linkHealth');
+
+    if (!order) {
+      return res.status(404).json({
+        ok: false,
+        message: "Order not found or access denied"
+      });
+    }
+
+    res.status(200).json({
+      ok: true,
+      data: {
+        orderId: order.orderId,
+        publishedUrl: order.submittedContent?.publishedUrl,
+        targetUrl: order.contentRequirements?.targetUrl,
+        anchorText: order.contentRequirements?.anchorText,
+        linkType: order.contentRequirements?.linkType,
+        ...order.toObject().linkHealth
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      ok: false,
+      message: "Failed to fetch link health",
+      error: error.message
+    });
+  }
+};
+
 export default {
   getPublisherDashboard,
   getPublisherOrders,
   approveOrder,
   rejectOrder,
+  startOrder,
   submitOrder,
+  getOrderRevisions,
+  respondToRevision,
+  requestOrderCancellation,
+  respondToOrderCancellation,
   createOrder,
   getOrderDetails,
   addOrderMessage,
   createOrderChat,
   processOrderWithBalance,
   saveArticleData,
-  getArticleData
+  getArticleData,
+  getOrderVersions,
+  getOrderVersion,
+  getVersionDiff,
+  getLinkHealth
 };
@@ -0,0 +1,220 @@
+import OrderTemplateService, { OrderTemplateError } from "../services/OrderTemplateService.js";
+import { CartError } from "../services/CartService.js";
+
+// Own templates and templates shared in the advertiser's projects
+export const getTemplates = async (req, res) => {
+  try {
+    const templates = await OrderTemplateService.listTemplates(req.user.id, { projectId: req.query.projectId });
+
+    res.status(200).json({
+      ok: true,
+      message: "Templates retrieved successfully",
+      data: templates
+    });
+  } catch (error) {
+    if (error instanceof OrderTemplateError) {
+      return res.status(error.statusCode).json({
+        ok: false,
+        message: error.message,
+        error: error.details
+      });
+    }
+    res.status(500).json({
+      ok: false,
+      message: "Failed to fetch templates",
+      error: error.message
+    });
+  }
+};
+
+// Single template
+export const getTemplate = async (req, res) => {
+  try {
+    const template = await OrderTemplateService.getTemplate(req.user.id, req.params.templateId);
+
+    res.status(200).json({
+      ok: true,
+      message: "Template retrieved successfully",
+      data: template
+    });
+  } catch (error) {
+    if (error instanceof OrderTemplateError) {
+      return res.status(error.statusCode).json({
+        ok: false,
+        message: error.message,
+        error: error.details
+      });
+    }
+    res.status(500).json({
+      ok: false,
+      message: "Failed to fetch template",
+      error: error.message
+    });
+  }
+};
+
+// Save an order configuration as a named template
+export const createTemplate = async (req, res) => {
+  try {
+    const template = await OrderTemplateService.createTemplate(req.user.id, req.body);
+
+    res.status(201).json({
+      ok: true,
+      message: "Template created",
+      data: template
+    });
+  } catch (error) {
+    if (error instanceof OrderTemplateError) {
+      return res.status(error.statusCode).json({
+        ok: false,
+        message: error.message,
+        error: error.details
+      });
+    }
+    res.status(500).json({
+      ok: false,
+      message: "Failed to create template",
+      error: error.message
+    });
+  }
+};
+
+// Save the configuration of a past order as a template
+export const createTemplateFromOrder = async (req, res) => {
+  try {
+    const template = await OrderTemplateService.createFromOrder(req.user.id, req.params.orderId, req.body);
+
+    res.status(201).json({
+      ok: true,
+      message: "Template created from order",
+      data: template
+    });
+  } catch (error) {
+    if (error instanceof OrderTemplateError) {
+      return res.status(error.statusCode).json({
+        ok: false,
+        message: error.message,
+        error: error.details
+      });
+    }
+    res.status(500).json({
+      ok: false,
+      message: "Failed to create template",
+      error: error.message
+    });
+  }
+};
+
+// Change a template (owner only)
+export const updateTemplate = async (req, res) => {
+  try {
+    const template = await OrderTemplateService.updateTemplate(req.user.id, req.params.templateId, req.body);
+
+    res.status(200).json({
+      ok: true,
+      message: "Template updated",
+      data: template
+    });
+  } catch (error) {
+    if (error instanceof OrderTemplateError) {
+      return res.status(error.statusCode).json({
+        ok: false,
+        message: error.message,
+        error: error.details
+      });
+    }
+    res.status(500).json({
+      ok: false,
+      message: "Failed to update template",
+      error: error.message
+    });
+  }
+};
+
+// Delete a template (owner only)
+export const deleteTemplate = async (req, res) => {
+  try {
+    await OrderTemplateService.deleteTemplate(req.user.id, req.params.templateId);
+
+    res.status(200).json({
+      ok: true,
+      message: "Template deleted"
+    });
+  } catch (error) {
+    if (error instanceof OrderTemplateError) {
+      return res.status(error.statusCode).json({
+        ok: false,
+        message: error.message,
+        error: error.details
+      });
+    }
+    res.status(500).json({
+      ok: false,
+      message: "Failed to delete template",
+      error: error.message
+    });
+  }
+};
+
+// Add a template to the cart on its own website or the one given
+export const addTemplateToCart = async (req, res) => {
+  try {
+    const cart = await OrderTemplateService.addTemplateToCart(req.user.id, req.params.templateId, { websiteId: req.body.websiteId });
+
+    res.status(201).json({
+      ok: true,
+      message: "Template added to cart",
+      data: cart
+    });
+  } catch (error) {
+    if (error instanceof OrderTemplateError || error instanceof CartError) {
+      return res.status(error.statusCode).json({
+        ok: false,
+        message: error.message,
+        error: error.details
+      });
+    }
+    res.status(500).json({
+      ok: false,
+      message: "Failed to add template to cart",
+      error: error.message
+    });
+  }
+};
+
+// Add a past order to the cart again, pre-filled and priced at current rates
+export const reorder = async (req, res) => {
+  try {
+    const cart = await OrderTemplateService.reorder(req.user.id, req.params.orderId, { websiteId: req.body.websiteId });
+
+    res.status(201).json({
+      ok: true,
+      message: "Order added to cart",
+      data: cart
+    });
+  } catch (error) {
+    if (error instanceof OrderTemplateError || error instanceof CartError) {
+      return res.status(error.statusCode).json({
+        ok: false,
+        message: error.message,
+        error: error.details
+      });
+    }
+    res.status(500).json({
+      ok: false,
+      message: "Failed to reorder",
+      error: error.message
+    });
+  }
+};
+
+export default {
+  getTemplates,
+  getTemplate,
+  createTemplate,
+  createTemplateFromOrder,
+  updateTemplate,
+  deleteTemplate,
+  addTemplateToCart,
+  reorder
+};
@@ -0,0 +1,302 @@
+import OrganizationService, { OrganizationError } from "../services/OrganizationService.js";
+
+// Organization of the logged-in member with its members
+export const getOrganization = async (req, res) => {
+  try {
+    const organization = await OrganizationService.getMemberOrganization(req.member);
+
+    res.status(200).json({
+      ok: true,
+      message: "Organization retrieved successfully",
+      data: organization
+    });
+  } catch (error) {
+    if (error instanceof OrganizationError) {
+      return res.status(error.statusCode).json({
+        ok: false,
+        message: error.message,
+        error: error.details
+      });
+    }
+    res.status(500).json({
+      ok: false,
+      message: "Failed to fetch organization",
+      error: error.message
+    });
+  }
+};
+
+// Start an organization with the logged-in advertiser as owner
+export const createOrganization = async (req, res) => {
+  try {
+    const organization = await OrganizationService.createOrganization(req.member?.user || req.user, req.body);
+
+    res.status(201).json({
+      ok: true,
+      message: "Organization created successfully",
+      data: organization
+    });
+  } catch (error) {
+    if (error instanceof OrganizationError) {
+      return res.status(error.statusCode).json({
+        ok: false,
+        message: error.message,
+        error: error.details
+      });
+    }
+    res.status(500).json({
+      ok: false,
+      message: "Failed to create organization",
+      error: error.message
+    });
+  }
+};
+
+// Rename the organization (owner)
+export const renameOrganization = async (req, res) => {
+  try {
+    const organization = await OrganizationService.renameOrganization(req.member, req.body.name);
+
+    res.status(200).json({
+      ok: true,
+      message: "Organization updated successfully",
+      data: organization
+    });
+  } catch (error) {
+    if (error instanceof OrganizationError) {
+      return res.status(error.statusCode).json({
+        ok: false,
+        message: error.message,
+        error: error.details
+      });
+    }
+    res.status(500).json({
+      ok: false,
+      message: "Failed to update organization",
+      error: error.message
+    });
+  }
+};
+
+// Leave the organization and go back to the own account
+export const leaveOrganization = async (req, res) => {
+  try {
+    await OrganizationService.leaveOrganization(req.member);
+
+    res.status(200).json({
+      ok: true,
+      message: "You have left the organization"
+    });
+  } catch (error) {
+    if (error instanceof OrganizationError) {
+      return res.status(error.statusCode).json({
+        ok: false,
+        message: error.message,
+        error: error.details
+      });
+    }
+    res.status(500).json({
+      ok: false,
+      message: "Failed to leave organization",
+      error: error.message
+    });
+  }
+};
+
+// Change the role of a member (owner)
+export const updateMemberRole = async (req, res) => {
+  try {
+    const organization = await OrganizationService.updateMemberRole(req.member, req.params.userId, req.body.role);
+
+    res.status(200).json({
+      ok: true,
+      message: "Member role updated successfully",
+      data: organization
+    });
+  } catch (error) {
+    if (error instanceof OrganizationError) {
+      return res.status(error.statusCode).json({
+        ok: false,
+        message: error.message,
+        error: error.details
+      });
+    }
+    res.status(500).json({
+      ok: false,
+      message: "Failed to update member role",
+      error: error.message
+    });
+  }
+};
+
+// Remove a member from the organization (owner)
+export const removeMember = async (req, res) => {
+  try {
+    const organization = await OrganizationService.removeMember(req.member, req.params.userId);
+
+    res.status(200).json({
+      ok: true,
+      message: "Member removed successfully",
+      data: organization
+    });
+  } catch (error) {
+    if (error instanceof OrganizationError) {
+      return res.status(error.statusCode).json({
+        ok: false,
+        message: error.message,
+        error: error.details
+      });
+    }
+    res.status(500).json({
+      ok: false,
+      message: "Failed to remove member",
+      error: error.message
+    });
+  }
+};
+
+// Pending invitations (owner)
+export const getInvitations = async (req, res) => {
+  try {
+    const invitations = await OrganizationService.listInvitations(req.member);
+
+    res.status(200).json({
+      ok: true,
+      message: "Invitations retrieved successfully",
+      data: invitations
+    });
+  } catch (error) {
+    if (error instanceof OrganizationError) {
+      return res.status(error.statusCode).json({
+        ok: false,
+        message: error.message,
+        error: error.details
+      });
+    }
+    res.status(500).json({
+      ok: false,
+      message: "Failed to fetch invitations",
+      error: error.message
+    });
+  }
+};
+
+// Invite someone by email (owner)
+export const inviteMember = async (req, res) => {
+  try {
+    const result = await OrganizationService.inviteMember(req.member, req.member?.user, req.body);
+
+    res.status(201).json({
+      ok: true,
+      message: result.emailSent
+        ? "Invitation sent successfully"
+        : "Invitation created but the email could not be sent",
+      data: result.invitation
+    });
+  } catch (error) {
+    if (error instanceof OrganizationError) {
+      return res.status(error.statusCode).json({
+        ok: false,
+        message: error.message,
+        error: error.details
+      });
+    }
+    res.status(500).json({
+      ok: false,
+      message: "Failed to send invitation",
+      error: error.message
+    });
+  }
+};
+
+// Withdraw a pending invitation (owner)
+export const revokeInvitation = async (req, res) => {
+  try {
+    const invitation = await OrganizationService.revokeInvitation(req.member, req.params.invitationId);
+
+    res.status(200).json({
+      ok: true,
+      message: "Invitation revoked successfully",
+      data: invitation
+    });
+  } catch (error) {
+    if (error instanceof OrganizationError) {
+      return res.status(error.statusCode).json({
+        ok: false,
+        message: error.message,
+        error: error.details
+      });
+    }
+    res.status(500).json({
+      ok: false,
+      message: "Failed to revoke invitation",
+      error: error.message
+    });
+  }
+};
+
+// Join an organization with the token from the invitation email
+export const acceptInvitation = async (req, res) => {
+  try {
+    const organization = await OrganizationService.acceptInvitation(req.member?.user || req.user, req.params.token);
+
+    res.status(200).json({
+      ok: true,
+      message: "You have joined the organization",
+      data: organization
+    });
+  } catch (error) {
+    if (error instanceof OrganizationError) {
+      return res.status(error.statusCode).json({
+        ok: false,
+        message: error.message,
+        error: error.details
+      });
+    }
+    res.status(500).json({
+      ok: false,
+      message: "Failed to accept invitation",
+      error: error.message
+    });
+  }
+};
+
+// Audit trail of the organization: who placed which order, member changes
+export const getAuditLog = async (req, res) => {
+  try {
+    const auditLog = await OrganizationService.getAuditLog(req.member, req.query);
+
+    res.status(200).json({
+      ok: true,
+      message: "Audit log retrieved successfully",
+      data: auditLog
+    });
+  } catch (error) {
+    if (error instanceof OrganizationError) {
+      return res.status(error.statusCode).json({
+        ok: false,
+        message: error.message,
+        error: error.details
+      });
+    }
+    res.status(500).json({
+      ok: false,
+      message: "Failed to fetch audit log",
+      error: error.message
+    });
+  }
+};
+
+export default {
+  getOrganization,
+  createOrganization,
+  renameOrganization,
+  leaveOrganization,
+  updateMemberRole,
+  removeMember,
+  getInvitations,
+  inviteMember,
+  revokeInvitation,
+  acceptInvitation,
+  getAuditLog
+};
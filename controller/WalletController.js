@@ -1,9 +1,13 @@
 import Wallet from "../model/Wallet.js";
 import Transaction from "../model/Transaction.js";
 import Withdrawal from "../model/Withdrawal.js";
-import { Notification } from "../Models/NotificationModel.js";
 import User from "../model/User.js";
 import mongoose from "mongoose";
+import LedgerService, { LedgerError } from "../services/LedgerService.js";
+import WithdrawalService, { WithdrawalError } from "../services/WithdrawalService.js";
+import PaymentMethodService, { PaymentMethodError } from "../services/PaymentMethodService.js";
+import FieldEncryptionService from "../services/FieldEncryptionService.js";
+import CurrencyService, { CurrencyError } from "../services/CurrencyService.js";
 
 // Get User Wallet
 export const getUserWallet = async (req, res) => {
@@ -31,9 +35,9 @@ export const getUserWallet = async (req, res) => {
     res.status(200).json({
       ok: true,
       data: {
-        wallet,
+        wallet: PaymentMethodService.maskWallet(wallet),
         recentTransactions,
-        pendingWithdrawals
+        pendingWithdrawals: pendingWithdrawals.map(withdrawal => PaymentMethodService.maskWithdrawal(withdrawal))
       }
     });
   } catch (error) {
@@ -100,9 +104,10 @@ export const addPaymentMethod = async (req, res) => {
     // Add new payment method
     const newPaymentMethod = {
       type,
-      details,
+      details: FieldEncryptionService.encryptDetails(details),
       isDefault: setAsDefault || wallet.paymentMethods.length === 0,
       isVerified: false,
+      verification: PaymentMethodService.initialVerification(req.file),
       addedAt: new Date()
     };
 
@@ -111,8 +116,8 @@ export const addPaymentMethod = async (req, res) => {
 
     res.status(201).json({
       ok: true,
-      message: "Payment method added successfully",
-      data: newPaymentMethod
+      message: "Payment method added and submitted for verification",
+      data: PaymentMethodService.toResponse(wallet.paymentMethods[wallet.paymentMethods.length - 1])
     });
   } catch (error) {
     res.status(400).json({
@@ -122,11 +127,41 @@ export const addPaymentMethod = async (req, res) => {
   }
 };
 
+// Confirm a bank account with the code from the micro-deposit reference
+export const confirmPaymentMethod = async (req, res) => {
+  try {
+    const paymentMethod = await PaymentMethodService.confirmMicroDeposit(
+      req.user.id,
+      req.params.methodId,
+      req.body.code
+    );
+
+    res.status(200).json({
+      ok: true,
+      message: "Payment method verified",
+      data: paymentMethod
+    });
+  } catch (error) {
+    if (error instanceof PaymentMethodError) {
+      return res.status(error.statusCode).json({
+        ok: false,
+        message: error.message,
+        error: error.details
+      });
+    }
+    res.status(500).json({
+      ok: false,
+      message: "Failed to confirm payment method",
+      error: error.message
+    });
+  }
+};
+
 // Add Funds to Wallet
 export const addFunds = async (req, res) => {
   try {
     const userId = req.user.id;
-    const { amount } = req.body;
+    const { amount, currency } = req.body;
 
     // Validate amount
     if (!amount || amount <= 0) {
@@ -144,21 +179,34 @@ export const addFunds = async (req, res) => {
       wallet = await Wallet.create({ userId });
     }
 
+    // Money is kept in the currency it was paid in
+    const depositCurrency = currency || wallet.currency;
+    CurrencyService.assertSupported(depositCurrency);
+    const description = `Deposit of ${amount} ${depositCurrency}`;
+
     // Add funds to wallet
-    const oldBalance = wallet.balance;
-    wallet.balance += amount;
-    await wallet.save();
+    const posting = await LedgerService.post({
+      type: 'deposit',
+      lines: [
+        { account: 'external', debit: amount },
+        { account: 'wallet', userId: wallet.userId, credit: amount }
+      ],
+      description,
+      currency: depositCurrency
+    });
+    const { balanceBefore, balanceAfter } = LedgerService.balanceChange(posting, wallet.userId);
+    wallet = posting.wallets.get(wallet.userId.toString());
 
     // Create transaction record
     const transaction = new Transaction({
       userId,
       walletId: wallet._id,
       type: 'deposit',
-      amount: amount,
-      currency: wallet.currency,
-      description: `Deposit of $${amount}`,
-      balanceBefore: oldBalance,
-      balanceAfter: wallet.balance,
+      amount,
+      currency: depositCurrency,
+      description,
+      balanceBefore,
+      balanceAfter,
       status: 'completed'
     });
 
@@ -168,11 +216,18 @@ export const addFunds = async (req, res) => {
       ok: true,
       message: "Funds added successfully",
       data: {
-        wallet,
+        wallet: PaymentMethodService.maskWallet(wallet),
         transaction
       }
     });
   } catch (error) {
+    if (error instanceof CurrencyError) {
+      return res.status(error.statusCode).json({
+        ok: false,
+        message: error.message,
+        error: error.details
+      });
+    }
     res.status(500).json({
       ok: false,
       message: "Failed to add funds",
@@ -184,113 +239,33 @@ export const addFunds = async (req, res) => {
 // Request Withdrawal
 export const requestWithdrawal = async (req, res) => {
   try {
-    const userId = req.user.id;
-    const { amount, paymentMethodId, notes } = req.body;
-
-    // Validate amount
-    if (!amount || amount <= 0) {
-      return res.status(400).json({
-        ok: false,
-        message: "Invalid withdrawal amount"
-      });
-    }
-
-    // Get user wallet
-    const wallet = await Wallet.findOne({ userId });
-    if (!wallet) {
-      return res.status(404).json({
-        ok: false,
-        message: "Wallet not found"
-      });
-    }
-
-    // Check if user has sufficient balance
-    if (wallet.balance < amount) {
-      return res.status(400).json({
-        ok: false,
-        message: "Insufficient balance"
-      });
-    }
-
-    // Check minimum withdrawal amount
-    if (amount < wallet.withdrawalSettings.minimumAmount) {
-      return res.status(400).json({
-        ok: false,
-        message: `Minimum withdrawal amount is $${wallet.withdrawalSettings.minimumAmount}`
-      });
-    }
-
-    // Get payment method
-    const paymentMethod = wallet.paymentMethods.id(paymentMethodId);
-    if (!paymentMethod) {
-      return res.status(404).json({
-        ok: false,
-        message: "Payment method not found"
-      });
-    }
-
-    if (!paymentMethod.isVerified) {
-      return res.status(400).json({
-        ok: false,
-        message: "Payment method is not verified"
-      });
-    }
-
-    // Calculate fees
-    const platformFee = amount * 0.02; // 2% platform fee
-    const paymentProcessingFee = calculateProcessingFee(paymentMethod.type, amount);
-    const totalFees = platformFee + paymentProcessingFee;
-    const netAmount = amount - totalFees;
-
-    // Create withdrawal request
-    const withdrawal = new Withdrawal({
-      userId,
-      walletId: wallet._id,
-      requestedAmount: amount,
-      fees: {
-        platformFee,
-        paymentProcessingFee,
-        totalFees
-      },
-      netAmount,
-      currency: wallet.currency,
-      paymentMethod: {
-        type: paymentMethod.type,
-        details: paymentMethod.details
-      },
-      status: 'pending',
-      notes: notes || '',
+    const { amount, currency, paymentMethodId, payoutCurrency, notes } = req.body;
+
+    const withdrawal = await WithdrawalService.requestWithdrawal(req.user.id, {
+      amount,
+      currency,
+      paymentMethodId,
+      payoutCurrency,
+      notes,
       verification: {
         ipAddress: req.ip,
         userAgent: req.headers['user-agent']
       }
     });
 
-    await withdrawal.save();
-
-    // Update wallet flags
-    wallet.flags.hasPendingWithdrawal = true;
-    await wallet.save();
-
-    // Send notification to user
-    await Notification.create({
-      userId,
-      userRole: req.user.role,
-      type: 'withdrawal_requested',
-      title: 'Withdrawal Request Submitted',
-      message: `Your withdrawal request for $${amount} has been submitted and is pending review.`,
-      channels: {
-        inApp: { delivered: true },
-        email: { sent: true }
-      }
-    });
-
     res.status(201).json({
       ok: true,
       message: "Withdrawal request submitted successfully",
-      data: withdrawal
+      data: PaymentMethodService.maskWithdrawal(withdrawal)
     });
   } catch (error) {
+    if (error instanceof WithdrawalError || error instanceof LedgerError || error instanceof CurrencyError) {
+      return res.status(error.statusCode).json({
+        ok: false,
+        message: error.message,
+        error: error.details
+      });
+    }
     res.status(500).json({
       ok: false,
       message: "Failed to process withdrawal request",
@@ -398,7 +373,7 @@ export const getWithdrawalHistory = async (req, res) => {
 
     res.status(200).json({
       ok: true,
-      data: withdrawals,
+      data: withdrawals.map(withdrawal => PaymentMethodService.maskWithdrawal(withdrawal)),
       pagination: {
         current: parseInt(page),
         pages: Math.ceil(total / limit),
@@ -454,6 +429,81 @@ export const updateWithdrawalSettings = async (req, res) => {
   }
 };
 
+// Change the Main Wallet Currency
+export const changeWalletCurrency = async (req, res) => {
+  try {
+    const { currency } = req.body;
+    if (!currency) {
+      return res.status(400).json({
+        ok: false,
+        message: "Currency is required"
+      });
+    }
+
+    const { wallet, exchangeRate } = await CurrencyService.setMainCurrency(req.user.id, currency);
+
+    res.status(200).json({
+      ok: true,
+      message: `Main wallet currency changed to ${currency}`,
+      data: {
+        wallet: PaymentMethodService.maskWallet(wallet),
+        exchangeRate
+      }
+    });
+  } catch (error) {
+    if (error instanceof CurrencyError || error instanceof LedgerError) {
+      return res.status(error.statusCode).json({
+        ok: false,
+        message: error.message,
+        error: error.details
+      });
+    }
+    res.status(500).json({
+      ok: false,
+      message: "Failed to change wallet currency",
+      error: error.message
+    });
+  }
+};
+
+// Convert Balance Between Currencies
+export const convertWalletBalance = async (req, res) => {
+  try {
+    const { from, to, amount } = req.body;
+    if (!to || !amount) {
+      return res.status(400).json({
+        ok: false,
+        message: "Target currency and amount are required"
+      });
+    }
+
+    const { wallet, transactions, exchangeRate } = await CurrencyService.convertBalance(req.user.id, { from, to, amount });
+
+    res.status(200).json({
+      ok: true,
+      message: `Balance converted to ${to}`,
+      data: {
+        wallet: PaymentMethodService.maskWallet(wallet),
+        transactions,
+        exchangeRate
+      }
+    });
+  } catch (error) {
+    if (error instanceof CurrencyError || error instanceof LedgerError) {
+      return res.status(error.statusCode).json({
+        ok: false,
+        message: error.message,
+        error: error.details
+      });
+    }
+    res.status(500).json({
+      ok: false,
+      message: "Failed to convert balance",
+      error: error.message
+    });
+  }
+};
+
 // Get Earnings Analytics
 export const getEarningsAnalytics = async (req, res) => {
   try {
@@ -599,25 +649,6 @@ export const getEarningsAnalytics = async (req, res) => {
   }
 };
 
-// Helper function to calculate processing fees
-const calculateProcessingFee = (paymentType, amount) => {
-  switch (paymentType) {
-    case 'paypal':
-      return amount * 0.029 + 0.30; // PayPal standard rate
-    case 'stripe':
-      return amount * 0.029 + 0.30; // Stripe standard rate
-    case 'bank_transfer':
-      return Math.min(amount * 0.01, 25); // 1% capped at $25
-    case 'jazzcash':
-    case 'easypaisa':
-      return amount * 0.015; // 1.5% for mobile payments
-    case 'crypto':
-      return 5; // Flat $5 for crypto
-    default:
-      return 0;
-  }
-};
-
 // Deduct funds from wallet for order placement
 export const deductFundsForOrder = async (req, res) => {
   try {
@@ -633,7 +664,7 @@ export const deductFundsForOrder = async (req, res) => {
     }
 
     // Get user wallet
-    const wallet = await Wallet.findOne({ userId });
+    let wallet = await Wallet.findOne({ userId });
     if (!wallet) {
       return res.status(404).json({
         ok: false,
@@ -649,11 +680,19 @@ export const deductFundsForOrder = async (req, res) => {
       });
     }
 
-    // Deduct funds from wallet
-    const oldBalance = wallet.balance;
-    wallet.balance -= amount;
-    wallet.totalEarnings += amount; // This might need adjustment based on business logic
-    await wallet.save();
+    // Move the funds from the wallet into escrow
+    const posting = await LedgerService.post({
+      type: 'order_payment',
+      lines: [
+        { account: 'wallet', userId: wallet.userId, debit: amount },
+        { account: 'escrow', userId: wallet.userId, credit: amount }
+      ],
+      orderId: orderId || undefined,
+      description: description || `Payment for order`,
+      currency: wallet.currency
+    });
+    const { balanceBefore, balanceAfter } = LedgerService.balanceChange(posting, wallet.userId);
+    wallet = posting.wallets.get(wallet.userId.toString());
 
     // Create transaction record
     const transaction = new Transaction({
@@ -662,8 +701,8 @@ export const deductFundsForOrder = async (req, res) => {
       type: 'deposit',
       amount: -amount, // Negative because it's a deduction
       currency: wallet.currency,
-      balanceBefore: oldBalance,
-      balanceAfter: wallet.balance,
+      balanceBefore,
+      balanceAfter,
       orderId: orderId || null,
       description: description || `Payment for order`,
       status: 'completed'
@@ -675,11 +714,18 @@ export const deductFundsForOrder = async (req, res) => {
       ok: true,
       message: "Funds deducted successfully",
       data: {
-        wallet,
+        wallet: PaymentMethodService.maskWallet(wallet),
         transaction
       }
     });
   } catch (error) {
+    if (error instanceof LedgerError) {
+      return res.status(error.statusCode).json({
+        ok: false,
+        message: error.message,
+        error: error.details
+      });
+    }
     res.status(500).json({
       ok: false,
       message: "Failed to deduct funds",
@@ -691,10 +737,13 @@ export const deductFundsForOrder = async (req, res) => {
 export default {
   getUserWallet,
   addPaymentMethod,
+  confirmPaymentMethod,
   requestWithdrawal,
   getTransactionHistory,
   getWithdrawalHistory,
   updateWithdrawalSettings,
+  changeWalletCurrency,
+  convertWalletBalance,
   getEarningsAnalytics,
   addFunds,
   deductFundsForOrder
@@ -1,4 +1,5 @@
 import Website from "../model/Website.js";
+import Wallet from "../model/Wallet.js";
 import axios from "axios";
 import GoogleVerificationService from "../service/GoogleVerificationService.js";
 
@@ -63,12 +64,17 @@ export const addWebsite = async (req, res) => {
     publishingPrice = 100,
     copywritingPrice = 50,
     homepageAnnouncementPrice = 0,
+    currency,
     linkType = 'dofollow',
     numberOfLinks = 1,
     discountPercentage = 0,
     acceptedSensitiveCategories = [],
     sensitiveContentExtraCharge = 0,
     articleEditingPercentage = 10,
+    revisionRounds = 2,
+    extraRevisionPrice = 0,
+    revisionLimitAction = 'dispute',
+    guaranteeMonths = 12,
     publishingFormats = ['article'],
     hideDomain = false,
     status = 'draft',
@@ -104,6 +110,9 @@ export const addWebsite = async (req, res) => {
       });
     }
     
+    // Prices are in the given currency, or the publisher's wallet currency
+    const publisherWallet = currency ? null : await Wallet.findOne({ userId: req.user.id }).select('currency');
+
     // Create new website entry
     const websiteData = {
       domain: normalizedDomain,
@@ -122,12 +131,17 @@ export const addWebsite = async (req, res) => {
       publishingPrice: parseFloat(publishingPrice),
       copywritingPrice: parseFloat(copywritingPrice),
       homepageAnnouncementPrice: parseFloat(homepageAnnouncementPrice) || 0,
+      currency: currency || publisherWallet?.currency || 'USD',
       linkType: linkType || 'dofollow',
       numberOfLinks: parseInt(numberOfLinks) || 1,
       discountPercentage: parseFloat(discountPercentage) || 0,
       acceptedSensitiveCategories: Array.isArray(acceptedSensitiveCategories) ? acceptedSensitiveCategories : [],
       sensitiveContentExtraCharge: parseFloat(sensitiveContentExtraCharge) || 0,
       articleEditingPercentage: parseFloat(articleEditingPercentage) || 10,
+      revisionRounds: Number.isNaN(parseInt(revisionRounds)) ? 2 : parseInt(revisionRounds),
+      extraRevisionPrice: parseFloat(extraRevisionPrice) || 0,
+      revisionLimitAction,
+      guaranteeMonths: Number.isNaN(parseInt(guaranteeMonths)) ? 12 : parseInt(guaranteeMonths),
       publishingFormats: Array.isArray(publishingFormats) ? publishingFormats : ['article'],
       hideDomain: Boolean(hideDomain),
       status,
@@ -586,8 +600,9 @@ export const updateWebsite = async (req, res) => {
       'siteDescription', 'advertisingRequirements', 'publishingSections',
       'category', 'additionalCategories', 'keywords', 'country', 'region', 'city', 'additionalCountries',
       'mainLanguage', 'additionalLanguages', 'publishingPrice', 'copywritingPrice',
-      'homepageAnnouncementPrice', 'linkType', 'numberOfLinks', 'discountPercentage',
+      'homepageAnnouncementPrice', 'currency', 'linkType', 'numberOfLinks', 'discountPercentage',
       'acceptedSensitiveCategories', 'sensitiveContentExtraCharge', 'articleEditingPercentage',
+      'revisionRounds', 'extraRevisionPrice', 'revisionLimitAction', 'guaranteeMonths',
       'publishingFormats', 'hideDomain'
     ];
     
@@ -1,5 +1,6 @@
 import { validationResult } from 'express-validator';
 import Project from '../model/Project.js';
+import ProjectService from '../services/ProjectService.js';
 
 export class AdminProjectController {
   
@@ -252,11 +253,10 @@ export class AdminProjectController {
     }
   }
 
-  // Update project statistics (admin)
+  // Recompute project statistics from its orders (admin)
   static async updateProjectStats(req, res) {
     try {
       const { projectId } = req.params;
-      const { stats } = req.body;
       
       const project = await Project.findById(projectId);
       
@@ -267,19 +267,12 @@ export class AdminProjectController {
         });
       }
       
-      // Update stats
-      Object.keys(stats).forEach(key => {
-        if (project.stats.hasOwnProperty(key)) {
-          project.stats[key] = stats[key];
-        }
-      });
-      
-      await project.save();
+      const updated = await ProjectService.recomputeStats(project._id);
       
       res.json({
         success: true,
         message: 'Project statistics updated successfully',
-        data: project
+        data: updated
       });
 
     } catch (error) {
@@ -275,11 +275,14 @@ export class PaymentController {
           await escrow.save();
         }
 
-        // Update order status
+        // Mark the order paid; its status only moves through OrderLifecycleService
         const order = await Order.findById(payment.orderId);
         if (order) {
-          order.status = 'paid';
-          order.paidAt = new Date();
+          order.paymentStatus = 'paid';
+          order.paymentDetails = {
+            ...order.paymentDetails,
+            paidAt: new Date()
+          };
           await order.save();
         }
 
@@ -379,11 +382,11 @@ export class PaymentController {
 
       await transaction.save();
 
-      // Update order status
+      // Mark the order's payment released; its status only moves through OrderLifecycleService
       await Order.findByIdAndUpdate(escrow.orderId._id, {
-        status: 'completed',
-        completedAt: new Date()
-      });
+        paymentStatus: 'released',
+        'paymentDetails.releasedAt': new Date()
+      }, { runValidators: true });
 
       // Send notifications
       await this.sendEscrowNotifications(escrow, 'released');
@@ -519,10 +522,10 @@ export class PaymentController {
 
   // Handle failed payments
   static async handleFailedPayment(payment) {
-    // Update order status
+    // The order stays unpaid; its status only moves through OrderLifecycleService
     await Order.findByIdAndUpdate(payment.orderId, {
-      status: 'payment_failed'
-    });
+      paymentStatus: 'pending'
+    }, { runValidators: true });
 
     // Update escrow status
     await Escrow.findOneAndUpdate(
@@ -1,6 +1,15 @@
 import { validationResult } from 'express-validator';
 import Project from '../model/Project.js';
 import User from '../model/User.js'; // Import User model for population
+import Wallet from '../model/Wallet.js';
+import ProjectService, { ProjectError } from '../services/ProjectService.js';
+import ProjectReportService from '../services/ProjectReportService.js';
+
+// Export formats of the project report
+const REPORT_FORMATS = {
+  csv: 'text/csv; charset=utf-8',
+  pdf: 'application/pdf'
+};
 
 export class ProjectController {
   
@@ -25,9 +34,14 @@ export class ProjectController {
         minPostBudget, 
         maxPostBudget, 
         postsRequired, 
-        description 
+        description,
+        budgetEnforcement,
+        currency
       } = req.body;
-      
+
+      // Budgets default to the currency the owner pays orders in
+      const wallet = currency ? null : await Wallet.findOne({ userId: req.user.id }).select('currency');
+
       const project = new Project({
         title,
         website,
@@ -38,6 +52,8 @@ export class ProjectController {
         maxPostBudget,
         postsRequired,
         description,
+        budgetEnforcement,
+        currency: currency || wallet?.currency,
         userId: req.user.id,
         stats: {
           finishedPosts: 0,
@@ -326,17 +342,20 @@ export class ProjectController {
       
       // Update project fields
       Object.keys(updateData).forEach(key => {
-        if (key !== 'userId' && key !== '_id') { // Don't allow updating userId or _id
+        if (!['userId', '_id', 'stats', 'clientId'].includes(key)) { // Fixed, derived from orders, or tagged via clients
           project[key] = updateData[key];
         }
       });
-      
+
+      // Spent budget is kept in the project's currency
+      const currencyChanged = project.isModified('currency');
       await project.save();
+      const updated = currencyChanged ? await ProjectService.refreshStats(project._id) : null;
       
       res.json({
         success: true,
         message: 'Project updated successfully',
-        data: project
+        data: updated || project
       });
 
     } catch (error) {
@@ -393,11 +412,10 @@ export class ProjectController {
     }
   }
 
-  // Update project statistics
+  // Recompute project statistics from its orders
   static async updateProjectStats(req, res) {
     try {
       const { id } = req.params;
-      const { stats } = req.body;
       
       const project = await Project.findById(id);
       
@@ -421,19 +439,12 @@ export class ProjectController {
         });
       }
       
-      // Update stats
-      Object.keys(stats).forEach(key => {
-        if (project.stats.hasOwnProperty(key)) {
-          project.stats[key] = stats[key];
-        }
-      });
-      
-      await project.save();
+      const updated = await ProjectService.recomputeStats(project._id);
       
       res.json({
         success: true,
         message: 'Project statistics updated successfully',
-        data: project
+        data: updated
       });
 
     } catch (error) {
@@ -445,6 +456,70 @@ export class ProjectController {
       });
     }
   }
+
+  // Project dashboard: orders by status, spend against budget and placed links
+  static async getProjectDashboard(req, res) {
+    try {
+      const project = await ProjectService.findAccessibleProject(req.user.id, req.params.id);
+      const report = await ProjectReportService.buildReport(project);
+
+      res.json({
+        success: true,
+        data: report
+      });
+
+    } catch (error) {
+      if (error instanceof ProjectError) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message
+        });
+      }
+      console.error('Get project dashboard error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to retrieve project dashboard',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  // Download the project report as CSV or PDF to share with clients
+  static async exportProjectReport(req, res) {
+    try {
+      const format = (req.query.format || 'csv').toLowerCase();
+      if (!REPORT_FORMATS[format]) {
+        return res.status(400).json({
+          success: false,
+          message: `Format must be one of: ${Object.keys(REPORT_FORMATS).join(', ')}`
+        });
+      }
+
+      const project = await ProjectService.findAccessibleProject(req.user.id, req.params.id);
+      const report = await ProjectReportService.buildReport(project);
+      const content = format === 'pdf'
+        ? ProjectReportService.toPdf(report)
+        : ProjectReportService.toCsv(report);
+
+      res.setHeader('Content-Type', REPORT_FORMATS[format]);
+      res.setHeader('Content-Disposition', `attachment; filename="${ProjectReportService.getFileName(report, format)}"`);
+      res.send(content);
+
+    } catch (error) {
+      if (error instanceof ProjectError) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message
+        });
+      }
+      console.error('Export project report error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to export project report',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
 }
 
 export default ProjectController;
\ No newline at end of file
@@ -14,6 +14,7 @@ import chat from './Router/ChatRouter.js';
 import notification from './Router/NotificationRouter.js';
 import quality from './Router/QualityRouter.js';
 import files from './Router/FileRouter.js';
+import sharedReports from './Router/SharedReportRouter.js';
 import cors from 'cors';
 import morgan from 'morgan';
 import helmet from 'helmet';
@@ -50,6 +51,7 @@ app.use(cookieParser());
 // ✅ Routes - Order matters! More specific routes should come first
 app.use('/api/v1/advertiser', advertiser);  // Advertiser routes first (more specific)
 app.use('/api/v1/admin', admin);            // Admin routes second (more specific)
+app.use('/api/v1/reports', sharedReports);  // Public client report links (no login)
 app.use('/api/v1', user);                   // User routes
 app.use('/api/v1/websites', website);       // Website routes
 app.use('/api/v1/auth', googleAuth);        // Google auth routes
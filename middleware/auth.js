@@ -1,5 +1,6 @@
 import jwt from 'jsonwebtoken';
 import User from '../model/User.js';
+import Organization from '../model/Organization.js';
 
 // Middleware to authenticate JWT token
 export const authenticateToken = async (req, res, next) => {
@@ -118,7 +119,80 @@ export const requireRole = (allowedRoles) => {
   };
 };
 
+// Middleware letting organization members act on the shared account.
+// req.user becomes the organization owner, whose wallet, projects and orders
+// the team shares; the member who made the request is kept in req.member.
+export const useOrganizationAccount = async (req, res, next) => {
+  try {
+    // Organizations share an advertiser account; other roles always act on their own
+    if (req.member || !req.user?.organizationId || req.user.role !== 'advertiser') {
+      return next();
+    }
+
+    const organization = await Organization.findById(req.user.organizationId).select('ownerId members');
+    const member = organization?.members.find(item => item.userId.toString() === req.user._id.toString());
+    if (!member) {
+      return next(); // No longer a member, the user acts on their own account
+    }
+
+    req.member = {
+      userId: req.user._id,
+      role: member.role,
+      organizationId: organization._id,
+      user: req.user
+    };
+
+    if (organization.ownerId.toString() !== req.user._id.toString()) {
+      const owner = await User.findById(organization.ownerId).select('-password');
+      if (!owner) {
+        return res.status(403).json({
+          ok: false,
+          message: 'The organization account is not available.'
+        });
+      }
+      req.user = owner;
+    }
+
+    next();
+  } catch (error) {
+    console.error('Organization resolution error:', error);
+    return res.status(500).json({
+      ok: false,
+      message: 'Failed to resolve organization.',
+      error: error.message
+    });
+  }
+};
+
+// Middleware to check the organization role of a member. writeRoles apply to
+// changes, readRoles to GET requests. Users outside an organization own their
+// account and always pass.
+export const requireMemberRole = (writeRoles, readRoles = writeRoles) => {
+  return (req, res, next) => {
+    if (!req.member) {
+      return next();
+    }
+
+    const roles = ['GET', 'HEAD'].includes(req.method) ? readRoles : writeRoles;
+    if (!roles.includes(req.member.role)) {
+      return res.status(403).json({
+        ok: false,
+        message: `Access denied. Required organization role: ${roles.join(' or ')}. Your role: ${req.member.role}`
+      });
+    }
+
+    next();
+  };
+};
+
+const ALL_MEMBER_ROLES = ['owner', 'buyer', 'viewer', 'finance'];
+
 // Helper functions for specific roles
 export const requirePublisher = requireRole(['publisher']);
 export const requireAdvertiser = requireRole(['advertiser']);
-export const requireAdmin = requireRole(['admin']);
\ No newline at end of file
+export const requireAdmin = requireRole(['admin']);
+
+// Organization roles: every member may read, changes need the listed roles
+export const requireBuyerRole = requireMemberRole(['owner', 'buyer'], ALL_MEMBER_ROLES);
+export const requireFinanceRole = requireMemberRole(['owner', 'finance'], ALL_MEMBER_ROLES);
+export const requireOwnerRole = requireMemberRole(['owner']);
\ No newline at end of file
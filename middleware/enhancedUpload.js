@@ -79,7 +79,8 @@ const fileFilter = (req, file, cb) => {
     images: ['.jpg', '.jpeg', '.png', '.gif', '.webp', '.svg'],
     content: ['.html', '.txt', '.docx', '.pdf'],
     verification: ['.pdf', '.jpg', '.jpeg', '.png'],
-    chat: ['.pdf', '.doc', '.docx', '.txt', '.jpg', '.jpeg', '.png', '.gif']
+    chat: ['.pdf', '.doc', '.docx', '.txt', '.jpg', '.jpeg', '.png', '.gif'],
+    spreadsheets: ['.csv', '.xlsx']
   };
   
   const fileExtension = path.extname(file.originalname).toLowerCase();
@@ -106,6 +107,9 @@ const fileFilter = (req, file, cb) => {
     case 'files':
       isAllowed = allowedTypes.chat.includes(fileExtension);
       break;
+    case 'spreadsheet':
+      isAllowed = allowedTypes.spreadsheets.includes(fileExtension);
+      break;
     default:
       isAllowed = [...allowedTypes.documents, ...allowedTypes.images].includes(fileExtension);
   }
@@ -0,0 +1,46 @@
+import mongoose from 'mongoose';
+
+// Who in an organization did what, e.g. which member placed an order
+const auditLogSchema = new mongoose.Schema(
+  {
+    organizationId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Organization',
+      required: [true, 'Organization ID is required'],
+    },
+    actorId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'Actor ID is required'],
+    },
+    actorRole: {
+      type: String,
+      enum: ['owner', 'buyer', 'viewer', 'finance'],
+    },
+    action: {
+      type: String,
+      required: [true, 'Action is required'],
+      trim: true, // e.g. order.placed, member.invited
+    },
+    targetType: {
+      type: String,
+      trim: true,
+    },
+    targetId: {
+      type: String,
+      trim: true,
+    },
+    details: mongoose.Schema.Types.Mixed,
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes
+auditLogSchema.index({ organizationId: 1, createdAt: -1 });
+auditLogSchema.index({ organizationId: 1, actorId: 1, createdAt: -1 });
+
+const AuditLog = mongoose.model('AuditLog', auditLogSchema);
+
+export default AuditLog;
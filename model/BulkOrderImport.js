@@ -0,0 +1,68 @@
+import mongoose from 'mongoose';
+
+// Spreadsheet of orders uploaded by an advertiser, kept between the dry run and the confirmation
+const bulkOrderImportSchema = new mongoose.Schema(
+  {
+    advertiserId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'Advertiser ID is required'],
+    },
+    fileName: {
+      type: String,
+      trim: true,
+    },
+    status: {
+      type: String,
+      enum: [
+        'validated',  // Dry run done, waiting for confirmation
+        'confirmed',  // Orders created
+        'expired'     // Not confirmed in time
+      ],
+      default: 'validated',
+    },
+
+    // Rows as read from the file, validated again on confirmation
+    rows: [{
+      row: Number,
+      domain: String,
+      anchorText: String,
+      targetUrl: String,
+      keywords: [String],
+      deadline: Date,
+      title: String,
+      description: String,
+      wordCount: Number,
+      linkType: String,
+      needsCopywriting: Boolean,
+    }],
+
+    // Result of the last validation
+    summary: {
+      totalRows: Number,
+      validRows: Number,
+      invalidRows: Number,
+      totalCost: Number,
+    },
+
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    confirmedAt: Date,
+    orderIds: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Order',
+    }],
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes
+bulkOrderImportSchema.index({ advertiserId: 1, createdAt: -1 });
+
+const BulkOrderImport = mongoose.model('BulkOrderImport', bulkOrderImportSchema);
+
+export default BulkOrderImport;
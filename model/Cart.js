@@ -0,0 +1,118 @@
+import mongoose from 'mongoose';
+
+// Price of one cart line as computed by the pricing service
+const linePricingSchema = new mongoose.Schema(
+  {
+    basePrice: { type: Number, default: 0 },
+    additionalCharges: {
+      copywriting: { type: Number, default: 0 },
+      rushOrder: { type: Number, default: 0 },
+      premium: { type: Number, default: 0 },
+      sensitiveContent: { type: Number, default: 0 },
+      homepageAnnouncement: { type: Number, default: 0 },
+    },
+    subtotal: { type: Number, default: 0 },
+    discount: {
+      percentage: { type: Number, default: 0 },
+      amount: { type: Number, default: 0 },
+    },
+    totalPrice: { type: Number, default: 0 },
+    commissionRate: { type: Number, default: 0 },
+    platformCommission: { type: Number, default: 0 },
+    publisherEarnings: { type: Number, default: 0 },
+    currency: { type: String, enum: ['USD', 'EUR', 'GBP', 'PKR', 'INR'], default: 'USD' },
+    exchangeRate: {
+      from: String,
+      to: String,
+      rate: Number,
+      ratesAsOf: Date,
+      capturedAt: Date,
+    },
+  },
+  { _id: false }
+);
+
+// Advertiser's cart, kept on the server so it survives across devices
+const cartSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'User ID is required'],
+      unique: true,
+    },
+
+    items: [{
+      websiteId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Website',
+        required: [true, 'Website ID is required'],
+      },
+      articleType: {
+        type: String,
+        enum: [
+          'advertiser',  // Advertiser provides the article
+          'publisher'    // Publisher writes it, copywriting is charged
+        ],
+        default: 'advertiser',
+      },
+      sensitiveTopic: {
+        type: Boolean,
+        default: false,
+      },
+      sensitiveCategory: {
+        type: String,
+        enum: ['dating_websites', 'forex_brokers', 'lending_microloans', 'legal_betting_casino'],
+      },
+      homepageAnnouncement: {
+        type: Boolean,
+        default: false,
+      },
+      targetUrl: {
+        type: String,
+        trim: true,
+      },
+      anchorText: {
+        type: String,
+        trim: true,
+      },
+      articleRequirements: {
+        type: String,
+        trim: true,
+      },
+      keywords: [{
+        type: String,
+        trim: true,
+      }],
+      wordCount: {
+        type: Number,
+        min: 300,
+      },
+      // Project the resulting order counts towards
+      projectId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Project',
+      },
+      articleData: mongoose.Schema.Types.Mixed,
+      pricing: linePricingSchema,
+      addedAt: {
+        type: Date,
+        default: Date.now,
+      },
+    }],
+
+    // Prices locked for checkout. Cleared whenever the cart changes.
+    quote: {
+      total: Number,
+      lockedAt: Date,
+      expiresAt: Date,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+const Cart = mongoose.model('Cart', cartSchema);
+
+export default Cart;
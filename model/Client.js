@@ -0,0 +1,53 @@
+import mongoose from 'mongoose';
+
+// End client of an agency; projects and orders can be tagged with one for reporting
+const clientSchema = new mongoose.Schema(
+  {
+    // Advertiser account the client belongs to
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'User ID is required'],
+    },
+    name: {
+      type: String,
+      required: [true, 'Client name is required'],
+      trim: true,
+    },
+    company: {
+      type: String,
+      trim: true,
+    },
+    contactName: {
+      type: String,
+      trim: true,
+    },
+    email: {
+      type: String,
+      trim: true,
+      lowercase: true,
+    },
+    website: {
+      type: String,
+      trim: true,
+    },
+    notes: {
+      type: String,
+      trim: true,
+    },
+    isArchived: {
+      type: Boolean,
+      default: false,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes
+clientSchema.index({ userId: 1, isArchived: 1, name: 1 });
+
+const Client = mongoose.model('Client', clientSchema);
+
+export default Client;
@@ -0,0 +1,46 @@
+import mongoose from 'mongoose';
+
+// Platform commission rate set by admins for a website category or a publisher tier
+const commissionRuleSchema = new mongoose.Schema(
+  {
+    scope: {
+      type: String,
+      enum: [
+        'default',   // Fallback for every order
+        'category',  // Website category
+        'tier'       // Publisher tier
+      ],
+      required: [true, 'Scope is required'],
+    },
+    key: {
+      type: String,
+      trim: true,
+      lowercase: true,
+      default: '',
+    },
+    rate: {
+      type: Number,
+      required: [true, 'Commission rate is required'],
+      min: 0,
+      max: 100,
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes
+commissionRuleSchema.index({ scope: 1, key: 1 }, { unique: true });
+
+const CommissionRule = mongoose.model('CommissionRule', commissionRuleSchema);
+
+export default CommissionRule;
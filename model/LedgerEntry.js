@@ -0,0 +1,120 @@
+import mongoose from 'mongoose';
+
+const generateEntryId = function() {
+  return `LED-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+};
+
+// One double-entry posting. Debits and credits of its lines always balance.
+const ledgerEntrySchema = new mongoose.Schema(
+  {
+    entryId: {
+      type: String,
+      unique: true,
+      required: true,
+      default: generateEntryId
+    },
+    type: {
+      type: String,
+      enum: [
+        'deposit',             // Money paid into a wallet
+        'order_payment',       // Advertiser balance moved into escrow for an order
+        'escrow_release',      // Escrow paid out to the publisher and the platform
+        'refund',              // Escrow returned to the advertiser, the rest paid out
+        'guarantee_refund',    // Refund after delivery, recovered from publisher and platform
+        'adjustment',          // Manual change by an admin
+        'withdrawal',          // Requested withdrawal held from the wallet
+        'withdrawal_release',  // Held withdrawal returned to the wallet
+        'payout',              // Held withdrawal paid out, less fees
+        'fee',                 // Fee charged to a wallet
+        'conversion',          // Wallet balance converted to another currency
+        'opening_balance'      // Balance a wallet had before the ledger existed
+      ],
+      required: [true, 'Entry type is required'],
+    },
+    currency: {
+      type: String,
+      enum: ['USD', 'EUR', 'GBP', 'PKR', 'INR'],
+      default: 'USD',
+    },
+    // Lines may be in another currency than the entry; each currency balances
+    // on its own, with the fx account taking both sides of a conversion
+    lines: [{
+      account: {
+        type: String,
+        enum: [
+          'wallet',           // User's available balance (Wallet.balance)
+          'escrow',           // Advertiser money held for orders (Wallet.pendingBalance)
+          'held',             // Withdrawals awaiting payout (Wallet.heldBalance)
+          'platform_revenue', // Commission kept by the platform
+          'platform_fees',    // Fees charged by the platform
+          'external',         // Money entering or leaving the platform
+          'adjustments',      // Counterpart of manual admin changes
+          'fx'                // Currency conversion clearing
+        ],
+        required: true,
+      },
+      currency: {
+        type: String,
+        enum: ['USD', 'EUR', 'GBP', 'PKR', 'INR'],
+      },
+      userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+      },
+      debit: {
+        type: Number,
+        default: 0,
+        min: 0,
+      },
+      credit: {
+        type: Number,
+        default: 0,
+        min: 0,
+      },
+      _id: false,
+    }],
+    orderId: {
+      type: String, // Order.orderId
+    },
+    reference: {
+      type: String, // e.g. a transactionId or withdrawal request
+    },
+    description: {
+      type: String,
+      trim: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+ledgerEntrySchema.pre('validate', function(next) {
+  const totals = {};
+  this.lines.forEach(line => {
+    const currency = line.currency || this.currency;
+    totals[currency] = (totals[currency] || 0) + (line.debit || 0) - (line.credit || 0);
+  });
+
+  const unbalanced = Object.entries(totals).find(([, difference]) => Math.abs(difference) > 0.005);
+  if (this.lines.length < 2 || unbalanced) {
+    return next(new Error(`Ledger entry is not balanced${unbalanced ? ` in ${unbalanced[0]}: off by ${unbalanced[1]}` : ''}`));
+  }
+  if (this.lines.some(line => ['wallet', 'escrow', 'held'].includes(line.account) && !line.userId)) {
+    return next(new Error('Wallet, escrow and held lines need a user'));
+  }
+  next();
+});
+
+// Indexes
+ledgerEntrySchema.index({ 'lines.account': 1, 'lines.userId': 1 });
+ledgerEntrySchema.index({ orderId: 1 });
+ledgerEntrySchema.index({ type: 1, createdAt: -1 });
+
+const LedgerEntry = mongoose.model('LedgerEntry', ledgerEntrySchema);
+
+export default LedgerEntry;
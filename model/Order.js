@@ -27,6 +27,11 @@ const orderSchema = new mongoose.Schema(
       ref: 'User',
       required: [true, 'Advertiser ID is required'],
     },
+    // Organization member who placed the order on the advertiser's account
+    placedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
     websiteId: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'Website',
@@ -105,6 +110,26 @@ const orderSchema = new mongoose.Schema(
         default: 0,
         min: 0,
       },
+      sensitiveContent: {
+        type: Number,
+        default: 0,
+        min: 0,
+      },
+      homepageAnnouncement: {
+        type: Number,
+        default: 0,
+        min: 0,
+      },
+    },
+    discount: {
+      percentage: {
+        type: Number,
+        default: 0,
+      },
+      amount: {
+        type: Number,
+        default: 0,
+      },
     },
     totalPrice: {
       type: Number,
@@ -116,11 +141,63 @@ const orderSchema = new mongoose.Schema(
       required: [true, 'Platform commission is required'],
       min: 0,
     },
+    // Advertiser project the order counts towards
+    projectId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Project',
+    },
+    // Agency client the order was bought for; otherwise the project's client applies
+    clientId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Client',
+    },
+    // Website metrics when the order was placed, for client reports
+    websiteSnapshot: {
+      domain: String,
+      domainAuthority: Number,
+      domainRating: Number,
+      traffic: Number,
+      capturedAt: Date,
+    },
+
+    // Promo code applied at checkout; the discount is already taken off totalPrice
+    promo: {
+      code: String,
+      promoCodeId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'PromoCode',
+      },
+      discountAmount: Number,
+      fundedBy: {
+        type: String,
+        enum: ['platform', 'publisher'],
+      },
+    },
+    // Commission in percent applied when the order was priced
+    commissionRate: {
+      type: Number,
+      min: 0,
+      max: 100,
+    },
     publisherEarnings: {
       type: Number,
       required: [true, 'Publisher earnings is required'],
       min: 0,
     },
+    // Currency the advertiser was charged in; every amount of the order is in it
+    currency: {
+      type: String,
+      enum: ['USD', 'EUR', 'GBP', 'PKR', 'INR'],
+      default: 'USD',
+    },
+    // Rate the website's prices were converted at when the order was placed
+    exchangeRate: {
+      from: String,
+      to: String,
+      rate: Number,
+      ratesAsOf: Date,
+      capturedAt: Date,
+    },
     
     // Timeline
     deadline: {
@@ -131,11 +208,28 @@ const orderSchema = new mongoose.Schema(
       type: Boolean,
       default: false,
     },
+    deadlineTracking: {
+      warningSentAt: {
+        type: Date,
+      },
+      isOverdue: {
+        type: Boolean,
+        default: false,
+      },
+      overdueAt: {
+        type: Date,
+      },
+      submittedLate: {
+        type: Boolean,
+        default: false,
+      },
+    },
     
     // Order status workflow
     status: {
       type: String,
       enum: [
+        'scheduled',         // Part of a staggered series, not yet released to the publisher
         'pending',           // New order, waiting for publisher response
         'approved',          // Publisher accepted the order
         'in_progress',       // Work is being done
@@ -144,11 +238,24 @@ const orderSchema = new mongoose.Schema(
         'revision_requested', // Advertiser requested changes
         'disputed',          // There's a dispute
         'cancelled',         // Order was cancelled
-        'rejected'           // Publisher rejected the order
+        'rejected',          // Publisher rejected the order
+        'expired'            // Publisher did not respond in time
       ],
       default: 'pending',
     },
     
+    // Release of orders that belong to a staggered bulk series
+    schedule: {
+      seriesId: String,
+      position: Number,
+      releaseAt: Date,
+      releasedAt: Date,
+      paused: {
+        type: Boolean,
+        default: false,
+      },
+    },
+    
     // Content submission
     submittedContent: {
       content: {
@@ -166,6 +273,14 @@ const orderSchema = new mongoose.Schema(
         type: mongoose.Schema.Types.ObjectId,
         ref: 'User',
       },
+      version: {
+        type: Number, // OrderVersion holding this submission
+        default: 0,
+      },
+    },
+    latestVersion: {
+      type: Number, // Last OrderVersion written for submissions and article edits
+      default: 0,
     },
     
     // Revision tracking
@@ -183,20 +298,46 @@ const orderSchema = new mongoose.Schema(
         required: true,
         trim: true,
       },
+      round: {
+        type: Number,
+      },
       status: {
         type: String,
-        enum: ['pending', 'completed', 'rejected'],
+        enum: ['pending', 'accepted', 'contested', 'completed', 'rejected'],
         default: 'pending',
       },
       response: {
         type: String,
         trim: true,
       },
+      respondedAt: {
+        type: Date,
+      },
+      extraCharge: {
+        type: Number, // Paid by the advertiser for a round beyond the included ones
+        default: 0,
+      },
+      reviewedVersion: {
+        type: Number, // Submission version the revision was requested on
+      },
+      submittedVersion: {
+        type: Number, // Submission version that addressed the revision
+      },
       completedAt: {
         type: Date,
       },
     }],
     
+    // Revision terms copied from the website when the order was placed
+    revisionTerms: {
+      includedRounds: Number,
+      extraRoundPrice: Number,
+      limitAction: {
+        type: String,
+        enum: ['charge', 'dispute'],
+      },
+    },
+    
     // Communication
     messages: [{
       senderId: {
@@ -257,6 +398,7 @@ const orderSchema = new mongoose.Schema(
         type: String,
         trim: true,
       },
+      // Kept for older clients; the order's projectId is authoritative
       projectId: {
         type: String,
         trim: true,
@@ -297,7 +439,7 @@ const orderSchema = new mongoose.Schema(
     // Payment tracking
     paymentStatus: {
       type: String,
-      enum: ['pending', 'paid', 'released', 'refunded'],
+      enum: ['pending', 'paid', 'released', 'refunded', 'partially_refunded'],
       default: 'pending',
     },
     paymentDetails: {
@@ -306,6 +448,39 @@ const orderSchema = new mongoose.Schema(
       releasedAt: Date,
       refundedAt: Date,
       refundReason: String,
+      refundAmount: Number,
+      publisherPayout: Number, // Share kept by the publisher on a partial refund
+    },
+
+    // Cancellation proposed by one party once work has started
+    cancellationRequest: {
+      requestedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+      },
+      requestedByRole: {
+        type: String,
+        enum: ['publisher', 'advertiser'],
+      },
+      reason: {
+        type: String,
+        trim: true,
+      },
+      refundPercentage: {
+        type: Number,
+        min: 0,
+        max: 100,
+      },
+      status: {
+        type: String,
+        enum: ['pending', 'accepted', 'declined'],
+      },
+      requestedAt: Date,
+      respondedAt: Date,
+      response: {
+        type: String,
+        trim: true,
+      },
     },
     
     // Administrative
@@ -322,6 +497,74 @@ const orderSchema = new mongoose.Schema(
       trim: true,
     },
     
+    // Period after delivery during which the link is guaranteed to stay live
+    guarantee: {
+      months: Number, // Copied from the website when the order was placed
+      startsAt: Date,
+      endsAt: Date,
+    },
+    guaranteeClaims: [{
+      openedAt: {
+        type: Date,
+        default: Date.now,
+      },
+      openedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+      },
+      reason: {
+        type: String,
+        trim: true,
+      },
+      linkStatus: String, // Link health when the claim was opened
+      linkLostAt: Date,
+      status: {
+        type: String,
+        enum: ['open', 'approved', 'rejected'],
+        default: 'open',
+      },
+      refundAmount: Number,
+      publisherRecovered: Number, // Part of the refund taken back from the publisher
+      resolvedAt: Date,
+      resolvedByRole: {
+        type: String,
+        enum: ['admin', 'system'],
+      },
+      resolution: {
+        type: String,
+        trim: true,
+      },
+    }],
+    
+    // Monitoring of the published backlink after delivery
+    linkHealth: {
+      status: {
+        type: String,
+        enum: ['unchecked', 'live', 'missing', 'nofollow', 'anchor_mismatch', 'unreachable'],
+        default: 'unchecked',
+      },
+      lastCheckedAt: Date,
+      consecutiveFailures: {
+        type: Number,
+        default: 0,
+      },
+      incidentOpen: {
+        type: Boolean, // A removed or nofollowed link has been reported and not yet restored
+        default: false,
+      },
+      history: [{
+        checkedAt: {
+          type: Date,
+          default: Date.now,
+        },
+        status: String,
+        httpStatus: Number,
+        rel: String,
+        anchorText: String,
+        error: String,
+      }],
+    },
+    
     // Tracking
     publisherResponseTime: {
       type: Number, // in hours
@@ -340,10 +583,21 @@ const orderSchema = new mongoose.Schema(
         type: Date,
         default: Date.now,
       },
+      // Who made the change. changedBy is empty for the system and for the
+      // built-in admin accounts, which have no user record; changedByRole and
+      // actorLabel are always set, actorLabel being the user id, the built-in
+      // admin's account id or 'system'.
       changedBy: {
         type: mongoose.Schema.Types.ObjectId,
         ref: 'User',
       },
+      changedByRole: {
+        type: String,
+        enum: ['publisher', 'advertiser', 'admin', 'system'],
+      },
+      actorLabel: {
+        type: String,
+      },
       reason: {
         type: String,
         trim: true,
@@ -361,6 +615,12 @@ orderSchema.index({ advertiserId: 1, status: 1 });
 orderSchema.index({ websiteId: 1 });
 orderSchema.index({ status: 1, createdAt: -1 });
 orderSchema.index({ deadline: 1, status: 1 });
+orderSchema.index({ status: 1, 'linkHealth.lastCheckedAt': 1 });
+orderSchema.index({ 'guaranteeClaims.status': 1 });
+orderSchema.index({ status: 1, 'schedule.releaseAt': 1 });
+orderSchema.index({ 'schedule.seriesId': 1 });
+orderSchema.index({ projectId: 1, status: 1 });
+orderSchema.index({ advertiserId: 1, clientId: 1 });
 
 // Add a pre-validate hook to debug validation issues
 orderSchema.pre('validate', function(next) {
@@ -429,13 +689,62 @@ orderSchema.pre('save', async function(next) {
   next();
 });
 
+// Copy the website's revision and guarantee terms so later changes do not affect existing orders
+orderSchema.pre('save', async function(next) {
+  if (this.isNew && this.websiteId && this.revisionTerms?.includedRounds === undefined) {
+    try {
+      const { default: Website } = await import('./Website.js');
+      const website = await Website.findById(this.websiteId)
+        .select('revisionRounds extraRevisionPrice revisionLimitAction guaranteeMonths');
+      if (website) {
+        this.revisionTerms = {
+          includedRounds: website.revisionRounds,
+          // In the order's currency, at the rate the order was placed at
+          extraRoundPrice: Math.round((website.extraRevisionPrice || 0) * (this.exchangeRate?.rate || 1) * 100) / 100,
+          limitAction: website.revisionLimitAction
+        };
+        this.guarantee.months = website.guaranteeMonths;
+      }
+    } catch (error) {
+      console.error('Failed to copy website terms for order:', error);
+    }
+  }
+  next();
+});
+
+// Keep the website's domain and metrics as they were when the order was placed
+orderSchema.pre('save', async function(next) {
+  if (this.isNew && this.websiteId && !this.websiteSnapshot?.capturedAt) {
+    try {
+      const { default: Website } = await import('./Website.js');
+      const website = await Website.findById(this.websiteId).select('domain metrics');
+      if (website) {
+        const metrics = website.metrics || {};
+        this.websiteSnapshot = {
+          domain: website.domain,
+          domainAuthority: metrics.domainAuthority || metrics.da || 0,
+          domainRating: metrics.ahrefsDomainRating || metrics.dr || 0,
+          traffic: metrics.ahrefsTraffic || metrics.organicTraffic || metrics.monthlyTraffic || 0,
+          capturedAt: new Date()
+        };
+      }
+    } catch (error) {
+      console.error('Failed to snapshot website metrics for order:', error);
+    }
+  }
+  next();
+});
+
 // Add status to history when status changes
 orderSchema.pre('save', function(next) {
   if (this.isModified('status') && !this.isNew) {
     this.statusHistory.push({
       status: this.status,
       changedAt: new Date(),
-      changedBy: this._userId, // This should be set by the controller
+      changedBy: this._userId, // Set by OrderLifecycleService
+      changedByRole: this._actorRole || 'system',
+      actorLabel: this._actorLabel || 'system',
+      reason: this._statusReason,
     });
   }
   next();
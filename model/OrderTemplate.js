@@ -0,0 +1,109 @@
+import mongoose from 'mongoose';
+
+// Saved order configuration an advertiser can place again on any website
+const orderTemplateSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'Template name is required'],
+      trim: true,
+      maxlength: [100, 'Template name cannot exceed 100 characters'],
+    },
+    ownerId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'Owner ID is required'],
+    },
+    // Shared templates are available to everyone with access to the project
+    projectId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Project',
+    },
+    shared: {
+      type: Boolean,
+      default: false,
+    },
+    // Website the template was made for; it can be placed on any other
+    websiteId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Website',
+    },
+    sourceOrderId: {
+      type: String,
+    },
+
+    title: {
+      type: String,
+      trim: true,
+    },
+    description: {
+      type: String,
+      trim: true,
+    },
+    contentRequirements: {
+      wordCount: {
+        type: Number,
+        min: 300,
+      },
+      keywords: [{
+        type: String,
+        trim: true,
+      }],
+      targetUrl: {
+        type: String,
+        trim: true,
+      },
+      anchorText: {
+        type: String,
+        trim: true,
+      },
+      linkType: {
+        type: String,
+        enum: ['dofollow', 'nofollow'],
+        default: 'dofollow',
+      },
+      contentType: {
+        type: String,
+        trim: true,
+      },
+      additionalInstructions: {
+        type: String,
+        trim: true,
+      },
+    },
+    articleType: {
+      type: String,
+      enum: ['advertiser', 'publisher'],
+      default: 'advertiser',
+    },
+    sensitiveTopic: {
+      type: Boolean,
+      default: false,
+    },
+    sensitiveCategory: {
+      type: String,
+      enum: ['dating_websites', 'forex_brokers', 'lending_microloans', 'legal_betting_casino'],
+    },
+    homepageAnnouncement: {
+      type: Boolean,
+      default: false,
+    },
+
+    usageCount: {
+      type: Number,
+      default: 0,
+    },
+    lastUsedAt: Date,
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes
+orderTemplateSchema.index({ ownerId: 1, updatedAt: -1 });
+orderTemplateSchema.index({ projectId: 1, shared: 1 });
+
+const OrderTemplate = mongoose.model('OrderTemplate', orderTemplateSchema);
+
+export default OrderTemplate;
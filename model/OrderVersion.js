@@ -0,0 +1,72 @@
+import mongoose from 'mongoose';
+
+// Immutable snapshot of an order's content, written on every submission and article edit
+const orderVersionSchema = new mongoose.Schema(
+  {
+    orderId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Order',
+      required: [true, 'Order ID is required'],
+      immutable: true,
+    },
+    version: {
+      type: Number,
+      required: [true, 'Version is required'],
+      min: 1,
+      immutable: true,
+    },
+    source: {
+      type: String,
+      enum: [
+        'submission',   // Work submitted by the publisher
+        'article_edit'  // Article data saved by either party
+      ],
+      required: true,
+      immutable: true,
+    },
+
+    // Text compared between versions
+    content: {
+      type: String,
+      default: '',
+      immutable: true,
+    },
+    publishedUrl: {
+      type: String,
+      trim: true,
+      immutable: true,
+    },
+    articleData: {
+      type: mongoose.Schema.Types.Mixed,
+      immutable: true,
+    },
+
+    // Author
+    authorId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      immutable: true,
+    },
+    authorRole: {
+      type: String,
+      enum: ['publisher', 'advertiser', 'admin', 'system'],
+      immutable: true,
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+// Indexes
+orderVersionSchema.index({ orderId: 1, version: 1 }, { unique: true });
+
+// Versions are never changed once written
+const rejectUpdate = function(next) {
+  next(new Error('Order versions are immutable'));
+};
+orderVersionSchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne'], rejectUpdate);
+
+const OrderVersion = mongoose.model('OrderVersion', orderVersionSchema);
+
+export default OrderVersion;
@@ -0,0 +1,54 @@
+import mongoose from 'mongoose';
+
+// Advertiser team sharing the owner's wallet, projects and orders
+const organizationSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'Organization name is required'],
+      trim: true,
+    },
+    // Account holder; the organization acts on this user's wallet and orders
+    ownerId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'Owner ID is required'],
+      unique: true,
+    },
+    members: [{
+      userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+      },
+      role: {
+        type: String,
+        enum: [
+          'owner',   // Everything, including managing members
+          'buyer',   // Places and manages orders and projects
+          'viewer',  // Read-only access
+          'finance'  // Wallet, funds and payment methods
+        ],
+        required: true,
+      },
+      invitedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+      },
+      joinedAt: {
+        type: Date,
+        default: Date.now,
+      },
+    }],
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// A user belongs to at most one organization
+organizationSchema.index({ 'members.userId': 1 }, { unique: true });
+
+const Organization = mongoose.model('Organization', organizationSchema);
+
+export default Organization;
@@ -0,0 +1,57 @@
+import mongoose from 'mongoose';
+
+// Email invitation to join an organization. Only a hash of the token is stored.
+const organizationInvitationSchema = new mongoose.Schema(
+  {
+    organizationId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Organization',
+      required: [true, 'Organization ID is required'],
+    },
+    email: {
+      type: String,
+      required: [true, 'Email is required'],
+      trim: true,
+      lowercase: true,
+    },
+    role: {
+      type: String,
+      enum: ['buyer', 'viewer', 'finance'],
+      required: [true, 'Role is required'],
+    },
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'accepted', 'revoked'],
+      default: 'pending',
+    },
+    invitedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    acceptedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    acceptedAt: Date,
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes
+organizationInvitationSchema.index({ organizationId: 1, status: 1 });
+organizationInvitationSchema.index({ email: 1, status: 1 });
+
+const OrganizationInvitation = mongoose.model('OrganizationInvitation', organizationInvitationSchema);
+
+export default OrganizationInvitation;
@@ -18,6 +18,11 @@ const projectSchema = new mongoose.Schema(
       ref: 'User',
       required: [true, 'User ID is required'],
     },
+    // Agency client the project is run for
+    clientId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Client',
+    },
     
     // Categories
     categories: [{
@@ -32,7 +37,12 @@ const projectSchema = new mongoose.Schema(
       trim: true,
     },
     
-    // Budget information
+    // Budget information, in the project's currency
+    currency: {
+      type: String,
+      enum: ['USD', 'EUR', 'GBP', 'PKR', 'INR'],
+      default: 'USD',
+    },
     budget: {
       type: Number,
       required: [true, 'Budget is required'],
@@ -51,6 +61,12 @@ const projectSchema = new mongoose.Schema(
       required: [true, 'Number of posts required is required'],
       min: 1,
     },
+    // What happens when an order exceeds the budget or the per-post limits
+    budgetEnforcement: {
+      type: String,
+      enum: ['block', 'warn'],
+      default: 'block',
+    },
     
     // Description
     description: {
@@ -87,6 +103,15 @@ const projectSchema = new mongoose.Schema(
         default: 0,
         min: 0,
       },
+      // Amount paid for the project's orders, less refunds
+      spentBudget: {
+        type: Number,
+        default: 0,
+        min: 0,
+      },
+      updatedAt: {
+        type: Date,
+      },
     },
   },
   {
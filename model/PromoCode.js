@@ -0,0 +1,89 @@
+import mongoose from 'mongoose';
+
+// Admin-managed discount code that advertisers apply at checkout
+const promoCodeSchema = new mongoose.Schema(
+  {
+    code: {
+      type: String,
+      required: [true, 'Code is required'],
+      unique: true,
+      uppercase: true,
+      trim: true,
+    },
+    description: {
+      type: String,
+      trim: true,
+    },
+    discountType: {
+      type: String,
+      enum: ['percentage', 'fixed'],
+      required: [true, 'Discount type is required'],
+    },
+    value: {
+      type: Number,
+      required: [true, 'Discount value is required'],
+      min: 0,
+    },
+    // Currency of a fixed value and of minSpend; carts in other currencies get them converted
+    currency: {
+      type: String,
+      enum: ['USD', 'EUR', 'GBP', 'PKR', 'INR'],
+      default: 'USD',
+    },
+    // Who gives up the discounted amount: the platform from its commission or the publisher from their earnings
+    fundedBy: {
+      type: String,
+      enum: ['platform', 'publisher'],
+      default: 'platform',
+    },
+    minSpend: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    startsAt: Date,
+    expiresAt: Date,
+
+    // Usage caps; empty means unlimited
+    maxUses: {
+      type: Number,
+      min: 1,
+    },
+    maxUsesPerUser: {
+      type: Number,
+      min: 1,
+    },
+    usedCount: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+
+    // Restrictions; empty means every website
+    categories: [{
+      type: String,
+      trim: true,
+      lowercase: true,
+    }],
+    websiteIds: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Website',
+    }],
+
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+const PromoCode = mongoose.model('PromoCode', promoCodeSchema);
+
+export default PromoCode;
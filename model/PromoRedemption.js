@@ -0,0 +1,56 @@
+import mongoose from 'mongoose';
+
+// One use of a promo code at checkout, with the discount given on each order
+const promoRedemptionSchema = new mongoose.Schema(
+  {
+    promoCodeId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'PromoCode',
+      required: [true, 'Promo code ID is required'],
+    },
+    code: {
+      type: String,
+      required: true,
+    },
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'User ID is required'],
+    },
+    fundedBy: {
+      type: String,
+      enum: ['platform', 'publisher'],
+      required: true,
+    },
+    discountAmount: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    // Currency of the discounted orders
+    currency: {
+      type: String,
+      enum: ['USD', 'EUR', 'GBP', 'PKR', 'INR'],
+      default: 'USD',
+    },
+    orders: [{
+      order: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Order',
+      },
+      orderId: String,
+      discountAmount: Number,
+    }],
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes
+promoRedemptionSchema.index({ promoCodeId: 1, userId: 1 });
+promoRedemptionSchema.index({ createdAt: -1 });
+
+const PromoRedemption = mongoose.model('PromoRedemption', promoRedemptionSchema);
+
+export default PromoRedemption;
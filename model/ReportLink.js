@@ -0,0 +1,82 @@
+import mongoose from 'mongoose';
+
+// Public read-only report of a client's placements, opened without login.
+// Only a hash of the link token is stored.
+const reportLinkSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'User ID is required'],
+    },
+    clientId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Client',
+      required: [true, 'Client ID is required'],
+    },
+    // Limit the report to some of the client's projects; empty means all
+    projectIds: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Project',
+    }],
+    title: {
+      type: String,
+      trim: true,
+    },
+    // Agency branding shown instead of the platform's
+    branding: {
+      companyName: {
+        type: String,
+        trim: true,
+      },
+      logoUrl: {
+        type: String,
+        trim: true,
+      },
+      primaryColor: {
+        type: String,
+        trim: true,
+      },
+      footerText: {
+        type: String,
+        trim: true,
+      },
+    },
+    showCosts: {
+      type: Boolean,
+      default: true,
+    },
+    // Added on top of the price paid when costs are shown
+    markupPercentage: {
+      type: Number,
+      default: 0,
+      min: 0,
+      max: 1000,
+    },
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: [true, 'Expiry date is required'],
+    },
+    revokedAt: Date,
+    viewCount: {
+      type: Number,
+      default: 0,
+    },
+    lastViewedAt: Date,
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes
+reportLinkSchema.index({ userId: 1, clientId: 1, createdAt: -1 });
+
+const ReportLink = mongoose.model('ReportLink', reportLinkSchema);
+
+export default ReportLink;
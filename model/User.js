@@ -39,7 +39,19 @@ const userSchema = new mongoose.Schema(
     favorites: [{
       type: mongoose.Schema.Types.ObjectId,
       ref: 'Website'
-    }]
+    }],
+    // Publisher tier, set by admins; selects the commission rate
+    publisherTier: {
+      type: String,
+      enum: ['standard', 'silver', 'gold', 'platinum'],
+      default: 'standard'
+    },
+    // Advertiser organization the user is a member of
+    organizationId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Organization',
+      default: null
+    }
   },
   {
     timestamps: true,
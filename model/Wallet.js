@@ -21,6 +21,11 @@ const walletSchema = new mongoose.Schema(
       default: 0,
       min: 0,
     },
+    heldBalance: {
+      type: Number, // Requested withdrawals not yet paid out
+      default: 0,
+      min: 0,
+    },
     totalEarnings: {
       type: Number,
       default: 0,
@@ -32,12 +37,27 @@ const walletSchema = new mongoose.Schema(
       min: 0,
     },
     
-    // Currency
+    // Main currency: the amounts above are in it, orders are charged from it
     currency: {
       type: String,
       enum: ['USD', 'EUR', 'GBP', 'PKR', 'INR'],
       default: 'USD',
     },
+
+    // Money held in the other currencies, one entry per currency
+    balances: [{
+      currency: {
+        type: String,
+        enum: ['USD', 'EUR', 'GBP', 'PKR', 'INR'],
+        required: true,
+      },
+      balance: { type: Number, default: 0, min: 0 },
+      pendingBalance: { type: Number, default: 0, min: 0 },
+      heldBalance: { type: Number, default: 0, min: 0 },
+      totalEarnings: { type: Number, default: 0, min: 0 },
+      totalWithdrawn: { type: Number, default: 0, min: 0 },
+      _id: false,
+    }],
     
     // Payment methods
     paymentMethods: [{
@@ -62,6 +82,15 @@ const walletSchema = new mongoose.Schema(
         
         // Mobile payment details
         phoneNumber: String,
+        
+        // Account numbers, PayPal email and wallet address are stored encrypted;
+        // these masked forms are what responses show
+        masked: {
+          accountNumber: String,
+          routingNumber: String,
+          paypalEmail: String,
+          walletAddress: String,
+        },
       },
       isDefault: {
         type: Boolean,
@@ -72,6 +101,41 @@ const walletSchema = new mongoose.Schema(
         default: false,
       },
       verifiedAt: Date,
+      verification: {
+        status: {
+          type: String,
+          enum: [
+            'pending',            // Awaiting admin review
+            'awaiting_deposit',   // Document approved, bank account confirms a micro-deposit
+            'verified',
+            'rejected'
+          ],
+          default: 'pending',
+        },
+        document: {
+          filename: String,
+          originalName: String,
+          url: String,
+          uploadedAt: Date,
+        },
+        reviewedBy: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'User',
+        },
+        reviewedAt: Date,
+        rejectionReason: String,
+        // Code sent as the reference of a small deposit; only its hash is kept
+        microDeposit: {
+          amount: Number,
+          codeHash: String,
+          sentAt: Date,
+          expiresAt: Date,
+          attempts: {
+            type: Number,
+            default: 0,
+          },
+        },
+      },
       addedAt: {
         type: Date,
         default: Date.now,
@@ -142,9 +206,31 @@ const walletSchema = new mongoose.Schema(
   }
 );
 
+// Balance fields kept for every currency
+const AMOUNT_FIELDS = ['balance', 'pendingBalance', 'heldBalance', 'totalEarnings', 'totalWithdrawn'];
+
+// Amounts of a wallet, or of a plain wallet object, per currency; the main currency comes first
+walletSchema.statics.amountsByCurrency = function(wallet) {
+  const amounts = (source) => Object.fromEntries(AMOUNT_FIELDS.map(field => [field, source?.[field] || 0]));
+  return [
+    { currency: wallet.currency || 'USD', ...amounts(wallet) },
+    ...(wallet.balances || [])
+      .filter(entry => entry.currency !== (wallet.currency || 'USD'))
+      .map(entry => ({ currency: entry.currency, ...amounts(entry) }))
+  ];
+};
+
+// Amounts held in one currency, zero when the wallet never held it
+walletSchema.methods.amountsIn = function(currency = this.currency) {
+  const all = this.constructor.amountsByCurrency(this);
+  return all.find(entry => entry.currency === currency)
+    || { currency, ...Object.fromEntries(AMOUNT_FIELDS.map(field => [field, 0])) };
+};
+
 // Indexes
 walletSchema.index({ status: 1 });
 walletSchema.index({ 'flags.hasPendingWithdrawal': 1 });
+walletSchema.index({ 'paymentMethods.verification.status': 1 });
 
 const Wallet = mongoose.model('Wallet', walletSchema);
 
@@ -0,0 +1,116 @@
+import mongoose from 'mongoose';
+
+// One run of the wallet reconciliation and the differences it found
+const walletReconciliationSchema = new mongoose.Schema(
+  {
+    trigger: {
+      type: String,
+      enum: ['scheduled', 'manual'],
+      default: 'scheduled',
+    },
+    triggeredBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    status: {
+      type: String,
+      enum: ['running', 'completed', 'failed'],
+      default: 'running',
+    },
+    startedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    completedAt: Date,
+    error: String,
+
+    // Differences of at least this much trigger an alert
+    alertThreshold: {
+      type: Number,
+      default: 0,
+    },
+    alertedAt: Date,
+
+    walletsChecked: {
+      type: Number,
+      default: 0,
+    },
+    discrepancyCount: {
+      type: Number,
+      default: 0,
+    },
+    openCount: {
+      type: Number,
+      default: 0,
+    },
+    largestDifference: {
+      type: Number,
+      default: 0,
+    },
+
+    discrepancies: [{
+      userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+      },
+      walletId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Wallet',
+        required: true,
+      },
+      currency: {
+        type: String, // Currency of the compared amounts
+        enum: ['USD', 'EUR', 'GBP', 'PKR', 'INR'],
+        default: 'USD',
+      },
+      field: {
+        type: String,
+        enum: ['balance', 'pendingBalance', 'heldBalance', 'totalEarnings', 'totalWithdrawn'],
+        required: true,
+      },
+      expected: {
+        type: Number, // Replayed from transactions and orders
+        required: true,
+      },
+      actual: {
+        type: Number, // Stored on the wallet
+        required: true,
+      },
+      difference: {
+        type: Number, // actual - expected
+        required: true,
+      },
+      status: {
+        type: String,
+        enum: ['open', 'resolved', 'dismissed'],
+        default: 'open',
+      },
+      resolution: {
+        action: {
+          type: String,
+          enum: ['correct_wallet', 'record_transaction', 'dismiss'],
+        },
+        note: String,
+        resolvedBy: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'User',
+        },
+        resolvedAt: Date,
+        transactionId: String,
+      },
+    }],
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes
+walletReconciliationSchema.index({ startedAt: -1 });
+walletReconciliationSchema.index({ status: 1, openCount: 1 });
+walletReconciliationSchema.index({ 'discrepancies.userId': 1 });
+
+const WalletReconciliation = mongoose.model('WalletReconciliation', walletReconciliationSchema);
+
+export default WalletReconciliation;
@@ -144,6 +144,12 @@ const websiteSchema = new mongoose.Schema(
       default: 0,
       min: 0,
     },
+    // Currency all prices of the website are set in, the publisher's own
+    currency: {
+      type: String,
+      enum: ['USD', 'EUR', 'GBP', 'PKR', 'INR'],
+      default: 'USD',
+    },
     
     // Link information
     linkType: {
@@ -184,6 +190,40 @@ const websiteSchema = new mongoose.Schema(
       max: 100,
     },
     
+    // Revision rounds included in the price of an order
+    revisionRounds: {
+      type: Number,
+      default: 2,
+      min: 0,
+    },
+    extraRevisionPrice: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    // What happens when an advertiser asks for more rounds than included
+    revisionLimitAction: {
+      type: String,
+      enum: ['charge', 'dispute'],
+      default: 'dispute',
+    },
+    
+    // Months a delivered link is guaranteed to stay live (0 for no guarantee)
+    guaranteeMonths: {
+      type: Number,
+      default: 12,
+      min: 0,
+    },
+    
+    // Delivered links that were later removed or changed to nofollow
+    linkHealth: {
+      failedLinks: {
+        type: Number,
+        default: 0,
+      },
+      lastFailureAt: Date,
+    },
+    
     // Publishing formats
     publishingFormats: [{
       type: String,
@@ -59,6 +59,20 @@ const withdrawalSchema = new mongoose.Schema(
       default: 'USD',
     },
     
+    // Currency the net amount is paid out in when it differs from the wallet's
+    payoutCurrency: {
+      type: String,
+      enum: ['USD', 'EUR', 'GBP', 'PKR', 'INR'],
+    },
+    payoutAmount: Number,
+    exchangeRate: {
+      from: String,
+      to: String,
+      rate: Number,
+      ratesAsOf: Date,
+      capturedAt: Date,
+    },
+    
     // Payment method
     paymentMethod: {
       type: {
@@ -82,6 +96,15 @@ const withdrawalSchema = new mongoose.Schema(
         
         // Mobile payment details
         phoneNumber: String,
+        
+        // Account numbers, PayPal email and wallet address are stored encrypted;
+        // these masked forms are what responses show
+        masked: {
+          accountNumber: String,
+          routingNumber: String,
+          paypalEmail: String,
+          walletAddress: String,
+        },
       },
     },
     
@@ -106,6 +129,7 @@ const withdrawalSchema = new mongoose.Schema(
       ref: 'User', // Admin who processed
     },
     processedAt: Date,
+    batchId: String, // Payout batch the withdrawal was sent in
     
     // Payment gateway details
     paymentGateway: {
@@ -163,6 +187,7 @@ const withdrawalSchema = new mongoose.Schema(
         type: Number,
         default: 3,
       },
+      nextRetryAt: Date,
     },
     
     // Additional information
@@ -200,8 +225,8 @@ const withdrawalSchema = new mongoose.Schema(
   }
 );
 
-// Pre-save middleware to generate withdrawal ID
-withdrawalSchema.pre('save', async function(next) {
+// Generate the withdrawal ID before validation, which requires it
+withdrawalSchema.pre('validate', async function(next) {
   if (!this.withdrawalId) {
     const count = await mongoose.model('Withdrawal').countDocuments();
     this.withdrawalId = `WTH-${Date.now()}-${String(count + 1).padStart(5, '0')}`;
@@ -221,6 +246,8 @@ withdrawalSchema.index({ walletId: 1, createdAt: -1 });
 withdrawalSchema.index({ status: 1, createdAt: -1 });
 withdrawalSchema.index({ 'paymentMethod.type': 1 });
 withdrawalSchema.index({ requestedAt: -1 });
+withdrawalSchema.index({ batchId: 1 });
+withdrawalSchema.index({ status: 1, 'errorDetails.nextRetryAt': 1 });
 
 const Withdrawal = mongoose.model('Withdrawal', withdrawalSchema);
 
@@ -0,0 +1,106 @@
+import Wallet from '../model/Wallet.js';
+import Withdrawal from '../model/Withdrawal.js';
+import User from '../model/User.js';
+import WithdrawalService from './WithdrawalService.js';
+
+export class AutoWithdrawalService {
+
+  // Hour of the day from which the scheduled withdrawals of a period are created
+  static getRunHour() {
+    const hour = Number(process.env.AUTO_WITHDRAWAL_HOUR ?? 6);
+    return Number.isInteger(hour) && hour >= 0 && hour < 24 ? hour : 6;
+  }
+
+  // Start of the schedule's current period: Monday for weekly, the 1st for monthly
+  static getPeriodStart(schedule, now = new Date()) {
+    const start = new Date(now);
+    start.setHours(0, 0, 0, 0);
+    if (schedule === 'weekly') {
+      start.setDate(start.getDate() - ((start.getDay() + 6) % 7));
+    } else {
+      start.setDate(1);
+    }
+    return start;
+  }
+
+  // Why a wallet gets no automatic withdrawal, or null when it can have one
+  static skipReason(wallet) {
+    if (wallet.status !== 'active') return `wallet_${wallet.status}`;
+    if (wallet.flags?.requiresVerification) return 'requires_verification';
+    if (!wallet.paymentMethods.some(method => method.isDefault && method.isVerified)) {
+      return 'no_verified_default_method';
+    }
+    return null;
+  }
+
+  // Request a withdrawal of the full balance for every publisher with auto-withdrawal
+  // on whose balance reached the threshold. Each wallet gets at most one automatic
+  // withdrawal per period, so the hourly check can run this repeatedly.
+  static async run(now = new Date()) {
+    const wallets = await Wallet.find({
+      'withdrawalSettings.autoWithdrawal.enabled': true,
+      balance: { $gt: 0 },
+      $expr: { $gte: ['$balance', '$withdrawalSettings.autoWithdrawal.threshold'] }
+    });
+
+    const publisherIds = new Set(
+      (await User.find({ _id: { $in: wallets.map(wallet => wallet.userId) }, role: 'publisher' }).distinct('_id'))
+        .map(id => id.toString())
+    );
+
+    const summary = { checked: 0, created: 0, skipped: {}, failed: [] };
+    for (const wallet of wallets) {
+      if (!publisherIds.has(wallet.userId.toString())) continue;
+      summary.checked += 1;
+
+      const reason = this.skipReason(wallet);
+      if (reason) {
+        summary.skipped[reason] = (summary.skipped[reason] || 0) + 1;
+        continue;
+      }
+
+      const scheduledDate = this.getPeriodStart(wallet.withdrawalSettings.autoWithdrawal.schedule, now);
+      const alreadyCreated = await Withdrawal.exists({
+        walletId: wallet._id,
+        isAutomatic: true,
+        scheduledDate: { $gte: scheduledDate }
+      });
+      if (alreadyCreated) continue;
+
+      try {
+        await WithdrawalService.requestWithdrawal(wallet.userId, {
+          amount: wallet.balance,
+          notes: `Automatic ${wallet.withdrawalSettings.autoWithdrawal.schedule} withdrawal`,
+          isAutomatic: true,
+          scheduledDate
+        });
+        summary.created += 1;
+      } catch (error) {
+        console.error(`Automatic withdrawal failed for wallet ${wallet._id}:`, error.message);
+        summary.failed.push({ walletId: wallet._id, error: error.message });
+      }
+    }
+
+    return summary;
+  }
+
+  static async runIfDue(now = new Date()) {
+    if (now.getHours() < this.getRunHour()) {
+      return null;
+    }
+    return this.run(now);
+  }
+}
+
+// Create scheduled withdrawals; the hourly check picks up each new period once
+if (process.env.NODE_ENV === 'production') {
+  setInterval(async () => {
+    try {
+      await AutoWithdrawalService.runIfDue();
+    } catch (error) {
+      console.error('Automatic withdrawal error:', error);
+    }
+  }, 60 * 60 * 1000);
+}
+
+export default AutoWithdrawalService;
@@ -0,0 +1,488 @@
+import fs from 'fs';
+import path from 'path';
+import mongoose from 'mongoose';
+import ExcelJS from 'exceljs';
+import Order from '../model/Order.js';
+import Website from '../model/Website.js';
+import Wallet from '../model/Wallet.js';
+import Transaction from '../model/Transaction.js';
+import Chat from '../model/Chat.js';
+import BulkOrderImport from '../model/BulkOrderImport.js';
+import { Notification } from '../Models/NotificationModel.js';
+import PricingService from './PricingService.js';
+import LedgerService from './LedgerService.js';
+import CurrencyService from './CurrencyService.js';
+
+const MAX_ROWS = 500;
+
+// Hours an advertiser has to confirm a validated import
+const IMPORT_TTL_HOURS = 24;
+
+// Accepted header spellings per field, compared without case, spaces or punctuation
+const COLUMN_ALIASES = {
+  domain: ['domain', 'website', 'site'],
+  anchorText: ['anchortext', 'anchor'],
+  targetUrl: ['targeturl', 'target', 'url', 'link'],
+  keywords: ['keywords', 'keyword'],
+  deadline: ['deadline', 'duedate', 'due'],
+  title: ['title'],
+  description: ['description', 'brief'],
+  wordCount: ['wordcount', 'words'],
+  linkType: ['linktype'],
+  needsCopywriting: ['needscopywriting', 'copywriting']
+};
+
+const REQUIRED_COLUMNS = ['domain', 'anchorText', 'targetUrl', 'keywords', 'deadline'];
+
+// Error with an HTTP status, raised for problems the advertiser can fix
+export class BulkImportError extends Error {
+  constructor(message, statusCode = 400, details = {}) {
+    super(message);
+    this.name = 'BulkImportError';
+    this.statusCode = statusCode;
+    this.details = details;
+  }
+}
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+const normalizeHeader = (header) => String(header ?? '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+const normalizeDomain = (domain) => String(domain || '')
+  .trim()
+  .toLowerCase()
+  .replace(/^https?:\/\//, '')
+  .replace(/^www\./, '')
+  .replace(/[/?#].*$/, '');
+
+// Minimal RFC 4180 parser; the delimiter is guessed from the header line
+const parseCsv = (text) => {
+  const content = text.replace(/^\uFEFF/, '');
+  const headerLine = content.split(/\r?\n/, 1)[0] || '';
+  const delimiter = (headerLine.match(/;/g) || []).length > (headerLine.match(/,/g) || []).length ? ';' : ',';
+
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+
+    if (quoted) {
+      if (char === '"' && content[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && content[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.map((cells, index) => ({ row: index + 1, cells }));
+};
+
+// Plain value of an ExcelJS cell (hyperlinks, rich text and formulas are objects)
+const cellValue = (value) => {
+  if (value === null || value === undefined || value instanceof Date) return value;
+  if (typeof value === 'object') {
+    if (value.richText) return value.richText.map(part => part.text).join('');
+    return value.text ?? value.result ?? value.hyperlink ?? '';
+  }
+  return value;
+};
+
+const readXlsx = async (filePath) => {
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.readFile(filePath);
+
+  const sheet = workbook.worksheets[0];
+  if (!sheet) {
+    return [];
+  }
+
+  const rows = [];
+  sheet.eachRow({ includeEmpty: false }, (sheetRow, rowNumber) => {
+    rows.push({
+      row: rowNumber,
+      cells: sheetRow.values.slice(1).map(cellValue)
+    });
+  });
+  return rows;
+};
+
+const parseDate = (value) => {
+  if (value instanceof Date) return value;
+  if (typeof value === 'number') {
+    // Spreadsheet serial date
+    return new Date(Math.round((value - 25569) * 24 * 60 * 60 * 1000));
+  }
+  if (!value) return null;
+  const date = new Date(String(value).trim());
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+const parseBoolean = (value) => ['yes', 'y', 'true', '1'].includes(String(value ?? '').trim().toLowerCase());
+
+const text = (value) => (value === null || value === undefined ? '' : String(value).trim());
+
+// Turn the header and data rows into import rows
+const toImportRows = (table) => {
+  const header = table.shift();
+  if (!header) {
+    throw new BulkImportError('The file is empty');
+  }
+
+  const columns = {};
+  header.cells.forEach((cell, index) => {
+    const name = normalizeHeader(cell);
+    const field = Object.keys(COLUMN_ALIASES).find(key => COLUMN_ALIASES[key].includes(name));
+    if (field && columns[field] === undefined) {
+      columns[field] = index;
+    }
+  });
+
+  const missing = REQUIRED_COLUMNS.filter(field => columns[field] === undefined);
+  if (missing.length > 0) {
+    throw new BulkImportError(`Missing required columns: ${missing.join(', ')}`, 400, { missing });
+  }
+
+  const read = (cells, field) => (columns[field] === undefined ? undefined : cells[columns[field]]);
+
+  const rows = table
+    .filter(({ cells }) => cells.some(cell => text(cell) !== ''))
+    .map(({ row, cells }) => ({
+      row,
+      domain: normalizeDomain(read(cells, 'domain')),
+      anchorText: text(read(cells, 'anchorText')),
+      targetUrl: text(read(cells, 'targetUrl')),
+      keywords: text(read(cells, 'keywords')).split(/[;,|]/).map(keyword => keyword.trim()).filter(Boolean),
+      deadline: parseDate(read(cells, 'deadline')),
+      title: text(read(cells, 'title')) || undefined,
+      description: text(read(cells, 'description')) || undefined,
+      wordCount: parseInt(read(cells, 'wordCount')) || undefined,
+      linkType: text(read(cells, 'linkType')).toLowerCase() || undefined,
+      needsCopywriting: parseBoolean(read(cells, 'needsCopywriting'))
+    }));
+
+  if (rows.length === 0) {
+    throw new BulkImportError('The file does not contain any orders');
+  }
+  if (rows.length > MAX_ROWS) {
+    throw new BulkImportError(`A single import can contain at most ${MAX_ROWS} orders`, 400, { rows: rows.length });
+  }
+
+  return rows;
+};
+
+const isHttpUrl = (value) => {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch {
+    return false;
+  }
+};
+
+export class BulkOrderImportService {
+
+  static async readFile(file) {
+    const extension = path.extname(file.originalname || file.path).toLowerCase();
+
+    if (extension === '.csv') {
+      return parseCsv(await fs.promises.readFile(file.path, 'utf8'));
+    }
+    if (extension === '.xlsx') {
+      return readXlsx(file.path);
+    }
+    throw new BulkImportError('Only CSV and XLSX files can be imported');
+  }
+
+  // Resolve domains, check every row and price the valid ones in the advertiser's currency
+  static async validateRows(rows, currency, now = new Date()) {
+    const domains = [...new Set(rows.map(row => row.domain).filter(Boolean))];
+    const websites = await Website.find({
+      domain: { $in: [...domains, ...domains.map(domain => `www.${domain}`)] },
+      status: 'approved'
+    });
+
+    const websitesByDomain = new Map(websites.map(website => [normalizeDomain(website.domain), website]));
+    let totalCost = 0;
+    const report = await Promise.all(rows.map(async row => {
+      const errors = [];
+      const website = websitesByDomain.get(row.domain);
+
+      if (!row.domain) errors.push('Domain is required');
+      else if (!website) errors.push(`No approved website found for ${row.domain}`);
+      if (!row.anchorText) errors.push('Anchor text is required');
+      if (!isHttpUrl(row.targetUrl)) errors.push('Target URL must be a valid http(s) URL');
+      if (!row.deadline) errors.push('Deadline is missing or not a valid date');
+      else if (new Date(row.deadline) <= now) errors.push('Deadline must be in the future');
+      if (row.wordCount !== undefined && row.wordCount < 300) errors.push('Word count must be at least 300');
+      if (row.linkType && !['dofollow', 'nofollow'].includes(row.linkType)) errors.push("Link type must be 'dofollow' or 'nofollow'");
+
+      const pricing = website && errors.length === 0
+        ? await PricingService.priceOrder(website, {
+          needsCopywriting: row.needsCopywriting,
+          linkType: row.linkType || 'dofollow',
+          quantity: rows.length,
+          currency
+        })
+        : null;
+      if (pricing) {
+        totalCost += pricing.totalPrice;
+      }
+
+      return {
+        ...row,
+        website,
+        pricing,
+        errors
+      };
+    }));
+
+    const invalidRows = report.filter(row => row.errors.length > 0).length;
+
+    return {
+      rows: report,
+      summary: {
+        totalRows: rows.length,
+        validRows: rows.length - invalidRows,
+        invalidRows,
+        totalCost: roundAmount(totalCost)
+      }
+    };
+  }
+
+  static formatReport(bulkImport, validation, wallet) {
+    return {
+      importId: bulkImport._id,
+      fileName: bulkImport.fileName,
+      status: bulkImport.status,
+      expiresAt: bulkImport.expiresAt,
+      summary: {
+        ...validation.summary,
+        walletBalance: wallet?.balance || 0,
+        currency: wallet?.currency,
+        sufficientBalance: (wallet?.balance || 0) >= validation.summary.totalCost
+      },
+      rows: validation.rows.map(row => ({
+        row: row.row,
+        domain: row.domain,
+        websiteId: row.website?._id,
+        anchorText: row.anchorText,
+        targetUrl: row.targetUrl,
+        keywords: row.keywords,
+        deadline: row.deadline,
+        totalPrice: row.pricing?.totalPrice,
+        errors: row.errors
+      }))
+    };
+  }
+
+  // Dry run: parse and validate the uploaded file without creating orders
+  static async createImport(advertiserId, file) {
+    try {
+      const rows = toImportRows(await this.readFile(file));
+      const wallet = await Wallet.findOne({ userId: advertiserId });
+      const validation = await this.validateRows(rows, wallet?.currency);
+
+      const bulkImport = await BulkOrderImport.create({
+        advertiserId,
+        fileName: file.originalname,
+        rows,
+        summary: validation.summary,
+        expiresAt: new Date(Date.now() + IMPORT_TTL_HOURS * 60 * 60 * 1000)
+      });
+
+      return this.formatReport(bulkImport, validation, wallet);
+    } finally {
+      fs.promises.unlink(file.path).catch(() => {});
+    }
+  }
+
+  // Create every order of a validated import in one database transaction.
+  // placedBy is the organization member confirming the import, if any.
+  static async confirmImport(importId, advertiserId, { placedBy } = {}) {
+    const bulkImport = await BulkOrderImport.findOne({ _id: importId, advertiserId });
+    if (!bulkImport) {
+      throw new BulkImportError('Import not found', 404);
+    }
+    if (bulkImport.status !== 'validated') {
+      throw new BulkImportError(`Import is already ${bulkImport.status}`, 409);
+    }
+    if (bulkImport.expiresAt < new Date()) {
+      bulkImport.status = 'expired';
+      await bulkImport.save();
+      throw new BulkImportError('Import has expired, please upload the file again', 410);
+    }
+
+    // Prices and website availability may have changed since the dry run
+    const wallet = await Wallet.findOne({ userId: advertiserId });
+    const validation = await this.validateRows(bulkImport.rows.map(row => row.toObject()), wallet?.currency);
+
+    if (validation.summary.invalidRows > 0) {
+      throw new BulkImportError('Some rows are no longer valid', 422, this.formatReport(bulkImport, validation, wallet));
+    }
+    if (!wallet || wallet.balance < validation.summary.totalCost) {
+      throw new BulkImportError(
+        `Insufficient wallet balance. You need ${validation.summary.totalCost.toFixed(2)} but have ${(wallet?.balance || 0).toFixed(2)}. Please top up your account.`,
+        400,
+        this.formatReport(bulkImport, validation, wallet)
+      );
+    }
+
+    const session = await mongoose.startSession();
+    session.startTransaction();
+
+    let createdOrders;
+    try {
+      const lockedWallet = await Wallet.findOne({ userId: advertiserId }).session(session);
+      if (lockedWallet.balance < validation.summary.totalCost) {
+        throw new BulkImportError('Insufficient wallet balance', 400);
+      }
+
+      createdOrders = [];
+      const batchId = Date.now();
+
+      for (const [index, row] of validation.rows.entries()) {
+        const { website, pricing } = row;
+
+        const order = new Order({
+          orderId: `ORD-${batchId}-${String(index + 1).padStart(4, '0')}`,
+          publisherId: website.userId,
+          advertiserId,
+          placedBy,
+          websiteId: website._id,
+          title: row.title || `Guest post on ${website.domain}`,
+          description: row.description || `Guest post on ${website.domain} linking to ${row.targetUrl}`,
+          contentRequirements: {
+            wordCount: row.wordCount || 800,
+            keywords: row.keywords,
+            targetUrl: row.targetUrl,
+            anchorText: row.anchorText,
+            linkType: row.linkType || 'dofollow',
+            needsCopywriting: Boolean(row.needsCopywriting)
+          },
+          ...pricing,
+          deadline: row.deadline,
+          status: 'pending',
+          paymentStatus: 'paid',
+          paymentDetails: {
+            paidAt: new Date()
+          }
+        });
+
+        // Every order gets its chat, as orders placed one by one do
+        const [chat] = await Chat.create([{
+          chatType: 'order',
+          participants: [
+            { userId: advertiserId, role: 'advertiser' },
+            { userId: website.userId, role: 'publisher' }
+          ],
+          orderId: order._id,
+          title: `Order Discussion - ${order.orderId}`,
+          description: `Chat for order: ${order.title}`
+        }], { session });
+        order.chatId = chat._id;
+        await order.save({ session });
+
+        const posting = await LedgerService.post({
+          type: 'order_payment',
+          lines: [
+            { account: 'wallet', userId: lockedWallet.userId, debit: pricing.totalPrice },
+            { account: 'escrow', userId: lockedWallet.userId, credit: pricing.totalPrice }
+          ],
+          orderId: order.orderId,
+          reference: bulkImport._id.toString(),
+          description: `Payment for order #${order.orderId} for ${website.domain} (bulk import)`,
+          currency: lockedWallet.currency
+        }, { session });
+        const { balanceBefore, balanceAfter } = LedgerService.balanceChange(posting, lockedWallet.userId);
+
+        await Transaction.create([{
+          userId: advertiserId,
+          walletId: lockedWallet._id,
+          type: 'deposit',
+          amount: -pricing.totalPrice, // Negative because it's a deduction
+          currency: lockedWallet.currency,
+          balanceBefore,
+          balanceAfter,
+          orderId: order.orderId,
+          description: `Payment for order #${order.orderId} for ${website.domain} (bulk import)`,
+          status: 'completed'
+        }], { session });
+
+        const publisherWallet = await Wallet.findOne({ userId: website.userId }).session(session);
+        if (publisherWallet) {
+          await Transaction.create([{
+            userId: website.userId,
+            walletId: publisherWallet._id,
+            type: 'earning',
+            amount: await CurrencyService.toWalletAmount(order, pricing.publisherEarnings, publisherWallet.currency),
+            currency: publisherWallet.currency,
+            balanceBefore: publisherWallet.balance,
+            balanceAfter: publisherWallet.balance, // Not adding yet as it's pending
+            orderId: order.orderId,
+            description: `Earning for order #${order.orderId} for ${website.domain}`,
+            status: 'pending'
+          }], { session });
+        }
+
+        createdOrders.push(order);
+      }
+
+      bulkImport.status = 'confirmed';
+      bulkImport.confirmedAt = new Date();
+      bulkImport.orderIds = createdOrders.map(order => order._id);
+      bulkImport.summary = validation.summary;
+      await bulkImport.save({ session });
+
+      await session.commitTransaction();
+    } catch (error) {
+      await session.abortTransaction();
+      throw error;
+    } finally {
+      session.endSession();
+    }
+
+    try {
+      await Notification.insertMany(createdOrders.map(order => ({
+        userId: order.publisherId,
+        type: 'order_created',
+        title: 'New Order Received',
+        message: `You have received a new order ${order.orderId}: ${order.title}`,
+        data: { orderId: order.orderId }
+      })));
+    } catch (error) {
+      console.error('Failed to notify publishers about imported orders:', error);
+    }
+
+    return {
+      importId: bulkImport._id,
+      orders: createdOrders,
+      totalCost: validation.summary.totalCost
+    };
+  }
+}
+
+export default BulkOrderImportService;
@@ -0,0 +1,288 @@
+import Cart from '../model/Cart.js';
+import Website from '../model/Website.js';
+import Wallet from '../model/Wallet.js';
+import PricingService from './PricingService.js';
+import PromoCodeService from './PromoCodeService.js';
+import ProjectService from './ProjectService.js';
+
+// Fields of a cart line the advertiser may set; prices are never taken from the client
+const EDITABLE_FIELDS = [
+  'articleType',
+  'sensitiveTopic',
+  'sensitiveCategory',
+  'homepageAnnouncement',
+  'targetUrl',
+  'anchorText',
+  'articleRequirements',
+  'keywords',
+  'wordCount',
+  'projectId',
+  'articleData'
+];
+
+// Error with an HTTP status, raised for problems the advertiser can fix
+export class CartError extends Error {
+  constructor(message, statusCode = 400, details = {}) {
+    super(message);
+    this.name = 'CartError';
+    this.statusCode = statusCode;
+    this.details = details;
+  }
+}
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+const pickEditable = (data = {}) => Object.fromEntries(
+  EDITABLE_FIELDS.filter(field => data[field] !== undefined).map(field => [field, data[field]])
+);
+
+export class CartService {
+
+  // Minutes a locked quote stays valid for checkout
+  static getQuoteMinutes() {
+    return Number(process.env.CART_QUOTE_MINUTES) || 30;
+  }
+
+  // Price one line from the website document, in the advertiser's wallet currency
+  static async priceItem(website, item, currency) {
+    return PricingService.priceOrder(website, {
+      needsCopywriting: item.articleType === 'publisher',
+      sensitiveTopic: item.sensitiveTopic,
+      homepageAnnouncement: item.homepageAnnouncement,
+      currency
+    });
+  }
+
+  // Make sure the website can take the line as configured
+  static validateItem(website, item) {
+    if (!website || website.status !== 'approved') {
+      throw new CartError('Website not found or not available', 400, { websiteId: item.websiteId });
+    }
+
+    if (item.sensitiveTopic) {
+      const accepted = website.acceptedSensitiveCategories || [];
+      if (accepted.length === 0) {
+        throw new CartError(`${website.domain} does not accept sensitive topics`, 400, { websiteId: website._id });
+      }
+      if (item.sensitiveCategory && !accepted.includes(item.sensitiveCategory)) {
+        throw new CartError(
+          `${website.domain} does not accept ${item.sensitiveCategory.replace(/_/g, ' ')} content`,
+          400,
+          { websiteId: website._id, acceptedSensitiveCategories: accepted }
+        );
+      }
+    }
+  }
+
+  static async validateProject(userId, item) {
+    if (!item.projectId) return;
+
+    const projectIds = await ProjectService.getAccessibleProjectIds(userId);
+    if (!projectIds.some(id => id.toString() === item.projectId.toString())) {
+      throw new CartError('Project not found', 404, { projectId: item.projectId });
+    }
+  }
+
+  static async findOrCreate(userId) {
+    return (await Cart.findOne({ userId })) || Cart.create({ userId, items: [] });
+  }
+
+  // Recompute every line from the current website data. Lines whose website
+  // is no longer available are dropped and reported.
+  static async reprice(cart) {
+    const websites = await Website.find({ _id: { $in: cart.items.map(item => item.websiteId) } });
+    const byId = new Map(websites.map(website => [website._id.toString(), website]));
+    const wallet = await Wallet.findOne({ userId: cart.userId }).select('currency');
+
+    const unavailable = [];
+    for (const item of [...cart.items]) {
+      const website = byId.get(item.websiteId.toString());
+      if (!website || website.status !== 'approved') {
+        unavailable.push({ websiteId: item.websiteId, domain: website?.domain });
+        cart.items.pull(item._id);
+        continue;
+      }
+      item.pricing = await this.priceItem(website, item, wallet?.currency);
+    }
+
+    return { unavailable, websites: byId };
+  }
+
+  static isQuoteValid(cart, now = new Date()) {
+    return Boolean(cart.quote?.expiresAt && cart.quote.expiresAt > now);
+  }
+
+  static summarize(cart, unavailable = []) {
+    return {
+      _id: cart._id,
+      items: cart.items,
+      itemCount: cart.items.length,
+      total: roundAmount(cart.items.reduce((sum, item) => sum + (item.pricing?.totalPrice || 0), 0)),
+      currency: cart.items[0]?.pricing?.currency || 'USD',
+      quote: this.isQuoteValid(cart) ? cart.quote : null,
+      unavailable,
+      updatedAt: cart.updatedAt
+    };
+  }
+
+  // Current cart. Prices are refreshed unless a quote is locked.
+  static async getCart(userId) {
+    const cart = await this.findOrCreate(userId);
+    if (this.isQuoteValid(cart)) {
+      return this.summarize(cart);
+    }
+
+    const { unavailable } = await this.reprice(cart);
+    cart.quote = undefined;
+    await cart.save();
+    return this.summarize(cart, unavailable);
+  }
+
+  static async addItem(userId, data = {}) {
+    const cart = await this.findOrCreate(userId);
+
+    if (cart.items.some(item => item.websiteId.toString() === String(data.websiteId))) {
+      throw new CartError('This website is already in the cart', 409, { websiteId: data.websiteId });
+    }
+
+    const website = await Website.findById(data.websiteId);
+    const item = { websiteId: data.websiteId, ...pickEditable(data) };
+    this.validateItem(website, item);
+    await this.validateProject(userId, item);
+
+    cart.items.push(item);
+    cart.quote = undefined;
+
+    const { unavailable } = await this.reprice(cart);
+    await cart.save();
+    return this.summarize(cart, unavailable);
+  }
+
+  static async updateItem(userId, itemId, data = {}) {
+    const cart = await this.findOrCreate(userId);
+    const item = cart.items.id(itemId);
+    if (!item) {
+      throw new CartError('Cart item not found', 404, { itemId });
+    }
+
+    item.set(pickEditable(data));
+
+    const website = await Website.findById(item.websiteId);
+    this.validateItem(website, item);
+    await this.validateProject(userId, item);
+    cart.quote = undefined;
+
+    const { unavailable } = await this.reprice(cart);
+    await cart.save();
+    return this.summarize(cart, unavailable);
+  }
+
+  static async removeItem(userId, itemId) {
+    const cart = await this.findOrCreate(userId);
+    if (!cart.items.id(itemId)) {
+      throw new CartError('Cart item not found', 404, { itemId });
+    }
+
+    cart.items.pull(itemId);
+    cart.quote = undefined;
+    await cart.save();
+    return this.summarize(cart);
+  }
+
+  static async clearCart(userId) {
+    await Cart.updateOne({ userId }, { $set: { items: [] }, $unset: { quote: 1 } });
+  }
+
+  // Use up the locked quote of a checkout inside its transaction. Of two
+  // checkouts of the same quote only the first matches; the other is refused.
+  static async consumeQuote(cart, session) {
+    const consumed = await Cart.findOneAndUpdate(
+      { _id: cart._id, 'quote.lockedAt': cart.quote?.lockedAt },
+      { $set: { items: [] }, $unset: { quote: 1 } },
+      { session }
+    );
+    if (!consumed) {
+      throw new CartError('This price quote was already used or has changed. Review your cart and check out again.', 409);
+    }
+  }
+
+  // Lock the current prices for checkout
+  static async lockQuote(userId) {
+    const cart = await this.findOrCreate(userId);
+    const { unavailable } = await this.reprice(cart);
+
+    if (cart.items.length === 0) {
+      await cart.save();
+      throw new CartError('Cart is empty', 400, { unavailable });
+    }
+
+    const now = new Date();
+    cart.quote = {
+      total: roundAmount(cart.items.reduce((sum, item) => sum + item.pricing.totalPrice, 0)),
+      lockedAt: now,
+      expiresAt: new Date(now.getTime() + this.getQuoteMinutes() * 60 * 1000)
+    };
+    await cart.save();
+    return this.summarize(cart, unavailable);
+  }
+
+  // Discount a promo code would give on the cart as it is now
+  static async previewPromoCode(userId, code) {
+    const cart = await this.findOrCreate(userId);
+    if (cart.items.length === 0) {
+      throw new CartError('Cart is empty', 400);
+    }
+
+    // Locked prices stay as quoted
+    if (!this.isQuoteValid(cart)) {
+      await this.reprice(cart);
+      await cart.save();
+    }
+
+    const websites = await Website.find({ _id: { $in: cart.items.map(item => item.websiteId) } });
+    const byId = new Map(websites.map(website => [website._id.toString(), website]));
+
+    const lines = cart.items.filter(item => byId.has(item.websiteId.toString())).map(item => ({
+      key: item._id.toString(),
+      website: byId.get(item.websiteId.toString()),
+      pricing: item.pricing
+    }));
+    const { promo, allocations, discountAmount } = await PromoCodeService.evaluate(code, userId, lines);
+    const { total } = this.summarize(cart);
+
+    return {
+      code: promo.code,
+      description: promo.description,
+      discountAmount,
+      items: allocations.map(allocation => ({ itemId: allocation.key, discountAmount: allocation.amount })),
+      total,
+      totalAfterDiscount: roundAmount(total - discountAmount)
+    };
+  }
+
+  // Lines to check out at their locked prices, with the websites they belong to
+  static async getCheckoutLines(userId) {
+    const cart = await Cart.findOne({ userId });
+    if (!cart || cart.items.length === 0) {
+      throw new CartError('Cart is empty', 400);
+    }
+    if (!this.isQuoteValid(cart)) {
+      throw new CartError('No valid price quote. Request a new quote before checking out.', 409, {
+        expiredAt: cart.quote?.expiresAt
+      });
+    }
+
+    const websites = await Website.find({ _id: { $in: cart.items.map(item => item.websiteId) } });
+    const byId = new Map(websites.map(website => [website._id.toString(), website]));
+
+    const lines = cart.items.map(item => {
+      const website = byId.get(item.websiteId.toString());
+      this.validateItem(website, item);
+      return { item, website };
+    });
+
+    return { cart, lines, total: cart.quote.total };
+  }
+}
+
+export default CartService;
@@ -0,0 +1,304 @@
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import Client from '../model/Client.js';
+import ReportLink from '../model/ReportLink.js';
+import Project from '../model/Project.js';
+import Order from '../model/Order.js';
+
+// Fields of a client the advertiser may set
+const EDITABLE_FIELDS = ['name', 'company', 'contactName', 'email', 'website', 'notes'];
+
+// Orders whose backlink has been published
+const PLACED_STATUSES = ['completed', 'delivered'];
+
+// Error with an HTTP status, raised for problems the advertiser can fix
+export class ClientError extends Error {
+  constructor(message, statusCode = 400, details = {}) {
+    super(message);
+    this.name = 'ClientError';
+    this.statusCode = statusCode;
+    this.details = details;
+  }
+}
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+const pickEditable = (data = {}) => Object.fromEntries(
+  EDITABLE_FIELDS.filter(field => data[field] !== undefined).map(field => [field, data[field]])
+);
+
+export class ClientService {
+
+  // Days a report link stays valid when no expiry is given, and the longest allowed
+  static getReportLinkDays() {
+    return Number(process.env.REPORT_LINK_DAYS) || 30;
+  }
+
+  static getMaxReportLinkDays() {
+    return Number(process.env.REPORT_LINK_MAX_DAYS) || 365;
+  }
+
+  static async listClients(userId, { includeArchived = false } = {}) {
+    const filter = { userId };
+    if (!includeArchived) {
+      filter.isArchived = false;
+    }
+    return Client.find(filter).sort({ name: 1 });
+  }
+
+  static async findClient(userId, clientId) {
+    const client = mongoose.Types.ObjectId.isValid(clientId)
+      ? await Client.findOne({ _id: clientId, userId })
+      : null;
+
+    if (!client) {
+      throw new ClientError('Client not found', 404, { clientId });
+    }
+    return client;
+  }
+
+  static async createClient(userId, data = {}) {
+    const fields = pickEditable(data);
+    if (!fields.name || !String(fields.name).trim()) {
+      throw new ClientError('Client name is required', 400);
+    }
+    return Client.create({ ...fields, userId });
+  }
+
+  static async updateClient(userId, clientId, data = {}) {
+    const client = await this.findClient(userId, clientId);
+    client.set(pickEditable(data));
+    if (data.isArchived !== undefined) {
+      client.isArchived = Boolean(data.isArchived);
+    }
+    await client.save();
+    return client;
+  }
+
+  // Archive the client and revoke its report links. Tags on projects and orders stay.
+  static async archiveClient(userId, clientId) {
+    const client = await this.findClient(userId, clientId);
+    client.isArchived = true;
+    await client.save();
+
+    await ReportLink.updateMany(
+      { clientId: client._id, revokedAt: { $exists: false } },
+      { $set: { revokedAt: new Date() } }
+    );
+    return client;
+  }
+
+  // Tag a project with the client, or with untag remove the tag if it is this client's
+  static async tagProject(userId, clientId, projectId, { untag = false } = {}) {
+    const client = await this.findClient(userId, clientId);
+    const filter = { _id: projectId, userId };
+    if (untag) {
+      filter.clientId = client._id;
+    }
+
+    const project = mongoose.Types.ObjectId.isValid(projectId)
+      ? await Project.findOneAndUpdate(filter, { $set: { clientId: untag ? null : client._id } }, { new: true })
+      : null;
+
+    if (!project) {
+      throw new ClientError('Project not found', 404, { projectId });
+    }
+    return project;
+  }
+
+  // Tag an order with the client, or with untag remove the tag if it is this client's
+  static async tagOrder(userId, clientId, orderId, { untag = false } = {}) {
+    const client = await this.findClient(userId, clientId);
+    const filter = { orderId, advertiserId: userId };
+    if (untag) {
+      filter.clientId = client._id;
+    }
+
+    const order = await Order.findOneAndUpdate(
+      filter,
+      { $set: { clientId: untag ? null : client._id } },
+      { new: true }
+    ).select('orderId clientId projectId');
+
+    if (!order) {
+      throw new ClientError('Order not found', 404, { orderId });
+    }
+    return order;
+  }
+
+  // Orders bought for the client: tagged directly, or untagged in one of its projects
+  static async clientOrderFilter(userId, clientId, projectIds = []) {
+    const clientProjectIds = await Project.find({ userId, clientId }).distinct('_id');
+    const selected = projectIds.length > 0
+      ? clientProjectIds.filter(id => projectIds.some(projectId => projectId.toString() === id.toString()))
+      : clientProjectIds;
+
+    return {
+      advertiserId: userId,
+      $or: [
+        { clientId: null, projectId: { $in: selected } },
+        projectIds.length > 0 ? { clientId, projectId: { $in: selected } } : { clientId }
+      ]
+    };
+  }
+
+  static async listReportLinks(userId, clientId) {
+    const client = await this.findClient(userId, clientId);
+    return ReportLink.find({ userId, clientId: client._id })
+      .select('-tokenHash')
+      .sort({ createdAt: -1 });
+  }
+
+  // Create a shareable link. The token is returned once; only its hash is kept.
+  static async createReportLink(userId, clientId, data = {}) {
+    const client = await this.findClient(userId, clientId);
+    if (client.isArchived) {
+      throw new ClientError('Reports cannot be shared for an archived client', 409, { clientId });
+    }
+
+    const now = Date.now();
+    const maxExpiry = new Date(now + this.getMaxReportLinkDays() * 24 * 60 * 60 * 1000);
+    const expiresAt = data.expiresAt
+      ? new Date(data.expiresAt)
+      : new Date(now + this.getReportLinkDays() * 24 * 60 * 60 * 1000);
+    if (Number.isNaN(expiresAt.getTime()) || expiresAt <= new Date(now) || expiresAt > maxExpiry) {
+      throw new ClientError(`Expiry must be a future date within ${this.getMaxReportLinkDays()} days`, 400, {
+        expiresAt: data.expiresAt
+      });
+    }
+
+    const markupPercentage = Number(data.markupPercentage || 0);
+    if (!Number.isFinite(markupPercentage) || markupPercentage < 0 || markupPercentage > 1000) {
+      throw new ClientError('Markup must be between 0 and 1000 percent', 400, { markupPercentage: data.markupPercentage });
+    }
+
+    // Branding is rendered on a public page, so only web links and hex colors are accepted
+    const branding = data.branding || {};
+    if (branding.logoUrl && !/^https?:\/\/[^\s"'<>]+$/i.test(branding.logoUrl)) {
+      throw new ClientError('Logo URL must be an http(s) link', 400, { logoUrl: branding.logoUrl });
+    }
+    if (branding.primaryColor && !/^#(?:[0-9a-f]{3}|[0-9a-f]{6})$/i.test(branding.primaryColor)) {
+      throw new ClientError('Primary color must be a hex color such as #1a2b3c', 400, { primaryColor: branding.primaryColor });
+    }
+
+    const projectIds = Array.isArray(data.projectIds) ? data.projectIds : [];
+    if (projectIds.some(projectId => !mongoose.Types.ObjectId.isValid(projectId))) {
+      throw new ClientError('Invalid project ID', 400, { projectIds });
+    }
+    if (projectIds.length > 0) {
+      const owned = await Project.countDocuments({ _id: { $in: projectIds }, userId, clientId: client._id });
+      if (owned !== projectIds.length) {
+        throw new ClientError('Every project must belong to this client', 400, { projectIds });
+      }
+    }
+
+    const token = crypto.randomBytes(32).toString('hex');
+    const link = await ReportLink.create({
+      userId,
+      clientId: client._id,
+      projectIds,
+      title: data.title || `${client.name} placement report`,
+      branding: {
+        companyName: branding.companyName,
+        logoUrl: branding.logoUrl,
+        primaryColor: branding.primaryColor,
+        footerText: branding.footerText
+      },
+      showCosts: data.showCosts !== undefined ? Boolean(data.showCosts) : true,
+      markupPercentage,
+      tokenHash: hashToken(token),
+      expiresAt
+    });
+
+    const { tokenHash, ...fields } = link.toObject();
+    return {
+      ...fields,
+      token,
+      url: `${process.env.FRONTEND_URL}/reports/${token}`
+    };
+  }
+
+  static async revokeReportLink(userId, clientId, linkId) {
+    const client = await this.findClient(userId, clientId);
+    const link = mongoose.Types.ObjectId.isValid(linkId)
+      ? await ReportLink.findOneAndUpdate(
+        { _id: linkId, userId, clientId: client._id, revokedAt: { $exists: false } },
+        { $set: { revokedAt: new Date() } },
+        { new: true }
+      ).select('-tokenHash')
+      : null;
+
+    if (!link) {
+      throw new ClientError('Report link not found', 404, { linkId });
+    }
+    return link;
+  }
+
+  // Report opened through a shared link. Nothing identifying the platform or
+  // the agency's purchase details beyond the marked-up cost is included.
+  static async getSharedReport(token, now = new Date()) {
+    const link = await ReportLink.findOne({ tokenHash: hashToken(token) });
+    if (!link || link.revokedAt || link.expiresAt <= now) {
+      throw new ClientError('This report link is invalid or has expired', 404);
+    }
+
+    const client = await Client.findById(link.clientId).select('name company website');
+    const filter = await this.clientOrderFilter(link.userId, link.clientId, link.projectIds);
+    const orders = await Order.find({
+      ...filter,
+      status: { $in: PLACED_STATUSES },
+      'submittedContent.publishedUrl': { $exists: true, $ne: '' }
+    })
+      .select('websiteId websiteSnapshot totalPrice currency contentRequirements submittedContent linkHealth createdAt')
+      .populate('websiteId', 'domain')
+      .sort({ 'submittedContent.submittedAt': -1 });
+
+    const markup = 1 + (link.markupPercentage || 0) / 100;
+    const placements = orders.map(order => ({
+      domain: order.websiteSnapshot?.domain || order.websiteId?.domain,
+      publishedUrl: order.submittedContent.publishedUrl,
+      publishedAt: order.submittedContent.submittedAt,
+      targetUrl: order.contentRequirements?.targetUrl,
+      anchorText: order.contentRequirements?.anchorText,
+      linkType: order.contentRequirements?.linkType,
+      linkStatus: order.linkHealth?.status || 'unchecked',
+      metrics: order.websiteSnapshot?.capturedAt ? {
+        domainAuthority: order.websiteSnapshot.domainAuthority,
+        domainRating: order.websiteSnapshot.domainRating,
+        traffic: order.websiteSnapshot.traffic,
+        capturedAt: order.websiteSnapshot.capturedAt
+      } : null,
+      cost: link.showCosts ? roundAmount(order.totalPrice * markup) : undefined,
+      currency: link.showCosts ? order.currency || 'USD' : undefined
+    }));
+
+    // Orders are priced in the wallet currency at the time, so costs are totalled per currency
+    const totalCost = {};
+    if (link.showCosts) {
+      placements.forEach(placement => {
+        totalCost[placement.currency] = roundAmount((totalCost[placement.currency] || 0) + placement.cost);
+      });
+    }
+
+    // Counted in one update, so concurrent views are not lost
+    await ReportLink.updateOne({ _id: link._id }, { $inc: { viewCount: 1 }, $set: { lastViewedAt: now } });
+
+    return {
+      title: link.title,
+      branding: link.branding,
+      client: client ? { name: client.name, company: client.company, website: client.website } : null,
+      placements,
+      summary: {
+        placements: placements.length,
+        live: placements.filter(placement => placement.linkStatus === 'live').length,
+        totalCost: link.showCosts ? totalCost : undefined
+      },
+      expiresAt: link.expiresAt,
+      generatedAt: now
+    };
+  }
+}
+
+export default ClientService;
@@ -0,0 +1,310 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { Currency } from '../Models/PaymentModel.js';
+import Wallet from '../model/Wallet.js';
+import Transaction from '../model/Transaction.js';
+import LedgerService from './LedgerService.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// Currencies a wallet, website or order can be in; rates are against USD
+export const SUPPORTED_CURRENCIES = ['USD', 'EUR', 'GBP', 'PKR', 'INR'];
+export const BASE_CURRENCY = 'USD';
+
+// Error with an HTTP status, raised for problems the user or admin can fix
+export class CurrencyError extends Error {
+  constructor(message, statusCode = 400, details = {}) {
+    super(message);
+    this.name = 'CurrencyError';
+    this.statusCode = statusCode;
+    this.details = details;
+  }
+}
+
+// Amounts a wallet keeps for each currency
+const WALLET_AMOUNT_FIELDS = ['balance', 'pendingBalance', 'heldBalance', 'totalEarnings', 'totalWithdrawn'];
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+const roundRate = (rate) => Number(rate.toFixed(6));
+
+export class CurrencyService {
+
+  // Rates file used to seed the rates and to reload them offline
+  static getRatesFile() {
+    return process.env.EXCHANGE_RATES_FILE || path.join(__dirname, '..', 'config', 'exchangeRates.json');
+  }
+
+  // Share of a withdrawal kept when it is paid out in another currency
+  static getConversionFeeRate() {
+    const rate = Number(process.env.CURRENCY_CONVERSION_FEE_RATE ?? 0.01);
+    return Number.isFinite(rate) && rate >= 0 && rate < 1 ? rate : 0.01;
+  }
+
+  static assertSupported(currency) {
+    if (!SUPPORTED_CURRENCIES.includes(currency)) {
+      throw new CurrencyError(`Currency must be one of: ${SUPPORTED_CURRENCIES.join(', ')}`, 400, { currency });
+    }
+  }
+
+  // Load the rates file into the stored rates
+  static async loadRatesFromFile(file = this.getRatesFile()) {
+    let data;
+    try {
+      data = JSON.parse(await fs.readFile(file, 'utf8'));
+    } catch (error) {
+      throw new CurrencyError(`Exchange rates file could not be read: ${error.message}`, 500, { file });
+    }
+    if (data.base && data.base !== BASE_CURRENCY) {
+      throw new CurrencyError(`Exchange rates must be against ${BASE_CURRENCY}`, 400, { base: data.base });
+    }
+
+    const currencies = data.currencies || {};
+    const rates = Object.fromEntries(Object.entries(currencies).map(([code, item]) => [code, item.rate]));
+    return this.setRates(rates, { asOf: data.asOf, currencies });
+  }
+
+  // Store rates given by an admin or read from the rates file.
+  // rates maps currency codes to units per USD; codes left out keep their rate.
+  static async setRates(rates = {}, { asOf, currencies = {} } = {}) {
+    const entries = Object.entries(rates);
+    if (entries.length === 0) {
+      throw new CurrencyError('At least one rate is required', 400);
+    }
+    entries.forEach(([code, rate]) => {
+      this.assertSupported(code);
+      if (!Number.isFinite(Number(rate)) || Number(rate) <= 0) {
+        throw new CurrencyError(`Rate for ${code} must be a positive number`, 400, { code, rate });
+      }
+    });
+    if (rates[BASE_CURRENCY] !== undefined && Number(rates[BASE_CURRENCY]) !== 1) {
+      throw new CurrencyError(`The rate of ${BASE_CURRENCY} is always 1`, 400);
+    }
+
+    const lastUpdated = asOf ? new Date(asOf) : new Date();
+    if (Number.isNaN(lastUpdated.getTime())) {
+      throw new CurrencyError('Invalid rates date', 400, { asOf });
+    }
+
+    await Currency.bulkWrite(entries.map(([code, rate]) => ({
+      updateOne: {
+        filter: { code },
+        update: {
+          $set: { exchangeRate: Number(rate), lastUpdated, isActive: true },
+          $setOnInsert: {
+            name: currencies[code]?.name || code,
+            symbol: currencies[code]?.symbol || code
+          }
+        },
+        upsert: true
+      }
+    })));
+
+    return this.getRates();
+  }
+
+  // Stored rates of the supported currencies. The rates file fills in any
+  // that were never set, so conversion works without network access.
+  static async getRates({ seed = true } = {}) {
+    const docs = await Currency.find({ code: { $in: SUPPORTED_CURRENCIES } })
+      .select('code name symbol exchangeRate lastUpdated');
+    if (seed && docs.length < SUPPORTED_CURRENCIES.length) {
+      await this.loadRatesFromFile();
+      return this.getRates({ seed: false });
+    }
+
+    return Object.fromEntries(docs.map(doc => [doc.code, {
+      name: doc.name,
+      symbol: doc.symbol,
+      rate: doc.exchangeRate,
+      updatedAt: doc.lastUpdated
+    }]));
+  }
+
+  // Rate snapshot to convert from one currency to another
+  static async getRate(from, to) {
+    this.assertSupported(from);
+    this.assertSupported(to);
+    if (from === to) {
+      return { from, to, rate: 1, ratesAsOf: new Date(), capturedAt: new Date() };
+    }
+
+    const rates = await this.getRates();
+    if (!rates[from] || !rates[to]) {
+      throw new CurrencyError(`No exchange rate for ${rates[from] ? to : from}`, 400, { from, to });
+    }
+
+    const older = [rates[from].updatedAt, rates[to].updatedAt].sort((a, b) => a - b)[0];
+    return {
+      from,
+      to,
+      rate: roundRate(rates[to].rate / rates[from].rate),
+      ratesAsOf: older,
+      capturedAt: new Date()
+    };
+  }
+
+  static async convert(amount, from, to) {
+    const snapshot = await this.getRate(from, to);
+    return { amount: roundAmount(amount * snapshot.rate), snapshot };
+  }
+
+  // Order prices from PricingService converted with a rate snapshot
+  static convertPricing(pricing, rate) {
+    const convert = (amount) => roundAmount((amount || 0) * rate);
+    const totalPrice = convert(pricing.totalPrice);
+    const platformCommission = convert(pricing.platformCommission);
+
+    return {
+      ...pricing,
+      basePrice: convert(pricing.basePrice),
+      additionalCharges: Object.fromEntries(
+        Object.entries(pricing.additionalCharges || {}).map(([key, amount]) => [key, convert(amount)])
+      ),
+      subtotal: convert(pricing.subtotal),
+      discount: { ...pricing.discount, amount: convert(pricing.discount?.amount) },
+      totalPrice,
+      platformCommission,
+      publisherEarnings: roundAmount(totalPrice - platformCommission)
+    };
+  }
+
+  // An order amount in a wallet's currency. Orders store the rate the
+  // advertiser was charged at, so publishers get their own price back; current
+  // rates are only used if the wallet's main currency changed since.
+  static async toWalletAmount(order, amount, walletCurrency) {
+    const orderCurrency = order.currency || BASE_CURRENCY;
+    if (walletCurrency === orderCurrency || !amount) {
+      return amount;
+    }
+    if (order.exchangeRate?.from === walletCurrency && order.exchangeRate.rate > 0) {
+      return roundAmount(amount / order.exchangeRate.rate);
+    }
+    return (await this.convert(amount, orderCurrency, walletCurrency)).amount;
+  }
+
+  // Make another currency the wallet's main one. Each currency keeps its own
+  // money, so nothing is converted: the old main amounts move into the
+  // balances list and the new currency's entry takes their place. The
+  // withdrawal settings are amounts and follow the main currency.
+  static async setMainCurrency(userId, currency) {
+    this.assertSupported(currency);
+    const current = await Wallet.findOne({ userId });
+    if (!current) {
+      throw new CurrencyError('Wallet not found', 404);
+    }
+    const from = current.currency;
+    if (from === currency) {
+      throw new CurrencyError(`The wallet is already in ${currency}`, 409, { currency });
+    }
+
+    const snapshot = await this.getRate(from, currency);
+    const convert = (path) => ({ $round: [{ $multiply: [{ $ifNull: [path, 0] }, snapshot.rate] }, 2] });
+    const balances = { $ifNull: ['$balances', []] };
+    const amounts = (path) => Object.fromEntries(
+      WALLET_AMOUNT_FIELDS.map(field => [field, { $ifNull: [`${path}${field}`, 0] }])
+    );
+
+    // One update, so nothing is posted to the wallet halfway through the swap
+    const wallet = await Wallet.findOneAndUpdate(
+      { userId, currency: from },
+      [
+        {
+          $set: {
+            nextMain: {
+              $ifNull: [
+                { $arrayElemAt: [{ $filter: { input: balances, cond: { $eq: ['$$this.currency', currency] } } }, 0] },
+                {}
+              ]
+            }
+          }
+        },
+        {
+          $set: {
+            currency,
+            balances: {
+              $concatArrays: [
+                { $filter: { input: balances, cond: { $ne: ['$$this.currency', currency] } } },
+                [{ currency: from, ...amounts('$') }]
+              ]
+            },
+            ...amounts('$nextMain.'),
+            'withdrawalSettings.minimumAmount': convert('$withdrawalSettings.minimumAmount'),
+            'withdrawalSettings.autoWithdrawal.threshold': convert('$withdrawalSettings.autoWithdrawal.threshold')
+          }
+        },
+        { $unset: 'nextMain' }
+      ],
+      { new: true }
+    );
+    if (!wallet) {
+      throw new CurrencyError('The wallet currency changed meanwhile. Try again.', 409, { currency: from });
+    }
+    return { wallet, exchangeRate: snapshot };
+  }
+
+  // Convert part of the wallet's money in one currency into another at
+  // today's rate. from defaults to the main currency.
+  static async convertBalance(userId, { from, to, amount } = {}) {
+    const wallet = await Wallet.findOne({ userId });
+    if (!wallet) {
+      throw new CurrencyError('Wallet not found', 404);
+    }
+    from = from || wallet.currency;
+    this.assertSupported(from);
+    this.assertSupported(to);
+    if (from === to) {
+      throw new CurrencyError('Choose two different currencies', 400, { from, to });
+    }
+    amount = roundAmount(Number(amount));
+    if (!Number.isFinite(amount) || amount <= 0) {
+      throw new CurrencyError('Amount must be a positive number', 400, { amount });
+    }
+    const available = wallet.amountsIn(from).balance;
+    if (amount > available) {
+      throw new CurrencyError(`Insufficient ${from} balance`, 400, { currency: from, required: amount, available });
+    }
+
+    const { amount: converted, snapshot } = await this.convert(amount, from, to);
+    if (converted <= 0) {
+      throw new CurrencyError('Amount is too small to convert', 400, { amount, currency: from });
+    }
+
+    return LedgerService.withSession(null, async (session) => {
+      const description = `Converted ${amount} ${from} to ${converted} ${to}`;
+      const posting = await LedgerService.post({
+        type: 'conversion',
+        lines: [
+          { account: 'wallet', userId, debit: amount },
+          ...LedgerService.fxLines(from, amount, to, converted),
+          { account: 'wallet', userId, credit: converted, currency: to }
+        ],
+        description,
+        currency: from
+      }, { session });
+
+      const metadata = { exchangeRate: snapshot };
+      const records = [[from, -amount], [to, converted]].map(([currency, change]) => {
+        const { wallet: updated, balanceBefore, balanceAfter } = LedgerService.balanceChange(posting, userId, currency);
+        return {
+          userId,
+          walletId: updated._id,
+          type: 'adjustment',
+          amount: change,
+          currency,
+          balanceBefore,
+          balanceAfter,
+          status: 'completed',
+          description,
+          metadata,
+          completedAt: new Date()
+        };
+      });
+      const transactions = await Transaction.create(records, { session, ordered: true });
+
+      return { wallet: posting.wallets.get(userId.toString()), transactions, exchangeRate: snapshot };
+    });
+  }
+}
+
+export default CurrencyService;
@@ -0,0 +1,130 @@
+import crypto from 'crypto';
+
+// Payout detail fields that are only stored encrypted
+export const SENSITIVE_FIELDS = ['accountNumber', 'routingNumber', 'paypalEmail', 'walletAddress'];
+
+const PREFIX = 'enc';
+const ALGORITHM = 'aes-256-gcm';
+
+// AES-256-GCM encryption of single field values. The keys come from
+// PAYOUT_ENCRYPTION_KEYS as comma-separated "id:key" pairs, the key being 32
+// bytes in base64 or hex. The first key encrypts; the others are kept so values
+// written before a rotation can still be read until they are re-encrypted.
+export class FieldEncryptionService {
+
+  static getKeys() {
+    const keys = (process.env.PAYOUT_ENCRYPTION_KEYS || '')
+      .split(',')
+      .map(pair => pair.trim())
+      .filter(Boolean)
+      .map(pair => {
+        const [id, value] = pair.split(':');
+        const key = /^[0-9a-f]{64}$/i.test(value || '') ? Buffer.from(value, 'hex') : Buffer.from(value || '', 'base64');
+        if (!id || key.length !== 32) {
+          throw new Error(`Payout encryption key '${id}' must be 32 bytes in base64 or hex`);
+        }
+        return { id, key };
+      });
+
+    if (keys.length === 0) {
+      throw new Error('PAYOUT_ENCRYPTION_KEYS is not configured');
+    }
+    return keys;
+  }
+
+  static getCurrentKeyId() {
+    return this.getKeys()[0].id;
+  }
+
+  static isEncrypted(value) {
+    return typeof value === 'string' && value.startsWith(`${PREFIX}:`);
+  }
+
+  // Key id an encrypted value was written with
+  static keyIdOf(value) {
+    return this.isEncrypted(value) ? value.split(':')[1] : null;
+  }
+
+  static encrypt(value) {
+    if (value === undefined || value === null || value === '' || this.isEncrypted(value)) {
+      return value;
+    }
+
+    const { id, key } = this.getKeys()[0];
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+    const data = Buffer.concat([cipher.update(String(value), 'utf8'), cipher.final()]);
+
+    return [PREFIX, id, iv.toString('base64'), cipher.getAuthTag().toString('base64'), data.toString('base64')].join(':');
+  }
+
+  static decrypt(value) {
+    if (!this.isEncrypted(value)) {
+      return value;
+    }
+
+    const [, id, iv, tag, data] = value.split(':');
+    const entry = this.getKeys().find(item => item.id === id);
+    if (!entry) {
+      throw new Error(`Payout encryption key '${id}' is not configured`);
+    }
+
+    const decipher = crypto.createDecipheriv(ALGORITHM, entry.key, Buffer.from(iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(tag, 'base64'));
+    return Buffer.concat([decipher.update(Buffer.from(data, 'base64')), decipher.final()]).toString('utf8');
+  }
+
+  // Re-encrypt a value written with an older key, or encrypt a plain one
+  static rotate(value) {
+    if (value === undefined || value === null || value === '') return value;
+    if (this.keyIdOf(value) === this.getCurrentKeyId()) return value;
+    return this.encrypt(this.decrypt(value));
+  }
+
+  static maskValue(field, value) {
+    if (!value) return value;
+    const text = String(value);
+    switch (field) {
+      case 'paypalEmail': {
+        const [name, domain] = text.split('@');
+        return domain ? `${name.charAt(0)}***@${domain}` : '***';
+      }
+      case 'walletAddress':
+        return text.length <= 8 ? '****' : `${text.slice(0, 4)}...${text.slice(-4)}`;
+      default:
+        return text.length <= 4 ? '****' : `****${text.slice(-4)}`;
+    }
+  }
+
+  // Payment details with the sensitive fields encrypted and their masked
+  // forms kept beside them for display
+  static encryptDetails(details = {}) {
+    const encrypted = { ...details, masked: { ...(details.masked || {}) } };
+    SENSITIVE_FIELDS.forEach(field => {
+      const value = details[field];
+      if (value === undefined || value === null || value === '') return;
+      if (!this.isEncrypted(value)) {
+        encrypted.masked[field] = this.maskValue(field, value);
+      }
+      encrypted[field] = this.rotate(value);
+    });
+    return encrypted;
+  }
+
+  // Only the payout path should need this
+  static decryptDetails(details = {}) {
+    const { masked, ...plain } = details;
+    SENSITIVE_FIELDS.forEach(field => {
+      if (plain[field]) plain[field] = this.decrypt(plain[field]);
+    });
+    return plain;
+  }
+
+  // Whether the details hold a plain value or one written with an older key
+  static needsEncryption(details = {}) {
+    const currentKeyId = this.getCurrentKeyId();
+    return SENSITIVE_FIELDS.some(field => details[field] && this.keyIdOf(details[field]) !== currentKeyId);
+  }
+}
+
+export default FieldEncryptionService;
@@ -0,0 +1,291 @@
+import mongoose from 'mongoose';
+import Order from '../model/Order.js';
+import Wallet from '../model/Wallet.js';
+import Transaction from '../model/Transaction.js';
+import { Notification } from '../Models/NotificationModel.js';
+import LinkMonitorService, { FAILING_STATUSES } from './LinkMonitorService.js';
+import { OrderTransitionError } from './OrderLifecycleService.js';
+import ProjectService from './ProjectService.js';
+import LedgerService from './LedgerService.js';
+import CurrencyService from './CurrencyService.js';
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+export class GuaranteeService {
+
+  // Days after delivery during which a lost link is refunded in full
+  static getFullRefundDays() {
+    return Number(process.env.GUARANTEE_FULL_REFUND_DAYS) || 30;
+  }
+
+  static isWithinGuarantee(order, at = new Date()) {
+    const { startsAt, endsAt } = order.guarantee || {};
+    return Boolean(startsAt && endsAt && at >= startsAt && at <= endsAt);
+  }
+
+  // Start of the current run of failed link checks
+  static getLinkLostAt(order) {
+    const history = order.linkHealth?.history || [];
+    let lostAt = null;
+    for (let i = history.length - 1; i >= 0 && history[i].status !== 'live'; i--) {
+      lostAt = history[i].checkedAt;
+    }
+    return lostAt || order.linkHealth?.lastCheckedAt || new Date();
+  }
+
+  // Full refund early in the guarantee, afterwards the unused part of it
+  static calculateRefund(order, lostAt) {
+    const startsAt = new Date(order.guarantee.startsAt).getTime();
+    const endsAt = new Date(order.guarantee.endsAt).getTime();
+    const lost = new Date(lostAt).getTime();
+
+    if (lost <= startsAt + this.getFullRefundDays() * 24 * 60 * 60 * 1000) {
+      return order.totalPrice;
+    }
+
+    const unused = Math.min(1, Math.max(0, (endsAt - lost) / (endsAt - startsAt)));
+    return roundAmount(order.totalPrice * unused);
+  }
+
+  // Advertiser claims that the link disappeared during the guarantee. The link
+  // is checked again right away; a confirmed removal is refunded automatically,
+  // anything else waits for an admin.
+  static async openClaim(order, actor, { reason } = {}) {
+    const now = new Date();
+
+    if (order.status !== 'delivered') {
+      throw new OrderTransitionError('Only delivered orders are covered by the guarantee', 409, { status: order.status });
+    }
+
+    if (!this.isWithinGuarantee(order, now)) {
+      throw new OrderTransitionError(
+        `The guarantee for order ${order.orderId} is not active`,
+        409,
+        { guarantee: order.guarantee }
+      );
+    }
+
+    const existing = order.guaranteeClaims.find(claim => ['open', 'approved'].includes(claim.status));
+    if (existing) {
+      throw new OrderTransitionError(
+        `Order ${order.orderId} already has a ${existing.status} guarantee claim`,
+        409,
+        { claimId: existing._id }
+      );
+    }
+
+    const alreadyFailing = FAILING_STATUSES.includes(order.linkHealth?.status);
+    const linkLostAt = alreadyFailing ? this.getLinkLostAt(order) : now;
+    const check = await LinkMonitorService.checkOrder(order, now);
+
+    const claimId = new mongoose.Types.ObjectId();
+    let claim;
+    await LedgerService.withSession(null, async (session) => {
+      // Added only while no other claim is open or approved, so two requests
+      // at once cannot both be refunded
+      const claimed = await Order.findOneAndUpdate(
+        { _id: order._id, status: 'delivered', 'guaranteeClaims.status': { $nin: ['open', 'approved'] } },
+        {
+          $push: {
+            guaranteeClaims: {
+              _id: claimId,
+              openedAt: now,
+              openedBy: actor?.id && mongoose.Types.ObjectId.isValid(actor.id) ? actor.id : undefined,
+              reason,
+              linkStatus: check.status,
+              linkLostAt,
+              status: 'open'
+            }
+          }
+        },
+        { new: true, session }
+      );
+      if (!claimed) {
+        throw new OrderTransitionError(`Order ${order.orderId} already has an open or approved guarantee claim`, 409, { orderId: order.orderId });
+      }
+      claim = claimed.guaranteeClaims.id(claimId);
+
+      if (FAILING_STATUSES.includes(check.status)) {
+        await this.settleClaim(claimed, claim, this.calculateRefund(claimed, linkLostAt), 'system',
+          `Link confirmed ${check.status === 'nofollow' ? 'changed to nofollow' : 'removed'} by the link monitor`, session);
+        await claimed.save({ session });
+      }
+    });
+
+    if (claim.status === 'approved' && order.projectId) {
+      await ProjectService.refreshStats(order.projectId);
+    }
+
+    await this.notifyParties(order, claim.status === 'approved'
+      ? `The guarantee claim on order ${order.orderId} was approved and ${claim.refundAmount} was refunded.`
+      : `A guarantee claim was opened on order ${order.orderId} and is waiting for review.`);
+
+    return claim;
+  }
+
+  // Admin decision on an open claim. refundAmount defaults to the calculated refund.
+  static async resolveClaim(order, claimId, actor, { approve, refundAmount, resolution } = {}) {
+    const claim = order.guaranteeClaims.id(claimId);
+    if (!claim) {
+      throw new OrderTransitionError('Guarantee claim not found', 404, { claimId });
+    }
+    if (claim.status !== 'open') {
+      throw new OrderTransitionError(`Guarantee claim is already ${claim.status}`, 409, { claimId });
+    }
+
+    let amount;
+    if (approve) {
+      amount = refundAmount !== undefined && refundAmount !== null && refundAmount !== ''
+        ? roundAmount(Number(refundAmount))
+        : this.calculateRefund(order, claim.linkLostAt || claim.openedAt);
+
+      if (Number.isNaN(amount) || amount < 0 || amount > order.totalPrice) {
+        throw new OrderTransitionError(`Refund amount must be between 0 and ${order.totalPrice}`, 400, { refundAmount });
+      }
+    }
+
+    // The claim is taken out of 'open' first, so it is settled only once
+    let resolved;
+    await LedgerService.withSession(null, async (session) => {
+      const claimed = await Order.findOneAndUpdate(
+        { _id: order._id, guaranteeClaims: { $elemMatch: { _id: claim._id, status: 'open' } } },
+        { $set: { 'guaranteeClaims.$.status': approve ? 'approved' : 'rejected' } },
+        { new: true, session }
+      );
+      if (!claimed) {
+        throw new OrderTransitionError('Guarantee claim is no longer open', 409, { claimId });
+      }
+      resolved = claimed.guaranteeClaims.id(claim._id);
+
+      if (approve) {
+        await this.settleClaim(claimed, resolved, amount, actor.role, resolution, session);
+      } else {
+        resolved.resolvedAt = new Date();
+        resolved.resolvedByRole = actor.role;
+        resolved.resolution = resolution;
+      }
+      await claimed.save({ session });
+    });
+
+    if (resolved.status === 'approved' && order.projectId) {
+      await ProjectService.refreshStats(order.projectId);
+    }
+
+    await this.notifyParties(order, resolved.status === 'approved'
+      ? `The guarantee claim on order ${order.orderId} was approved and ${resolved.refundAmount} was refunded.`
+      : `The guarantee claim on order ${order.orderId} was rejected${resolution ? `: ${resolution}` : ''}.`);
+
+    return resolved;
+  }
+
+  // Refund the advertiser and take the publisher's share of it back from their balance
+  static async settleClaim(order, claim, amount, role, resolution, session = null) {
+    const advertiserId = order.advertiserId?._id || order.advertiserId;
+    const publisherId = order.publisherId?._id || order.publisherId;
+
+    const [advertiserWallet, publisherWallet] = await Promise.all([
+      Wallet.findOne({ userId: advertiserId }).session(session),
+      Wallet.findOne({ userId: publisherId }).session(session)
+    ]);
+
+    if (!advertiserWallet) {
+      throw new Error('Advertiser wallet not found');
+    }
+
+    // amount is in the order's currency, which the advertiser is refunded in;
+    // the publisher's share comes out of their main currency
+    const orderCurrency = order.currency || 'USD';
+    const publisherCurrency = publisherWallet?.currency || orderCurrency;
+
+    // The publisher can only give back what is still in their balance; the
+    // platform covers the rest
+    let recovered = 0;
+    let publisherRecovered = 0;
+    if (publisherWallet && amount > 0 && order.totalPrice > 0) {
+      const share = roundAmount(amount * order.publisherEarnings / order.totalPrice);
+      const publisherShare = await CurrencyService.toWalletAmount(order, share, publisherCurrency);
+      publisherRecovered = Math.max(0, Math.min(publisherShare, publisherWallet.balance));
+      recovered = publisherRecovered === publisherShare
+        ? share
+        : roundAmount(share * publisherRecovered / publisherShare);
+    }
+
+    if (amount > 0) {
+      const posting = await LedgerService.post({
+        type: 'guarantee_refund',
+        lines: [
+          { account: 'wallet', userId: publisherId, debit: publisherRecovered, earnings: true, currency: publisherCurrency },
+          ...LedgerService.fxLines(publisherCurrency, publisherRecovered, orderCurrency, recovered),
+          { account: 'platform_revenue', debit: roundAmount(amount - recovered) },
+          { account: 'wallet', userId: advertiserId, credit: amount }
+        ],
+        orderId: order.orderId,
+        description: `Guarantee refund for order ${order.orderId}`,
+        currency: orderCurrency
+      }, { session });
+
+      const advertiserChange = LedgerService.balanceChange(posting, advertiserId);
+      await Transaction.create([{
+        userId: advertiserId,
+        walletId: advertiserWallet._id,
+        type: 'refund',
+        amount,
+        currency: orderCurrency,
+        balanceBefore: advertiserChange.balanceBefore,
+        balanceAfter: advertiserChange.balanceAfter,
+        status: 'completed',
+        orderId: order.orderId,
+        description: `Guarantee refund for order ${order.orderId}`,
+        completedAt: new Date()
+      }], { session });
+
+      if (publisherRecovered > 0) {
+        const publisherChange = LedgerService.balanceChange(posting, publisherId);
+        await Transaction.create([{
+          userId: publisherId,
+          walletId: publisherWallet._id,
+          type: 'penalty',
+          amount: -publisherRecovered, // Negative because it's a deduction
+          currency: publisherWallet.currency,
+          balanceBefore: publisherChange.balanceBefore,
+          balanceAfter: publisherChange.balanceAfter,
+          status: 'completed',
+          orderId: order.orderId,
+          description: `Guarantee claim on order ${order.orderId}: link no longer live`,
+          completedAt: new Date()
+        }], { session });
+      }
+    }
+
+    claim.status = 'approved';
+    claim.refundAmount = amount;
+    claim.publisherRecovered = recovered;
+    claim.resolvedAt = new Date();
+    claim.resolvedByRole = role;
+    claim.resolution = resolution;
+
+    order.paymentStatus = amount >= order.totalPrice ? 'refunded' : 'partially_refunded';
+    order.paymentDetails = {
+      ...order.paymentDetails,
+      refundedAt: new Date(),
+      refundReason: `Guarantee claim: ${resolution || claim.reason || 'link removed'}`,
+      refundAmount: amount
+    };
+  }
+
+  static async notifyParties(order, message) {
+    try {
+      await Notification.insertMany(['advertiserId', 'publisherId'].map(field => ({
+        userId: order[field]?._id || order[field],
+        type: 'order_guarantee_claim',
+        title: 'Guarantee Claim',
+        message,
+        data: { orderId: order.orderId }
+      })));
+    } catch (error) {
+      console.error('Failed to create guarantee claim notifications:', error);
+    }
+  }
+}
+
+export default GuaranteeService;
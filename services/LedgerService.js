@@ -0,0 +1,434 @@
+import mongoose from 'mongoose';
+import LedgerEntry from '../model/LedgerEntry.js';
+import Wallet from '../model/Wallet.js';
+
+// Ledger accounts that mirror a field of the user's wallet
+const WALLET_FIELDS = {
+  wallet: 'balance',
+  escrow: 'pendingBalance',
+  held: 'heldBalance'
+};
+
+// Differences below this are rounding, not drift
+const DRIFT_TOLERANCE = 0.01;
+
+// Error with an HTTP status, raised when a posting cannot be applied
+export class LedgerError extends Error {
+  constructor(message, statusCode = 400, details = {}) {
+    super(message);
+    this.name = 'LedgerError';
+    this.statusCode = statusCode;
+    this.details = details;
+  }
+}
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+export class LedgerService {
+
+  // Run fn inside the caller's session, or in a transaction of its own
+  static async withSession(session, fn) {
+    if (session) {
+      return fn(session);
+    }
+
+    const ownSession = await mongoose.startSession();
+    try {
+      let result;
+      await ownSession.withTransaction(async () => {
+        result = await fn(ownSession);
+      });
+      return result;
+    } finally {
+      ownSession.endSession();
+    }
+  }
+
+  // Record a balanced entry and apply its wallet, escrow and held lines to the
+  // users' wallets in the same transaction. A line with earnings: true also
+  // moves the wallet's totalEarnings; an escrow line with strict: true must be
+  // covered by the escrow it debits. A line without a currency is in the
+  // entry's. Returns the entry and the updated wallets.
+  static async post({ type, lines, orderId, reference, description, createdBy, currency = 'USD' }, { session, applyToWallets = true } = {}) {
+    const postedLines = lines
+      .map(line => ({
+        ...line,
+        currency: line.currency || currency,
+        debit: roundAmount(line.debit || 0),
+        credit: roundAmount(line.credit || 0)
+      }))
+      .filter(line => line.debit > 0 || line.credit > 0);
+
+    const lineCurrencies = [...new Set(postedLines.map(line => line.currency))];
+    for (const lineCurrency of lineCurrencies) {
+      const inCurrency = postedLines.filter(line => line.currency === lineCurrency);
+      const debits = roundAmount(inCurrency.reduce((sum, line) => sum + line.debit, 0));
+      const credits = roundAmount(inCurrency.reduce((sum, line) => sum + line.credit, 0));
+      if (debits !== credits) {
+        throw new LedgerError('Ledger entry is not balanced', 500, { type, orderId, currency: lineCurrency, debits, credits });
+      }
+    }
+    if (postedLines.length === 0) {
+      return { entry: null, wallets: new Map() };
+    }
+
+    return this.withSession(session, async (activeSession) => {
+      const [entry] = await LedgerEntry.create([{
+        type,
+        lines: postedLines.map(({ account, userId, debit, credit, ...line }) => ({
+          account,
+          userId,
+          debit,
+          credit,
+          currency: line.currency === currency ? undefined : line.currency
+        })),
+        orderId,
+        reference,
+        description,
+        createdBy,
+        currency
+      }], { session: activeSession });
+
+      const wallets = new Map();
+      if (!applyToWallets) {
+        return { entry, wallets };
+      }
+
+      // One update per wallet and currency with the net change of each field
+      const changes = new Map();
+      postedLines.forEach(line => {
+        const field = WALLET_FIELDS[line.account];
+        if (!field) return;
+
+        const key = `${line.userId}:${line.currency}`;
+        const change = changes.get(key) || {
+          userId: line.userId,
+          currency: line.currency,
+          balance: 0,
+          pendingBalance: 0,
+          heldBalance: 0,
+          totalEarnings: 0,
+          strictEscrow: false
+        };
+        const amount = line.credit - line.debit;
+        change[field] = roundAmount(change[field] + amount);
+        if (line.earnings) {
+          change.totalEarnings = roundAmount(change.totalEarnings + amount);
+        }
+        if (line.strict && line.account === 'escrow') {
+          change.strictEscrow = true;
+        }
+        changes.set(key, change);
+      });
+
+      for (const change of changes.values()) {
+        wallets.set(change.userId.toString(), await this.applyChange(change, activeSession));
+      }
+      return { entry, wallets };
+    });
+  }
+
+  // Apply a change in one currency: the wallet's main currency lives in its
+  // top-level fields, every other currency in its balances entry.
+  // Available balance can never go negative; escrow, held funds and earnings are
+  // floored at zero so orders paid before the ledger existed can still be settled.
+  // With strictEscrow the escrow has to hold the amount, as for orders paid
+  // through the ledger.
+  static async applyChange({ userId, currency, balance, pendingBalance, heldBalance, totalEarnings, strictEscrow = false }, session) {
+    const current = await Wallet.findOne({ userId }).select('currency').session(session);
+    if (!current) {
+      throw new LedgerError('Wallet not found', 404, { userId });
+    }
+
+    const conditions = {};
+    if (balance < 0) {
+      conditions.balance = { $gte: -balance };
+    }
+    if (strictEscrow && pendingBalance < 0) {
+      conditions.pendingBalance = { $gte: -pendingBalance };
+    }
+
+    const updated = (path) => ({
+      balance: { $round: [{ $add: [{ $ifNull: [`${path}balance`, 0] }, balance] }, 2] },
+      pendingBalance: { $max: [0, { $round: [{ $add: [{ $ifNull: [`${path}pendingBalance`, 0] }, pendingBalance] }, 2] }] },
+      heldBalance: { $max: [0, { $round: [{ $add: [{ $ifNull: [`${path}heldBalance`, 0] }, heldBalance] }, 2] }] },
+      totalEarnings: { $max: [0, { $round: [{ $add: [{ $ifNull: [`${path}totalEarnings`, 0] }, totalEarnings] }, 2] }] }
+    });
+
+    let wallet;
+    if (currency === current.currency) {
+      wallet = await Wallet.findOneAndUpdate(
+        { userId, currency, ...conditions },
+        [{ $set: updated('$') }],
+        { new: true, session }
+      );
+    } else {
+      await Wallet.updateOne(
+        { userId, 'balances.currency': { $ne: currency } },
+        { $push: { balances: { currency } } },
+        { session }
+      );
+      wallet = await Wallet.findOneAndUpdate(
+        { userId, currency: current.currency, balances: { $elemMatch: { currency, ...conditions } } },
+        [{
+          $set: {
+            balances: {
+              $map: {
+                input: '$balances',
+                as: 'entry',
+                in: {
+                  $cond: [
+                    { $eq: ['$$entry.currency', currency] },
+                    { $mergeObjects: ['$$entry', updated('$$entry.')] },
+                    '$$entry'
+                  ]
+                }
+              }
+            }
+          }
+        }],
+        { new: true, session }
+      );
+    }
+
+    if (!wallet) {
+      const existing = (await Wallet.findOne({ userId }).session(session)).amountsIn(currency);
+      if (conditions.pendingBalance && existing.pendingBalance < -pendingBalance) {
+        throw new LedgerError('Escrow does not hold the amount to settle', 409, {
+          userId,
+          currency,
+          required: -pendingBalance,
+          available: existing.pendingBalance
+        });
+      }
+      throw new LedgerError('Insufficient wallet balance', 400, {
+        userId,
+        currency,
+        required: -balance,
+        available: existing.balance
+      });
+    }
+    return wallet;
+  }
+
+  // Whether an order's payment was moved into escrow through the ledger
+  static async hasOrderPayment(orderId, session = null) {
+    return Boolean(await LedgerEntry.exists({ orderId, type: 'order_payment' }).session(session));
+  }
+
+  // Lines that convert an amount through the fx account. Add them to an entry
+  // that takes fromAmount out in one currency and pays toAmount in another.
+  static fxLines(fromCurrency, fromAmount, toCurrency, toAmount) {
+    if (fromCurrency === toCurrency) {
+      return [];
+    }
+    return [
+      { account: 'fx', currency: fromCurrency, credit: fromAmount },
+      { account: 'fx', currency: toCurrency, debit: toAmount }
+    ];
+  }
+
+  // Balance of a user's wallet before and after a posting, for the Transaction
+  // record. currency defaults to the one the user's wallet lines are in.
+  static balanceChange(result, userId, currency) {
+    const wallet = result.wallets.get(userId.toString());
+    const userLines = result.entry.lines
+      .filter(line => line.account === 'wallet' && line.userId.toString() === userId.toString())
+      .map(line => ({ ...line.toObject(), currency: line.currency || result.entry.currency }));
+    const lineCurrency = currency || userLines[0]?.currency || result.entry.currency;
+    const change = userLines
+      .filter(line => line.currency === lineCurrency)
+      .reduce((sum, line) => sum + line.credit - line.debit, 0);
+    const { balance } = wallet.amountsIn(lineCurrency);
+
+    return {
+      wallet,
+      currency: lineCurrency,
+      balanceBefore: roundAmount(balance - change),
+      balanceAfter: balance
+    };
+  }
+
+  // Net balance of each user on an account per currency, credits minus debits.
+  // Keys are "userId:currency".
+  static async getUserBalances(account) {
+    const rows = await LedgerEntry.aggregate([
+      { $unwind: '$lines' },
+      { $match: { 'lines.account': account } },
+      {
+        $group: {
+          _id: { userId: '$lines.userId', currency: { $ifNull: ['$lines.currency', '$currency'] } },
+          balance: { $sum: { $subtract: ['$lines.credit', '$lines.debit'] } }
+        }
+      }
+    ]);
+    return new Map(rows.map(row => [`${row._id.userId}:${row._id.currency}`, roundAmount(row.balance)]));
+  }
+
+  // Totals of every account across all users, per currency
+  static async getAccountTotals() {
+    const rows = await LedgerEntry.aggregate([
+      { $unwind: '$lines' },
+      {
+        $group: {
+          _id: { account: '$lines.account', currency: { $ifNull: ['$lines.currency', '$currency'] } },
+          debit: { $sum: '$lines.debit' },
+          credit: { $sum: '$lines.credit' }
+        }
+      }
+    ]);
+
+    const totals = {};
+    rows.forEach(row => {
+      totals[row._id.account] = totals[row._id.account] || {};
+      totals[row._id.account][row._id.currency] = {
+        debit: roundAmount(row.debit),
+        credit: roundAmount(row.credit),
+        balance: roundAmount(row.credit - row.debit)
+      };
+    });
+    return totals;
+  }
+
+  // Compare every wallet with the balances the ledger gives it
+  static async reconcile() {
+    const accountNames = Object.keys(WALLET_FIELDS);
+    const [wallets, accounts, ...balances] = await Promise.all([
+      Wallet.find().select(`userId currency balances ${Object.values(WALLET_FIELDS).join(' ')}`).lean(),
+      this.getAccountTotals(),
+      ...accountNames.map(account => this.getUserBalances(account))
+    ]);
+    const ledgerBalances = Object.fromEntries(accountNames.map((account, index) => [account, balances[index]]));
+
+    const drifts = [];
+    const checked = new Set();
+    const check = (wallet, userId, currency, field, walletValue, ledgerValue) => {
+      const drift = roundAmount(walletValue - ledgerValue);
+      if (Math.abs(drift) >= DRIFT_TOLERANCE) {
+        drifts.push({ userId, walletId: wallet?._id, currency, field, walletValue, ledgerValue, drift });
+      }
+    };
+
+    wallets.forEach(wallet => {
+      const userId = wallet.userId.toString();
+      Wallet.amountsByCurrency(wallet).forEach(amounts => {
+        const key = `${userId}:${amounts.currency}`;
+        checked.add(key);
+        accountNames.forEach(account => {
+          const field = WALLET_FIELDS[account];
+          check(wallet, userId, amounts.currency, field, amounts[field], ledgerBalances[account].get(key) || 0);
+        });
+      });
+    });
+
+    // Ledger balances in currencies a wallet does not hold, or of users whose wallet is gone
+    const walletsByUser = new Map(wallets.map(wallet => [wallet.userId.toString(), wallet]));
+    accountNames.forEach(account => {
+      ledgerBalances[account].forEach((value, key) => {
+        if (checked.has(key)) return;
+        const [userId, currency] = key.split(':');
+        check(walletsByUser.get(userId), userId, currency, WALLET_FIELDS[account], 0, value);
+      });
+    });
+
+    // Every currency has to balance across all accounts
+    const differences = {};
+    Object.values(accounts).forEach(byCurrency => {
+      Object.entries(byCurrency).forEach(([currency, total]) => {
+        differences[currency] = roundAmount((differences[currency] || 0) + total.debit - total.credit);
+      });
+    });
+
+    return {
+      walletsChecked: wallets.length,
+      driftCount: drifts.length,
+      totalDrift: roundAmount(drifts.reduce((sum, item) => sum + item.drift, 0)),
+      drifts,
+      accounts,
+      balanced: Object.values(differences).every(difference => difference === 0),
+      generatedAt: new Date()
+    };
+  }
+
+  // Bring wallets that existed before the ledger into it. Only wallets without
+  // any ledger history are posted; drift on the others is left for review.
+  static async recordOpeningBalances(adminId) {
+    const postedUserIds = new Set(
+      (await LedgerEntry.distinct('lines.userId')).map(userId => userId.toString())
+    );
+    const fields = Object.values(WALLET_FIELDS);
+    const wallets = await Wallet.find({
+      $or: [...fields.map(field => ({ [field]: { $gt: 0 } })), { 'balances.0': { $exists: true } }]
+    }).select(`userId currency balances ${fields.join(' ')}`);
+
+    const opened = [];
+    for (const wallet of wallets) {
+      if (postedUserIds.has(wallet.userId.toString())) continue;
+
+      // One entry per currency the wallet holds
+      for (const amounts of Wallet.amountsByCurrency(wallet)) {
+        const total = roundAmount(fields.reduce((sum, field) => sum + amounts[field], 0));
+        if (total <= 0) continue;
+
+        const { entry } = await this.post({
+          type: 'opening_balance',
+          lines: [
+            { account: 'external', debit: total },
+            ...Object.entries(WALLET_FIELDS).map(([account, field]) => ({
+              account,
+              userId: wallet.userId,
+              credit: amounts[field]
+            }))
+          ],
+          description: 'Opening balance',
+          createdBy: adminId,
+          currency: amounts.currency
+        }, { applyToWallets: false });
+
+        opened.push({
+          userId: wallet.userId,
+          entryId: entry.entryId,
+          currency: amounts.currency,
+          ...Object.fromEntries(fields.map(field => [field, amounts[field]]))
+        });
+      }
+    }
+
+    return { opened: opened.length, wallets: opened };
+  }
+
+  static async getEntries({ userId, orderId, type, account, page = 1, limit = 50 } = {}) {
+    const filter = {};
+    if (orderId) filter.orderId = orderId;
+    if (type) filter.type = type;
+    if (userId || account) {
+      filter.lines = { $elemMatch: {} };
+      if (userId) filter.lines.$elemMatch.userId = userId;
+      if (account) filter.lines.$elemMatch.account = account;
+    }
+
+    const pageNumber = Math.max(parseInt(page) || 1, 1);
+    const pageSize = Math.min(Math.max(parseInt(limit) || 50, 1), 200);
+
+    const [entries, total] = await Promise.all([
+      LedgerEntry.find(filter)
+        .populate('lines.userId', 'firstName lastName email')
+        .sort({ createdAt: -1 })
+        .skip((pageNumber - 1) * pageSize)
+        .limit(pageSize),
+      LedgerEntry.countDocuments(filter)
+    ]);
+
+    return {
+      entries,
+      pagination: {
+        page: pageNumber,
+        limit: pageSize,
+        total,
+        pages: Math.ceil(total / pageSize)
+      }
+    };
+  }
+}
+
+export default LedgerService;
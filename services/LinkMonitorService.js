@@ -0,0 +1,283 @@
+import axios from 'axios';
+import dns from 'dns/promises';
+import net from 'net';
+import Order from '../model/Order.js';
+import Website from '../model/Website.js';
+import { Notification } from '../Models/NotificationModel.js';
+
+// Results that mean the advertiser no longer gets what they paid for
+export const FAILING_STATUSES = ['missing', 'nofollow'];
+
+// Number of history entries kept per order
+const HISTORY_LIMIT = 100;
+
+// Limits for fetching a published page, which is a URL chosen by a user
+const MAX_REDIRECTS = 5;
+const MAX_PAGE_BYTES = 5 * 1024 * 1024;
+
+// Addresses the crawler must never reach: private, loopback, link-local,
+// carrier-grade NAT, multicast and reserved ranges
+const blockedAddresses = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+].forEach(([address, prefix]) => blockedAddresses.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['::ffff:0:0', 96], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => blockedAddresses.addSubnet(address, prefix, 'ipv6'));
+
+const isBlockedAddress = (address) => {
+  const family = net.isIP(address);
+  return family === 0 || blockedAddresses.check(address, family === 6 ? 'ipv6' : 'ipv4');
+};
+
+// Only public http(s) URLs may be fetched. Host names are checked when they
+// are resolved, so a name pointing at a private address is refused too.
+const assertPublicUrl = ({ protocol, hostname }) => {
+  if (protocol !== 'http:' && protocol !== 'https:') {
+    throw new Error(`Only http and https links can be checked, not ${protocol}`);
+  }
+  const host = hostname.replace(/^\[|\]$/g, '');
+  if (net.isIP(host) && isBlockedAddress(host)) {
+    throw new Error(`${hostname} is not a public address`);
+  }
+};
+
+// DNS lookup for the crawler that refuses names resolving to a blocked address
+const publicLookup = async (hostname) => {
+  const addresses = await dns.lookup(hostname, { all: true });
+  if (addresses.length === 0 || addresses.some(({ address }) => isBlockedAddress(address))) {
+    throw new Error(`${hostname} does not resolve to a public address`);
+  }
+  return addresses;
+};
+
+const decodeEntities = (text) => text
+  .replace(/&nbsp;/g, ' ')
+  .replace(/&quot;/g, '"')
+  .replace(/&#39;|&apos;/g, "'")
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&amp;/g, '&');
+
+const normalizeText = (text) => decodeEntities((text || '').replace(/<[^>]*>/g, ' '))
+  .replace(/\s+/g, ' ')
+  .trim()
+  .toLowerCase();
+
+// Compare links by host (without www), path (without trailing slash) and query
+const normalizeUrl = (url, base) => {
+  try {
+    const parsed = new URL(decodeEntities(url.trim()), base);
+    const host = parsed.hostname.toLowerCase().replace(/^www\./, '');
+    const path = parsed.pathname.replace(/\/+$/, '');
+    return `${host}${path}${parsed.search}`;
+  } catch {
+    return null;
+  }
+};
+
+const readAttribute = (attributes, name) => {
+  const match = attributes.match(new RegExp(`\\b${name}\\s*=\\s*(?:"([^"]*)"|'([^']*)'|([^\\s>]+))`, 'i'));
+  return match ? (match[1] ?? match[2] ?? match[3]) : null;
+};
+
+// Find links to targetUrl in the page
+const findBacklinks = (html, pageUrl, targetUrl) => {
+  const target = normalizeUrl(targetUrl);
+  const links = [];
+  const anchorPattern = /<a\b([^>]*)>([\s\S]*?)<\/a>/gi;
+
+  let match;
+  while ((match = anchorPattern.exec(html)) !== null) {
+    const href = readAttribute(match[1], 'href');
+    if (href && target && normalizeUrl(href, pageUrl) === target) {
+      links.push({
+        rel: (readAttribute(match[1], 'rel') || '').toLowerCase(),
+        anchorText: normalizeText(match[2])
+      });
+    }
+  }
+
+  return links;
+};
+
+export class LinkMonitorService {
+
+  // Hours between two checks of the same order
+  static getCheckIntervalHours() {
+    return Number(process.env.LINK_MONITOR_INTERVAL_HOURS) || 24;
+  }
+
+  // Consecutive unreachable checks after which a link counts as removed
+  static getMaxUnreachableChecks() {
+    return Number(process.env.LINK_MONITOR_MAX_UNREACHABLE) || 3;
+  }
+
+  // Fetch the published page and verify the backlink
+  static async inspect(order) {
+    const { targetUrl, anchorText, linkType } = order.contentRequirements || {};
+    const publishedUrl = order.submittedContent?.publishedUrl;
+
+    let response;
+    try {
+      assertPublicUrl(new URL(publishedUrl));
+      response = await axios.get(publishedUrl, {
+        timeout: 15000,
+        maxContentLength: MAX_PAGE_BYTES,
+        maxRedirects: MAX_REDIRECTS,
+        beforeRedirect: (options) => assertPublicUrl(options),
+        lookup: publicLookup,
+        proxy: false,
+        responseType: 'text',
+        headers: { 'User-Agent': 'CollabsWorld-LinkMonitor/1.0' },
+        validateStatus: () => true
+      });
+    } catch (error) {
+      return { status: 'unreachable', error: error.message };
+    }
+
+    if (response.status >= 400) {
+      return {
+        status: response.status === 404 || response.status === 410 ? 'missing' : 'unreachable',
+        httpStatus: response.status
+      };
+    }
+
+    const html = typeof response.data === 'string' ? response.data : '';
+    const links = findBacklinks(html, publishedUrl, targetUrl);
+
+    if (links.length === 0) {
+      return { status: 'missing', httpStatus: response.status };
+    }
+
+    const expectedAnchor = normalizeText(anchorText);
+    const link = links.find(item => item.anchorText === expectedAnchor) || links[0];
+    const result = { httpStatus: response.status, rel: link.rel, anchorText: link.anchorText };
+
+    if (linkType !== 'nofollow' && link.rel.split(/\s+/).includes('nofollow')) {
+      return { ...result, status: 'nofollow' };
+    }
+    if (expectedAnchor && link.anchorText !== expectedAnchor) {
+      return { ...result, status: 'anchor_mismatch' };
+    }
+    return { ...result, status: 'live' };
+  }
+
+  // Check one order, record the result and report new incidents
+  static async checkOrder(order, now = new Date()) {
+    const result = await this.inspect(order);
+
+    const linkHealth = order.linkHealth || {};
+    const consecutiveFailures = result.status === 'live' ? 0 : (linkHealth.consecutiveFailures || 0) + 1;
+
+    // Transient fetch errors only count once they keep happening
+    const failing = FAILING_STATUSES.includes(result.status) ||
+      (result.status === 'unreachable' && consecutiveFailures >= this.getMaxUnreachableChecks());
+    const newIncident = failing && !linkHealth.incidentOpen;
+
+    const update = {
+      $set: {
+        'linkHealth.status': result.status,
+        'linkHealth.lastCheckedAt': now,
+        'linkHealth.consecutiveFailures': consecutiveFailures
+      },
+      $push: {
+        'linkHealth.history': {
+          $each: [{ checkedAt: now, ...result }],
+          $slice: -HISTORY_LIMIT
+        }
+      }
+    };
+
+    if (newIncident) {
+      update.$set['linkHealth.incidentOpen'] = true;
+      update.$set.flagged = true;
+      update.$set.flagReason = `Published link ${result.status === 'nofollow' ? 'changed to nofollow' : 'no longer found'}`;
+    } else if (result.status === 'live' && linkHealth.incidentOpen) {
+      update.$set['linkHealth.incidentOpen'] = false;
+    }
+
+    await Order.updateOne({ _id: order._id }, update);
+
+    if (newIncident) {
+      await this.reportIncident(order, result, now);
+    }
+
+    return { orderId: order.orderId, ...result, incident: newIncident };
+  }
+
+  static async reportIncident(order, result, now) {
+    await Website.updateOne(
+      { _id: order.websiteId?._id || order.websiteId },
+      {
+        $inc: { 'linkHealth.failedLinks': 1 },
+        $set: { 'linkHealth.lastFailureAt': now }
+      }
+    );
+
+    const problem = result.status === 'nofollow'
+      ? 'now carries a nofollow attribute'
+      : 'can no longer be found';
+
+    await Notification.insertMany([
+      {
+        userId: order.advertiserId,
+        type: 'order_link_issue',
+        title: 'Published Link Issue',
+        message: `The link for order ${order.orderId} ${problem} on ${order.submittedContent.publishedUrl}.`,
+        priority: 'high',
+        data: { orderId: order.orderId, status: result.status, publishedUrl: order.submittedContent.publishedUrl }
+      },
+      {
+        userId: order.publisherId,
+        type: 'order_link_issue',
+        title: 'Published Link Issue',
+        message: `The link for order ${order.orderId} ${problem}. Please restore it as agreed.`,
+        priority: 'high',
+        data: { orderId: order.orderId, status: result.status, publishedUrl: order.submittedContent.publishedUrl }
+      }
+    ]);
+  }
+
+  // Check delivered orders that have not been checked within the interval
+  static async processDueChecks(now = new Date(), batchSize = 50) {
+    const dueBefore = new Date(now.getTime() - this.getCheckIntervalHours() * 60 * 60 * 1000);
+
+    const orders = await Order.find({
+      status: 'delivered',
+      'submittedContent.publishedUrl': { $exists: true, $ne: '' },
+      $or: [
+        { 'linkHealth.lastCheckedAt': { $exists: false } },
+        { 'linkHealth.lastCheckedAt': { $lte: dueBefore } }
+      ]
+    })
+      .sort({ 'linkHealth.lastCheckedAt': 1 })
+      .limit(batchSize);
+
+    let incidents = 0;
+    for (const order of orders) {
+      try {
+        const result = await this.checkOrder(order, now);
+        if (result.incident) incidents++;
+      } catch (error) {
+        console.error(`Link check failed for order ${order.orderId}:`, error);
+      }
+    }
+
+    return { checked: orders.length, incidents };
+  }
+}
+
+// Check published links periodically
+if (process.env.NODE_ENV === 'production') {
+  setInterval(async () => {
+    try {
+      await LinkMonitorService.processDueChecks();
+    } catch (error) {
+      console.error('Link monitoring error:', error);
+    }
+  }, (Number(process.env.LINK_MONITOR_RUN_MINUTES) || 60) * 60 * 1000);
+}
+
+export default LinkMonitorService;
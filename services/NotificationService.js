@@ -157,6 +157,58 @@ export class NotificationService {
     }
   }
 
+  // Send an email to an address that need not belong to a user, e.g. an invitation
+  static async sendEmail(to, subject, message, actionUrl = null) {
+    try {
+      const info = await emailTransporter.sendMail({
+        from: process.env.EMAIL_FROM || 'noreply@guestpostplatform.com',
+        to,
+        subject,
+        html: `
+          <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+            <h2 style="color: #333;">${subject}</h2>
+            <p style="color: #666; line-height: 1.6;">${message}</p>
+            ${
+              actionUrl
+                ? `<p><a href="${actionUrl}" style="display: inline-block; padding: 10px 20px; background-color: #007bff; color: white; text-decoration: none; border-radius: 4px;">Open</a></p>`
+                : ''
+            }
+          </div>
+        `
+      });
+
+      return { success: true, messageId: info.messageId };
+    } catch (error) {
+      console.error('Email error:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Alert every admin in the app and by email. Used for platform problems
+  // that have no template, e.g. wallet discrepancies.
+  static async notifyAdmins(type, title, message, data = {}) {
+    const admins = await User.find({ role: 'admin' }).select('_id email');
+    if (admins.length === 0) {
+      return [];
+    }
+
+    const notifications = await Notification.insertMany(admins.map(admin => ({
+      userId: admin._id,
+      type,
+      title,
+      message,
+      priority: data.priority || 'high',
+      data,
+      actionUrl: data.actionUrl
+    })));
+
+    await Promise.all(admins
+      .filter(admin => admin.email)
+      .map(admin => this.sendEmail(admin.email, title, message, data.actionUrl)));
+
+    return notifications;
+  }
+
   // Send SMS notification
   static async sendSMSNotification(notification, user, template) {
     try {
@@ -286,6 +338,13 @@ export class NotificationService {
       'order_submitted': 'orders',
       'order_completed': 'orders',
       'order_disputed': 'orders',
+      'order_deadline_warning': 'orders',
+      'order_overdue': 'orders',
+      'order_expired': 'orders',
+      'order_cancelled': 'orders',
+      'order_cancellation_requested': 'orders',
+      'order_link_issue': 'orders',
+      'order_guarantee_claim': 'orders',
       'payment_received': 'payments',
       'payment_failed': 'payments',
       'escrow_released': 'payments',
@@ -298,7 +357,10 @@ export class NotificationService {
       'user_verified': 'system',
       'withdrawal_requested': 'payments',
       'withdrawal_processed': 'payments',
+      'payment_method_verified': 'payments',
+      'payment_method_rejected': 'payments',
       'system_maintenance': 'system',
+      'wallet_discrepancy': 'system',
     };
 
     return categoryMap[type] || 'system';
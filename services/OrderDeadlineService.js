@@ -0,0 +1,189 @@
+import Order from '../model/Order.js';
+import { Notification } from '../Models/NotificationModel.js';
+
+// Statuses in which the publisher still owes work before the deadline
+const ACTIVE_STATUSES = ['approved', 'in_progress', 'revision_requested'];
+
+export class OrderDeadlineService {
+
+  // Hours before the deadline at which the publisher is warned
+  static getWarningHours() {
+    return Number(process.env.ORDER_DEADLINE_WARNING_HOURS) || 24;
+  }
+
+  // Hours after the deadline before the advertiser may cancel with a refund
+  static getGracePeriodHours() {
+    return Number(process.env.ORDER_DEADLINE_GRACE_HOURS) || 48;
+  }
+
+  // Hours a publisher has to accept or reject a new order
+  static getAcceptanceWindowHours() {
+    return Number(process.env.ORDER_ACCEPTANCE_WINDOW_HOURS) || 72;
+  }
+
+  // Whether the grace period after a missed deadline has passed
+  static isPastGracePeriod(order, now = new Date()) {
+    if (!order.deadline || !ACTIVE_STATUSES.includes(order.status)) {
+      return false;
+    }
+    const graceEnd = new Date(order.deadline).getTime() + this.getGracePeriodHours() * 60 * 60 * 1000;
+    return now.getTime() >= graceEnd;
+  }
+
+  // Warn publishers whose deadline falls within the warning window
+  static async sendDeadlineWarnings(now = new Date()) {
+    const warningLimit = new Date(now.getTime() + this.getWarningHours() * 60 * 60 * 1000);
+
+    const orders = await Order.find({
+      status: { $in: ACTIVE_STATUSES },
+      deadline: { $gt: now, $lte: warningLimit },
+      'deadlineTracking.warningSentAt': { $exists: false }
+    });
+
+    for (const order of orders) {
+      const hoursLeft = Math.max(1, Math.round((order.deadline - now) / (1000 * 60 * 60)));
+
+      await Notification.create({
+        userId: order.publisherId,
+        type: 'order_deadline_warning',
+        title: 'Order Deadline Approaching',
+        message: `Order ${order.orderId} is due in about ${hoursLeft} hour(s).`,
+        priority: 'high',
+        data: { orderId: order.orderId, deadline: order.deadline }
+      });
+
+      await Order.updateOne(
+        { _id: order._id },
+        { $set: { 'deadlineTracking.warningSentAt': now } }
+      );
+    }
+
+    return orders.length;
+  }
+
+  // Flag orders whose deadline has passed without a submission
+  static async markOverdueOrders(now = new Date()) {
+    const orders = await Order.find({
+      status: { $in: ACTIVE_STATUSES },
+      deadline: { $lte: now },
+      'deadlineTracking.isOverdue': { $ne: true }
+    });
+
+    const graceHours = this.getGracePeriodHours();
+
+    for (const order of orders) {
+      await Order.updateOne(
+        { _id: order._id },
+        {
+          $set: {
+            'deadlineTracking.isOverdue': true,
+            'deadlineTracking.overdueAt': now
+          }
+        }
+      );
+
+      await Notification.insertMany([
+        {
+          userId: order.publisherId,
+          type: 'order_overdue',
+          title: 'Order Overdue',
+          message: `Order ${order.orderId} has passed its deadline. Please submit the work as soon as possible.`,
+          priority: 'urgent',
+          data: { orderId: order.orderId, deadline: order.deadline }
+        },
+        {
+          userId: order.advertiserId,
+          type: 'order_overdue',
+          title: 'Order Overdue',
+          message: `Order ${order.orderId} has passed its deadline. If it is still not delivered within ${graceHours} hours you can cancel it for a full refund.`,
+          priority: 'high',
+          data: { orderId: order.orderId, deadline: order.deadline }
+        }
+      ]);
+    }
+
+    return orders.length;
+  }
+
+  // Expire orders the publisher never responded to and refund the advertiser
+  static async expirePendingOrders(now = new Date()) {
+    // Imported lazily because the lifecycle service depends on this module
+    const { default: OrderLifecycleService, SYSTEM_ACTOR } = await import('./OrderLifecycleService.js');
+
+    const windowHours = this.getAcceptanceWindowHours();
+    const cutoff = new Date(now.getTime() - windowHours * 60 * 60 * 1000);
+
+    // Orders released from a schedule count from their release
+    const orders = await Order.find({
+      status: 'pending',
+      $or: [
+        { 'schedule.releasedAt': { $lte: cutoff } },
+        { 'schedule.releasedAt': { $exists: false }, createdAt: { $lte: cutoff } }
+      ]
+    });
+
+    let expired = 0;
+    for (const order of orders) {
+      try {
+        await OrderLifecycleService.transition(order, 'expired', SYSTEM_ACTOR, {
+          reason: `The publisher did not respond within ${windowHours} hours`
+        });
+        expired++;
+      } catch (error) {
+        console.error(`Failed to expire order ${order.orderId}:`, error);
+      }
+    }
+
+    return expired;
+  }
+
+  // Run all deadline checks
+  static async processDeadlines() {
+    const now = new Date();
+    try {
+      const warned = await this.sendDeadlineWarnings(now);
+      const overdue = await this.markOverdueOrders(now);
+      const expired = await this.expirePendingOrders(now);
+      return { warned, overdue, expired };
+    } catch (error) {
+      console.error('Order deadline processing error:', error);
+      return { warned: 0, overdue: 0, expired: 0, error: error.message };
+    }
+  }
+
+  // On-time delivery metrics for a publisher
+  static async getPublisherDeadlineStats(publisherId) {
+    const [overdueOrders, submittedOrders, lateSubmissions] = await Promise.all([
+      Order.countDocuments({
+        publisherId,
+        status: { $in: ACTIVE_STATUSES },
+        'deadlineTracking.isOverdue': true
+      }),
+      Order.countDocuments({
+        publisherId,
+        'submittedContent.submittedAt': { $exists: true }
+      }),
+      Order.countDocuments({
+        publisherId,
+        'deadlineTracking.submittedLate': true
+      })
+    ]);
+
+    return {
+      overdueOrders,
+      lateSubmissions,
+      onTimeRate: submittedOrders > 0
+        ? (((submittedOrders - lateSubmissions) / submittedOrders) * 100).toFixed(1)
+        : 0
+    };
+  }
+}
+
+// Check deadlines periodically
+if (process.env.NODE_ENV === 'production') {
+  setInterval(async () => {
+    await OrderDeadlineService.processDeadlines();
+  }, (Number(process.env.ORDER_DEADLINE_CHECK_MINUTES) || 15) * 60 * 1000);
+}
+
+export default OrderDeadlineService;
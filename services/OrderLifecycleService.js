@@ -0,0 +1,900 @@
+import mongoose from 'mongoose';
+import Wallet from '../model/Wallet.js';
+import Order from '../model/Order.js';
+import Transaction from '../model/Transaction.js';
+import Chat from '../model/Chat.js';
+import { Notification } from '../Models/NotificationModel.js';
+import SocketService from './SocketService.js';
+import OrderDeadlineService from './OrderDeadlineService.js';
+import OrderVersionService from './OrderVersionService.js';
+import ProjectService from './ProjectService.js';
+import LedgerService, { LedgerError } from './LedgerService.js';
+import CurrencyService from './CurrencyService.js';
+
+// Actor used for transitions triggered by background jobs
+export const SYSTEM_ACTOR = Object.freeze({ id: null, role: 'system' });
+
+// Error raised when a transition is not allowed. Controllers map it to
+// error.statusCode (409 for illegal transitions, 403 for the wrong actor,
+// 400 for a missing payload).
+export class OrderTransitionError extends Error {
+  constructor(message, statusCode = 409, details = {}) {
+    super(message);
+    this.name = 'OrderTransitionError';
+    this.statusCode = statusCode;
+    this.details = details;
+  }
+}
+
+// Statuses in which a cancellation needs the consent of both parties
+const CONSENT_STATUSES = ['approved', 'in_progress', 'revision_requested'];
+
+// Cancelling accepted work: by mutual consent, by the advertiser once the
+// deadline grace period has passed, or by an admin
+const ACTIVE_CANCELLATION = {
+  actors: ['advertiser', 'publisher', 'admin'],
+  requires: ['reason'],
+  guard: (order, actor, payload) => activeCancellationGuard(order, actor, payload),
+  apply: (order, payload) => {
+    if (payload.consent) {
+      order.cancellationRequest.status = 'accepted';
+      order.cancellationRequest.respondedAt = new Date();
+      order.cancellationRequest.response = payload.response;
+    }
+  },
+  wallet: 'refund',
+  refundAmount: (order, payload, actor) => {
+    if (actor.role === 'admin') return adminRefundAmount(order, payload);
+    if (payload.consent) return order.totalPrice * order.cancellationRequest.refundPercentage / 100;
+    return order.totalPrice;
+  },
+  notify: ['publisher', 'advertiser'],
+  notificationType: 'order_cancelled',
+  message: 'Order {orderId} was cancelled: {reason}'
+};
+
+// Legal transitions of the order status workflow.
+// - actors:   roles allowed to trigger the transition
+// - requires: payload fields that must be present
+// - guard:    returns a message when the transition is blocked for this order
+// - apply:    mutates the order before it is saved (may be async)
+// - wallet:   money movement performed before the order is saved
+// - refundAmount: amount returned to the advertiser on a refund (defaults to the full price)
+// - afterSave: extra records written once the order has been saved
+// - notify:   parties that receive a notification afterwards
+const TRANSITIONS = {
+  scheduled: {
+    pending: {
+      actors: ['system', 'admin'],
+      apply: (order) => {
+        order.schedule.releasedAt = new Date();
+      },
+      notify: ['publisher'],
+      notificationType: 'order_created',
+      message: 'You have received a new order {orderId}.'
+    },
+    cancelled: {
+      actors: ['advertiser', 'admin'],
+      requires: ['reason'],
+      wallet: 'refund',
+      notify: ['advertiser'],
+      notificationType: 'order_cancelled',
+      message: 'Scheduled order {orderId} was cancelled: {reason}'
+    }
+  },
+  pending: {
+    approved: {
+      actors: ['publisher', 'admin'],
+      apply: (order, payload) => {
+        order.publisherResponseTime = hoursSince(receivedAt(order));
+        if (payload.estimatedDelivery) {
+          order.deadline = new Date(payload.estimatedDelivery);
+        }
+        if (payload.additionalNotes !== undefined) {
+          order.adminNotes = payload.additionalNotes;
+        }
+      },
+      notify: ['advertiser'],
+      notificationType: 'order_approved',
+      message: 'The publisher accepted order {orderId}.'
+    },
+    rejected: {
+      actors: ['publisher', 'admin'],
+      requires: ['reason'],
+      apply: (order, payload) => {
+        order.publisherResponseTime = hoursSince(receivedAt(order));
+        order.adminNotes = payload.reason;
+      },
+      wallet: 'refund',
+      notify: ['advertiser'],
+      notificationType: 'order_rejected',
+      message: 'Order {orderId} was rejected: {reason}'
+    },
+    cancelled: {
+      actors: ['advertiser', 'admin', 'system'],
+      requires: ['reason'],
+      wallet: 'refund',
+      notify: ['publisher', 'advertiser'],
+      notificationType: 'order_cancelled',
+      message: 'Order {orderId} was cancelled: {reason}'
+    },
+    expired: {
+      actors: ['system'],
+      requires: ['reason'],
+      wallet: 'refund',
+      notify: ['publisher', 'advertiser'],
+      notificationType: 'order_expired',
+      message: 'Order {orderId} expired: {reason}'
+    }
+  },
+  approved: {
+    cancelled: ACTIVE_CANCELLATION,
+    in_progress: {
+      actors: ['publisher'],
+      notify: ['advertiser'],
+      notificationType: 'custom',
+      message: 'Work has started on order {orderId}.'
+    },
+    completed: {
+      actors: ['publisher'],
+      requires: ['content', 'publishedUrl'],
+      apply: (order, payload, actor) => applySubmission(order, payload, actor),
+      afterSave: (order, payload, actor) => OrderVersionService.recordSubmission(order, actor),
+      notify: ['advertiser'],
+      notificationType: 'order_submitted',
+      message: 'Work for order {orderId} has been submitted and is waiting for your review.'
+    },
+    disputed: {
+      actors: ['advertiser', 'publisher', 'admin'],
+      requires: ['reason'],
+      notify: ['publisher', 'advertiser'],
+      notificationType: 'order_disputed',
+      message: 'A dispute was opened on order {orderId}: {reason}'
+    }
+  },
+  in_progress: {
+    cancelled: ACTIVE_CANCELLATION,
+    completed: {
+      actors: ['publisher'],
+      requires: ['content', 'publishedUrl'],
+      apply: (order, payload, actor) => applySubmission(order, payload, actor),
+      afterSave: (order, payload, actor) => OrderVersionService.recordSubmission(order, actor),
+      notify: ['advertiser'],
+      notificationType: 'order_submitted',
+      message: 'Work for order {orderId} has been submitted and is waiting for your review.'
+    },
+    disputed: {
+      actors: ['advertiser', 'publisher', 'admin'],
+      requires: ['reason'],
+      notify: ['publisher', 'advertiser'],
+      notificationType: 'order_disputed',
+      message: 'A dispute was opened on order {orderId}: {reason}'
+    }
+  },
+  revision_requested: {
+    cancelled: ACTIVE_CANCELLATION,
+    completed: {
+      actors: ['publisher'],
+      requires: ['content', 'publishedUrl'],
+      apply: (order, payload, actor) => applySubmission(order, payload, actor),
+      afterSave: (order, payload, actor) => OrderVersionService.recordSubmission(order, actor),
+      notify: ['advertiser'],
+      notificationType: 'order_submitted',
+      message: 'Revised work for order {orderId} has been submitted and is waiting for your review.'
+    },
+    disputed: {
+      actors: ['advertiser', 'publisher', 'admin'],
+      requires: ['reason'],
+      notify: ['publisher', 'advertiser'],
+      notificationType: 'order_disputed',
+      message: 'A dispute was opened on order {orderId}: {reason}'
+    }
+  },
+  completed: {
+    delivered: {
+      actors: ['advertiser', 'admin'],
+      apply: (order, payload, actor) => {
+        if (payload.rating) {
+          order.review = {
+            rating: payload.rating,
+            comment: payload.review,
+            reviewedBy: actorObjectId(actor),
+            reviewedAt: new Date()
+          };
+        }
+        order.completionTime = hoursSince(order.createdAt);
+        startGuarantee(order);
+      },
+      wallet: 'release',
+      notify: ['publisher'],
+      notificationType: 'order_completed',
+      message: 'Your work has been approved for order {orderId}. Payment has been released to your account.'
+    },
+    revision_requested: {
+      actors: ['advertiser'],
+      requires: ['reason'],
+      apply: (order, payload, actor) => {
+        order.revisions.push({
+          requestedAt: new Date(),
+          requestedBy: actorObjectId(actor),
+          reason: payload.reason,
+          round: payload.round || order.revisions.length + 1,
+          extraCharge: payload.extraCharge || 0,
+          reviewedVersion: order.submittedContent?.version,
+          status: 'pending'
+        });
+      },
+      notify: ['publisher'],
+      notificationType: 'custom',
+      message: 'Revision has been requested for order {orderId}: {reason}'
+    },
+    disputed: {
+      actors: ['advertiser', 'publisher', 'admin'],
+      requires: ['reason'],
+      notify: ['publisher', 'advertiser'],
+      notificationType: 'order_disputed',
+      message: 'A dispute was opened on order {orderId}: {reason}'
+    },
+    // Once work has been submitted only an admin may cancel
+    cancelled: {
+      actors: ['admin'],
+      requires: ['reason'],
+      wallet: 'refund',
+      refundAmount: (order, payload) => adminRefundAmount(order, payload),
+      notify: ['publisher', 'advertiser'],
+      notificationType: 'order_cancelled',
+      message: 'Order {orderId} was cancelled by an administrator: {reason}'
+    }
+  },
+  disputed: {
+    delivered: {
+      actors: ['admin'],
+      requires: ['reason'],
+      apply: (order) => startGuarantee(order),
+      wallet: 'release',
+      notify: ['publisher', 'advertiser'],
+      notificationType: 'order_completed',
+      message: 'The dispute on order {orderId} was resolved in favour of the publisher: {reason}'
+    },
+    cancelled: {
+      actors: ['admin'],
+      requires: ['reason'],
+      wallet: 'refund',
+      refundAmount: (order, payload) => adminRefundAmount(order, payload),
+      notify: ['publisher', 'advertiser'],
+      notificationType: 'order_cancelled',
+      message: 'The dispute on order {orderId} was resolved with a refund: {reason}'
+    }
+  }
+};
+
+const hoursSince = (date) => {
+  if (!date) return undefined;
+  return Math.round(((Date.now() - new Date(date).getTime()) / (1000 * 60 * 60)) * 100) / 100;
+};
+
+// When the publisher received the order; scheduled orders only count from their release
+const receivedAt = (order) => order.schedule?.releasedAt || order.createdAt;
+
+// Special admin accounts use non-ObjectId ids, so they cannot be stored in ObjectId refs
+const actorObjectId = (actor) => {
+  const id = actor?.id || actor?._id;
+  return id && mongoose.Types.ObjectId.isValid(id) ? id : undefined;
+};
+
+// Stable name of the actor for the status history, also for actors without a user record
+const actorLabel = (actor) => {
+  const id = actor?.id || actor?._id;
+  return actor?.role === 'system' || !id ? 'system' : String(id);
+};
+
+// Accepted work may be cancelled by the party answering a pending cancellation
+// request, or by the advertiser alone once the deadline grace period has passed
+const activeCancellationGuard = (order, actor, payload) => {
+  if (actor.role === 'admin') {
+    return null;
+  }
+  if (payload.consent) {
+    const request = order.cancellationRequest;
+    if (request?.status === 'pending' && request.requestedByRole !== actor.role) {
+      return null;
+    }
+    return `There is no pending cancellation request on order ${order.orderId} for you to accept`;
+  }
+  if (actor.role === 'advertiser' && OrderDeadlineService.isPastGracePeriod(order)) {
+    return null;
+  }
+  return `Order ${order.orderId} is already in progress. Request a cancellation and wait for the other party to agree`;
+};
+
+// Admins may refund less than the full price, e.g. for partly delivered work
+const adminRefundAmount = (order, payload) => {
+  const amount = Number(payload.refundAmount);
+  if (payload.refundAmount === undefined || payload.refundAmount === null || Number.isNaN(amount)) {
+    return order.totalPrice;
+  }
+  return amount;
+};
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+const applySubmission = async (order, payload, actor) => {
+  const version = await OrderVersionService.nextVersion(order);
+  order.submittedContent = {
+    content: payload.content,
+    publishedUrl: payload.publishedUrl,
+    submittedAt: new Date(),
+    submittedBy: actorObjectId(actor),
+    version
+  };
+  if (payload.additionalNotes !== undefined) {
+    order.adminNotes = payload.additionalNotes;
+  }
+  if (order.deadline && new Date() > new Date(order.deadline)) {
+    order.deadlineTracking.submittedLate = true;
+  }
+  order.deadlineTracking.isOverdue = false;
+  const openRevision = order.revisions.find(revision => ['pending', 'accepted'].includes(revision.status));
+  if (openRevision) {
+    openRevision.status = 'completed';
+    openRevision.submittedVersion = version;
+    openRevision.completedAt = new Date();
+  }
+};
+
+// The link guarantee runs from delivery for the number of months agreed at order time
+const startGuarantee = (order) => {
+  if (!order.guarantee?.months) {
+    return;
+  }
+  const startsAt = new Date();
+  const endsAt = new Date(startsAt);
+  endsAt.setMonth(endsAt.getMonth() + order.guarantee.months);
+  order.guarantee.startsAt = startsAt;
+  order.guarantee.endsAt = endsAt;
+};
+
+const formatMessage = (template, order, payload) => {
+  return template
+    .replace('{orderId}', order.orderId)
+    .replace('{reason}', payload.reason || '');
+};
+
+export class OrderLifecycleService {
+
+  // Statuses reachable from the given status
+  static getAllowedTransitions(fromStatus) {
+    return Object.keys(TRANSITIONS[fromStatus] || {});
+  }
+
+  static getTransition(fromStatus, toStatus) {
+    return TRANSITIONS[fromStatus]?.[toStatus] || null;
+  }
+
+  // Move an order to a new status.
+  // actor:   { id, role } - usually built from req.user, or SYSTEM_ACTOR
+  // payload: transition specific data (reason, content, publishedUrl, ...)
+  // options: beforeSave(session) - caller's own writes, made in the claim's transaction
+  static async transition(order, toStatus, actor, payload = {}, { beforeSave } = {}) {
+    const fromStatus = order.status;
+    const transition = this.getTransition(fromStatus, toStatus);
+
+    if (!transition) {
+      throw new OrderTransitionError(
+        `Order ${order.orderId} cannot move from '${fromStatus}' to '${toStatus}'`,
+        409,
+        { from: fromStatus, to: toStatus, allowed: this.getAllowedTransitions(fromStatus) }
+      );
+    }
+
+    this.assertActor(order, transition, actor, fromStatus, toStatus);
+
+    const blocked = transition.guard ? transition.guard(order, actor, payload) : null;
+    if (blocked) {
+      throw new OrderTransitionError(blocked, 409, { from: fromStatus, to: toStatus });
+    }
+
+    const missing = (transition.requires || []).filter(field => !payload[field]);
+    if (missing.length > 0) {
+      throw new OrderTransitionError(
+        `Missing required fields for '${toStatus}': ${missing.join(', ')}`,
+        400,
+        { from: fromStatus, to: toStatus, missing }
+      );
+    }
+
+    // Only money that reached escrow can be paid out
+    if (transition.wallet === 'release' && order.paymentStatus !== 'paid') {
+      throw new OrderTransitionError(
+        `Order ${order.orderId} cannot be released while its payment is '${order.paymentStatus}'`,
+        409,
+        { from: fromStatus, to: toStatus, paymentStatus: order.paymentStatus }
+      );
+    }
+
+    let refundAmount;
+    if (transition.wallet === 'refund') {
+      refundAmount = roundAmount(transition.refundAmount
+        ? transition.refundAmount(order, payload, actor)
+        : order.totalPrice);
+      if (refundAmount < 0 || refundAmount > order.totalPrice) {
+        throw new OrderTransitionError(
+          `Refund amount must be between 0 and ${order.totalPrice}`,
+          400,
+          { from: fromStatus, to: toStatus, refundAmount }
+        );
+      }
+    }
+
+    if (transition.apply) {
+      await transition.apply(order, payload, actor);
+    }
+
+    order.status = toStatus;
+    order._userId = actorObjectId(actor);
+    order._actorRole = actor.role;
+    order._actorLabel = actorLabel(actor);
+    order._statusReason = payload.reason;
+
+    // Claim the status change, move the money and save the order together, so a
+    // concurrent transition of the same order cannot pay out or refund it again
+    try {
+      await LedgerService.withSession(null, async (session) => {
+        const claimed = await Order.updateOne(
+          { _id: order._id, status: fromStatus },
+          { $set: { status: toStatus } },
+          { session }
+        );
+        if (claimed.matchedCount === 0) {
+          throw new OrderTransitionError(
+            `Order ${order.orderId} is no longer '${fromStatus}'`,
+            409,
+            { from: fromStatus, to: toStatus }
+          );
+        }
+
+        if (transition.wallet === 'release') {
+          await this.releaseEscrow(order, session);
+        } else if (transition.wallet === 'refund') {
+          await this.refundAdvertiser(order, payload.reason, refundAmount, session);
+        }
+
+        if (beforeSave) {
+          await beforeSave(session);
+        }
+
+        await order.save({ session });
+      });
+    } catch (error) {
+      // Ledger refusals, such as an escrow short of the order, surface like any other blocked transition
+      if (error instanceof LedgerError) {
+        throw new OrderTransitionError(error.message, error.statusCode, { from: fromStatus, to: toStatus, ...error.details });
+      }
+      throw error;
+    }
+
+    if (transition.afterSave) {
+      await transition.afterSave(order, payload, actor);
+    }
+
+    await this.runSideEffects(order, transition, actor, payload, fromStatus);
+
+    if (order.projectId) {
+      await ProjectService.refreshStats(order.projectId);
+    }
+
+    return order;
+  }
+
+  static assertActor(order, transition, actor, fromStatus, toStatus) {
+    if (!actor || !transition.actors.includes(actor.role)) {
+      throw new OrderTransitionError(
+        `Role '${actor?.role}' cannot move an order from '${fromStatus}' to '${toStatus}'`,
+        403,
+        { from: fromStatus, to: toStatus, actors: transition.actors }
+      );
+    }
+
+    const ownerField = { publisher: 'publisherId', advertiser: 'advertiserId' }[actor.role];
+    if (ownerField) {
+      const ownerId = order[ownerField]?._id || order[ownerField];
+      if (!ownerId || ownerId.toString() !== String(actor.id)) {
+        throw new OrderTransitionError(
+          'You are not a party to this order',
+          403,
+          { from: fromStatus, to: toStatus }
+        );
+      }
+    }
+  }
+
+  // Release the held order amount to the publisher. The platform keeps the rest.
+  // Escrow is in the order's currency; the publisher is paid in their wallet's.
+  static async releaseEscrow(order, session) {
+    const advertiserId = order.advertiserId?._id || order.advertiserId;
+    const publisherId = order.publisherId?._id || order.publisherId;
+
+    const publisherWallet = await Wallet.findOne({ userId: publisherId }).session(session);
+    if (!publisherWallet) {
+      throw new Error('Publisher wallet not found');
+    }
+
+    const orderCurrency = order.currency || 'USD';
+    const earnings = await CurrencyService.toWalletAmount(order, order.publisherEarnings, publisherWallet.currency);
+    const commission = await CurrencyService.toWalletAmount(order, order.platformCommission, publisherWallet.currency);
+
+    // Orders paid before the ledger existed may find their escrow short
+    const strict = await LedgerService.hasOrderPayment(order.orderId, session);
+    const posting = await LedgerService.post({
+      type: 'escrow_release',
+      lines: [
+        { account: 'escrow', userId: advertiserId, debit: order.totalPrice, strict },
+        { account: 'platform_revenue', credit: roundAmount(order.totalPrice - order.publisherEarnings) },
+        ...LedgerService.fxLines(orderCurrency, order.publisherEarnings, publisherWallet.currency, earnings),
+        { account: 'wallet', userId: publisherId, credit: earnings, earnings: true, currency: publisherWallet.currency }
+      ],
+      orderId: order.orderId,
+      description: `Escrow release for order ${order.orderId}`,
+      currency: orderCurrency
+    }, { session });
+    const { balanceBefore, balanceAfter } = LedgerService.balanceChange(posting, publisherId);
+
+    // Complete the pending earning recorded at checkout, or record a new one
+    const pendingEarning = await Transaction.findOne({
+      orderId: order.orderId,
+      userId: publisherId,
+      type: 'earning',
+      status: 'pending'
+    }).session(session);
+
+    if (pendingEarning) {
+      pendingEarning.status = 'completed';
+      pendingEarning.amount = earnings;
+      pendingEarning.currency = publisherWallet.currency;
+      pendingEarning.balanceBefore = balanceBefore;
+      pendingEarning.balanceAfter = balanceAfter;
+      pendingEarning.completedAt = new Date();
+      await pendingEarning.save({ session });
+    } else {
+      await Transaction.create([{
+        userId: publisherId,
+        walletId: publisherWallet._id,
+        type: 'earning',
+        amount: earnings,
+        currency: publisherWallet.currency,
+        balanceBefore,
+        balanceAfter,
+        status: 'completed',
+        orderId: order.orderId,
+        description: `Earnings from order ${order.orderId}`,
+        completedAt: new Date()
+      }], { session });
+    }
+
+    await Transaction.create([{
+      userId: publisherId,
+      walletId: publisherWallet._id,
+      type: 'commission',
+      amount: commission,
+      currency: publisherWallet.currency,
+      balanceBefore: balanceAfter,
+      balanceAfter,
+      status: 'completed',
+      orderId: order.orderId,
+      description: `Platform commission from order ${order.orderId}`
+    }], { session });
+
+    order.paymentStatus = 'released';
+    order.paymentDetails = {
+      ...order.paymentDetails,
+      releasedAt: new Date()
+    };
+  }
+
+  // Return the order amount to the advertiser and cancel the publisher's pending earning.
+  // amount defaults to the full order price; whatever is not refunded is split
+  // between the publisher and the platform like a normal payout.
+  static async refundAdvertiser(order, reason, amount = order.totalPrice, session = null) {
+    const advertiserId = order.advertiserId?._id || order.advertiserId;
+    const publisherId = order.publisherId?._id || order.publisherId;
+
+    await Transaction.updateMany(
+      { orderId: order.orderId, userId: publisherId, type: 'earning', status: 'pending' },
+      { status: 'cancelled', internalNotes: reason || 'Order refunded' },
+      { session }
+    );
+
+    // Nothing was charged for this order, so there is nothing to give back
+    if (order.paymentStatus !== 'paid') {
+      return;
+    }
+
+    const wallet = await Wallet.findOne({ userId: advertiserId }).session(session);
+    if (!wallet) {
+      throw new Error('Advertiser wallet not found');
+    }
+
+    const retained = roundAmount(order.totalPrice - amount);
+    const share = order.totalPrice > 0
+      ? roundAmount(retained * order.publisherEarnings / order.totalPrice)
+      : 0;
+
+    // The publisher's share is paid in their wallet's currency
+    const orderCurrency = order.currency || 'USD';
+    const publisherWallet = share > 0 ? await Wallet.findOne({ userId: publisherId }).session(session) : null;
+    if (share > 0 && !publisherWallet) {
+      throw new Error('Publisher wallet not found');
+    }
+    const publisherCurrency = publisherWallet?.currency || orderCurrency;
+    const publisherShare = await CurrencyService.toWalletAmount(order, share, publisherCurrency);
+
+    const strict = await LedgerService.hasOrderPayment(order.orderId, session);
+    const posting = await LedgerService.post({
+      type: 'refund',
+      lines: [
+        { account: 'escrow', userId: advertiserId, debit: order.totalPrice, strict },
+        { account: 'wallet', userId: advertiserId, credit: amount },
+        { account: 'platform_revenue', credit: roundAmount(retained - share) },
+        ...LedgerService.fxLines(orderCurrency, share, publisherCurrency, publisherShare),
+        { account: 'wallet', userId: publisherId, credit: publisherShare, earnings: true, currency: publisherCurrency }
+      ],
+      orderId: order.orderId,
+      description: `Refund for order ${order.orderId}${reason ? `: ${reason}` : ''}`,
+      currency: orderCurrency
+    }, { session });
+
+    if (amount > 0) {
+      const { balanceBefore, balanceAfter } = LedgerService.balanceChange(posting, advertiserId);
+      await Transaction.create([{
+        userId: advertiserId,
+        walletId: wallet._id,
+        type: 'refund',
+        amount,
+        currency: orderCurrency,
+        balanceBefore,
+        balanceAfter,
+        status: 'completed',
+        orderId: order.orderId,
+        description: `Refund for order ${order.orderId}${reason ? `: ${reason}` : ''}`,
+        completedAt: new Date()
+      }], { session });
+    }
+
+    const publisherPayout = retained > 0
+      ? await this.payPublisherShare(order, posting, { retained, share, publisherShare }, reason, session)
+      : 0;
+
+    order.paymentStatus = retained > 0 ? 'partially_refunded' : 'refunded';
+    order.paymentDetails = {
+      ...order.paymentDetails,
+      refundedAt: new Date(),
+      refundReason: reason,
+      refundAmount: amount,
+      publisherPayout
+    };
+  }
+
+  // Record the publisher's share of the part of a cancelled order that was not
+  // refunded. The money itself moves with the refund's ledger posting.
+  // retained and share are in the order's currency, publisherShare in the wallet's.
+  static async payPublisherShare(order, posting, { retained, share, publisherShare }, reason, session = null) {
+    const publisherId = order.publisherId?._id || order.publisherId;
+    const wallet = posting.wallets.get(publisherId.toString())
+      || await Wallet.findOne({ userId: publisherId }).session(session);
+    if (!wallet) {
+      throw new Error('Publisher wallet not found');
+    }
+
+    const { balanceBefore, balanceAfter } = publisherShare > 0
+      ? LedgerService.balanceChange(posting, publisherId)
+      : { balanceBefore: wallet.balance, balanceAfter: wallet.balance };
+
+    await Transaction.create([{
+      userId: publisherId,
+      walletId: wallet._id,
+      type: 'earning',
+      amount: publisherShare,
+      currency: wallet.currency,
+      balanceBefore,
+      balanceAfter,
+      status: 'completed',
+      orderId: order.orderId,
+      description: `Partial earnings from cancelled order ${order.orderId}${reason ? `: ${reason}` : ''}`,
+      completedAt: new Date()
+    }], { session });
+
+    const commission = await CurrencyService.toWalletAmount(order, roundAmount(retained - share), wallet.currency);
+    if (commission > 0) {
+      await Transaction.create([{
+        userId: publisherId,
+        walletId: wallet._id,
+        type: 'commission',
+        amount: commission,
+        currency: wallet.currency,
+        balanceBefore: balanceAfter,
+        balanceAfter,
+        status: 'completed',
+        orderId: order.orderId,
+        description: `Platform commission from cancelled order ${order.orderId}`
+      }], { session });
+    }
+
+    return share;
+  }
+
+  // Propose cancelling accepted work. The other party has to accept it before
+  // the order is cancelled; refundPercentage is the share of the price returned
+  // to the advertiser.
+  static async requestCancellation(order, actor, { reason, refundPercentage = 100 } = {}) {
+    if (!CONSENT_STATUSES.includes(order.status)) {
+      throw new OrderTransitionError(
+        `A cancellation request cannot be made while order ${order.orderId} is '${order.status}'`,
+        409,
+        { status: order.status, allowed: CONSENT_STATUSES }
+      );
+    }
+
+    this.assertActor(order, { actors: ['publisher', 'advertiser'] }, actor, order.status, 'cancelled');
+
+    if (!reason) {
+      throw new OrderTransitionError('A cancellation reason is required', 400, { missing: ['reason'] });
+    }
+
+    const percentage = Number(refundPercentage);
+    if (Number.isNaN(percentage) || percentage < 0 || percentage > 100) {
+      throw new OrderTransitionError('refundPercentage must be between 0 and 100', 400, { refundPercentage });
+    }
+
+    if (order.cancellationRequest?.status === 'pending') {
+      throw new OrderTransitionError(
+        `Order ${order.orderId} already has a pending cancellation request`,
+        409,
+        { cancellationRequest: order.cancellationRequest }
+      );
+    }
+
+    order.cancellationRequest = {
+      requestedBy: actorObjectId(actor),
+      requestedByRole: actor.role,
+      reason,
+      refundPercentage: percentage,
+      status: 'pending',
+      requestedAt: new Date()
+    };
+    await order.save();
+
+    const counterparty = actor.role === 'publisher' ? 'advertiser' : 'publisher';
+    const message = `The ${actor.role} asked to cancel order ${order.orderId} with a ${percentage}% refund: ${reason}`;
+    await this.notifyParties(order, [counterparty], 'order_cancellation_requested', 'Cancellation Requested', message, {
+      orderId: order.orderId,
+      refundPercentage: percentage,
+      requestedByRole: actor.role
+    });
+
+    try {
+      await this.postSystemMessage(order, actor, message);
+    } catch (error) {
+      console.error('Failed to post cancellation request to chat:', error);
+    }
+
+    return order;
+  }
+
+  // Accept or decline the other party's cancellation request
+  static async respondToCancellation(order, actor, { accept, response } = {}) {
+    const request = order.cancellationRequest;
+    if (request?.status !== 'pending') {
+      throw new OrderTransitionError(
+        `Order ${order.orderId} has no pending cancellation request`,
+        409,
+        { status: order.status }
+      );
+    }
+
+    this.assertActor(order, { actors: ['publisher', 'advertiser'] }, actor, order.status, 'cancelled');
+
+    if (request.requestedByRole === actor.role) {
+      throw new OrderTransitionError('You cannot respond to your own cancellation request', 403, {
+        requestedByRole: request.requestedByRole
+      });
+    }
+
+    if (accept) {
+      return this.transition(order, 'cancelled', actor, {
+        reason: request.reason,
+        response,
+        consent: true
+      });
+    }
+
+    request.status = 'declined';
+    request.respondedAt = new Date();
+    request.response = response;
+    await order.save();
+
+    const message = `The ${actor.role} declined the cancellation of order ${order.orderId}${response ? `: ${response}` : ''}`;
+    await this.notifyParties(order, [request.requestedByRole], 'order_cancellation_requested', 'Cancellation Declined', message, {
+      orderId: order.orderId,
+      declinedByRole: actor.role
+    });
+
+    return order;
+  }
+
+  // Best effort notification of one or both parties
+  static async notifyParties(order, parties, type, title, message, data) {
+    try {
+      await Promise.all(parties.map(party => Notification.create({
+        userId: order[`${party}Id`]?._id || order[`${party}Id`],
+        type,
+        title,
+        message,
+        data
+      })));
+    } catch (error) {
+      console.error('Failed to create order notifications:', error);
+    }
+  }
+
+  // Notifications, chat system message and socket event. Failures are logged
+  // but never undo a transition that has already been saved.
+  static async runSideEffects(order, transition, actor, payload, fromStatus) {
+    const message = formatMessage(transition.message, order, payload);
+    const recipients = (transition.notify || []).map(party => ({
+      userId: order[`${party}Id`]?._id || order[`${party}Id`],
+      role: party
+    }));
+
+    try {
+      await Promise.all(recipients.map(recipient => Notification.create({
+        userId: recipient.userId,
+        type: transition.notificationType,
+        title: `Order ${order.orderId} ${order.status.replace(/_/g, ' ')}`,
+        message,
+        data: {
+          orderId: order.orderId,
+          from: fromStatus,
+          to: order.status,
+          changedByRole: actor.role
+        }
+      })));
+    } catch (error) {
+      console.error('Failed to create order status notifications:', error);
+    }
+
+    try {
+      await this.postSystemMessage(order, actor, message);
+    } catch (error) {
+      console.error('Failed to post order status message to chat:', error);
+    }
+
+    recipients.forEach(recipient => {
+      SocketService.sendToUser(recipient.userId?.toString(), 'order_status_changed', {
+        orderId: order.orderId,
+        from: fromStatus,
+        to: order.status
+      });
+    });
+  }
+
+  static async postSystemMessage(order, actor, content) {
+    if (!order.chatId || !mongoose.Types.ObjectId.isValid(order.chatId)) {
+      return;
+    }
+
+    const chat = await Chat.findById(order.chatId);
+    if (!chat) {
+      return;
+    }
+
+    chat.messages.push({
+      senderId: actorObjectId(actor) || order.publisherId?._id || order.publisherId,
+      senderRole: ['publisher', 'advertiser', 'admin'].includes(actor.role) ? actor.role : 'user',
+      content,
+      messageType: 'system'
+    });
+    await chat.save();
+  }
+}
+
+export default OrderLifecycleService;
@@ -0,0 +1,216 @@
+import Website from '../model/Website.js';
+import Wallet from '../model/Wallet.js';
+import Transaction from '../model/Transaction.js';
+import OrderLifecycleService, { OrderTransitionError } from './OrderLifecycleService.js';
+import LedgerService from './LedgerService.js';
+import CurrencyService from './CurrencyService.js';
+
+// Used for orders placed before websites declared their own revision terms
+const DEFAULT_REVISION_TERMS = Object.freeze({
+  includedRounds: 2,
+  extraRoundPrice: 0,
+  limitAction: 'dispute'
+});
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+export class OrderRevisionService {
+
+  // Revision terms of the order, falling back to the website's current settings
+  static async getRevisionTerms(order) {
+    if (order.revisionTerms?.includedRounds !== undefined && order.revisionTerms?.includedRounds !== null) {
+      return {
+        includedRounds: order.revisionTerms.includedRounds,
+        extraRoundPrice: order.revisionTerms.extraRoundPrice || 0,
+        limitAction: order.revisionTerms.limitAction || DEFAULT_REVISION_TERMS.limitAction
+      };
+    }
+
+    const website = await Website.findById(order.websiteId?._id || order.websiteId)
+      .select('revisionRounds extraRevisionPrice revisionLimitAction');
+
+    // The website's price is in its own currency; the order may be in another
+    const terms = website
+      ? {
+        includedRounds: website.revisionRounds ?? DEFAULT_REVISION_TERMS.includedRounds,
+        extraRoundPrice: roundAmount((website.extraRevisionPrice || 0) * (order.exchangeRate?.rate || 1)),
+        limitAction: website.revisionLimitAction || DEFAULT_REVISION_TERMS.limitAction
+      }
+      : { ...DEFAULT_REVISION_TERMS };
+
+    order.revisionTerms = terms;
+    return terms;
+  }
+
+  // Rounds requested so far; rounds rejected by an admin do not count
+  static getRoundsUsed(order) {
+    return order.revisions.filter(revision => revision.status !== 'rejected').length;
+  }
+
+  static async getRevisionSummary(order) {
+    const terms = await this.getRevisionTerms(order);
+    const used = this.getRoundsUsed(order);
+
+    return {
+      ...terms,
+      used,
+      remaining: Math.max(0, terms.includedRounds - used),
+      currentVersion: order.submittedContent?.version || 0,
+      revisions: order.revisions
+    };
+  }
+
+  // Ask for another round on submitted work. Within the included rounds this is
+  // a plain revision request; beyond them the website either charges for the
+  // extra round (the advertiser has to confirm with acceptExtraCharge) or the
+  // order is escalated to a dispute.
+  static async requestRevision(order, actor, { reason, acceptExtraCharge = false } = {}) {
+    const transition = OrderLifecycleService.getTransition(order.status, 'revision_requested');
+    if (!transition) {
+      throw new OrderTransitionError(
+        `Order ${order.orderId} cannot move from '${order.status}' to 'revision_requested'`,
+        409,
+        { from: order.status, to: 'revision_requested', allowed: OrderLifecycleService.getAllowedTransitions(order.status) }
+      );
+    }
+
+    OrderLifecycleService.assertActor(order, transition, actor, order.status, 'revision_requested');
+
+    if (!reason) {
+      throw new OrderTransitionError('A revision request is required', 400, { missing: ['reason'] });
+    }
+
+    const terms = await this.getRevisionTerms(order);
+    const round = this.getRoundsUsed(order) + 1;
+
+    if (round <= terms.includedRounds) {
+      await OrderLifecycleService.transition(order, 'revision_requested', actor, { reason, round });
+      return { order, round, extraCharge: 0, escalated: false };
+    }
+
+    if (terms.limitAction === 'dispute' || !terms.extraRoundPrice) {
+      await OrderLifecycleService.transition(order, 'disputed', actor, {
+        reason: `Revision limit of ${terms.includedRounds} round(s) reached: ${reason}`
+      });
+      return { order, round, extraCharge: 0, escalated: true };
+    }
+
+    if (!acceptExtraCharge) {
+      throw new OrderTransitionError(
+        `All ${terms.includedRounds} included revision round(s) have been used. Another round costs ${terms.extraRoundPrice}`,
+        402,
+        { includedRounds: terms.includedRounds, round, extraRoundPrice: terms.extraRoundPrice }
+      );
+    }
+
+    // Charged in the transition's transaction, so a request that loses the
+    // status change to another one is not charged
+    await OrderLifecycleService.transition(order, 'revision_requested', actor, {
+      reason,
+      round,
+      extraCharge: terms.extraRoundPrice
+    }, {
+      beforeSave: (session) => this.chargeExtraRound(order, terms.extraRoundPrice, session)
+    });
+
+    return { order, round, extraCharge: terms.extraRoundPrice, escalated: false };
+  }
+
+  // Publisher accepts the open revision, or contests it, which opens a dispute
+  static async respondToRevision(order, actor, { accept, response } = {}) {
+    const revision = order.revisions.find(item => item.status === 'pending');
+    if (order.status !== 'revision_requested' || !revision) {
+      throw new OrderTransitionError(
+        `Order ${order.orderId} has no open revision request`,
+        409,
+        { status: order.status }
+      );
+    }
+
+    OrderLifecycleService.assertActor(order, { actors: ['publisher'] }, actor, order.status, order.status);
+
+    revision.respondedAt = new Date();
+    revision.response = response;
+
+    if (accept) {
+      revision.status = 'accepted';
+      await order.save();
+
+      await OrderLifecycleService.notifyParties(order, ['advertiser'], 'custom', 'Revision Accepted',
+        `The publisher accepted revision round ${revision.round} on order ${order.orderId}.`,
+        { orderId: order.orderId, round: revision.round });
+
+      return order;
+    }
+
+    if (!response) {
+      throw new OrderTransitionError('A reason is required to contest a revision', 400, { missing: ['response'] });
+    }
+
+    revision.status = 'contested';
+    return OrderLifecycleService.transition(order, 'disputed', actor, {
+      reason: `Revision round ${revision.round} contested: ${response}`
+    });
+  }
+
+  // Move the price of an extra round from the advertiser's balance into escrow
+  // and add it to the order so it is released or refunded with the rest
+  static async chargeExtraRound(order, amount, session = null) {
+    const advertiserId = order.advertiserId?._id || order.advertiserId;
+    const publisherId = order.publisherId?._id || order.publisherId;
+
+    const wallet = await Wallet.findOne({ userId: advertiserId }).session(session);
+    if (!wallet || wallet.balance < amount) {
+      throw new OrderTransitionError(
+        'Insufficient balance for an extra revision round',
+        402,
+        { required: amount, available: wallet?.balance || 0 }
+      );
+    }
+
+    const posting = await LedgerService.post({
+      type: 'order_payment',
+      lines: [
+        { account: 'wallet', userId: advertiserId, debit: amount },
+        { account: 'escrow', userId: advertiserId, credit: amount }
+      ],
+      orderId: order.orderId,
+      description: `Extra revision round for order ${order.orderId}`,
+      currency: wallet.currency
+    }, { session });
+    const { balanceBefore, balanceAfter } = LedgerService.balanceChange(posting, advertiserId);
+
+    await Transaction.create([{
+      userId: advertiserId,
+      walletId: wallet._id,
+      type: 'deposit',
+      amount: -amount, // Negative because it's a deduction
+      currency: wallet.currency,
+      balanceBefore,
+      balanceAfter,
+      status: 'completed',
+      orderId: order.orderId,
+      description: `Extra revision round for order ${order.orderId}`
+    }], { session });
+
+    const commission = order.totalPrice > 0
+      ? roundAmount(amount * order.platformCommission / order.totalPrice)
+      : 0;
+
+    order.totalPrice = roundAmount(order.totalPrice + amount);
+    order.platformCommission = roundAmount(order.platformCommission + commission);
+    order.publisherEarnings = roundAmount(order.totalPrice - order.platformCommission);
+
+    // The pending earning is in the publisher's wallet currency
+    const pendingEarning = await Transaction.findOne(
+      { orderId: order.orderId, userId: publisherId, type: 'earning', status: 'pending' }
+    ).session(session);
+    if (pendingEarning) {
+      const earned = await CurrencyService.toWalletAmount(order, roundAmount(amount - commission), pendingEarning.currency);
+      pendingEarning.amount = roundAmount(pendingEarning.amount + earned);
+      await pendingEarning.save({ session });
+    }
+  }
+}
+
+export default OrderRevisionService;
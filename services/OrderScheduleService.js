@@ -0,0 +1,178 @@
+import Order from '../model/Order.js';
+import OrderLifecycleService, { OrderTransitionError, SYSTEM_ACTOR } from './OrderLifecycleService.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const SCHEDULE_INTERVALS = ['daily', 'weekly', 'custom'];
+
+export class OrderScheduleService {
+
+  // Time between two releases of a series
+  static getIntervalMs(scheduleInterval = 'daily', customIntervalDays) {
+    if (scheduleInterval === 'daily') return DAY_MS;
+    if (scheduleInterval === 'weekly') return 7 * DAY_MS;
+
+    if (scheduleInterval === 'custom') {
+      const days = Number(customIntervalDays);
+      if (!Number.isFinite(days) || days <= 0) {
+        throw new OrderTransitionError('customIntervalDays must be a positive number for a custom schedule', 400, { customIntervalDays });
+      }
+      return days * DAY_MS;
+    }
+
+    throw new OrderTransitionError(
+      `Schedule interval must be one of: ${SCHEDULE_INTERVALS.join(', ')}`,
+      400,
+      { scheduleInterval }
+    );
+  }
+
+  static generateSeriesId() {
+    return `SER-${Date.now()}-${Math.floor(Math.random() * 10000).toString().padStart(4, '0')}`;
+  }
+
+  // Hand scheduled orders whose release date has passed over to their publishers
+  static async releaseDueOrders(now = new Date(), batchSize = 100) {
+    const orders = await Order.find({
+      status: 'scheduled',
+      'schedule.releaseAt': { $lte: now },
+      'schedule.paused': { $ne: true }
+    })
+      .sort({ 'schedule.releaseAt': 1 })
+      .limit(batchSize);
+
+    let released = 0;
+    for (const order of orders) {
+      try {
+        await OrderLifecycleService.transition(order, 'pending', SYSTEM_ACTOR, {});
+        released++;
+      } catch (error) {
+        console.error(`Failed to release scheduled order ${order.orderId}:`, error);
+      }
+    }
+
+    return { released };
+  }
+
+  static async findSeriesOrders(seriesId, advertiserId) {
+    const orders = await Order.find({ 'schedule.seriesId': seriesId, advertiserId })
+      .sort({ 'schedule.position': 1 });
+
+    if (orders.length === 0) {
+      throw new OrderTransitionError('Order series not found', 404, { seriesId });
+    }
+
+    return orders;
+  }
+
+  static async getSeries(seriesId, advertiserId) {
+    const orders = await this.findSeriesOrders(seriesId, advertiserId);
+    const remaining = orders.filter(order => order.status === 'scheduled');
+
+    return {
+      seriesId,
+      totalOrders: orders.length,
+      released: orders.filter(order => order.schedule?.releasedAt).length,
+      remaining: remaining.length,
+      paused: remaining.length > 0 && remaining.every(order => order.schedule.paused),
+      nextReleaseAt: remaining.find(order => !order.schedule.paused)?.schedule.releaseAt || null,
+      reservedAmount: remaining.reduce((sum, order) => sum + order.totalPrice, 0),
+      orders
+    };
+  }
+
+  static async setPaused(seriesId, advertiserId, paused) {
+    await this.findSeriesOrders(seriesId, advertiserId);
+
+    const result = await Order.updateMany(
+      { 'schedule.seriesId': seriesId, advertiserId, status: 'scheduled' },
+      { $set: { 'schedule.paused': paused } }
+    );
+
+    if (result.matchedCount === 0) {
+      throw new OrderTransitionError('No scheduled orders left in this series', 409, { seriesId });
+    }
+
+    return this.getSeries(seriesId, advertiserId);
+  }
+
+  static async pauseSeries(seriesId, advertiserId) {
+    return this.setPaused(seriesId, advertiserId, true);
+  }
+
+  // Orders whose release date passed while paused go out on the next run
+  static async resumeSeries(seriesId, advertiserId) {
+    return this.setPaused(seriesId, advertiserId, false);
+  }
+
+  // Spread the remaining orders over a new cadence. Deadlines move along with
+  // the release dates so every order keeps the same time to complete.
+  static async rescheduleSeries(seriesId, advertiserId, { scheduleInterval, customIntervalDays, startAt } = {}) {
+    const orders = await this.findSeriesOrders(seriesId, advertiserId);
+    const remaining = orders.filter(order => order.status === 'scheduled');
+
+    if (remaining.length === 0) {
+      throw new OrderTransitionError('No scheduled orders left in this series', 409, { seriesId });
+    }
+
+    const intervalMs = this.getIntervalMs(scheduleInterval, customIntervalDays);
+    const start = startAt
+      ? new Date(startAt)
+      : new Date(Math.max(Date.now(), remaining[0].schedule.releaseAt.getTime()));
+
+    if (Number.isNaN(start.getTime()) || start < new Date(Date.now() - 60 * 1000)) {
+      throw new OrderTransitionError('startAt must be a valid date in the future', 400, { startAt });
+    }
+
+    for (let i = 0; i < remaining.length; i++) {
+      const order = remaining[i];
+      const releaseAt = new Date(start.getTime() + i * intervalMs);
+      const shift = releaseAt.getTime() - new Date(order.schedule.releaseAt).getTime();
+
+      order.schedule.releaseAt = releaseAt;
+      if (order.deadline) {
+        order.deadline = new Date(order.deadline.getTime() + shift);
+      }
+      await order.save();
+    }
+
+    return this.getSeries(seriesId, advertiserId);
+  }
+
+  // Cancel the orders that have not been released yet and refund them in full
+  static async cancelSeries(seriesId, advertiserId, actor, { reason } = {}) {
+    const orders = await this.findSeriesOrders(seriesId, advertiserId);
+    const remaining = orders.filter(order => order.status === 'scheduled');
+
+    if (remaining.length === 0) {
+      throw new OrderTransitionError('No scheduled orders left in this series', 409, { seriesId });
+    }
+
+    let refunded = 0;
+    for (const order of remaining) {
+      await OrderLifecycleService.transition(order, 'cancelled', actor, {
+        reason: reason || 'Remaining orders of the series cancelled by advertiser'
+      });
+      refunded += order.paymentDetails?.refundAmount || 0;
+    }
+
+    return {
+      seriesId,
+      cancelled: remaining.length,
+      refunded
+    };
+  }
+}
+
+// Release scheduled orders periodically
+if (process.env.NODE_ENV === 'production') {
+  setInterval(async () => {
+    try {
+      await OrderScheduleService.releaseDueOrders();
+    } catch (error) {
+      console.error('Scheduled order release error:', error);
+    }
+  }, (Number(process.env.ORDER_RELEASE_CHECK_MINUTES) || 15) * 60 * 1000);
+}
+
+export default OrderScheduleService;
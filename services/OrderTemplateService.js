@@ -0,0 +1,215 @@
+import mongoose from 'mongoose';
+import Order from '../model/Order.js';
+import OrderTemplate from '../model/OrderTemplate.js';
+import CartService from './CartService.js';
+import ProjectService from './ProjectService.js';
+
+// Fields of a template the advertiser may set
+const EDITABLE_FIELDS = [
+  'name',
+  'projectId',
+  'shared',
+  'websiteId',
+  'title',
+  'description',
+  'contentRequirements',
+  'articleType',
+  'sensitiveTopic',
+  'sensitiveCategory',
+  'homepageAnnouncement'
+];
+
+// Error with an HTTP status, raised for problems the advertiser can fix
+export class OrderTemplateError extends Error {
+  constructor(message, statusCode = 400, details = {}) {
+    super(message);
+    this.name = 'OrderTemplateError';
+    this.statusCode = statusCode;
+    this.details = details;
+  }
+}
+
+const pickEditable = (data = {}) => Object.fromEntries(
+  EDITABLE_FIELDS.filter(field => data[field] !== undefined).map(field => [field, data[field]])
+);
+
+export class OrderTemplateService {
+
+  static async assertProjectAccess(userId, projectId) {
+    if (!mongoose.Types.ObjectId.isValid(projectId)) {
+      throw new OrderTemplateError('Invalid project ID', 400, { projectId });
+    }
+
+    const projectIds = await ProjectService.getAccessibleProjectIds(userId);
+    if (!projectIds.some(id => id.toString() === projectId.toString())) {
+      throw new OrderTemplateError('Project not found', 404, { projectId });
+    }
+  }
+
+  static async accessFilter(userId) {
+    const projectIds = await ProjectService.getAccessibleProjectIds(userId);
+    return {
+      $or: [
+        { ownerId: userId },
+        { shared: true, projectId: { $in: projectIds } }
+      ]
+    };
+  }
+
+  static async listTemplates(userId, { projectId } = {}) {
+    const filter = await this.accessFilter(userId);
+    if (projectId) {
+      filter.projectId = projectId;
+    }
+
+    return OrderTemplate.find(filter)
+      .populate('websiteId', 'domain')
+      .populate('projectId', 'title')
+      .populate('ownerId', 'firstName lastName')
+      .sort({ updatedAt: -1 });
+  }
+
+  static async getTemplate(userId, templateId) {
+    const template = mongoose.Types.ObjectId.isValid(templateId)
+      ? await OrderTemplate.findOne({ _id: templateId, ...(await this.accessFilter(userId)) })
+      : null;
+
+    if (!template) {
+      throw new OrderTemplateError('Template not found', 404, { templateId });
+    }
+    return template;
+  }
+
+  static async getOwnTemplate(userId, templateId) {
+    const template = await this.getTemplate(userId, templateId);
+    if (template.ownerId.toString() !== userId.toString()) {
+      throw new OrderTemplateError('Only the owner can change this template', 403, { templateId });
+    }
+    return template;
+  }
+
+  static async validateFields(userId, fields) {
+    if (fields.projectId) {
+      await this.assertProjectAccess(userId, fields.projectId);
+    }
+    if (fields.shared && !fields.projectId) {
+      throw new OrderTemplateError('Choose a project to share the template with', 400);
+    }
+  }
+
+  static async createTemplate(userId, data = {}) {
+    const fields = pickEditable(data);
+    await this.validateFields(userId, fields);
+
+    return OrderTemplate.create({ ...fields, ownerId: userId });
+  }
+
+  // Save the configuration of a past order as a template
+  static async createFromOrder(userId, orderId, data = {}) {
+    const order = await this.findOwnOrder(userId, orderId);
+
+    const fields = {
+      ...this.fromOrder(order),
+      ...pickEditable(data),
+      name: data.name || order.title
+    };
+    await this.validateFields(userId, fields);
+
+    return OrderTemplate.create({ ...fields, ownerId: userId, sourceOrderId: order.orderId });
+  }
+
+  static async updateTemplate(userId, templateId, data = {}) {
+    const template = await this.getOwnTemplate(userId, templateId);
+    const fields = pickEditable(data);
+
+    await this.validateFields(userId, {
+      projectId: fields.projectId ?? template.projectId,
+      shared: fields.shared ?? template.shared
+    });
+
+    template.set(fields);
+    await template.save();
+    return template;
+  }
+
+  static async deleteTemplate(userId, templateId) {
+    const template = await this.getOwnTemplate(userId, templateId);
+    await template.deleteOne();
+  }
+
+  static async findOwnOrder(userId, orderId) {
+    const order = mongoose.Types.ObjectId.isValid(orderId)
+      ? await Order.findOne({ _id: orderId, advertiserId: userId })
+      : null;
+
+    if (!order) {
+      throw new OrderTemplateError('Order not found', 404, { orderId });
+    }
+    return order;
+  }
+
+  // Template fields describing what was bought with an order
+  static fromOrder(order) {
+    const requirements = order.contentRequirements || {};
+    return {
+      websiteId: order.websiteId,
+      projectId: order.projectId,
+      title: order.title,
+      description: order.description,
+      contentRequirements: {
+        wordCount: requirements.wordCount,
+        keywords: requirements.keywords,
+        targetUrl: requirements.targetUrl,
+        anchorText: requirements.anchorText,
+        linkType: requirements.linkType,
+        contentType: requirements.contentType,
+        additionalInstructions: requirements.additionalInstructions
+      },
+      articleType: requirements.needsCopywriting ? 'publisher' : 'advertiser',
+      sensitiveTopic: (order.additionalCharges?.sensitiveContent || 0) > 0,
+      homepageAnnouncement: (order.additionalCharges?.homepageAnnouncement || 0) > 0
+    };
+  }
+
+  // Cart line pre-filled from a template or past order; the cart prices it
+  static toCartItem(source, websiteId) {
+    const requirements = source.contentRequirements || {};
+    return {
+      websiteId: websiteId || source.websiteId,
+      projectId: source.projectId,
+      articleType: source.articleType,
+      sensitiveTopic: source.sensitiveTopic,
+      sensitiveCategory: source.sensitiveCategory,
+      homepageAnnouncement: source.homepageAnnouncement,
+      targetUrl: requirements.targetUrl,
+      anchorText: requirements.anchorText,
+      keywords: requirements.keywords,
+      wordCount: requirements.wordCount,
+      articleRequirements: requirements.additionalInstructions
+    };
+  }
+
+  static async addTemplateToCart(userId, templateId, { websiteId } = {}) {
+    const template = await this.getTemplate(userId, templateId);
+    const item = this.toCartItem(template, websiteId);
+    if (!item.websiteId) {
+      throw new OrderTemplateError('Choose a website to place this template on', 400);
+    }
+
+    const cart = await CartService.addItem(userId, item);
+
+    template.usageCount += 1;
+    template.lastUsedAt = new Date();
+    await template.save();
+
+    return cart;
+  }
+
+  // Put a past order back in the cart, on the same or another website, at current prices
+  static async reorder(userId, orderId, { websiteId } = {}) {
+    const order = await this.findOwnOrder(userId, orderId);
+    return CartService.addItem(userId, this.toCartItem(this.fromOrder(order), websiteId));
+  }
+}
+
+export default OrderTemplateService;
@@ -0,0 +1,216 @@
+import mongoose from 'mongoose';
+import Order from '../model/Order.js';
+import OrderVersion from '../model/OrderVersion.js';
+
+// Beyond this many word edits two versions are shown as fully replaced
+const MAX_EDIT_DISTANCE = 2000;
+
+const tokenize = (text) => (text || '').match(/\S+/g) || [];
+
+// Word-level diff (Myers' algorithm) returning equal/added/removed segments
+const diffWords = (fromText, toText) => {
+  const a = tokenize(fromText);
+  const b = tokenize(toText);
+
+  // Common prefix and suffix do not need to go through the edit graph
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const midA = a.slice(start, endA);
+  const midB = b.slice(start, endB);
+  const ops = [
+    ...a.slice(0, start).map(word => ({ type: 'equal', word })),
+    ...editScript(midA, midB),
+    ...a.slice(endA).map(word => ({ type: 'equal', word }))
+  ];
+
+  // Merge consecutive words of the same kind into one segment
+  const changes = [];
+  const stats = { added: 0, removed: 0, unchanged: 0 };
+  for (const op of ops) {
+    stats[{ equal: 'unchanged', added: 'added', removed: 'removed' }[op.type]]++;
+    const last = changes[changes.length - 1];
+    if (last && last.type === op.type) {
+      last.text += ` ${op.word}`;
+    } else {
+      changes.push({ type: op.type, text: op.word });
+    }
+  }
+
+  return { changes, stats };
+};
+
+const editScript = (a, b) => {
+  const n = a.length;
+  const m = b.length;
+  if (n === 0 || m === 0) {
+    return replaceAll(a, b);
+  }
+
+  const max = Math.min(n + m, MAX_EDIT_DISTANCE);
+  const offset = max + 1;
+  const v = new Int32Array(2 * max + 3);
+  const trace = [];
+
+  for (let d = 0; d <= max; d++) {
+    // Keep only the diagonals reachable in this round
+    trace.push(v.slice(offset - d, offset + d + 1));
+
+    for (let k = -d; k <= d; k += 2) {
+      let x = (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1]))
+        ? v[offset + k + 1]
+        : v[offset + k - 1] + 1;
+      let y = x - k;
+      while (x < n && y < m && a[x] === b[y]) {
+        x++;
+        y++;
+      }
+      v[offset + k] = x;
+
+      if (x >= n && y >= m) {
+        return backtrack(trace, a, b, d);
+      }
+    }
+  }
+
+  return replaceAll(a, b);
+};
+
+const backtrack = (trace, a, b, distance) => {
+  const ops = [];
+  let x = a.length;
+  let y = b.length;
+
+  for (let d = distance; d > 0; d--) {
+    const previous = trace[d];
+    const at = (k) => previous[k + d];
+    const k = x - y;
+    const prevK = (k === -d || (k !== d && at(k - 1) < at(k + 1))) ? k + 1 : k - 1;
+    const prevX = at(prevK);
+    const prevY = prevX - prevK;
+
+    while (x > prevX && y > prevY) {
+      ops.push({ type: 'equal', word: a[--x] });
+      y--;
+    }
+    if (x === prevX) {
+      ops.push({ type: 'added', word: b[prevY] });
+    } else {
+      ops.push({ type: 'removed', word: a[prevX] });
+    }
+    x = prevX;
+    y = prevY;
+  }
+
+  while (x > 0 && y > 0) {
+    ops.push({ type: 'equal', word: a[--x] });
+    y--;
+  }
+
+  return ops.reverse();
+};
+
+const replaceAll = (a, b) => [
+  ...a.map(word => ({ type: 'removed', word })),
+  ...b.map(word => ({ type: 'added', word }))
+];
+
+const authorFields = (actor) => ({
+  authorId: actor?.id && mongoose.Types.ObjectId.isValid(actor.id) ? actor.id : undefined,
+  authorRole: actor?.role
+});
+
+export class OrderVersionService {
+
+  // Reserve the next version number on the order. It is taken with $inc, so
+  // concurrent edits and submissions never get the same one.
+  static async nextVersion(order) {
+    const reserved = await Order.findOneAndUpdate(
+      { _id: order._id },
+      { $inc: { latestVersion: 1 } },
+      { new: true }
+    ).select('latestVersion');
+    order.latestVersion = reserved.latestVersion;
+    // Already stored; saving it again could undo a newer reservation
+    order.unmarkModified('latestVersion');
+    return reserved.latestVersion;
+  }
+
+  // Snapshot the submitted work. The version number is reserved when the
+  // submission is applied to the order.
+  static async recordSubmission(order, actor) {
+    return OrderVersion.create({
+      orderId: order._id,
+      version: order.submittedContent.version,
+      source: 'submission',
+      content: order.submittedContent.content,
+      publishedUrl: order.submittedContent.publishedUrl,
+      ...authorFields(actor)
+    });
+  }
+
+  // Snapshot the article data after an edit. Saves the order.
+  static async recordArticleEdit(order, actor) {
+    const version = await this.nextVersion(order);
+    await order.save();
+
+    const articleData = order.toObject().articleData || {};
+    return OrderVersion.create({
+      orderId: order._id,
+      version,
+      source: 'article_edit',
+      content: articleData.postText || '',
+      articleData,
+      ...authorFields(actor)
+    });
+  }
+
+  static async listVersions(orderId) {
+    return OrderVersion.find({ orderId })
+      .select('version source publishedUrl authorId authorRole createdAt')
+      .sort({ version: 1 });
+  }
+
+  static async getVersion(orderId, version) {
+    return OrderVersion.findOne({ orderId, version });
+  }
+
+  // Word-level diff between two versions. Defaults to the two most recent ones.
+  static async diffVersions(orderId, fromVersion, toVersion) {
+    const to = toVersion
+      ? await this.getVersion(orderId, toVersion)
+      : await OrderVersion.findOne({ orderId }).sort({ version: -1 });
+
+    const from = fromVersion
+      ? await this.getVersion(orderId, fromVersion)
+      : to && await OrderVersion.findOne({ orderId, version: { $lt: to.version } }).sort({ version: -1 });
+
+    if (!from || !to) {
+      return null;
+    }
+
+    const { changes, stats } = diffWords(from.content, to.content);
+
+    const describe = (item) => ({
+      version: item.version,
+      source: item.source,
+      authorRole: item.authorRole,
+      createdAt: item.createdAt
+    });
+
+    return {
+      from: describe(from),
+      to: describe(to),
+      changes,
+      stats
+    };
+  }
+}
+
+export default OrderVersionService;
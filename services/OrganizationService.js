@@ -0,0 +1,336 @@
+import crypto from 'crypto';
+import Organization from '../model/Organization.js';
+import OrganizationInvitation from '../model/OrganizationInvitation.js';
+import AuditLog from '../model/AuditLog.js';
+import User from '../model/User.js';
+import NotificationService from './NotificationService.js';
+
+// Roles a member can hold; only the creator of an organization is its owner
+export const MEMBER_ROLES = ['owner', 'buyer', 'viewer', 'finance'];
+export const INVITABLE_ROLES = ['buyer', 'viewer', 'finance'];
+
+// Error with an HTTP status, raised for problems the member can fix
+export class OrganizationError extends Error {
+  constructor(message, statusCode = 400, details = {}) {
+    super(message);
+    this.name = 'OrganizationError';
+    this.statusCode = statusCode;
+    this.details = details;
+  }
+}
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+const normalizeEmail = (email) => String(email || '').trim().toLowerCase();
+
+export class OrganizationService {
+
+  // Days an invitation link stays valid
+  static getInvitationDays() {
+    return Number(process.env.ORGANIZATION_INVITE_DAYS) || 7;
+  }
+
+  static async getOrganization(organizationId) {
+    const organization = await Organization.findById(organizationId)
+      .populate('members.userId', 'firstName lastName email');
+
+    if (!organization) {
+      throw new OrganizationError('Organization not found', 404);
+    }
+    return organization;
+  }
+
+  // Organization of the member making the request
+  static async getMemberOrganization(member) {
+    if (!member) {
+      throw new OrganizationError('You are not a member of an organization', 404);
+    }
+    return this.getOrganization(member.organizationId);
+  }
+
+  static async createOrganization(user, { name } = {}) {
+    if (!name || !String(name).trim()) {
+      throw new OrganizationError('Organization name is required', 400);
+    }
+    if (user.organizationId || await Organization.exists({ 'members.userId': user._id })) {
+      throw new OrganizationError('You already belong to an organization', 409);
+    }
+
+    const organization = await Organization.create({
+      name,
+      ownerId: user._id,
+      members: [{ userId: user._id, role: 'owner' }]
+    });
+    await User.updateOne({ _id: user._id }, { organizationId: organization._id });
+
+    await this.record(
+      { organizationId: organization._id, userId: user._id, role: 'owner' },
+      'organization.created',
+      { targetType: 'organization', targetId: organization._id }
+    );
+    return organization;
+  }
+
+  static async renameOrganization(member, name) {
+    if (!name || !String(name).trim()) {
+      throw new OrganizationError('Organization name is required', 400);
+    }
+
+    const organization = await this.getMemberOrganization(member);
+    const previousName = organization.name;
+    organization.name = name;
+    await organization.save();
+
+    await this.record(member, 'organization.renamed', {
+      targetType: 'organization',
+      targetId: organization._id,
+      details: { from: previousName, to: organization.name }
+    });
+    return organization;
+  }
+
+  static async listInvitations(member) {
+    return OrganizationInvitation.find({ organizationId: member.organizationId, status: 'pending' })
+      .select('-tokenHash')
+      .populate('invitedBy', 'firstName lastName email')
+      .sort({ createdAt: -1 });
+  }
+
+  // Email a link to join the organization. Inviting the same address again replaces the old link.
+  static async inviteMember(member, inviter, { email, role } = {}) {
+    const address = normalizeEmail(email);
+    if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(address)) {
+      throw new OrganizationError('A valid email address is required', 400, { email });
+    }
+    if (!INVITABLE_ROLES.includes(role)) {
+      throw new OrganizationError(`Role must be one of: ${INVITABLE_ROLES.join(', ')}`, 400, { role });
+    }
+
+    const organization = await this.getMemberOrganization(member);
+    const existingUser = await User.findOne({ email: address }).select('_id');
+    if (existingUser && organization.members.some(item => item.userId?._id?.toString() === existingUser._id.toString())) {
+      throw new OrganizationError('This user is already a member', 409, { email: address });
+    }
+
+    await OrganizationInvitation.updateMany(
+      { organizationId: organization._id, email: address, status: 'pending' },
+      { $set: { status: 'revoked' } }
+    );
+
+    const token = crypto.randomBytes(32).toString('hex');
+    const invitation = await OrganizationInvitation.create({
+      organizationId: organization._id,
+      email: address,
+      role,
+      tokenHash: hashToken(token),
+      invitedBy: inviter._id,
+      expiresAt: new Date(Date.now() + this.getInvitationDays() * 24 * 60 * 60 * 1000)
+    });
+
+    const delivery = await NotificationService.sendEmail(
+      address,
+      `Join ${organization.name}`,
+      `${inviter.firstName || 'A colleague'} invited you to join ${organization.name} as ${role}. ` +
+        `The invitation expires on ${invitation.expiresAt.toDateString()}.`,
+      `${process.env.FRONTEND_URL}/organization/invitations/${token}`
+    );
+
+    await this.record(member, 'member.invited', {
+      targetType: 'invitation',
+      targetId: invitation._id,
+      details: { email: address, role }
+    });
+
+    const { tokenHash, ...data } = invitation.toObject();
+    return { invitation: data, emailSent: delivery.success };
+  }
+
+  static async revokeInvitation(member, invitationId) {
+    const invitation = await OrganizationInvitation.findOneAndUpdate(
+      { _id: invitationId, organizationId: member.organizationId, status: 'pending' },
+      { $set: { status: 'revoked' } },
+      { new: true }
+    ).select('-tokenHash');
+
+    if (!invitation) {
+      throw new OrganizationError('Invitation not found', 404, { invitationId });
+    }
+
+    await this.record(member, 'invitation.revoked', {
+      targetType: 'invitation',
+      targetId: invitation._id,
+      details: { email: invitation.email }
+    });
+    return invitation;
+  }
+
+  // Join with the token from the invitation email. The logged-in user must own the invited address.
+  static async acceptInvitation(user, token) {
+    const invitation = await OrganizationInvitation.findOne({ tokenHash: hashToken(token), status: 'pending' });
+    if (!invitation || invitation.expiresAt <= new Date()) {
+      throw new OrganizationError('Invitation not found or expired', 404);
+    }
+    if (invitation.email !== normalizeEmail(user.email)) {
+      throw new OrganizationError('This invitation was sent to a different email address', 403);
+    }
+    // Members act on the owner's advertiser account, so only advertisers can join
+    if (user.role !== 'advertiser') {
+      throw new OrganizationError('Only advertiser accounts can join an organization', 403, { role: user.role });
+    }
+    if (user.organizationId || await Organization.exists({ 'members.userId': user._id })) {
+      throw new OrganizationError('Leave your current organization before joining another', 409);
+    }
+
+    const organization = await Organization.findOneAndUpdate(
+      { _id: invitation.organizationId, 'members.userId': { $ne: user._id } },
+      { $push: { members: { userId: user._id, role: invitation.role, invitedBy: invitation.invitedBy } } },
+      { new: true }
+    );
+    if (!organization) {
+      throw new OrganizationError('Organization not found', 404);
+    }
+
+    invitation.status = 'accepted';
+    invitation.acceptedBy = user._id;
+    invitation.acceptedAt = new Date();
+    await invitation.save();
+    await User.updateOne({ _id: user._id }, { organizationId: organization._id });
+
+    await this.record(
+      { organizationId: organization._id, userId: user._id, role: invitation.role },
+      'member.joined',
+      { targetType: 'user', targetId: user._id, details: { invitationId: invitation._id } }
+    );
+    return organization;
+  }
+
+  static findMember(organization, userId) {
+    const target = organization.members.find(item => (item.userId?._id || item.userId).toString() === String(userId));
+    if (!target) {
+      throw new OrganizationError('Member not found', 404, { userId });
+    }
+    if (target.role === 'owner') {
+      throw new OrganizationError('The owner cannot be changed or removed', 400, { userId });
+    }
+    return target;
+  }
+
+  static async updateMemberRole(member, userId, role) {
+    if (!INVITABLE_ROLES.includes(role)) {
+      throw new OrganizationError(`Role must be one of: ${INVITABLE_ROLES.join(', ')}`, 400, { role });
+    }
+
+    const organization = await this.getMemberOrganization(member);
+    const target = this.findMember(organization, userId);
+    const previousRole = target.role;
+    target.role = role;
+    await organization.save();
+
+    await this.record(member, 'member.role_changed', {
+      targetType: 'user',
+      targetId: userId,
+      details: { from: previousRole, to: role }
+    });
+    return organization;
+  }
+
+  static async removeMember(member, userId) {
+    const organization = await this.getMemberOrganization(member);
+    const target = this.findMember(organization, userId);
+
+    organization.members.pull(target._id);
+    await organization.save();
+    await User.updateOne({ _id: userId }, { organizationId: null });
+
+    await this.record(member, 'member.removed', {
+      targetType: 'user',
+      targetId: userId,
+      details: { role: target.role }
+    });
+    return organization;
+  }
+
+  static async leaveOrganization(member) {
+    if (!member) {
+      throw new OrganizationError('You are not a member of an organization', 404);
+    }
+    if (member.role === 'owner') {
+      throw new OrganizationError('The owner cannot leave the organization', 400);
+    }
+
+    await Organization.updateOne(
+      { _id: member.organizationId },
+      { $pull: { members: { userId: member.userId } } }
+    );
+    await User.updateOne({ _id: member.userId }, { organizationId: null });
+
+    await this.record(member, 'member.left', { targetType: 'user', targetId: member.userId });
+  }
+
+  // Add an entry to the audit trail. Failures are logged, never passed to the caller.
+  static async record(member, action, { targetType, targetId, details } = {}) {
+    if (!member) return null;
+
+    try {
+      return await AuditLog.create({
+        organizationId: member.organizationId,
+        actorId: member.userId,
+        actorRole: member.role,
+        action,
+        targetType,
+        targetId: targetId?.toString(),
+        details
+      });
+    } catch (error) {
+      console.error(`Failed to record audit entry ${action}:`, error);
+      return null;
+    }
+  }
+
+  // Record which member placed each order
+  static async recordOrders(member, orders) {
+    if (!member) return;
+
+    for (const order of orders) {
+      await this.record(member, 'order.placed', {
+        targetType: 'order',
+        targetId: order.orderId,
+        details: { totalPrice: order.totalPrice, websiteId: order.websiteId?._id || order.websiteId }
+      });
+    }
+  }
+
+  static async getAuditLog(member, { action, actorId, page = 1, limit = 50 } = {}) {
+    if (!member) {
+      throw new OrganizationError('You are not a member of an organization', 404);
+    }
+
+    const filter = { organizationId: member.organizationId };
+    if (action) filter.action = action;
+    if (actorId) filter.actorId = actorId;
+
+    const pageNumber = Math.max(parseInt(page) || 1, 1);
+    const pageSize = Math.min(Math.max(parseInt(limit) || 50, 1), 200);
+
+    const [entries, total] = await Promise.all([
+      AuditLog.find(filter)
+        .populate('actorId', 'firstName lastName email')
+        .sort({ createdAt: -1 })
+        .skip((pageNumber - 1) * pageSize)
+        .limit(pageSize),
+      AuditLog.countDocuments(filter)
+    ]);
+
+    return {
+      entries,
+      pagination: {
+        page: pageNumber,
+        limit: pageSize,
+        total,
+        pages: Math.ceil(total / pageSize)
+      }
+    };
+  }
+}
+
+export default OrganizationService;
@@ -0,0 +1,336 @@
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import Wallet from '../model/Wallet.js';
+import Withdrawal from '../model/Withdrawal.js';
+import { Notification } from '../Models/NotificationModel.js';
+import FieldEncryptionService, { SENSITIVE_FIELDS } from './FieldEncryptionService.js';
+
+// Wrong confirmation codes allowed before a new micro-deposit is needed
+const MAX_CONFIRMATION_ATTEMPTS = 5;
+
+// Error with an HTTP status, raised for problems the user or admin can fix
+export class PaymentMethodError extends Error {
+  constructor(message, statusCode = 400, details = {}) {
+    super(message);
+    this.name = 'PaymentMethodError';
+    this.statusCode = statusCode;
+    this.details = details;
+  }
+}
+
+const hashCode = (code) => crypto.createHash('sha256').update(String(code).trim().toUpperCase()).digest('hex');
+
+export class PaymentMethodService {
+
+  // Days the publisher has to confirm a micro-deposit
+  static getDepositDays() {
+    return Number(process.env.PAYMENT_METHOD_DEPOSIT_DAYS) || 14;
+  }
+
+  // Details with every sensitive field replaced by its masked form
+  static maskDetails(details) {
+    const { masked = {}, ...data } = details;
+    SENSITIVE_FIELDS.forEach(field => {
+      if (!data[field]) return;
+      data[field] = masked[field]
+        || (FieldEncryptionService.isEncrypted(data[field]) ? '****' : FieldEncryptionService.maskValue(field, data[field]));
+    });
+    return data;
+  }
+
+  // Payment method as returned to its owner: payout details masked, no code hash
+  static toResponse(method) {
+    const data = typeof method.toObject === 'function' ? method.toObject() : { ...method };
+    if (data.details) {
+      data.details = this.maskDetails(data.details);
+    }
+    if (data.verification?.microDeposit) {
+      const { codeHash, amount, ...microDeposit } = data.verification.microDeposit;
+      data.verification = { ...data.verification, microDeposit };
+    }
+    return data;
+  }
+
+  // Wallet or withdrawal with the payment details in it masked
+  static maskWallet(wallet) {
+    const data = wallet.toObject();
+    data.paymentMethods = (wallet.paymentMethods || []).map(method => this.toResponse(method));
+    return data;
+  }
+
+  static maskWithdrawal(withdrawal) {
+    const data = withdrawal.toObject();
+    if (data.paymentMethod) {
+      data.paymentMethod = this.toResponse(data.paymentMethod);
+    }
+    return data;
+  }
+
+  // Verification state of a newly added method with its uploaded document
+  static initialVerification(file) {
+    return {
+      status: 'pending',
+      document: file ? {
+        filename: file.filename,
+        originalName: file.originalname,
+        url: `/uploads/documents/${file.filename}`,
+        uploadedAt: new Date()
+      } : undefined
+    };
+  }
+
+  // Admin review queue. Methods added before verification existed have no status
+  // yet and are listed as pending while unverified.
+  static async listQueue({ status = 'pending', page = 1, limit = 20 } = {}) {
+    const pageNumber = Math.max(parseInt(page) || 1, 1);
+    const pageSize = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+    const match = status === 'pending'
+      ? { 'paymentMethods.isVerified': false, 'paymentMethods.verification.status': { $in: ['pending', null] } }
+      : { 'paymentMethods.verification.status': status };
+
+    const [result] = await Wallet.aggregate([
+      { $match: { paymentMethods: { $exists: true, $ne: [] } } },
+      { $unwind: '$paymentMethods' },
+      { $match: match },
+      { $sort: { 'paymentMethods.addedAt': 1 } },
+      {
+        $facet: {
+          items: [
+            { $skip: (pageNumber - 1) * pageSize },
+            { $limit: pageSize },
+            { $lookup: { from: 'users', localField: 'userId', foreignField: '_id', as: 'user' } },
+            {
+              $project: {
+                walletId: '$_id',
+                _id: 0,
+                user: {
+                  $let: {
+                    vars: { user: { $arrayElemAt: ['$user', 0] } },
+                    in: { _id: '$$user._id', firstName: '$$user.firstName', lastName: '$$user.lastName', email: '$$user.email' }
+                  }
+                },
+                walletStatus: '$status',
+                paymentMethod: '$paymentMethods'
+              }
+            }
+          ],
+          total: [{ $count: 'count' }]
+        }
+      }
+    ]);
+
+    // Reviewers see the masked details and the document; the deposit amount stays visible
+    const items = result.items.map(item => {
+      const microDeposit = item.paymentMethod.verification?.microDeposit;
+      if (microDeposit) delete microDeposit.codeHash;
+      if (item.paymentMethod.details) {
+        item.paymentMethod.details = this.maskDetails(item.paymentMethod.details);
+      }
+      return item;
+    });
+    const total = result.total[0]?.count || 0;
+
+    return {
+      paymentMethods: items,
+      pagination: {
+        page: pageNumber,
+        limit: pageSize,
+        total,
+        pages: Math.ceil(total / pageSize)
+      }
+    };
+  }
+
+  static async findMethod(filter, methodId) {
+    const wallet = mongoose.Types.ObjectId.isValid(methodId)
+      ? await Wallet.findOne({ ...filter, 'paymentMethods._id': methodId })
+      : null;
+    if (!wallet) {
+      throw new PaymentMethodError('Payment method not found', 404, { methodId });
+    }
+    return { wallet, method: wallet.paymentMethods.id(methodId) };
+  }
+
+  // Methods verified before the workflow existed only have isVerified set
+  static statusOf(method) {
+    return method.isVerified ? 'verified' : (method.verification?.status || 'pending');
+  }
+
+  // Approve the document. Bank accounts then confirm a micro-deposit; the code
+  // to send is returned once and only its hash is kept.
+  static async approve(methodId, admin) {
+    const { wallet, method } = await this.findMethod({}, methodId);
+    if (this.statusOf(method) !== 'pending') {
+      throw new PaymentMethodError(`Payment method is '${this.statusOf(method)}'`, 409, { status: this.statusOf(method) });
+    }
+
+    method.verification.reviewedBy = admin._id;
+    method.verification.reviewedAt = new Date();
+    method.verification.rejectionReason = undefined;
+
+    let microDeposit = null;
+    if (method.type === 'bank_transfer') {
+      method.verification.status = 'awaiting_deposit';
+      microDeposit = this.createMicroDeposit(method);
+    } else {
+      this.markVerified(method);
+    }
+    await wallet.save();
+
+    if (microDeposit) {
+      await this.notifyUser(wallet.userId, 'payment_method_verified', 'Confirm Your Bank Account',
+        'Your bank account details were approved. We are sending a small deposit to it; enter the code from its ' +
+          'reference in your wallet to finish verification.', method);
+    } else {
+      await this.notifyUser(wallet.userId, 'payment_method_verified', 'Payment Method Verified',
+        `Your ${method.type.replace(/_/g, ' ')} payment method is verified and can be used for withdrawals.`, method);
+    }
+
+    return {
+      paymentMethod: this.toResponse(method),
+      microDeposit
+    };
+  }
+
+  static async reject(methodId, admin, { reason } = {}) {
+    if (!reason) {
+      throw new PaymentMethodError('A reason is required to reject a payment method', 400, { missing: ['reason'] });
+    }
+    const { wallet, method } = await this.findMethod({}, methodId);
+    if (!['pending', 'awaiting_deposit'].includes(this.statusOf(method))) {
+      throw new PaymentMethodError(`Payment method is '${this.statusOf(method)}'`, 409, { status: this.statusOf(method) });
+    }
+
+    method.isVerified = false;
+    method.verification.status = 'rejected';
+    method.verification.reviewedBy = admin._id;
+    method.verification.reviewedAt = new Date();
+    method.verification.rejectionReason = reason;
+    method.verification.microDeposit = undefined;
+    await wallet.save();
+
+    await this.notifyUser(wallet.userId, 'payment_method_rejected', 'Payment Method Rejected',
+      `Your ${method.type.replace(/_/g, ' ')} payment method could not be verified: ${reason}`, method);
+    return this.toResponse(method);
+  }
+
+  // Replace an expired or exhausted micro-deposit with a new one
+  static async resendMicroDeposit(methodId) {
+    const { wallet, method } = await this.findMethod({}, methodId);
+    if (this.statusOf(method) !== 'awaiting_deposit') {
+      throw new PaymentMethodError('This payment method is not awaiting a micro-deposit', 409, { status: this.statusOf(method) });
+    }
+
+    const microDeposit = this.createMicroDeposit(method);
+    await wallet.save();
+    return { paymentMethod: this.toResponse(method), microDeposit };
+  }
+
+  // The publisher enters the code from the deposit reference
+  static async confirmMicroDeposit(userId, methodId, code, now = new Date()) {
+    if (!code) {
+      throw new PaymentMethodError('Confirmation code is required', 400, { missing: ['code'] });
+    }
+    const { wallet, method } = await this.findMethod({ userId }, methodId);
+    const microDeposit = method.verification?.microDeposit;
+    if (this.statusOf(method) !== 'awaiting_deposit' || !microDeposit?.codeHash) {
+      throw new PaymentMethodError('This payment method is not awaiting a micro-deposit', 409, { status: this.statusOf(method) });
+    }
+    if (microDeposit.expiresAt <= now || microDeposit.attempts >= MAX_CONFIRMATION_ATTEMPTS) {
+      throw new PaymentMethodError('This confirmation code has expired. Contact support for a new deposit.', 410);
+    }
+
+    if (hashCode(code) !== microDeposit.codeHash) {
+      microDeposit.attempts += 1;
+      await wallet.save();
+      throw new PaymentMethodError('Incorrect confirmation code', 400, {
+        attemptsLeft: MAX_CONFIRMATION_ATTEMPTS - microDeposit.attempts
+      });
+    }
+
+    this.markVerified(method);
+    await wallet.save();
+
+    await this.notifyUser(wallet.userId, 'payment_method_verified', 'Payment Method Verified',
+      'Your bank account is verified and can be used for withdrawals.', method);
+    return this.toResponse(method);
+  }
+
+  // Migration: encrypt payout details stored in plain text and re-encrypt those
+  // written with an older key. Run it after adding a new key in front of
+  // PAYOUT_ENCRYPTION_KEYS; the old key can be removed once it reports nothing left.
+  static async encryptStoredDetails() {
+    const summary = { paymentMethods: 0, withdrawals: 0 };
+
+    const wallets = Wallet.find({ 'paymentMethods.0': { $exists: true } }).select('paymentMethods').cursor();
+    for await (const wallet of wallets) {
+      for (const method of wallet.paymentMethods) {
+        const details = method.toObject().details || {};
+        if (!FieldEncryptionService.needsEncryption(details)) continue;
+
+        await Wallet.updateOne(
+          { _id: wallet._id, 'paymentMethods._id': method._id },
+          { $set: { 'paymentMethods.$.details': FieldEncryptionService.encryptDetails(details) } }
+        );
+        summary.paymentMethods += 1;
+      }
+    }
+
+    const withdrawals = Withdrawal.find().select('paymentMethod').cursor();
+    for await (const withdrawal of withdrawals) {
+      const details = withdrawal.toObject().paymentMethod?.details || {};
+      if (!FieldEncryptionService.needsEncryption(details)) continue;
+
+      await Withdrawal.updateOne(
+        { _id: withdrawal._id },
+        { $set: { 'paymentMethod.details': FieldEncryptionService.encryptDetails(details) } }
+      );
+      summary.withdrawals += 1;
+    }
+
+    return { ...summary, keyId: FieldEncryptionService.getCurrentKeyId() };
+  }
+
+  static createMicroDeposit(method) {
+    const code = crypto.randomBytes(3).toString('hex').toUpperCase();
+    const amount = crypto.randomInt(1, 100) / 100;
+    const sentAt = new Date();
+    const expiresAt = new Date(sentAt.getTime() + this.getDepositDays() * 24 * 60 * 60 * 1000);
+
+    method.verification.microDeposit = { amount, codeHash: hashCode(code), sentAt, expiresAt, attempts: 0 };
+
+    // Sending the deposit is a payout, so the account details are decrypted for it
+    return {
+      amount,
+      reference: code,
+      expiresAt,
+      payTo: FieldEncryptionService.decryptDetails(method.toObject().details)
+    };
+  }
+
+  static markVerified(method) {
+    method.isVerified = true;
+    method.verifiedAt = new Date();
+    method.verification.status = 'verified';
+    method.verification.microDeposit = undefined;
+  }
+
+  static async notifyUser(userId, type, title, message, method) {
+    try {
+      await Notification.create({
+        userId,
+        type,
+        title,
+        message,
+        data: { paymentMethodId: method._id, paymentMethodType: method.type },
+        channels: {
+          inApp: { delivered: true }
+        }
+      });
+    } catch (error) {
+      console.error(`Failed to notify user about payment method ${method._id}:`, error);
+    }
+  }
+}
+
+export default PaymentMethodService;
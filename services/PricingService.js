@@ -0,0 +1,127 @@
+import CommissionRule from '../model/CommissionRule.js';
+import User from '../model/User.js';
+import CurrencyService from './CurrencyService.js';
+
+// Surcharges as a share of the publishing price
+export const RUSH_ORDER_RATE = 0.5;
+export const NOFOLLOW_PREMIUM_RATE = 0.1;
+
+// Discount in percent by number of orders placed together
+export const BULK_DISCOUNT_TIERS = [
+  { minOrders: 20, discount: 15 },
+  { minOrders: 10, discount: 10 },
+  { minOrders: 5, discount: 5 }
+];
+
+export const PUBLISHER_TIERS = ['standard', 'silver', 'gold', 'platinum'];
+
+// Commission rules change rarely; keep them for a minute between lookups
+const RULES_CACHE_MS = 60 * 1000;
+let rulesCache = null;
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+export class PricingService {
+
+  // Commission in percent when no rule applies
+  static getDefaultCommissionRate() {
+    const rate = Number(process.env.PLATFORM_COMMISSION_RATE);
+    return Number.isFinite(rate) && rate >= 0 ? rate : 10;
+  }
+
+  static getBulkDiscount(quantity = 1) {
+    return BULK_DISCOUNT_TIERS.find(tier => quantity >= tier.minOrders)?.discount || 0;
+  }
+
+  static async loadCommissionRules() {
+    if (rulesCache && Date.now() - rulesCache.loadedAt < RULES_CACHE_MS) {
+      return rulesCache.rules;
+    }
+
+    const rules = await CommissionRule.find({ isActive: true }).lean();
+    rulesCache = { rules, loadedAt: Date.now() };
+    return rules;
+  }
+
+  static clearCache() {
+    rulesCache = null;
+  }
+
+  // Publisher tier wins over website category, which wins over the default rule
+  static async getCommissionRate(website, publisherTier) {
+    const rules = await this.loadCommissionRules();
+
+    let tier = publisherTier;
+    if (!tier && rules.some(rule => rule.scope === 'tier')) {
+      const publisherId = website.userId?._id || website.userId;
+      tier = website.userId?.publisherTier ||
+        (await User.findById(publisherId).select('publisherTier').lean())?.publisherTier;
+    }
+
+    const category = (website.category || '').trim().toLowerCase();
+    const rule = rules.find(item => item.scope === 'tier' && item.key === tier) ||
+      rules.find(item => item.scope === 'category' && item.key === category) ||
+      rules.find(item => item.scope === 'default');
+
+    return rule ? rule.rate : this.getDefaultCommissionRate();
+  }
+
+  // Line-item price of one order on a website. The result can be spread into
+  // a new Order; subtotal is informational. With a currency other than the
+  // website's, every amount is converted and the rate snapshot is included.
+  static async priceOrder(website, options = {}) {
+    const {
+      needsCopywriting = false,
+      rushOrder = false,
+      linkType = 'dofollow',
+      sensitiveTopic = false,
+      homepageAnnouncement = false,
+      quantity = 1,
+      publisherTier,
+      currency
+    } = options;
+
+    const basePrice = website.publishingPrice || 0;
+    const additionalCharges = {
+      copywriting: needsCopywriting ? website.copywritingPrice || 0 : 0,
+      rushOrder: rushOrder ? roundAmount(basePrice * RUSH_ORDER_RATE) : 0,
+      premium: linkType === 'nofollow' ? roundAmount(basePrice * NOFOLLOW_PREMIUM_RATE) : 0,
+      sensitiveContent: sensitiveTopic ? website.sensitiveContentExtraCharge || 0 : 0,
+      homepageAnnouncement: homepageAnnouncement ? website.homepageAnnouncementPrice || 0 : 0
+    };
+
+    const subtotal = roundAmount(basePrice + Object.values(additionalCharges).reduce((a, b) => a + b, 0));
+
+    // Website discount and bulk discount add up
+    const percentage = Math.min(100, (website.discountPercentage || 0) + this.getBulkDiscount(quantity));
+    const discountAmount = roundAmount(subtotal * percentage / 100);
+    const totalPrice = roundAmount(subtotal - discountAmount);
+
+    const commissionRate = await this.getCommissionRate(website, publisherTier);
+    const platformCommission = roundAmount(totalPrice * commissionRate / 100);
+
+    const pricing = {
+      basePrice,
+      additionalCharges,
+      subtotal,
+      discount: { percentage, amount: discountAmount },
+      totalPrice,
+      commissionRate,
+      platformCommission,
+      publisherEarnings: roundAmount(totalPrice - platformCommission),
+      currency: website.currency || 'USD'
+    };
+
+    if (!currency || currency === pricing.currency) {
+      return pricing;
+    }
+    const exchangeRate = await CurrencyService.getRate(pricing.currency, currency);
+    return {
+      ...CurrencyService.convertPricing(pricing, exchangeRate.rate),
+      currency,
+      exchangeRate
+    };
+  }
+}
+
+export default PricingService;
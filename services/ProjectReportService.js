@@ -0,0 +1,248 @@
+import Order from '../model/Order.js';
+import ProjectService from './ProjectService.js';
+
+// Orders whose backlink has been published
+const PLACED_STATUSES = ['completed', 'delivered'];
+
+// A4 page in points and the text layout used for PDF exports
+const PAGE_WIDTH = 595;
+const PAGE_HEIGHT = 842;
+const MARGIN = 40;
+const LINE_HEIGHT = 14;
+const MAX_LINE_LENGTH = 100;
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+const average = (values) => values.length > 0
+  ? Math.round(values.reduce((sum, value) => sum + value, 0) / values.length * 10) / 10
+  : null;
+
+const formatDate = (date) => (date ? new Date(date).toISOString().slice(0, 10) : '');
+
+// Quote a CSV field. Leading formula characters are neutralised so
+// spreadsheets do not evaluate values such as anchor texts.
+const csvField = (value) => {
+  let text = value === null || value === undefined ? '' : String(value);
+  if (/^[=+\-@]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const csvRow = (values) => values.map(csvField).join(',');
+
+// Text for a PDF string literal, limited to the characters of the standard fonts
+const pdfText = (text) => String(text)
+  .replace(/[^\x20-\x7e\xa0-\xff]/g, '?')
+  .replace(/\\/g, '\\\\')
+  .replace(/\(/g, '\\(')
+  .replace(/\)/g, '\\)');
+
+// Minimal single-column PDF: one line per entry, Helvetica, paginated
+const renderPdf = (lines) => {
+  const linesPerPage = Math.floor((PAGE_HEIGHT - 2 * MARGIN) / LINE_HEIGHT);
+  const pages = [];
+  for (let index = 0; index < lines.length; index += linesPerPage) {
+    pages.push(lines.slice(index, index + linesPerPage));
+  }
+  if (pages.length === 0) pages.push([]);
+
+  // Objects 1-4 are the catalog, page tree and fonts; each page adds a page and a content object
+  const objects = [
+    '<< /Type /Catalog /Pages 2 0 R >>',
+    `<< /Type /Pages /Kids [${pages.map((_, index) => `${5 + index * 2} 0 R`).join(' ')}] /Count ${pages.length} >>`,
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>',
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>'
+  ];
+
+  pages.forEach((pageLines, index) => {
+    const commands = [`BT ${LINE_HEIGHT} TL ${MARGIN} ${PAGE_HEIGHT - MARGIN} Td`];
+    pageLines.forEach(line => {
+      const text = line.text.length > MAX_LINE_LENGTH ? `${line.text.slice(0, MAX_LINE_LENGTH - 3)}...` : line.text;
+      commands.push(`/${line.bold ? 'F2' : 'F1'} ${line.size || 10} Tf (${pdfText(text)}) Tj T*`);
+    });
+    commands.push('ET');
+    const stream = commands.join('\n');
+
+    objects.push(
+      `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+      `/Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${6 + index * 2} 0 R >>`,
+      `<< /Length ${Buffer.byteLength(stream, 'latin1')} >>\nstream\n${stream}\nendstream`
+    );
+  });
+
+  let output = '%PDF-1.4\n';
+  const offsets = objects.map((object, index) => {
+    const offset = Buffer.byteLength(output, 'latin1');
+    output += `${index + 1} 0 obj\n${object}\nendobj\n`;
+    return offset;
+  });
+
+  const xrefOffset = Buffer.byteLength(output, 'latin1');
+  output += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  output += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+  output += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+  return Buffer.from(output, 'latin1');
+};
+
+export class ProjectReportService {
+
+  // Dashboard figures of a project, rebuilt from its orders
+  static async buildReport(project) {
+    const [refreshed, orders] = await Promise.all([
+      ProjectService.recomputeStats(project._id),
+      Order.find({ projectId: project._id })
+        .select('orderId title status paymentStatus totalPrice currency websiteId contentRequirements submittedContent linkHealth createdAt')
+        .populate('websiteId', 'domain metrics')
+        .sort({ createdAt: 1 })
+    ]);
+    const current = refreshed || project;
+
+    const ordersByStatus = Object.fromEntries(Order.schema.path('status').enumValues.map(status => [status, 0]));
+    orders.forEach(order => {
+      ordersByStatus[order.status] = (ordersByStatus[order.status] || 0) + 1;
+    });
+
+    const placements = orders
+      .filter(order => PLACED_STATUSES.includes(order.status) && order.submittedContent?.publishedUrl)
+      .map(order => {
+        const metrics = order.websiteId?.metrics || {};
+        return {
+          orderId: order.orderId,
+          domain: order.websiteId?.domain,
+          publishedUrl: order.submittedContent.publishedUrl,
+          publishedAt: order.submittedContent.submittedAt,
+          targetUrl: order.contentRequirements?.targetUrl,
+          anchorText: order.contentRequirements?.anchorText,
+          linkStatus: order.linkHealth?.status || 'unchecked',
+          lastCheckedAt: order.linkHealth?.lastCheckedAt,
+          da: metrics.domainAuthority || metrics.da || 0,
+          dr: metrics.ahrefsDomainRating || metrics.dr || 0
+        };
+      });
+
+    const linkStatus = {};
+    placements.forEach(placement => {
+      linkStatus[placement.linkStatus] = (linkStatus[placement.linkStatus] || 0) + 1;
+    });
+
+    const spent = current.stats?.spentBudget || 0;
+
+    return {
+      project: {
+        id: current._id,
+        title: current.title,
+        website: current.website,
+        status: current.status,
+        postsRequired: current.postsRequired,
+        budgetEnforcement: current.budgetEnforcement
+      },
+      ordersByStatus,
+      totalOrders: orders.length,
+      spend: {
+        currency: current.currency || 'USD',
+        budget: current.budget,
+        spent,
+        remaining: roundAmount(current.budget - spent),
+        percentUsed: current.budget > 0 ? Math.round(spent / current.budget * 1000) / 10 : null,
+        minPostBudget: current.minPostBudget,
+        maxPostBudget: current.maxPostBudget
+      },
+      placements,
+      linkStatus,
+      averages: {
+        da: average(placements.map(placement => placement.da)),
+        dr: average(placements.map(placement => placement.dr))
+      },
+      orders: orders.map(order => ({
+        orderId: order.orderId,
+        title: order.title,
+        domain: order.websiteId?.domain,
+        status: order.status,
+        paymentStatus: order.paymentStatus,
+        totalPrice: order.totalPrice,
+        currency: order.currency || 'USD',
+        createdAt: order.createdAt
+      })),
+      generatedAt: new Date()
+    };
+  }
+
+  static getFileName(report, format) {
+    const slug = (report.project.title || 'project').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+    return `${slug || 'project'}-report-${formatDate(report.generatedAt)}.${format}`;
+  }
+
+  static toCsv(report) {
+    const rows = [
+      csvRow(['Project', report.project.title]),
+      csvRow(['Website', report.project.website]),
+      csvRow(['Status', report.project.status]),
+      csvRow(['Generated', formatDate(report.generatedAt)]),
+      csvRow(['Currency', report.spend.currency]),
+      csvRow(['Budget', report.spend.budget]),
+      csvRow(['Spent', report.spend.spent]),
+      csvRow(['Remaining', report.spend.remaining]),
+      csvRow(['Posts required', report.project.postsRequired]),
+      csvRow(['Average DA', report.averages.da ?? '']),
+      csvRow(['Average DR', report.averages.dr ?? '']),
+      '',
+      csvRow(['Status', 'Orders']),
+      ...Object.entries(report.ordersByStatus)
+        .filter(([, count]) => count > 0)
+        .map(([status, count]) => csvRow([status, count])),
+      '',
+      csvRow(['Order', 'Website', 'Published URL', 'Target URL', 'Anchor text', 'Published', 'Link status', 'Last checked', 'DA', 'DR']),
+      ...report.placements.map(placement => csvRow([
+        placement.orderId,
+        placement.domain,
+        placement.publishedUrl,
+        placement.targetUrl,
+        placement.anchorText,
+        formatDate(placement.publishedAt),
+        placement.linkStatus,
+        formatDate(placement.lastCheckedAt),
+        placement.da,
+        placement.dr
+      ]))
+    ];
+
+    return `${rows.join('\r\n')}\r\n`;
+  }
+
+  static toPdf(report) {
+    const { project, spend, averages } = report;
+    const lines = [
+      { text: `Project report: ${project.title}`, bold: true, size: 14 },
+      { text: `${project.website} - generated ${formatDate(report.generatedAt)}` },
+      { text: '' },
+      { text: 'Budget', bold: true },
+      { text: `Budget: ${spend.budget} ${spend.currency}   Spent: ${spend.spent}   Remaining: ${spend.remaining}` +
+        (spend.percentUsed !== null ? `   Used: ${spend.percentUsed}%` : '') },
+      { text: `Posts required: ${project.postsRequired}   Orders: ${report.totalOrders}` },
+      { text: '' },
+      { text: 'Orders by status', bold: true },
+      ...Object.entries(report.ordersByStatus)
+        .filter(([, count]) => count > 0)
+        .map(([status, count]) => ({ text: `${status.replace(/_/g, ' ')}: ${count}` })),
+      { text: '' },
+      { text: `Placements (average DA ${averages.da ?? '-'}, average DR ${averages.dr ?? '-'})`, bold: true }
+    ];
+
+    if (report.placements.length === 0) {
+      lines.push({ text: 'No links published yet.' });
+    }
+    report.placements.forEach(placement => {
+      lines.push(
+        { text: `${placement.domain || '-'}  DA ${placement.da}  DR ${placement.dr}  ${placement.linkStatus}`, bold: true },
+        { text: `  ${placement.publishedUrl}` },
+        { text: `  -> ${placement.targetUrl || '-'}  "${placement.anchorText || ''}"  published ${formatDate(placement.publishedAt)}` }
+      );
+    });
+
+    return renderPdf(lines);
+  }
+}
+
+export default ProjectReportService;
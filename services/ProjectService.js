@@ -0,0 +1,152 @@
+import mongoose from 'mongoose';
+import Project from '../model/Project.js';
+import Order from '../model/Order.js';
+import CurrencyService from './CurrencyService.js';
+
+// Order statuses counted in each project statistic
+const ACTIVE_STATUSES = ['scheduled', 'pending', 'approved', 'in_progress', 'revision_requested', 'disputed'];
+const REVIEW_STATUSES = ['completed'];
+const FINISHED_STATUSES = ['delivered'];
+
+// Payment states in which the advertiser's money is (at least partly) spent
+const SPENT_PAYMENT_STATUSES = ['paid', 'released', 'partially_refunded'];
+
+// Error with an HTTP status, raised when an order does not fit its project
+export class ProjectError extends Error {
+  constructor(message, statusCode = 400, details = {}) {
+    super(message);
+    this.name = 'ProjectError';
+    this.statusCode = statusCode;
+    this.details = details;
+  }
+}
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+export class ProjectService {
+
+  // Projects the user may order for and see shared content of
+  static async getAccessibleProjectIds(userId) {
+    return Project.find({ userId }).distinct('_id');
+  }
+
+  static async findAccessibleProject(userId, projectId) {
+    if (!mongoose.Types.ObjectId.isValid(projectId)) {
+      throw new ProjectError('Invalid project ID', 400, { projectId });
+    }
+
+    const projectIds = await this.getAccessibleProjectIds(userId);
+    const project = projectIds.some(id => id.toString() === projectId.toString())
+      ? await Project.findById(projectId)
+      : null;
+
+    if (!project) {
+      throw new ProjectError('Project not found', 404, { projectId });
+    }
+    return project;
+  }
+
+  // Rebuild the statistics and budget use of a project from its orders. Orders
+  // are priced in the advertiser's wallet currency; their spend is converted
+  // into the project's currency, at the order's rate snapshot where it applies.
+  static async recomputeStats(projectId) {
+    if (!projectId) return null;
+
+    const [project, counts, spentOrders] = await Promise.all([
+      Project.findById(projectId).select('currency'),
+      Order.aggregate([
+        { $match: { projectId: new mongoose.Types.ObjectId(projectId.toString()) } },
+        { $group: { _id: '$status', count: { $sum: 1 } } }
+      ]),
+      Order.find({ projectId, paymentStatus: { $in: SPENT_PAYMENT_STATUSES } })
+        .select('totalPrice paymentDetails.refundAmount currency exchangeRate')
+    ]);
+    if (!project) return null;
+
+    let spent = 0;
+    for (const order of spentOrders) {
+      const amount = Math.max(0, roundAmount(order.totalPrice - (order.paymentDetails?.refundAmount || 0)));
+      spent += await CurrencyService.toWalletAmount(order, amount, project.currency || 'USD');
+    }
+
+    const byStatus = Object.fromEntries(counts.map(item => [item._id, item.count]));
+    const sum = (statuses) => statuses.reduce((total, status) => total + (byStatus[status] || 0), 0);
+
+    return Project.findByIdAndUpdate(
+      projectId,
+      {
+        $set: {
+          'stats.finishedPosts': sum(FINISHED_STATUSES),
+          'stats.activePosts': sum(ACTIVE_STATUSES),
+          'stats.pendingReviews': sum(REVIEW_STATUSES),
+          'stats.totalOrders': counts.reduce((total, item) => total + item.count, 0),
+          'stats.spentBudget': roundAmount(spent),
+          'stats.updatedAt': new Date()
+        }
+      },
+      { new: true }
+    );
+  }
+
+  // Recompute without letting a failure break the caller
+  static async refreshStats(projectId) {
+    try {
+      return await this.recomputeStats(projectId);
+    } catch (error) {
+      console.error(`Failed to recompute stats for project ${projectId}:`, error);
+      return null;
+    }
+  }
+
+  // Problems with placing orders of the given prices, in the project's currency, in the project
+  static checkBudget(project, prices) {
+    const problems = [];
+    const { minPostBudget, maxPostBudget, budget } = project;
+
+    prices.forEach((price, index) => {
+      if (minPostBudget && price < minPostBudget) {
+        problems.push({ index, type: 'below_min_post_budget', price, limit: minPostBudget });
+      }
+      if (maxPostBudget && price > maxPostBudget) {
+        problems.push({ index, type: 'above_max_post_budget', price, limit: maxPostBudget });
+      }
+    });
+
+    const spent = project.stats?.spentBudget || 0;
+    const total = roundAmount(prices.reduce((sum, price) => sum + price, 0));
+    if (spent + total > budget) {
+      problems.push({ type: 'over_budget', spent, amount: total, budget, remaining: roundAmount(budget - spent) });
+    }
+
+    return problems;
+  }
+
+  // Verify that orders fit the project before they are placed. Depending on the
+  // project's budgetEnforcement problems either block the order or come back as warnings.
+  // prices are in currency, the advertiser's wallet currency, and are compared in the project's.
+  static async assertOrdersFit(userId, projectId, prices, currency = 'USD') {
+    const project = await this.findAccessibleProject(userId, projectId);
+
+    if (project.status !== 'active') {
+      throw new ProjectError(`Project is ${project.status}, orders can only be added to active projects`, 409, {
+        projectId,
+        status: project.status
+      });
+    }
+
+    const projectCurrency = project.currency || 'USD';
+    const projectPrices = currency === projectCurrency
+      ? prices
+      : await Promise.all(prices.map(async price => (await CurrencyService.convert(price, currency, projectCurrency)).amount));
+
+    const problems = this.checkBudget(project, projectPrices)
+      .map(problem => ({ ...problem, currency: projectCurrency }));
+    if (problems.length > 0 && project.budgetEnforcement !== 'warn') {
+      throw new ProjectError('The order does not fit the project budget', 422, { projectId, currency: projectCurrency, problems });
+    }
+
+    return { project, warnings: problems };
+  }
+}
+
+export default ProjectService;
@@ -0,0 +1,222 @@
+import PromoCode from '../model/PromoCode.js';
+import PromoRedemption from '../model/PromoRedemption.js';
+import CurrencyService, { SUPPORTED_CURRENCIES } from './CurrencyService.js';
+
+// Error with an HTTP status, raised when a code cannot be used
+export class PromoCodeError extends Error {
+  constructor(message, statusCode = 400, details = {}) {
+    super(message);
+    this.name = 'PromoCodeError';
+    this.statusCode = statusCode;
+    this.details = details;
+  }
+}
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+// Fields admins may set on a promo code
+const EDITABLE_FIELDS = [
+  'code', 'description', 'discountType', 'value', 'currency', 'fundedBy', 'minSpend',
+  'startsAt', 'expiresAt', 'maxUses', 'maxUsesPerUser', 'categories', 'websiteIds', 'isActive'
+];
+
+export class PromoCodeService {
+
+  static normalizeCode(code) {
+    return String(code || '').trim().toUpperCase();
+  }
+
+  // Admin input for a new or changed code. current is the stored code when updating.
+  static sanitize(data = {}, current = null) {
+    const fields = Object.fromEntries(
+      EDITABLE_FIELDS.filter(field => data[field] !== undefined).map(field => [field, data[field]])
+    );
+
+    if (fields.code !== undefined) {
+      fields.code = this.normalizeCode(fields.code);
+      if (!/^[A-Z0-9_-]{3,32}$/.test(fields.code)) {
+        throw new PromoCodeError('Code must be 3-32 letters, digits, dashes or underscores', 400, { code: fields.code });
+      }
+    }
+
+    if (fields.currency !== undefined && !SUPPORTED_CURRENCIES.includes(fields.currency)) {
+      throw new PromoCodeError(`Currency must be one of: ${SUPPORTED_CURRENCIES.join(', ')}`, 400, { currency: fields.currency });
+    }
+
+    const discountType = fields.discountType ?? current?.discountType;
+    const value = fields.value ?? current?.value;
+    if (discountType === 'percentage' && value > 100) {
+      throw new PromoCodeError('A percentage discount cannot exceed 100', 400, { value });
+    }
+
+    const startsAt = fields.startsAt ?? current?.startsAt;
+    const expiresAt = fields.expiresAt ?? current?.expiresAt;
+    if (startsAt && expiresAt && new Date(expiresAt) <= new Date(startsAt)) {
+      throw new PromoCodeError('Expiry must be after the start date', 400, { startsAt, expiresAt });
+    }
+
+    return fields;
+  }
+
+  static appliesTo(promo, website) {
+    const websiteIds = (promo.websiteIds || []).map(id => id.toString());
+    const categories = promo.categories || [];
+
+    if (websiteIds.length > 0 && websiteIds.includes(website._id.toString())) return true;
+    if (categories.length > 0 && categories.includes((website.category || '').trim().toLowerCase())) return true;
+    return websiteIds.length === 0 && categories.length === 0;
+  }
+
+  // Check a code against the lines being bought and split the discount over them.
+  // lines: [{ key, website, pricing }] where pricing comes from the pricing service.
+  // A fixed value and minSpend are converted into the cart's currency.
+  // A line never gives away more than the funding party earns on it.
+  static async evaluate(code, userId, lines, now = new Date()) {
+    const normalized = this.normalizeCode(code);
+    const promo = await PromoCode.findOne({ code: normalized });
+
+    if (!promo || !promo.isActive) {
+      throw new PromoCodeError('Promo code not found', 404, { code: normalized });
+    }
+    if (promo.startsAt && promo.startsAt > now) {
+      throw new PromoCodeError('This promo code is not active yet', 400, { startsAt: promo.startsAt });
+    }
+    if (promo.expiresAt && promo.expiresAt <= now) {
+      throw new PromoCodeError('This promo code has expired', 400, { expiresAt: promo.expiresAt });
+    }
+    if (promo.maxUses && promo.usedCount >= promo.maxUses) {
+      throw new PromoCodeError('This promo code has reached its usage limit', 409);
+    }
+    if (promo.maxUsesPerUser) {
+      const used = await PromoRedemption.countDocuments({ promoCodeId: promo._id, userId });
+      if (used >= promo.maxUsesPerUser) {
+        throw new PromoCodeError('You have already used this promo code the maximum number of times', 409, {
+          maxUsesPerUser: promo.maxUsesPerUser
+        });
+      }
+    }
+
+    const eligible = lines.filter(line => this.appliesTo(promo, line.website));
+    const eligibleTotal = roundAmount(eligible.reduce((sum, line) => sum + line.pricing.totalPrice, 0));
+
+    if (eligible.length === 0) {
+      throw new PromoCodeError('This promo code does not apply to any website in your cart', 400);
+    }
+
+    const currency = eligible[0].pricing.currency || 'USD';
+    const inCartCurrency = async (amount) => (amount > 0
+      ? (await CurrencyService.convert(amount, promo.currency || 'USD', currency)).amount
+      : 0);
+
+    const minSpend = await inCartCurrency(promo.minSpend);
+    if (eligibleTotal < minSpend) {
+      throw new PromoCodeError(`Spend at least ${minSpend} ${currency} on eligible websites to use this code`, 400, {
+        minSpend,
+        currency,
+        eligibleTotal
+      });
+    }
+
+    const target = promo.discountType === 'percentage'
+      ? roundAmount(eligibleTotal * Math.min(promo.value, 100) / 100)
+      : Math.min(await inCartCurrency(promo.value), eligibleTotal);
+
+    // Spread proportionally, the last line takes the rounding difference
+    const allocations = [];
+    let remaining = target;
+    eligible.forEach((line, index) => {
+      const share = index === eligible.length - 1
+        ? remaining
+        : roundAmount(target * line.pricing.totalPrice / eligibleTotal);
+      const cap = promo.fundedBy === 'platform' ? line.pricing.platformCommission : line.pricing.publisherEarnings;
+      const amount = roundAmount(Math.max(0, Math.min(share, cap, remaining)));
+
+      remaining = roundAmount(remaining - amount);
+      if (amount > 0) {
+        allocations.push({ key: line.key, amount });
+      }
+    });
+
+    const discountAmount = roundAmount(allocations.reduce((sum, allocation) => sum + allocation.amount, 0));
+    if (discountAmount <= 0) {
+      throw new PromoCodeError('This promo code gives no discount on your cart', 400);
+    }
+
+    return { promo, allocations, discountAmount, currency };
+  }
+
+  // Apply a line discount to order pricing fields, taking it from the funding party
+  static discountPricing(pricing, amount, fundedBy) {
+    const totalPrice = roundAmount(pricing.totalPrice - amount);
+    const platformCommission = fundedBy === 'platform'
+      ? roundAmount(pricing.platformCommission - amount)
+      : pricing.platformCommission;
+
+    return {
+      ...pricing,
+      totalPrice,
+      platformCommission,
+      publisherEarnings: roundAmount(totalPrice - platformCommission)
+    };
+  }
+
+  // Count the use and record which orders got which discount. The global cap
+  // is checked again atomically so concurrent checkouts cannot exceed it.
+  static async redeem(promotion, userId, orders, session) {
+    const { promo, discountAmount, currency } = promotion;
+    const filter = { _id: promo._id, isActive: true };
+    if (promo.maxUses) {
+      filter.usedCount = { $lt: promo.maxUses };
+    }
+
+    const updated = await PromoCode.findOneAndUpdate(filter, { $inc: { usedCount: 1 } }, { new: true, session });
+    if (!updated) {
+      throw new PromoCodeError('This promo code has reached its usage limit', 409);
+    }
+
+    const [redemption] = await PromoRedemption.create([{
+      promoCodeId: promo._id,
+      code: promo.code,
+      userId,
+      fundedBy: promo.fundedBy,
+      discountAmount,
+      currency,
+      orders: orders.map(order => ({
+        order: order._id,
+        orderId: order.orderId,
+        discountAmount: order.promo.discountAmount
+      }))
+    }], { session });
+
+    return redemption;
+  }
+
+  // Discount given through promo codes per currency, split by who funded it
+  static async getDiscountSummary(dateFilter) {
+    const match = dateFilter && Object.keys(dateFilter).length > 0 ? { createdAt: dateFilter } : {};
+    const totals = await PromoRedemption.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: { fundedBy: '$fundedBy', currency: { $ifNull: ['$currency', 'USD'] } },
+          total: { $sum: '$discountAmount' },
+          redemptions: { $sum: 1 }
+        }
+      }
+    ]);
+
+    const byCurrency = {};
+    totals.forEach(item => {
+      const summary = byCurrency[item._id.currency] || { platformFunded: 0, publisherFunded: 0, redemptions: 0 };
+      summary[`${item._id.fundedBy}Funded`] = roundAmount(summary[`${item._id.fundedBy}Funded`] + item.total);
+      summary.redemptions += item.redemptions;
+      byCurrency[item._id.currency] = summary;
+    });
+    return {
+      byCurrency,
+      redemptions: totals.reduce((sum, item) => sum + item.redemptions, 0)
+    };
+  }
+}
+
+export default PromoCodeService;
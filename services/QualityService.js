@@ -10,14 +10,15 @@ export class QualityAssuranceService {
   // Create quality check for order
   static async createQualityCheck(orderId) {
     try {
-      const order = await Order.findById(orderId).populate('website publisher advertiser');
+      const order = await Order.findById(orderId);
       if (!order) {
         throw new Error('Order not found');
       }
 
       const qualityCheck = new QualityCheck({
         orderId: order._id,
-        websiteId: order.website,
+        websiteId: order.websiteId,
+        orderVersion: order.submittedContent?.version || undefined,
         priority: this.determinePriority(order),
         tags: this.generateTags(order)
       });
@@ -0,0 +1,436 @@
+import mongoose from 'mongoose';
+import Wallet from '../model/Wallet.js';
+import Transaction from '../model/Transaction.js';
+import Order from '../model/Order.js';
+import Withdrawal from '../model/Withdrawal.js';
+import WalletReconciliation from '../model/WalletReconciliation.js';
+import NotificationService from './NotificationService.js';
+import LedgerService from './LedgerService.js';
+
+// Wallet fields that are replayed
+const FIELDS = ['balance', 'pendingBalance', 'heldBalance', 'totalEarnings', 'totalWithdrawn'];
+
+// Ledger account of each balance an admin can correct
+const LEDGER_ACCOUNTS = {
+  balance: 'wallet',
+  pendingBalance: 'escrow',
+  heldBalance: 'held'
+};
+
+// Withdrawals whose amount is held until they are paid out or returned
+const HELD_WITHDRAWAL_STATUSES = ['pending', 'approved', 'processing', 'failed'];
+
+// Ways an admin can close a discrepancy
+const RESOLUTION_ACTIONS = ['correct_wallet', 'record_transaction', 'dismiss'];
+
+// Differences below this are rounding, not discrepancies
+const TOLERANCE = 0.01;
+
+// Error with an HTTP status, raised for problems the admin can fix
+export class WalletReconciliationError extends Error {
+  constructor(message, statusCode = 400, details = {}) {
+    super(message);
+    this.name = 'WalletReconciliationError';
+    this.statusCode = statusCode;
+    this.details = details;
+  }
+}
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+// Replayed values are keyed by user and currency
+const replayKey = (id) => `${id.userId}:${id.currency}`;
+
+export class WalletReconciliationService {
+
+  // Smallest difference that alerts the admins
+  static getAlertThreshold() {
+    const threshold = Number(process.env.WALLET_RECONCILIATION_ALERT_THRESHOLD);
+    return Number.isFinite(threshold) && threshold >= 0 ? threshold : 1;
+  }
+
+  // Hour of the day (server time) after which the nightly run starts
+  static getRunHour() {
+    const hour = Number(process.env.WALLET_RECONCILIATION_HOUR ?? 2);
+    return Number.isInteger(hour) && hour >= 0 && hour < 24 ? hour : 2;
+  }
+
+  // What each user's wallet should hold in each currency according to their transactions.
+  // Commission records are informational and never moved a balance;
+  // withdrawals that are not yet paid out or returned have already left it.
+  static async replayTransactions() {
+    const rows = await Transaction.aggregate([
+      {
+        $match: {
+          $or: [
+            { status: 'completed' },
+            { type: 'withdrawal', status: { $in: ['pending', 'processing', 'failed'] } }
+          ]
+        }
+      },
+      {
+        $group: {
+          _id: { userId: '$userId', currency: { $ifNull: ['$currency', 'USD'] } },
+          balance: {
+            $sum: { $cond: [{ $eq: ['$type', 'commission'] }, 0, '$amount'] }
+          },
+          totalEarnings: {
+            $sum: {
+              $cond: [
+                { $and: [{ $eq: ['$status', 'completed'] }, { $in: ['$type', ['earning', 'penalty']] }] },
+                '$amount',
+                0
+              ]
+            }
+          },
+          totalWithdrawn: {
+            $sum: {
+              $cond: [
+                { $and: [{ $eq: ['$status', 'completed'] }, { $eq: ['$type', 'withdrawal'] }] },
+                { $abs: '$amount' },
+                0
+              ]
+            }
+          }
+        }
+      }
+    ]);
+
+    return new Map(rows.map(row => [replayKey(row._id), row]));
+  }
+
+  // Money each advertiser has in escrow: the price of their paid, unsettled
+  // orders, in the order's currency
+  static async replayEscrow() {
+    const rows = await Order.aggregate([
+      { $match: { paymentStatus: 'paid' } },
+      {
+        $group: {
+          _id: { userId: '$advertiserId', currency: { $ifNull: ['$currency', 'USD'] } },
+          pendingBalance: { $sum: '$totalPrice' }
+        }
+      }
+    ]);
+    return new Map(rows.map(row => [replayKey(row._id), row.pendingBalance]));
+  }
+
+  // Money each user has held for withdrawals that are still open
+  static async replayHeld() {
+    const rows = await Withdrawal.aggregate([
+      { $match: { status: { $in: HELD_WITHDRAWAL_STATUSES } } },
+      {
+        $group: {
+          _id: { userId: '$userId', currency: { $ifNull: ['$currency', 'USD'] } },
+          heldBalance: { $sum: '$requestedAmount' }
+        }
+      }
+    ]);
+    return new Map(rows.map(row => [replayKey(row._id), row.heldBalance]));
+  }
+
+  static async findDiscrepancies() {
+    const [wallets, transactions, escrow, heldFunds] = await Promise.all([
+      Wallet.find().select(`userId currency balances ${FIELDS.join(' ')}`).lean(),
+      this.replayTransactions(),
+      this.replayEscrow(),
+      this.replayHeld()
+    ]);
+
+    const discrepancies = [];
+    wallets.forEach(wallet => {
+      const userId = wallet.userId.toString();
+      const perCurrency = Wallet.amountsByCurrency(wallet);
+
+      // Currencies the history has money in but the wallet holds nothing of
+      const currencies = new Set(perCurrency.map(amounts => amounts.currency));
+      [transactions, escrow, heldFunds].forEach(replayed => replayed.forEach((value, key) => {
+        const [keyUserId, currency] = key.split(':');
+        if (keyUserId === userId && !currencies.has(currency)) {
+          currencies.add(currency);
+          perCurrency.push({ currency });
+        }
+      }));
+
+      perCurrency.forEach(amounts => {
+        const key = `${userId}:${amounts.currency}`;
+        const replayed = transactions.get(key) || {};
+        const expectedValues = {
+          balance: replayed.balance || 0,
+          pendingBalance: escrow.get(key) || 0,
+          heldBalance: heldFunds.get(key) || 0,
+          totalEarnings: replayed.totalEarnings || 0,
+          totalWithdrawn: replayed.totalWithdrawn || 0
+        };
+
+        FIELDS.forEach(field => {
+          const expected = roundAmount(expectedValues[field]);
+          const actual = roundAmount(amounts[field] || 0);
+          const difference = roundAmount(actual - expected);
+          if (Math.abs(difference) >= TOLERANCE) {
+            discrepancies.push({
+              userId: wallet.userId,
+              walletId: wallet._id,
+              currency: amounts.currency,
+              field,
+              expected,
+              actual,
+              difference
+            });
+          }
+        });
+      });
+    });
+
+    return { walletsChecked: wallets.length, discrepancies };
+  }
+
+  // Replay every wallet, store the report and alert the admins when a
+  // difference reaches the threshold
+  static async run({ trigger = 'scheduled', triggeredBy } = {}) {
+    const report = await WalletReconciliation.create({
+      trigger,
+      triggeredBy,
+      alertThreshold: this.getAlertThreshold()
+    });
+
+    try {
+      const { walletsChecked, discrepancies } = await this.findDiscrepancies();
+      report.set({
+        status: 'completed',
+        completedAt: new Date(),
+        walletsChecked,
+        discrepancies,
+        discrepancyCount: discrepancies.length,
+        openCount: discrepancies.length,
+        largestDifference: discrepancies.reduce((max, item) => Math.max(max, Math.abs(item.difference)), 0)
+      });
+      await report.save();
+    } catch (error) {
+      report.status = 'failed';
+      report.error = error.message;
+      report.completedAt = new Date();
+      await report.save();
+      throw error;
+    }
+
+    if (report.discrepancyCount > 0 && report.largestDifference >= report.alertThreshold) {
+      await this.alertAdmins(report);
+    }
+    return report;
+  }
+
+  // Alerts must not fail the run; the report is stored either way
+  static async alertAdmins(report) {
+    try {
+      await NotificationService.notifyAdmins(
+        'wallet_discrepancy',
+        'Wallet discrepancies found',
+        `The wallet reconciliation found ${report.discrepancyCount} balances that differ from the transaction history. ` +
+          `The largest difference is ${report.largestDifference.toFixed(2)}.`,
+        {
+          reportId: report._id,
+          discrepancyCount: report.discrepancyCount,
+          largestDifference: report.largestDifference,
+          actionUrl: `${process.env.FRONTEND_URL}/admin/wallet-reconciliations/${report._id}`
+        }
+      );
+      report.alertedAt = new Date();
+      await report.save();
+    } catch (error) {
+      console.error(`Failed to alert admins about reconciliation ${report._id}:`, error);
+    }
+  }
+
+  // Run once a day, after the configured hour
+  static async runIfDue(now = new Date()) {
+    if (now.getHours() < this.getRunHour()) {
+      return null;
+    }
+
+    const startOfDay = new Date(now);
+    startOfDay.setHours(0, 0, 0, 0);
+    const alreadyRan = await WalletReconciliation.exists({ trigger: 'scheduled', startedAt: { $gte: startOfDay } });
+    return alreadyRan ? null : this.run();
+  }
+
+  static async listReports({ open, page = 1, limit = 20 } = {}) {
+    const filter = {};
+    if (open === 'true' || open === true) {
+      filter.openCount = { $gt: 0 };
+    }
+
+    const pageNumber = Math.max(parseInt(page) || 1, 1);
+    const pageSize = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+
+    const [reports, total] = await Promise.all([
+      WalletReconciliation.find(filter)
+        .select('-discrepancies')
+        .populate('triggeredBy', 'firstName lastName email')
+        .sort({ startedAt: -1 })
+        .skip((pageNumber - 1) * pageSize)
+        .limit(pageSize),
+      WalletReconciliation.countDocuments(filter)
+    ]);
+
+    return {
+      reports,
+      pagination: {
+        page: pageNumber,
+        limit: pageSize,
+        total,
+        pages: Math.ceil(total / pageSize)
+      }
+    };
+  }
+
+  static async getReport(reportId) {
+    const report = mongoose.Types.ObjectId.isValid(reportId)
+      ? await WalletReconciliation.findById(reportId)
+        .populate('triggeredBy', 'firstName lastName email')
+        .populate('discrepancies.userId', 'firstName lastName email role')
+        .populate('discrepancies.resolution.resolvedBy', 'firstName lastName email')
+      : null;
+
+    if (!report) {
+      throw new WalletReconciliationError('Reconciliation report not found', 404, { reportId });
+    }
+    return report;
+  }
+
+  // Close a discrepancy. correct_wallet sets the wallet to the replayed value,
+  // record_transaction adds the missing transaction so the history matches the
+  // wallet, dismiss only records the admin's note.
+  static async resolveDiscrepancy(reportId, discrepancyId, admin, { action, note } = {}) {
+    if (!RESOLUTION_ACTIONS.includes(action)) {
+      throw new WalletReconciliationError(`Action must be one of: ${RESOLUTION_ACTIONS.join(', ')}`, 400, { action });
+    }
+    if (action === 'dismiss' && !note) {
+      throw new WalletReconciliationError('A note is required to dismiss a discrepancy', 400, { missing: ['note'] });
+    }
+
+    const report = mongoose.Types.ObjectId.isValid(reportId)
+      ? await WalletReconciliation.findById(reportId)
+      : null;
+    const discrepancy = report && mongoose.Types.ObjectId.isValid(discrepancyId)
+      ? report.discrepancies.id(discrepancyId)
+      : null;
+    if (!discrepancy) {
+      throw new WalletReconciliationError('Discrepancy not found', 404, { reportId, discrepancyId });
+    }
+    if (discrepancy.status !== 'open') {
+      throw new WalletReconciliationError('This discrepancy has already been closed', 409, { status: discrepancy.status });
+    }
+    if (action === 'record_transaction' && discrepancy.field !== 'balance') {
+      throw new WalletReconciliationError('Only balance differences can be recorded as a transaction', 400, {
+        field: discrepancy.field
+      });
+    }
+
+    let transactionId;
+    if (action !== 'dismiss') {
+      const wallet = await Wallet.findById(discrepancy.walletId);
+      if (!wallet) {
+        throw new WalletReconciliationError('Wallet not found', 404, { walletId: discrepancy.walletId });
+      }
+      const amounts = wallet.amountsIn(discrepancy.currency || wallet.currency);
+      if (Math.abs(roundAmount(amounts[discrepancy.field] - discrepancy.actual)) >= TOLERANCE) {
+        throw new WalletReconciliationError('The wallet has changed since this report. Run the reconciliation again.', 409, {
+          field: discrepancy.field,
+          currency: amounts.currency,
+          reported: discrepancy.actual,
+          current: amounts[discrepancy.field]
+        });
+      }
+
+      if (action === 'correct_wallet') {
+        await this.correctWallet(wallet, discrepancy, admin, report._id);
+      } else {
+        const transaction = await Transaction.create({
+          userId: wallet.userId,
+          walletId: wallet._id,
+          type: 'adjustment',
+          amount: discrepancy.difference,
+          currency: amounts.currency,
+          balanceBefore: roundAmount(amounts.balance - discrepancy.difference),
+          balanceAfter: amounts.balance,
+          status: 'completed',
+          processedBy: admin._id,
+          processedAt: new Date(),
+          description: 'Balance correction from wallet reconciliation',
+          internalNotes: note,
+          metadata: { reconciliationId: report._id, discrepancyId: discrepancy._id },
+          completedAt: new Date()
+        });
+        transactionId = transaction.transactionId;
+      }
+    }
+
+    discrepancy.status = action === 'dismiss' ? 'dismissed' : 'resolved';
+    discrepancy.resolution = {
+      action,
+      note,
+      resolvedBy: admin._id,
+      resolvedAt: new Date(),
+      transactionId
+    };
+    report.openCount = report.discrepancies.filter(item => item.status === 'open').length;
+    await report.save();
+
+    return report;
+  }
+
+  // Move the wallet field to the replayed value. Balances go through the ledger;
+  // the running totals are statistics and are set directly.
+  static async correctWallet(wallet, discrepancy, admin, reportId) {
+    const { field, difference } = discrepancy;
+    const currency = discrepancy.currency || wallet.currency;
+
+    if (field === 'totalEarnings' || field === 'totalWithdrawn') {
+      if (currency === wallet.currency) {
+        await Wallet.updateOne({ _id: wallet._id, currency }, { $set: { [field]: discrepancy.expected } });
+      } else {
+        await Wallet.updateOne(
+          { _id: wallet._id, 'balances.currency': { $ne: currency } },
+          { $push: { balances: { currency } } }
+        );
+        await Wallet.updateOne(
+          { _id: wallet._id, 'balances.currency': currency },
+          { $set: { [`balances.$.${field}`]: discrepancy.expected } }
+        );
+      }
+      return;
+    }
+
+    const account = LEDGER_ACCOUNTS[field];
+    const amount = Math.abs(difference);
+    await LedgerService.post({
+      type: 'adjustment',
+      lines: difference > 0
+        ? [
+          { account, userId: wallet.userId, debit: amount },
+          { account: 'adjustments', credit: amount }
+        ]
+        : [
+          { account: 'adjustments', debit: amount },
+          { account, userId: wallet.userId, credit: amount }
+        ],
+      reference: reportId.toString(),
+      description: `Wallet reconciliation correction of ${field} in ${currency}`,
+      createdBy: admin._id,
+      currency
+    });
+  }
+}
+
+// Reconcile wallets nightly; the hourly check starts the run once per day
+if (process.env.NODE_ENV === 'production') {
+  setInterval(async () => {
+    try {
+      await WalletReconciliationService.runIfDue();
+    } catch (error) {
+      console.error('Wallet reconciliation error:', error);
+    }
+  }, 60 * 60 * 1000);
+}
+
+export default WalletReconciliationService;
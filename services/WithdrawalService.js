@@ -0,0 +1,731 @@
+import axios from 'axios';
+import mongoose from 'mongoose';
+import Wallet from '../model/Wallet.js';
+import Withdrawal from '../model/Withdrawal.js';
+import Transaction from '../model/Transaction.js';
+import { Notification } from '../Models/NotificationModel.js';
+import NotificationService from './NotificationService.js';
+import LedgerService from './LedgerService.js';
+import FieldEncryptionService from './FieldEncryptionService.js';
+import PaymentMethodService from './PaymentMethodService.js';
+import CurrencyService from './CurrencyService.js';
+
+// Share of every withdrawal kept by the platform
+const PLATFORM_FEE_RATE = 0.02;
+
+// Withdrawals whose amount is still held from the wallet
+const OPEN_STATUSES = ['pending', 'approved', 'processing', 'failed'];
+
+// Most withdrawals one batch sends out
+const MAX_BATCH_SIZE = 100;
+
+// Transaction status that mirrors each withdrawal status
+const TRANSACTION_STATUS = {
+  pending: 'pending',
+  approved: 'pending',
+  processing: 'processing',
+  completed: 'completed',
+  failed: 'failed',
+  cancelled: 'cancelled',
+  rejected: 'cancelled'
+};
+
+// Error with an HTTP status, raised for problems the user or admin can fix
+export class WithdrawalError extends Error {
+  constructor(message, statusCode = 400, details = {}) {
+    super(message);
+    this.name = 'WithdrawalError';
+    this.statusCode = statusCode;
+    this.details = details;
+  }
+}
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+export class WithdrawalService {
+
+  // Minutes before the first retry of a failed payout; doubles with every attempt
+  static getRetryMinutes() {
+    return Number(process.env.WITHDRAWAL_RETRY_MINUTES) || 30;
+  }
+
+  static calculateProcessingFee(paymentType, amount) {
+    switch (paymentType) {
+      case 'paypal':
+        return amount * 0.029 + 0.30; // PayPal standard rate
+      case 'stripe':
+        return amount * 0.029 + 0.30; // Stripe standard rate
+      case 'bank_transfer':
+        return Math.min(amount * 0.01, 25); // 1% capped at $25
+      case 'jazzcash':
+      case 'easypaisa':
+        return amount * 0.015; // 1.5% for mobile payments
+      case 'crypto':
+        return 5; // Flat $5 for crypto
+      default:
+        return 0;
+    }
+  }
+
+  // With converted set, the payout is in another currency than the wallet and
+  // the conversion fee is added
+  static calculateFees(paymentType, amount, { converted = false } = {}) {
+    const platformFee = roundAmount(amount * PLATFORM_FEE_RATE);
+    const paymentProcessingFee = roundAmount(this.calculateProcessingFee(paymentType, amount));
+    const currencyConversionFee = converted ? roundAmount(amount * CurrencyService.getConversionFeeRate()) : 0;
+    const totalFees = roundAmount(platformFee + paymentProcessingFee + currencyConversionFee);
+
+    return {
+      platformFee,
+      paymentProcessingFee,
+      currencyConversionFee,
+      totalFees,
+      netAmount: roundAmount(amount - totalFees)
+    };
+  }
+
+  // Create a withdrawal request and move its amount from the balance to held funds.
+  // currency is the wallet balance it comes out of, the main one by default;
+  // payoutCurrency pays the net amount out in another currency at today's rate.
+  static async requestWithdrawal(userId, { amount, currency, paymentMethodId, payoutCurrency, notes, verification, isAutomatic = false, scheduledDate } = {}) {
+    const requestedAmount = roundAmount(Number(amount));
+    if (!Number.isFinite(requestedAmount) || requestedAmount <= 0) {
+      throw new WithdrawalError('Invalid withdrawal amount', 400, { amount });
+    }
+
+    const wallet = await Wallet.findOne({ userId });
+    if (!wallet) {
+      throw new WithdrawalError('Wallet not found', 404);
+    }
+    if (wallet.status !== 'active') {
+      throw new WithdrawalError(`Withdrawals are not possible while the wallet is ${wallet.status}`, 403);
+    }
+
+    // Money is withdrawn from one of the wallet's currencies, the main one by default
+    const fromCurrency = currency || wallet.currency;
+    CurrencyService.assertSupported(fromCurrency);
+    const available = wallet.amountsIn(fromCurrency).balance;
+    if (available < requestedAmount) {
+      throw new WithdrawalError('Insufficient balance', 400, { currency: fromCurrency, required: requestedAmount, available });
+    }
+    const minimumAmount = fromCurrency === wallet.currency
+      ? wallet.withdrawalSettings.minimumAmount
+      : (await CurrencyService.convert(wallet.withdrawalSettings.minimumAmount, wallet.currency, fromCurrency)).amount;
+    if (requestedAmount < minimumAmount) {
+      throw new WithdrawalError(`Minimum withdrawal amount is ${minimumAmount} ${fromCurrency}`, 400, { currency: fromCurrency, minimumAmount });
+    }
+
+    const paymentMethod = paymentMethodId
+      ? wallet.paymentMethods.id(paymentMethodId)
+      : wallet.paymentMethods.find(method => method.isDefault);
+    if (!paymentMethod) {
+      throw new WithdrawalError('Payment method not found', 404, { paymentMethodId });
+    }
+    if (!paymentMethod.isVerified) {
+      throw new WithdrawalError('Payment method is not verified', 400, { paymentMethodId: paymentMethod._id });
+    }
+
+    const converted = Boolean(payoutCurrency) && payoutCurrency !== fromCurrency;
+    const { netAmount, ...fees } = this.calculateFees(paymentMethod.type, requestedAmount, { converted });
+    if (netAmount <= 0) {
+      throw new WithdrawalError('The amount does not cover the withdrawal fees', 400, { fees });
+    }
+    const payout = converted ? await CurrencyService.convert(netAmount, fromCurrency, payoutCurrency) : null;
+
+    const withdrawal = new Withdrawal({
+      userId,
+      walletId: wallet._id,
+      requestedAmount,
+      fees,
+      netAmount,
+      currency: fromCurrency,
+      payoutCurrency: payout ? payoutCurrency : undefined,
+      payoutAmount: payout?.amount,
+      exchangeRate: payout?.snapshot,
+      paymentMethod: {
+        type: paymentMethod.type,
+        details: FieldEncryptionService.encryptDetails(paymentMethod.toObject().details)
+      },
+      status: 'pending',
+      notes: notes || '',
+      verification,
+      isAutomatic,
+      scheduledDate
+    });
+
+    await LedgerService.withSession(null, async (session) => {
+      await withdrawal.save({ session });
+
+      const posting = await LedgerService.post({
+        type: 'withdrawal',
+        lines: [
+          { account: 'wallet', userId: wallet.userId, debit: requestedAmount },
+          { account: 'held', userId: wallet.userId, credit: requestedAmount }
+        ],
+        reference: withdrawal.withdrawalId,
+        description: `Withdrawal ${withdrawal.withdrawalId} requested`,
+        currency: fromCurrency
+      }, { session });
+      const { balanceBefore, balanceAfter } = LedgerService.balanceChange(posting, wallet.userId);
+
+      await Transaction.create([{
+        userId,
+        walletId: wallet._id,
+        type: 'withdrawal',
+        amount: -requestedAmount, // Negative because it leaves the balance
+        currency: fromCurrency,
+        balanceBefore,
+        balanceAfter,
+        status: 'pending',
+        withdrawalId: withdrawal._id,
+        paymentMethod: paymentMethod.type,
+        fees: { ...fees },
+        description: `Withdrawal ${withdrawal.withdrawalId} to ${paymentMethod.type.replace(/_/g, ' ')}`
+      }], { session });
+
+      await Wallet.updateOne({ _id: wallet._id }, { $set: { 'flags.hasPendingWithdrawal': true } }, { session });
+    });
+
+    if (isAutomatic) {
+      await this.notifyUser(withdrawal, 'withdrawal_requested', 'Automatic Withdrawal Scheduled',
+        `Your balance reached your auto-withdrawal threshold, so a withdrawal of ${this.formatAmount(requestedAmount, withdrawal.currency)} ` +
+          `to your ${paymentMethod.type.replace(/_/g, ' ')} account was requested. You receive ${this.formatReceived(withdrawal)} after fees.`);
+    } else {
+      await this.notifyUser(withdrawal, 'withdrawal_requested', 'Withdrawal Request Submitted',
+        `Your withdrawal request for ${this.formatAmount(requestedAmount, withdrawal.currency)} has been submitted and is pending review.`);
+    }
+
+    return withdrawal;
+  }
+
+  // Admin payout queue
+  static async listWithdrawals({ status, userId, batchId, page = 1, limit = 20 } = {}) {
+    const filter = {};
+    if (status && status !== 'all') filter.status = status;
+    if (userId) filter.userId = userId;
+    if (batchId) filter.batchId = batchId;
+
+    const pageNumber = Math.max(parseInt(page) || 1, 1);
+    const pageSize = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+
+    const [withdrawals, total, totals] = await Promise.all([
+      Withdrawal.find(filter)
+        .populate('userId', 'firstName lastName email')
+        .populate('adminReview.reviewedBy', 'firstName lastName email')
+        .sort({ requestedAt: 1 })
+        .skip((pageNumber - 1) * pageSize)
+        .limit(pageSize),
+      Withdrawal.countDocuments(filter),
+      Withdrawal.aggregate([
+        { $match: { status: { $in: OPEN_STATUSES } } },
+        { $group: { _id: '$status', count: { $sum: 1 }, amount: { $sum: '$requestedAmount' } } }
+      ])
+    ]);
+
+    return {
+      withdrawals: withdrawals.map(withdrawal => PaymentMethodService.maskWithdrawal(withdrawal)),
+      queue: Object.fromEntries(totals.map(row => [row._id, { count: row.count, amount: roundAmount(row.amount) }])),
+      pagination: {
+        page: pageNumber,
+        limit: pageSize,
+        total,
+        pages: Math.ceil(total / pageSize)
+      }
+    };
+  }
+
+  static async findWithdrawal(withdrawalId, statuses) {
+    const withdrawal = await Withdrawal.findOne(
+      mongoose.Types.ObjectId.isValid(withdrawalId) ? { _id: withdrawalId } : { withdrawalId }
+    );
+    if (!withdrawal) {
+      throw new WithdrawalError('Withdrawal not found', 404, { withdrawalId });
+    }
+    if (statuses && !statuses.includes(withdrawal.status)) {
+      throw new WithdrawalError(`Withdrawal ${withdrawal.withdrawalId} is '${withdrawal.status}'`, 409, {
+        status: withdrawal.status,
+        allowed: statuses
+      });
+    }
+    return withdrawal;
+  }
+
+  static async approve(withdrawalId, admin, { notes } = {}) {
+    const withdrawal = await this.findWithdrawal(withdrawalId, ['pending']);
+
+    withdrawal.status = 'approved';
+    withdrawal.approvedAt = new Date();
+    withdrawal.adminReview = {
+      reviewedBy: admin._id,
+      reviewedAt: new Date(),
+      decision: 'approved',
+      notes
+    };
+    await withdrawal.save();
+    return withdrawal;
+  }
+
+  // Refuse the withdrawal and return the held amount to the balance
+  static async reject(withdrawalId, admin, { reason, notes } = {}) {
+    if (!reason) {
+      throw new WithdrawalError('A reason is required to reject a withdrawal', 400, { missing: ['reason'] });
+    }
+    const withdrawal = await this.findWithdrawal(withdrawalId, ['pending', 'approved', 'failed']);
+
+    await LedgerService.withSession(null, async (session) => {
+      await this.claim(withdrawal, ['pending', 'approved', 'failed'], { status: 'rejected' }, session);
+      await LedgerService.post({
+        type: 'withdrawal_release',
+        lines: [
+          { account: 'held', userId: withdrawal.userId, debit: withdrawal.requestedAmount },
+          { account: 'wallet', userId: withdrawal.userId, credit: withdrawal.requestedAmount }
+        ],
+        reference: withdrawal.withdrawalId,
+        description: `Withdrawal ${withdrawal.withdrawalId} rejected`,
+        createdBy: admin._id,
+        currency: withdrawal.currency
+      }, { session });
+
+      withdrawal.status = 'rejected';
+      withdrawal.processedBy = admin._id;
+      withdrawal.processedAt = new Date();
+      withdrawal.adminReview = {
+        reviewedBy: admin._id,
+        reviewedAt: new Date(),
+        decision: 'rejected',
+        notes,
+        reason
+      };
+      await withdrawal.save({ session });
+      await this.syncTransaction(withdrawal, session, { internalNotes: reason });
+    });
+
+    await this.refreshPendingFlag(withdrawal.walletId);
+    await this.notifyUser(withdrawal, 'withdrawal_processed', 'Withdrawal Rejected',
+      `Your withdrawal of ${this.formatAmount(withdrawal.requestedAmount, withdrawal.currency)} was rejected: ${reason}. The amount is back in your balance.`);
+    return withdrawal;
+  }
+
+  // Send approved withdrawals out together. Without ids every approved withdrawal
+  // is taken, oldest first.
+  static async processBatch(admin, { withdrawalIds } = {}) {
+    const filter = { status: 'approved' };
+    if (Array.isArray(withdrawalIds) && withdrawalIds.length > 0) {
+      filter.$or = [
+        { _id: { $in: withdrawalIds.filter(id => mongoose.Types.ObjectId.isValid(id)) } },
+        { withdrawalId: { $in: withdrawalIds } }
+      ];
+    }
+
+    const withdrawals = await Withdrawal.find(filter).sort({ approvedAt: 1 }).limit(MAX_BATCH_SIZE);
+    if (withdrawals.length === 0) {
+      throw new WithdrawalError('No approved withdrawals to process', 400, { withdrawalIds });
+    }
+
+    const batchId = `PAY-${Date.now()}`;
+    const results = [];
+    for (const withdrawal of withdrawals) {
+      try {
+        results.push(await this.attemptPayout(withdrawal, admin, { from: ['approved'], batchId }));
+      } catch (error) {
+        if (!(error instanceof WithdrawalError)) throw error;
+        // Taken by another run since it was listed
+        results.push({ withdrawalId: withdrawal.withdrawalId, status: 'skipped', error: error.message });
+      }
+    }
+
+    return {
+      batchId,
+      total: results.length,
+      completed: results.filter(result => result.status === 'completed').length,
+      processing: results.filter(result => result.status === 'processing').length,
+      failed: results.filter(result => result.status === 'failed').length,
+      skipped: results.filter(result => result.status === 'skipped').length,
+      withdrawals: results
+    };
+  }
+
+  // Hand the withdrawal to its payout gateway. Methods without a gateway stay
+  // 'processing' until an admin marks them paid, gateway payouts until they settle. The withdrawal is claimed
+  // first, so a concurrent batch, retry or markPaid cannot send it twice.
+  static async attemptPayout(withdrawal, admin, { from = ['approved'], batchId } = {}) {
+    await this.claim(withdrawal, from, {
+      status: 'processing',
+      processedAt: new Date(),
+      ...(admin ? { processedBy: admin._id } : {}),
+      ...(batchId ? { batchId } : {})
+    });
+    await this.syncTransaction(withdrawal);
+
+    let result;
+    try {
+      result = await this.sendPayout(withdrawal);
+    } catch (error) {
+      result = { success: false, code: error.response?.status?.toString(), error: error.response?.data?.message || error.message };
+    }
+
+    await this.settlePayout(withdrawal, result, admin);
+
+    return {
+      withdrawalId: withdrawal.withdrawalId,
+      status: withdrawal.status,
+      error: withdrawal.status === 'failed' ? withdrawal.errorDetails.message : undefined,
+      // What the finance team pays a manual payout to
+      payTo: result.manual && withdrawal.status === 'processing' ? result.payTo : undefined
+    };
+  }
+
+  // Act on a gateway's answer: fail the withdrawal, complete it, or keep it
+  // 'processing' while the gateway has not settled it yet
+  static async settlePayout(withdrawal, result, admin) {
+    if (!result.success) {
+      await this.markFailed(withdrawal, result);
+    } else if (result.pending) {
+      // Kept so pollPendingPayouts can look the payout up again
+      const paymentGateway = {
+        gatewayName: result.gatewayName,
+        transactionId: result.transactionId,
+        gatewayResponse: result.response
+      };
+      await Withdrawal.updateOne({ _id: withdrawal._id, status: 'processing' }, { $set: { paymentGateway } });
+      withdrawal.paymentGateway = paymentGateway;
+    } else if (!result.manual) {
+      await this.complete(withdrawal, {
+        gatewayName: result.gatewayName,
+        transactionId: result.transactionId,
+        gatewayResponse: result.response
+      }, admin, ['processing']);
+    }
+  }
+
+  // PayPal payouts go through the PayPal API when it is configured; every
+  // other method is paid by the finance team outside the platform. The payout
+  // details are only decrypted here.
+  static async sendPayout(withdrawal) {
+    const { type } = withdrawal.paymentMethod;
+    const details = FieldEncryptionService.decryptDetails(withdrawal.toObject().paymentMethod.details);
+    if (type !== 'paypal' || !process.env.PAYPAL_CLIENT_ID) {
+      return { success: true, manual: true, payTo: { type, ...this.payoutOf(withdrawal), ...details } };
+    }
+
+    const auth = Buffer.from(`${process.env.PAYPAL_CLIENT_ID}:${process.env.PAYPAL_CLIENT_SECRET}`).toString('base64');
+    const token = await axios.post(
+      `${process.env.PAYPAL_API_BASE}/v1/oauth2/token`,
+      'grant_type=client_credentials',
+      { headers: { 'Authorization': `Basic ${auth}`, 'Content-Type': 'application/x-www-form-urlencoded' } }
+    );
+
+    const headers = { 'Authorization': `Bearer ${token.data.access_token}`, 'Content-Type': 'application/json' };
+
+    // An earlier attempt may have paid even though it failed on our side
+    if (withdrawal.paymentGateway?.transactionId) {
+      const existing = await axios.get(
+        `${process.env.PAYPAL_API_BASE}/v1/payments/payouts/${withdrawal.paymentGateway.transactionId}`,
+        { headers }
+      );
+      return this.paypalResult(existing.data);
+    }
+
+    let response;
+    try {
+      response = await axios.post(
+        `${process.env.PAYPAL_API_BASE}/v1/payments/payouts`,
+        {
+          sender_batch_header: {
+            // The same for every attempt: PayPal refuses a second batch with it
+            sender_batch_id: withdrawal.withdrawalId,
+            email_subject: 'You have a payout'
+          },
+          items: [{
+            recipient_type: 'EMAIL',
+            receiver: details.paypalEmail,
+            amount: { value: this.payoutOf(withdrawal).amount.toFixed(2), currency: this.payoutOf(withdrawal).currency },
+            sender_item_id: withdrawal.withdrawalId
+          }]
+        },
+        { headers }
+      );
+    } catch (error) {
+      // A duplicate is refused with a link to the batch the first attempt created
+      const original = error.response?.status === 400
+        && error.response.data?.links?.find(link => link.href?.includes('/v1/payments/payouts/'));
+      if (!original) throw error;
+      response = await axios.get(original.href, { headers });
+    }
+
+    return this.paypalResult(response.data);
+  }
+
+  // Outcome of a PayPal payout batch. Denied and canceled batches count as failed;
+  // the withdrawal then needs an admin, since the same batch id cannot be reused.
+  // Only a successful batch whose item succeeded is paid. Anything else, such as
+  // a batch still pending or an item unclaimed or returned, is still pending.
+  static paypalResult(data) {
+    const header = data.batch_header || {};
+    if (['DENIED', 'CANCELED'].includes(header.batch_status)) {
+      return {
+        success: false,
+        code: header.batch_status,
+        error: `PayPal payout batch ${header.payout_batch_id} was ${header.batch_status.toLowerCase()}`,
+        gatewayName: 'paypal',
+        transactionId: header.payout_batch_id
+      };
+    }
+    const item = data.items?.[0];
+    return {
+      success: true,
+      pending: header.batch_status !== 'SUCCESS' || item?.transaction_status !== 'SUCCESS',
+      gatewayName: 'paypal',
+      transactionId: header.payout_batch_id,
+      response: { ...header, transaction_status: item?.transaction_status }
+    };
+  }
+
+  // Record a payout made outside the platform, or confirm one still processing
+  static async markPaid(withdrawalId, admin, { transactionId, gatewayName, notes } = {}) {
+    const withdrawal = await this.findWithdrawal(withdrawalId, ['approved', 'processing', 'failed']);
+
+    withdrawal.processedBy = admin._id;
+    if (notes) {
+      withdrawal.internalNotes = notes;
+    }
+    await this.complete(withdrawal, {
+      gatewayName: gatewayName || withdrawal.paymentMethod.type,
+      transactionId
+    }, admin, ['approved', 'processing', 'failed']);
+    return withdrawal;
+  }
+
+  // Pay out the held amount: the net amount leaves the platform, the fees are kept.
+  // Only a withdrawal still in one of the from statuses is paid out.
+  static async complete(withdrawal, gateway = {}, admin, from = ['processing']) {
+    const payout = this.payoutOf(withdrawal);
+    await LedgerService.withSession(null, async (session) => {
+      await this.claim(withdrawal, from, { status: 'completed' }, session);
+      await LedgerService.post({
+        type: 'payout',
+        lines: [
+          { account: 'held', userId: withdrawal.userId, debit: withdrawal.requestedAmount },
+          { account: 'platform_fees', credit: roundAmount(withdrawal.requestedAmount - withdrawal.netAmount) },
+          ...LedgerService.fxLines(withdrawal.currency, withdrawal.netAmount, payout.currency, payout.amount),
+          { account: 'external', credit: payout.amount, currency: payout.currency }
+        ],
+        reference: withdrawal.withdrawalId,
+        description: `Withdrawal ${withdrawal.withdrawalId} paid out`,
+        createdBy: admin?._id,
+        currency: withdrawal.currency
+      }, { session });
+
+      // Counted in the currency the money left, at the top level if it is the main one
+      const counted = await Wallet.updateOne(
+        { _id: withdrawal.walletId, currency: withdrawal.currency },
+        { $inc: { totalWithdrawn: withdrawal.requestedAmount } },
+        { session }
+      );
+      if (counted.matchedCount === 0) {
+        await Wallet.updateOne(
+          { _id: withdrawal.walletId, 'balances.currency': withdrawal.currency },
+          { $inc: { 'balances.$.totalWithdrawn': withdrawal.requestedAmount } },
+          { session }
+        );
+      }
+
+      const now = new Date();
+      withdrawal.status = 'completed';
+      withdrawal.completedAt = now;
+      withdrawal.paymentGateway = {
+        gatewayName: gateway.gatewayName,
+        transactionId: gateway.transactionId,
+        gatewayResponse: gateway.gatewayResponse,
+        transferredAt: now
+      };
+      await withdrawal.save({ session });
+      await this.syncTransaction(withdrawal, session, {
+        completedAt: now,
+        paymentGateway: {
+          gatewayName: gateway.gatewayName,
+          transactionId: gateway.transactionId,
+          gatewayResponse: gateway.gatewayResponse
+        }
+      });
+    });
+
+    await this.refreshPendingFlag(withdrawal.walletId);
+    await this.notifyUser(withdrawal, 'withdrawal_processed', 'Withdrawal Completed',
+      `Your withdrawal of ${this.formatAmount(withdrawal.requestedAmount, withdrawal.currency)} has been paid out. You receive ${this.formatReceived(withdrawal)} after fees.`);
+  }
+
+  // The amount stays held so the payout can be retried. Admins are alerted
+  // once the retries are used up.
+  static async markFailed(withdrawal, { code, error, gatewayName, transactionId } = {}) {
+    const now = new Date();
+    // Keep the gateway's batch id so the next attempt looks it up instead of sending again
+    if (transactionId) {
+      withdrawal.paymentGateway = { ...withdrawal.toObject().paymentGateway, gatewayName, transactionId };
+    }
+    const retryCount = (withdrawal.errorDetails?.retryCount || 0) + 1;
+    const maxRetries = withdrawal.errorDetails?.maxRetries ?? 3;
+
+    // Unless the payout was completed meanwhile, e.g. marked paid by an admin
+    await this.claim(withdrawal, ['processing'], { status: 'failed' });
+    withdrawal.status = 'failed';
+    withdrawal.failedAt = now;
+    withdrawal.errorDetails = {
+      code,
+      message: error || 'Payout failed',
+      timestamp: now,
+      retryCount,
+      maxRetries,
+      nextRetryAt: retryCount < maxRetries
+        ? new Date(now.getTime() + this.getRetryMinutes() * 2 ** (retryCount - 1) * 60 * 1000)
+        : undefined
+    };
+    await withdrawal.save();
+    await this.syncTransaction(withdrawal, null, {
+      failedAt: now,
+      errorDetails: { code, message: withdrawal.errorDetails.message, timestamp: now, retryCount }
+    });
+
+    if (retryCount >= maxRetries) {
+      try {
+        await NotificationService.notifyAdmins(
+          'payment_failed',
+          'Withdrawal payout failed',
+          `The payout of withdrawal ${withdrawal.withdrawalId} failed ${retryCount} times: ${withdrawal.errorDetails.message}. ` +
+            'Mark it paid or reject it to return the funds.',
+          { withdrawalId: withdrawal.withdrawalId, actionUrl: `${process.env.FRONTEND_URL}/admin/withdrawals` }
+        );
+      } catch (notifyError) {
+        console.error(`Failed to alert admins about withdrawal ${withdrawal.withdrawalId}:`, notifyError);
+      }
+    }
+  }
+
+  // Retry failed payouts whose backoff has passed and that have retries left
+  static async retryFailedPayouts(now = new Date(), batchSize = 50) {
+    const withdrawals = await Withdrawal.find({
+      status: 'failed',
+      'errorDetails.nextRetryAt': { $lte: now },
+      $expr: { $lt: ['$errorDetails.retryCount', '$errorDetails.maxRetries'] }
+    })
+      .sort({ 'errorDetails.nextRetryAt': 1 })
+      .limit(batchSize);
+
+    const results = [];
+    for (const withdrawal of withdrawals) {
+      try {
+        results.push(await this.attemptPayout(withdrawal, null, { from: ['failed'] }));
+      } catch (error) {
+        console.error(`Payout retry failed for withdrawal ${withdrawal.withdrawalId}:`, error);
+      }
+    }
+    return { retried: results.length, completed: results.filter(result => result.status === 'completed').length };
+  }
+
+  // Look up gateway payouts still 'processing' and complete or fail those that settled
+  static async pollPendingPayouts(batchSize = 50) {
+    const withdrawals = await Withdrawal.find({
+      status: 'processing',
+      'paymentGateway.gatewayName': 'paypal',
+      'paymentGateway.transactionId': { $exists: true }
+    })
+      .sort({ processedAt: 1 })
+      .limit(batchSize);
+
+    let settled = 0;
+    for (const withdrawal of withdrawals) {
+      try {
+        const result = await this.sendPayout(withdrawal);
+        if (!result.pending && !result.manual) {
+          await this.settlePayout(withdrawal, result, null);
+          settled += 1;
+        }
+      } catch (error) {
+        console.error(`Payout lookup failed for withdrawal ${withdrawal.withdrawalId}:`, error);
+      }
+    }
+    return { checked: withdrawals.length, settled };
+  }
+
+  // Amount and currency that actually leave the platform
+  static payoutOf(withdrawal) {
+    return withdrawal.payoutCurrency
+      ? { amount: withdrawal.payoutAmount, currency: withdrawal.payoutCurrency }
+      : { amount: withdrawal.netAmount, currency: withdrawal.currency };
+  }
+
+  static formatAmount(amount, currency) {
+    return `${Number(amount).toFixed(2)} ${currency || 'USD'}`;
+  }
+
+  // What the user receives after fees, in the currency it is paid out in
+  static formatReceived(withdrawal) {
+    const { amount, currency } = this.payoutOf(withdrawal);
+    return this.formatAmount(amount, currency);
+  }
+
+  // Move the withdrawal on only if it is still in one of the from statuses.
+  // The status is checked and set in one update, so of two concurrent callers
+  // only one gets it. Returns the updated withdrawal.
+  static async claim(withdrawal, from, fields, session = null) {
+    const claimed = await Withdrawal.findOneAndUpdate(
+      { _id: withdrawal._id, status: { $in: from } },
+      { $set: fields },
+      { new: true, session }
+    );
+    if (!claimed) {
+      const current = await Withdrawal.findById(withdrawal._id).select('status').session(session);
+      throw new WithdrawalError(`Withdrawal ${withdrawal.withdrawalId} is '${current?.status}'`, 409, {
+        status: current?.status,
+        allowed: from
+      });
+    }
+    withdrawal.set(fields);
+    return withdrawal;
+  }
+
+  // Keep the withdrawal's transaction record in step with it
+  static async syncTransaction(withdrawal, session = null, fields = {}) {
+    await Transaction.updateOne(
+      { withdrawalId: withdrawal._id, type: 'withdrawal' },
+      { $set: { status: TRANSACTION_STATUS[withdrawal.status], processedBy: withdrawal.processedBy, processedAt: withdrawal.processedAt, ...fields } },
+      { session }
+    );
+  }
+
+  static async refreshPendingFlag(walletId) {
+    const open = await Withdrawal.exists({ walletId, status: { $in: OPEN_STATUSES } });
+    await Wallet.updateOne({ _id: walletId }, { $set: { 'flags.hasPendingWithdrawal': Boolean(open) } });
+  }
+
+  static async notifyUser(withdrawal, type, title, message) {
+    try {
+      await Notification.create({
+        userId: withdrawal.userId,
+        type,
+        title,
+        message,
+        data: { withdrawalId: withdrawal.withdrawalId, amount: withdrawal.requestedAmount },
+        channels: {
+          inApp: { delivered: true }
+        }
+      });
+    } catch (error) {
+      console.error(`Failed to notify user about withdrawal ${withdrawal.withdrawalId}:`, error);
+    }
+  }
+}
+
+// Retry failed payouts and check pending ones periodically
+if (process.env.NODE_ENV === 'production') {
+  setInterval(async () => {
+    try {
+      await WithdrawalService.retryFailedPayouts();
+      await WithdrawalService.pollPendingPayouts();
+    } catch (error) {
+      console.error('Withdrawal retry error:', error);
+    }
+  }, 15 * 60 * 1000);
+}
+
+export default WithdrawalService;